@@ -0,0 +1,176 @@
+// Address Autocomplete - Suggests addresses and lots from the household registry and flags pairs that match no household
+
+class AddressAutocomplete {
+    constructor() {
+        this.addressListId = 'householdAddressOptions';
+        this.lotListId = 'householdLotOptions';
+    }
+
+    getHouseholds() {
+        return window.householdManager ? window.householdManager.households : [];
+    }
+
+    normalizeAddress(address) {
+        return window.projectLinkManager
+            ? window.projectLinkManager.normalizeAddress(address)
+            : String(address || '').trim().toLowerCase();
+    }
+
+    normalizeLot(lot) {
+        return window.projectLinkManager
+            ? window.projectLinkManager.normalizeLot(lot)
+            : String(lot || '').trim().toLowerCase();
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Shared datalists, rebuilt on focus so they follow household changes
+    refreshDatalists() {
+        const households = [...this.getHouseholds()].sort((a, b) => (a.address || '').localeCompare(b.address || ''));
+
+        const getList = (id) => {
+            let list = document.getElementById(id);
+            if (!list) {
+                list = document.createElement('datalist');
+                list.id = id;
+                document.body.appendChild(list);
+            }
+            return list;
+        };
+
+        getList(this.addressListId).innerHTML = households
+            .map(h => `<option value="${this.escapeHtml(h.address)}" label="Lot ${this.escapeHtml(h.lotNumber)}"></option>`)
+            .join('');
+        getList(this.lotListId).innerHTML = [...households]
+            .sort((a, b) => (parseInt(a.lotNumber) || 0) - (parseInt(b.lotNumber) || 0))
+            .map(h => `<option value="${this.escapeHtml(h.lotNumber)}" label="${this.escapeHtml(h.address)}"></option>`)
+            .join('');
+    }
+
+    findByAddress(address) {
+        const normalized = this.normalizeAddress(address);
+        return normalized ? this.getHouseholds().filter(h => this.normalizeAddress(h.address) === normalized) : [];
+    }
+
+    findByLot(lot) {
+        const normalized = this.normalizeLot(lot);
+        return normalized ? this.getHouseholds().filter(h => this.normalizeLot(h.lotNumber) === normalized) : [];
+    }
+
+    // Primary member first, then the household admin, then anyone with a name
+    getOwnerName(household) {
+        const members = (household.members || []).filter(m => m.name);
+        const owner = members.find(m => m.role === 'primary_member')
+            || members.find(m => m.role === 'household_admin')
+            || members[0];
+        return owner ? owner.name : '';
+    }
+
+    // Warning text when the address and lot do not match a household on record, otherwise ''
+    getMismatchWarning(address, lot) {
+        if (!address || !lot || this.getHouseholds().length === 0) return '';
+
+        const byAddress = this.findByAddress(address);
+        const byLot = this.findByLot(lot);
+        if (byAddress.some(h => byLot.includes(h))) return '';
+
+        if (byAddress.length > 0) {
+            return `⚠️ ${byAddress[0].address} is Lot ${byAddress[0].lotNumber} in the household registry.`;
+        }
+        if (byLot.length > 0) {
+            return `⚠️ Lot ${byLot[0].lotNumber} is ${byLot[0].address} in the household registry.`;
+        }
+        return '⚠️ This address and lot do not match any household on record.';
+    }
+
+    // ownerFormat: 'full' fills the whole member name, 'last' fills only the last name
+    bind({ addressInput, lotInput, ownerInput = null, ownerFormat = 'full' }) {
+        if (!addressInput || !lotInput) return null;
+
+        addressInput.setAttribute('list', this.addressListId);
+        lotInput.setAttribute('list', this.lotListId);
+        addressInput.setAttribute('autocomplete', 'off');
+        lotInput.setAttribute('autocomplete', 'off');
+        [addressInput, lotInput].forEach(input => {
+            input.addEventListener('focus', () => this.refreshDatalists());
+        });
+
+        const warning = document.createElement('div');
+        warning.className = 'household-match-warning';
+        warning.style.cssText = 'display: none; margin-top: 6px; padding: 8px 10px; background: #fff3cd; border: 1px solid #ffc107; border-radius: 6px; color: #856404; font-size: 0.85rem;';
+        const anchor = lotInput.parentNode.querySelector('.error-message') || lotInput;
+        anchor.parentNode.insertBefore(warning, anchor.nextSibling);
+
+        const updateWarning = () => {
+            const text = this.getMismatchWarning(addressInput.value.trim(), lotInput.value.trim());
+            warning.textContent = text;
+            warning.style.display = text ? 'block' : 'none';
+        };
+
+        // Only overwrite values the user has not typed themselves
+        const fill = (input, value) => {
+            if (!input || !value) return;
+            if (input.value.trim() && input.dataset.autofilled !== 'true') return;
+            if (input.value === value) return;
+            input.value = value;
+            input.dataset.autofilled = 'true';
+            input.dispatchEvent(new Event('input'));
+        };
+        [lotInput, ownerInput].forEach(input => {
+            if (input) {
+                input.addEventListener('keydown', () => {
+                    input.dataset.autofilled = 'false';
+                });
+            }
+        });
+
+        const handleAddressPick = () => {
+            const matches = this.findByAddress(addressInput.value);
+            if (matches.length === 1) {
+                fill(lotInput, matches[0].lotNumber);
+                const ownerName = this.getOwnerName(matches[0]);
+                fill(ownerInput, ownerFormat === 'last' ? ownerName.split(' ').pop() : ownerName);
+            }
+            updateWarning();
+        };
+
+        const handleLotPick = () => {
+            const matches = this.findByLot(lotInput.value);
+            if (matches.length === 1 && !addressInput.value.trim()) {
+                addressInput.value = matches[0].address;
+                handleAddressPick();
+                return;
+            }
+            updateWarning();
+        };
+
+        // Picking a datalist option fires input with insertReplacementText; typed values are checked on change
+        addressInput.addEventListener('change', handleAddressPick);
+        lotInput.addEventListener('change', handleLotPick);
+        addressInput.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText') handleAddressPick();
+        });
+        lotInput.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText') handleLotPick();
+        });
+
+        addressInput.addEventListener('input', () => {
+            if (!addressInput.value.trim()) warning.style.display = 'none';
+        });
+        lotInput.addEventListener('input', () => {
+            if (!lotInput.value.trim()) warning.style.display = 'none';
+        });
+
+        return { warning: warning, update: updateWarning };
+    }
+}
+
+// Initialize address autocomplete
+window.addressAutocomplete = new AddressAutocomplete();
@@ -46,6 +46,25 @@ class AdminPanel {
                         </div>
                     ` : ''}
                     
+                    <div style="margin-bottom: 30px;">
+                        <h3 style="color: var(--primary-color); margin-bottom: 15px; font-size: 1.2rem;">Committee Review Settings</h3>
+                        <div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; background: #f8f9fa; border: 1px solid #ddd; border-radius: 8px; padding: 15px;">
+                            <label for="reviewQuorumInput" style="font-weight: 500; color: #333;">Deciding votes required (quorum):</label>
+                            <input type="number" id="reviewQuorumInput" min="1" step="1" value="${window.reviewManager ? window.reviewManager.reviewConfig.quorum : 3}" style="width: 80px; padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px;">
+                            <button id="saveReviewQuorumBtn" style="background: #2c5530; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; font-weight: 500;">Save</button>
+                            <div style="color: #666; font-size: 0.85rem; width: 100%;">Once this many approve/deny votes are cast, the majority decides the project. Abstentions do not count toward the quorum.</div>
+                        </div>
+                    </div>
+
+                    <div style="margin-bottom: 30px;">
+                        <h3 style="color: var(--primary-color); margin-bottom: 15px; font-size: 1.2rem;">Letter Template</h3>
+                        <div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; background: #f8f9fa; border: 1px solid #ddd; border-radius: 8px; padding: 15px;">
+                            <span style="font-weight: 500; color: #333;">Active version: ${window.letterTemplateManager ? window.letterTemplateManager.getActiveTemplate().version || 0 : 0}</span>
+                            <button id="editLetterTemplateBtn" style="background: #2c5530; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; font-weight: 500;">Edit Letter Template</button>
+                            <div style="color: #666; font-size: 0.85rem; width: 100%;">Greeting, default wording, deposit paragraph and association address used in generated letters.</div>
+                        </div>
+                    </div>
+
                     <div>
                         <h3 style="color: var(--primary-color); margin-bottom: 15px; font-size: 1.2rem;">All Users (${allUsers.length})</h3>
                         <div id="allUsersList" style="display: flex; flex-direction: column; gap: 12px;">
@@ -72,6 +91,29 @@ class AdminPanel {
 
         // Setup event handlers for approve/reject buttons
         this.setupUserActionHandlers();
+
+        // Setup committee review quorum setting
+        const saveQuorumBtn = document.getElementById('saveReviewQuorumBtn');
+        if (saveQuorumBtn && window.reviewManager) {
+            saveQuorumBtn.addEventListener('click', async () => {
+                const quorumInput = document.getElementById('reviewQuorumInput');
+                const saved = await window.reviewManager.saveReviewConfig(quorumInput ? quorumInput.value : '');
+                if (saved) {
+                    alert('Review settings saved successfully!');
+                    if (window.projectManager) {
+                        window.projectManager.renderProjects();
+                    }
+                }
+            });
+        }
+
+        // Setup letter template editor
+        const editLetterTemplateBtn = document.getElementById('editLetterTemplateBtn');
+        if (editLetterTemplateBtn && window.letterTemplateManager) {
+            editLetterTemplateBtn.addEventListener('click', () => {
+                window.letterTemplateManager.showEditor();
+            });
+        }
     }
 
     renderPendingUser(user) {
@@ -62,6 +62,11 @@ class App {
         const closeModal = document.getElementById('closeStandardsModal');
         const closeModalBtn = document.getElementById('closeStandardsModalBtn');
 
+        // Setback sections and the lot lookup are generated from the rules data
+        if (window.setbackRules) {
+            window.setbackRules.setupStandardsModal();
+        }
+
         if (standardsButton && standardsModal) {
             standardsButton.addEventListener('click', () => {
                 standardsModal.style.display = 'flex';
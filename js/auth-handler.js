@@ -41,6 +41,9 @@ class AuthHandler {
                     window.projectManager.checkAuthForWrites();
                     window.projectManager.renderProjects();
                 }
+                if (window.homeownerPortal) {
+                    window.homeownerPortal.updatePortalButton();
+                }
                 console.log('User signed out');
             }
         });
@@ -150,6 +153,11 @@ class AuthHandler {
             window.projectManager.checkAuthForWrites();
             window.projectManager.renderProjects(); // Re-render to update button states
         }
+
+        // Show the homeowner submission button for household members
+        if (window.homeownerPortal) {
+            window.homeownerPortal.updatePortalButton();
+        }
     }
 
     async signIn(email, password) {
@@ -243,6 +251,15 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    const homeownerPortalBtn = document.getElementById('homeownerPortalBtn');
+    if (homeownerPortalBtn) {
+        homeownerPortalBtn.addEventListener('click', () => {
+            if (window.homeownerPortal) {
+                window.homeownerPortal.show();
+            }
+        });
+    }
+
     if (loginBtn) {
         loginBtn.addEventListener('click', () => {
             if (window.authHandler) {
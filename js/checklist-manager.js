@@ -0,0 +1,405 @@
+// Checklist Manager - Required submission documents by project type, and the approval gate on them
+
+// Default checklists from the Builders Rules, used until an admin saves them in projectConfig/checklists.
+// An item counts as received only when an attachment is linked to it; an attachment whose
+// file name contains one of its keywords is offered as a suggestion to link.
+const DEFAULT_SUBMISSION_CHECKLISTS = {
+    'New Home': [
+        { key: 'survey', label: 'Boundary survey', keywords: ['survey'] },
+        { key: 'site_plan', label: 'Site plan', keywords: ['site plan', 'site_plan', 'siteplan'] },
+        { key: 'floor_plans', label: 'Floor plans', keywords: ['floor'] },
+        { key: 'elevations', label: 'Exterior elevations', keywords: ['elevation'] },
+        { key: 'drainage_plan', label: 'Drainage plan', keywords: ['drainage', 'grading'] },
+        { key: 'landscape_plan', label: 'Landscape plan', keywords: ['landscap'] }
+    ],
+    'Renovation/Extension': [
+        { key: 'site_plan', label: 'Site plan', keywords: ['site plan', 'site_plan', 'siteplan'] },
+        { key: 'floor_plans', label: 'Floor plans', keywords: ['floor'] },
+        { key: 'elevations', label: 'Exterior elevations', keywords: ['elevation'] }
+    ],
+    'Accessory Structure': [
+        { key: 'site_plan', label: 'Site plan', keywords: ['site plan', 'site_plan', 'siteplan'] },
+        { key: 'elevations', label: 'Elevations', keywords: ['elevation'] }
+    ],
+    'Pool': [
+        { key: 'site_plan', label: 'Site plan', keywords: ['site plan', 'site_plan', 'siteplan'] },
+        { key: 'pool_plan', label: 'Pool plan', keywords: ['pool'] },
+        { key: 'fence_plan', label: 'Fence plan', keywords: ['fence'] },
+        { key: 'deck_elevation', label: 'Deck elevation', keywords: ['deck'] }
+    ],
+    'Other': [
+        { key: 'site_plan', label: 'Site plan', keywords: ['site plan', 'site_plan', 'siteplan'] }
+    ]
+};
+
+const CHECKLIST_STATUSES = {
+    received: { label: 'Received', icon: '&#10003;', color: '#2c5530' },
+    waived: { label: 'Waived', icon: '⚠', color: '#856404' },
+    missing: { label: 'Missing', icon: '&#10007;', color: '#d32f2f' }
+};
+
+class ChecklistManager {
+    constructor() {
+        this.db = null;
+        this.checklists = JSON.parse(JSON.stringify(DEFAULT_SUBMISSION_CHECKLISTS));
+        this.init();
+    }
+
+    async init() {
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+        await this.loadChecklists();
+    }
+
+    async loadChecklists() {
+        if (!this.db) return;
+
+        try {
+            const configDoc = await this.db.collection('projectConfig').doc('checklists').get();
+            if (configDoc.exists) {
+                const data = configDoc.data();
+                Object.keys(DEFAULT_SUBMISSION_CHECKLISTS).forEach(projectType => {
+                    if ((data.items || {})[projectType]) {
+                        this.checklists[projectType] = data.items[projectType];
+                    }
+                });
+            }
+
+            // Completeness badges depend on the checklists, so refresh the project list
+            if (window.projectManager) {
+                window.projectManager.renderProjects();
+            }
+        } catch (error) {
+            console.error('Error loading submission checklists:', error);
+        }
+    }
+
+    // "Fence plan: fence, fencing" -> { key: 'fence_plan', label: 'Fence plan', keywords: ['fence', 'fencing'] }
+    parseItemLine(line) {
+        const [label, keywordText] = line.split(':');
+        const trimmedLabel = label.trim();
+        const keywords = keywordText !== undefined
+            ? keywordText.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean)
+            : [trimmedLabel.toLowerCase()];
+        return {
+            key: trimmedLabel.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+            label: trimmedLabel,
+            keywords: keywords
+        };
+    }
+
+    formatItemLine(item) {
+        return `${item.label}: ${(item.keywords || []).join(', ')}`;
+    }
+
+    async saveChecklists() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can change submission checklists.');
+            return;
+        }
+
+        const items = {};
+        for (const projectType of Object.keys(DEFAULT_SUBMISSION_CHECKLISTS)) {
+            const textarea = document.querySelector(`[data-checklist-type="${projectType}"]`);
+            const lines = textarea ? textarea.value.split('\n').map(line => line.trim()).filter(Boolean) : [];
+            items[projectType] = lines.map(line => this.parseItemLine(line));
+            if (items[projectType].some(item => !item.key)) {
+                alert(`Please give every ${projectType} checklist item a name.`);
+                return;
+            }
+        }
+
+        try {
+            const user = window.firebaseAuth.currentUser;
+            await this.db.collection('projectConfig').doc('checklists').set({
+                items: items,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: user ? user.email : 'system'
+            });
+
+            this.checklists = items;
+
+            const checklistConfigSection = document.getElementById('checklistConfigSection');
+            if (checklistConfigSection) checklistConfigSection.style.display = 'none';
+
+            if (window.projectManager) {
+                window.projectManager.renderProjects();
+            }
+
+            alert('Submission checklists saved successfully!');
+        } catch (error) {
+            console.error('Error saving submission checklists:', error);
+            alert('Error saving submission checklists. Please try again.');
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Custom project types (entered under "Other") use the Other checklist
+    getItems(projectType) {
+        return this.checklists[projectType] || this.checklists['Other'] || [];
+    }
+
+    getProjectFiles(project) {
+        return [...(project.siteConditionsFiles || []), ...(project.submittedPlansFiles || [])];
+    }
+
+    // Status of one item: waived, received (linked attachment) or missing. claimedFiles holds
+    // the attachments already linked to earlier items, so one file never satisfies two items.
+    getItemStatus(project, item, claimedFiles = new Set()) {
+        const entry = (project.submissionChecklist || {})[item.key] || {};
+        if (entry.waived) {
+            return { status: 'waived', entry: entry };
+        }
+
+        const linkedFile = entry.fileName && !claimedFiles.has(entry.fileName)
+            ? this.getProjectFiles(project).find(file => file.name === entry.fileName)
+            : null;
+        if (linkedFile) {
+            claimedFiles.add(linkedFile.name);
+            return { status: 'received', entry: entry, fileName: linkedFile.name };
+        }
+        return { status: 'missing', entry: entry };
+    }
+
+    // Name matches are only suggestions for the admin to link; each unclaimed file is offered once
+    addSuggestions(project, statuses, claimedFiles) {
+        const files = this.getProjectFiles(project);
+        statuses.filter(status => status.status === 'missing').forEach(status => {
+            const matchedFile = files.find(file => {
+                const name = (file.name || '').toLowerCase();
+                return !claimedFiles.has(file.name) && (status.item.keywords || []).some(keyword => name.includes(keyword));
+            });
+            if (matchedFile) {
+                status.suggestedFile = matchedFile.name;
+                claimedFiles.add(matchedFile.name);
+            }
+        });
+    }
+
+    getCompleteness(project) {
+        const items = this.getItems(project.projectType);
+        const claimedFiles = new Set();
+        const statuses = items.map(item => ({ item, ...this.getItemStatus(project, item, claimedFiles) }));
+        this.addSuggestions(project, statuses, claimedFiles);
+        const missing = statuses.filter(status => status.status === 'missing').map(status => status.item);
+        return {
+            total: items.length,
+            done: items.length - missing.length,
+            missing: missing,
+            statuses: statuses,
+            complete: missing.length === 0
+        };
+    }
+
+    isComplete(project) {
+        return this.getCompleteness(project).complete;
+    }
+
+    // Alert text listing what still blocks approval
+    getMissingMessage(project) {
+        const missing = this.getCompleteness(project).missing;
+        return `The submission checklist is incomplete. These items must be received or waived with a reason before the project can be approved:\n\n${missing.map(item => `• ${item.label}`).join('\n')}`;
+    }
+
+    renderCompletenessBadge(project) {
+        const completeness = this.getCompleteness(project);
+        if (completeness.total === 0) return '';
+
+        const color = completeness.complete ? '#2c5530' : '#d32f2f';
+        const title = completeness.complete
+            ? 'All required documents received or waived'
+            : `Missing: ${completeness.missing.map(item => item.label).join(', ')}`;
+        return `<div style="color: ${color}; font-size: 0.7rem; font-weight: 600; line-height: 1.2; margin-top: 2px;" title="${this.escapeHtml(title)}">📋 Docs ${completeness.done}/${completeness.total}</div>`;
+    }
+
+    renderChecklistSection(project, isAdmin) {
+        const completeness = this.getCompleteness(project);
+        if (completeness.total === 0) return '';
+
+        const files = this.getProjectFiles(project);
+        const fileOptions = (selected) => files.map(file => `<option value="${this.escapeHtml(file.name)}"${file.name === selected ? ' selected' : ''}>${this.escapeHtml(file.name)}</option>`).join('');
+
+        const rowsHtml = completeness.statuses.map(({ item, status, entry, fileName, suggestedFile }) => {
+            const statusInfo = CHECKLIST_STATUSES[status];
+            let detail = '';
+            if (status === 'waived') {
+                detail = `Waived: ${this.escapeHtml(entry.waiverReason)}${entry.updatedBy ? ` (${this.escapeHtml(entry.updatedBy)}, ${this.escapeHtml(entry.updatedDate)})` : ''}`;
+            } else if (status === 'received') {
+                detail = `${this.escapeHtml(fileName)}${entry.updatedBy ? ` (linked by ${this.escapeHtml(entry.updatedBy)})` : ''}`;
+            } else if (entry.fileName) {
+                detail = `${this.escapeHtml(entry.fileName)} is no longer attached or is linked to another item`;
+            } else if (suggestedFile) {
+                detail = `Suggested: ${this.escapeHtml(suggestedFile)} (matched by file name, link to confirm)`;
+            }
+
+            const actions = isAdmin ? `
+                ${status !== 'waived' && files.length > 0 ? `
+                    <select id="checklistFile-${project.id}-${item.key}" style="padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 0.8rem; max-width: 180px;">${fileOptions(fileName || suggestedFile)}</select>
+                    <button type="button" class="btn-small btn-secondary" onclick="window.checklistManager.linkFile('${project.id}', '${item.key}')">Link</button>
+                ` : ''}
+                ${status !== 'waived' ? `<button type="button" class="btn-small btn-secondary" onclick="window.checklistManager.waiveItem('${project.id}', '${item.key}')">Waive</button>` : ''}
+                ${entry.waived || entry.fileName ? `<button type="button" class="btn-small btn-secondary" onclick="window.checklistManager.clearItem('${project.id}', '${item.key}')" title="Clear">✕</button>` : ''}
+            ` : '';
+
+            return `
+                <tr style="border-bottom: 1px solid #f0f0f0;">
+                    <td style="padding: 6px 8px; color: ${statusInfo.color}; font-weight: 600; white-space: nowrap;">${statusInfo.icon} ${statusInfo.label}</td>
+                    <td style="padding: 6px 8px; font-weight: 600;">${this.escapeHtml(item.label)}</td>
+                    <td style="padding: 6px 8px; color: #666;">${detail}</td>
+                    <td style="padding: 6px 8px; text-align: right; white-space: nowrap;">${actions}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="checklist-info" style="margin-bottom: 20px;">
+                <h4>Submission Checklist <span style="font-weight: normal; color: ${completeness.complete ? '#2c5530' : '#d32f2f'}; font-size: 0.85rem;">(${completeness.done}/${completeness.total})</span></h4>
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                </div>
+                ${!completeness.complete && project.status === 'under_review' ? '<div style="color: #d32f2f; font-size: 0.8rem; margin-top: 6px;">Approval is blocked until every item is received or waived.</div>' : ''}
+            </div>
+        `;
+    }
+
+    async updateItem(projectId, itemKey, entry) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        const checklist = { ...(project.submissionChecklist || {}) };
+        if (entry) {
+            const user = window.authHandler.getCurrentUser();
+            checklist[itemKey] = {
+                ...entry,
+                updatedBy: user ? user.email : 'unknown',
+                updatedDate: window.projectManager.formatDate(new Date())
+            };
+        } else {
+            delete checklist[itemKey];
+        }
+
+        const updates = { submissionChecklist: checklist };
+
+        // A quorum approval held back by the checklist takes effect once the checklist is complete
+        const pendingDecision = window.reviewManager && project.status === 'under_review'
+            ? window.reviewManager.evaluateQuorum(project.reviewVotes || [])
+            : null;
+        const releasesApproval = pendingDecision === 'approved' && this.isComplete({ ...project, ...updates });
+        if (releasesApproval) {
+            Object.assign(updates, window.reviewManager.getDecisionUpdates(project.reviewVotes, pendingDecision));
+        }
+
+        try {
+            await window.projectManager.updateProject(projectId, updates);
+            if (releasesApproval) {
+                alert('The submission checklist is complete. The approval voted by the review committee has been recorded.');
+            }
+        } catch (error) {
+            console.error('Error updating submission checklist:', error);
+            alert('Error updating submission checklist: ' + error.message);
+        }
+    }
+
+    async linkFile(projectId, itemKey) {
+        const fileName = document.getElementById(`checklistFile-${projectId}-${itemKey}`)?.value;
+        if (!fileName) {
+            alert('Please select the attachment for this item.');
+            return;
+        }
+
+        // One attachment satisfies one item
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        const checklist = project ? project.submissionChecklist || {} : {};
+        const otherKey = Object.keys(checklist).find(key => key !== itemKey && !checklist[key].waived && checklist[key].fileName === fileName);
+        if (otherKey) {
+            const otherItem = this.getItems(project.projectType).find(item => item.key === otherKey);
+            alert(`${fileName} is already linked to ${otherItem ? otherItem.label : 'another checklist item'}. Each attachment can satisfy only one item.`);
+            return;
+        }
+        await this.updateItem(projectId, itemKey, { fileName: fileName });
+    }
+
+    async waiveItem(projectId, itemKey) {
+        const reason = prompt('Reason for waiving this checklist item:');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            alert('A reason is required to waive a checklist item.');
+            return;
+        }
+        await this.updateItem(projectId, itemKey, { waived: true, waiverReason: reason.trim() });
+    }
+
+    async clearItem(projectId, itemKey) {
+        if (!confirm('Clear the linked attachment or waiver for this item?')) return;
+        await this.updateItem(projectId, itemKey, null);
+    }
+
+    setupChecklistConfig() {
+        const configureBtn = document.getElementById('configureChecklistsBtn');
+        const checklistConfigSection = document.getElementById('checklistConfigSection');
+        const saveBtn = document.getElementById('saveChecklistConfigBtn');
+        const isAdmin = window.userManager && window.userManager.isAdmin();
+
+        if (checklistConfigSection) {
+            checklistConfigSection.style.display = 'none'; // Hide by default, show when button clicked
+        }
+
+        // Remove existing listeners to prevent duplicates
+        if (configureBtn) {
+            const newBtn = configureBtn.cloneNode(true);
+            configureBtn.parentNode.replaceChild(newBtn, configureBtn);
+            newBtn.style.display = isAdmin ? 'inline-block' : 'none';
+
+            if (checklistConfigSection) {
+                newBtn.addEventListener('click', () => {
+                    const isVisible = checklistConfigSection.style.display !== 'none';
+                    checklistConfigSection.style.display = isVisible ? 'none' : 'block';
+
+                    if (!isVisible) {
+                        // Load current checklists into inputs, one item per line
+                        const inputs = document.getElementById('checklistConfigInputs');
+                        if (inputs) {
+                            inputs.innerHTML = Object.keys(DEFAULT_SUBMISSION_CHECKLISTS).map(projectType => `
+                                <div class="form-group">
+                                    <label>${projectType}</label>
+                                    <textarea data-checklist-type="${projectType}" rows="6" style="width: 100%; padding: 10px; border: 2px solid var(--border-color); border-radius: 6px; font-family: inherit; font-size: 0.85rem;">${this.escapeHtml(this.getItems(projectType).map(item => this.formatItemLine(item)).join('\n'))}</textarea>
+                                </div>
+                            `).join('');
+                        }
+                    }
+                });
+            }
+        }
+
+        if (saveBtn) {
+            const newSaveBtn = saveBtn.cloneNode(true);
+            saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
+
+            newSaveBtn.addEventListener('click', async () => {
+                await this.saveChecklists();
+            });
+        }
+    }
+}
+
+// Initialize checklist manager
+window.checklistManager = new ChecklistManager();
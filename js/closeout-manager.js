@@ -0,0 +1,393 @@
+// Closeout Manager - Handles closing out a project: final inspection, deposit release letter and status change
+
+const CLOSEOUT_INSPECTION_RESULTS = {
+    passed: 'Passed',
+    passed_with_deductions: 'Passed with deductions',
+    failed: 'Failed - HOA damage not remedied'
+};
+
+class CloseoutManager {
+    constructor() {
+        this.currentProjectId = null;
+    }
+
+    getProject(projectId) {
+        return window.projectManager ? window.projectManager.projects.find(p => p.id === projectId) : null;
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    show(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = this.getProject(projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        this.currentProjectId = projectId;
+        const balance = window.depositManager ? window.depositManager.getBalance(project) : 0;
+        const formatCurrency = (amount) => window.depositManager.formatCurrency(amount);
+        const today = new Date();
+        const todayInput = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        const inputStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+
+        const depositHtml = project.depositWaived ? `
+            <div style="color: #666; font-size: 0.9rem; margin-bottom: 15px;">The deposit was waived for this project; no refund will be recorded.</div>
+        ` : `
+            <div style="background: #f8f9fa; border-radius: 6px; padding: 10px 12px; margin-bottom: 15px; font-size: 0.9rem;">
+                Balance on deposit: <strong id="closeoutBalance">${formatCurrency(balance)}</strong>
+            </div>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+                <div class="form-group">
+                    <label for="closeoutDeductionAmount">Deduction ($)</label>
+                    <input type="number" id="closeoutDeductionAmount" step="0.01" min="0" value="0" style="${inputStyle}">
+                </div>
+                <div class="form-group">
+                    <label for="closeoutRefundAmount">Refund ($)</label>
+                    <input type="number" id="closeoutRefundAmount" step="0.01" min="0" value="${balance.toFixed(2)}" style="${inputStyle}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="closeoutDeductionReason">Deduction Reason</label>
+                <input type="text" id="closeoutDeductionReason" placeholder="Required when a deduction is taken" style="${inputStyle}">
+            </div>
+            <div class="form-group">
+                <label for="closeoutCheckNumber">Refund Check #</label>
+                <input type="text" id="closeoutCheckNumber" style="${inputStyle}">
+            </div>
+        `;
+
+        const modal = document.createElement('div');
+        modal.id = 'closeoutModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 600px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Close Out Project</h2>
+                    <button id="closeCloseoutModal" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 20px 30px; overflow-y: auto; flex: 1;">
+                    <div style="color: #666; font-size: 0.9rem; margin-bottom: 15px;">
+                        ${this.escapeHtml(project.address)} — Lot ${this.escapeHtml(project.lot)} — ${this.escapeHtml(project.projectType)}
+                    </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+                        <div class="form-group">
+                            <label for="closeoutInspectionResult">Final Inspection Result</label>
+                            <select id="closeoutInspectionResult" style="${inputStyle}">
+                                ${Object.keys(CLOSEOUT_INSPECTION_RESULTS).map(key => `<option value="${key}">${CLOSEOUT_INSPECTION_RESULTS[key]}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="closeoutInspectionDate">Inspection Date</label>
+                            <input type="date" id="closeoutInspectionDate" value="${todayInput}" style="${inputStyle}">
+                        </div>
+                    </div>
+                    <div id="closeoutOverrideGroup" class="form-group" style="display: none; background: #fdecea; border: 1px solid #d32f2f; border-radius: 6px; padding: 10px 12px;">
+                        <label style="display: flex; align-items: center; gap: 8px; font-weight: normal; margin: 0;">
+                            <input type="checkbox" id="closeoutFailedOverride">
+                            Close out despite the failed inspection (board override)
+                        </label>
+                        <div style="color: #666; font-size: 0.8rem; margin-top: 4px;">Explain the override in the inspection notes.</div>
+                    </div>
+                    <div class="form-group">
+                        <label for="closeoutInspector">Inspected By</label>
+                        <input type="text" id="closeoutInspector" style="${inputStyle}">
+                    </div>
+                    <div class="form-group">
+                        <label for="closeoutNotes">Inspection Notes</label>
+                        <textarea id="closeoutNotes" rows="3" style="${inputStyle} font-family: inherit;"></textarea>
+                    </div>
+                    ${depositHtml}
+                </div>
+                <div style="padding: 15px 30px; border-top: 1px solid #e0e0e0; display: flex; justify-content: flex-end; gap: 10px;">
+                    <button id="cancelCloseoutBtn" style="background: #f5f5f5; color: #333; border: 1px solid #ddd; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Cancel</button>
+                    <button id="submitCloseoutBtn" style="background: #2c5530; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; font-weight: 500;">Close Out &amp; Generate Release Letter</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.setupHandlers(modal, balance);
+    }
+
+    setupHandlers(modal, balance) {
+        const deductionInput = document.getElementById('closeoutDeductionAmount');
+        const refundInput = document.getElementById('closeoutRefundAmount');
+        const resultSelect = document.getElementById('closeoutInspectionResult');
+
+        // Keep the refund at whatever is left after the deduction until the admin types their own amount
+        let refundEdited = false;
+        if (refundInput) {
+            refundInput.addEventListener('input', () => {
+                refundEdited = true;
+            });
+        }
+        if (deductionInput && refundInput) {
+            deductionInput.addEventListener('input', () => {
+                if (refundEdited) return;
+                const deduction = parseFloat(deductionInput.value) || 0;
+                refundInput.value = Math.max(balance - deduction, 0).toFixed(2);
+            });
+        }
+        if (resultSelect && deductionInput) {
+            resultSelect.addEventListener('change', () => {
+                if (resultSelect.value === 'passed') {
+                    deductionInput.value = '0';
+                    deductionInput.dispatchEvent(new Event('input'));
+                }
+            });
+        }
+        const overrideGroup = document.getElementById('closeoutOverrideGroup');
+        if (resultSelect && overrideGroup) {
+            resultSelect.addEventListener('change', () => {
+                overrideGroup.style.display = resultSelect.value === 'failed' ? 'block' : 'none';
+            });
+        }
+
+        const closeBtn = document.getElementById('closeCloseoutModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+        const cancelBtn = document.getElementById('cancelCloseoutBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.hide());
+        }
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+                document.removeEventListener('keydown', handleEscape);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        const submitBtn = document.getElementById('submitCloseoutBtn');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', async () => {
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Closing out...';
+                const closed = await this.handleSubmit();
+                if (closed) {
+                    this.hide();
+                } else {
+                    submitBtn.disabled = false;
+                    submitBtn.innerHTML = 'Close Out &amp; Generate Release Letter';
+                }
+            });
+        }
+    }
+
+    async handleSubmit() {
+        const projectId = this.currentProjectId;
+        const project = this.getProject(projectId);
+        if (!project) {
+            alert('Project not found');
+            return false;
+        }
+
+        const inspectionResult = document.getElementById('closeoutInspectionResult').value;
+        const inspectionDateValue = document.getElementById('closeoutInspectionDate').value;
+        const inspector = document.getElementById('closeoutInspector').value.trim();
+        const notes = document.getElementById('closeoutNotes').value.trim();
+        const deductionAmount = project.depositWaived ? 0 : (parseFloat(document.getElementById('closeoutDeductionAmount').value) || 0);
+        const refundAmount = project.depositWaived ? 0 : (parseFloat(document.getElementById('closeoutRefundAmount').value) || 0);
+        const deductionReason = project.depositWaived ? '' : document.getElementById('closeoutDeductionReason').value.trim();
+        const checkNumber = project.depositWaived ? '' : document.getElementById('closeoutCheckNumber').value.trim();
+        const failedOverride = inspectionResult === 'failed' && document.getElementById('closeoutFailedOverride').checked;
+
+        const totals = window.depositManager.getLedgerTotals(project);
+        if (deductionAmount < 0 || refundAmount < 0) {
+            alert('Deduction and refund amounts cannot be negative.');
+            return false;
+        }
+        if (deductionAmount + refundAmount > totals.balance + 0.005) {
+            alert(`The deduction and refund total ${window.depositManager.formatCurrency(deductionAmount + refundAmount)}, which is more than the ${window.depositManager.formatCurrency(totals.balance)} balance on deposit.`);
+            return false;
+        }
+        if (deductionAmount > 0 && !deductionReason) {
+            alert('Please enter the reason for the deduction.');
+            return false;
+        }
+        if (inspectionResult === 'passed' && deductionAmount > 0) {
+            alert('Choose "Passed with deductions" when a deduction is taken.');
+            return false;
+        }
+        // A failed final inspection means HOA damage is still outstanding; the deposit stays held unless the board overrides
+        if (inspectionResult === 'failed' && !failedOverride) {
+            alert('The final inspection failed. The project cannot be closed out and the deposit cannot be refunded until the damage is remedied, unless the board override is checked.');
+            return false;
+        }
+        if (failedOverride && !notes) {
+            alert('Please explain the board override in the inspection notes.');
+            return false;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const recordedBy = user ? user.email : 'unknown';
+        const inspectionDate = inspectionDateValue
+            ? window.projectManager.formatDateFromInput(inspectionDateValue)
+            : window.projectManager.formatDate(new Date());
+
+        // Record the close-out money movements in the deposit ledger
+        const ledger = window.depositManager.getLedger(project).map(entry => ({ ...entry }));
+        if (deductionAmount > 0) {
+            ledger.push({
+                id: `${Date.now()}-deduction`,
+                type: 'deduction',
+                amount: deductionAmount,
+                date: inspectionDate,
+                checkNumber: '',
+                reason: deductionReason,
+                photos: [],
+                recordedBy: recordedBy,
+                recordedAt: new Date().toISOString()
+            });
+        }
+        if (refundAmount > 0) {
+            ledger.push({
+                id: `${Date.now()}-refund`,
+                type: 'final_refund',
+                amount: refundAmount,
+                date: inspectionDate,
+                checkNumber: checkNumber,
+                reason: 'Project close-out',
+                photos: [],
+                recordedBy: recordedBy,
+                recordedAt: new Date().toISOString()
+            });
+        }
+
+        const closeout = {
+            inspectionResult: inspectionResult,
+            inspectionDate: inspectionDate,
+            inspector: inspector,
+            notes: notes,
+            failedInspectionOverride: failedOverride,
+            deductionAmount: deductionAmount,
+            deductionReason: deductionReason,
+            refundAmount: refundAmount,
+            checkNumber: checkNumber,
+            closedBy: recordedBy,
+            closedAt: new Date().toISOString()
+        };
+
+        let storageUrl = null;
+        try {
+            const letter = await window.pdfGenerator.generateReleaseLetter(project, {
+                ...closeout,
+                depositReceived: totals.received,
+                priorDeductions: totals.deducted,
+                priorRefunds: totals.refunded,
+                remainingBalance: totals.balance - deductionAmount - refundAmount
+            });
+
+            // Store the release letter alongside the approval letter
+            const letterData = await letter.blob.arrayBuffer();
+            storageUrl = await window.projectManager.uploadFileToStorage(
+                letterData,
+                letter.filename,
+                'application/pdf',
+                projectId,
+                'approval-letters'
+            );
+
+            const updates = {
+                status: 'previous',
+                closeout: closeout,
+                releaseLetterStorageUrl: storageUrl,
+                releaseLetterFilename: letter.filename
+            };
+            if (!project.depositWaived) {
+                Object.assign(updates, window.depositManager.buildLedgerUpdates(ledger));
+            }
+            // The close-out inspection is the project's final milestone
+            if (window.milestoneManager) {
+                updates.milestones = window.milestoneManager.buildMilestoneUpdates(project, 'final', {
+                    actualDate: inspectionDate,
+                    inspector: inspector,
+                    result: inspectionResult === 'failed' ? 'fail' : 'pass',
+                    notes: notes
+                });
+            }
+
+            await window.projectManager.updateProject(projectId, updates);
+            return true;
+        } catch (error) {
+            console.error('Error closing out project:', error);
+            // The project was not updated, so don't leave its release letter orphaned in Storage
+            if (storageUrl) {
+                try {
+                    await window.firebaseStorage.refFromURL(storageUrl).delete();
+                } catch (deleteError) {
+                    console.error('Error removing unused release letter:', deleteError);
+                }
+            }
+            alert('Error closing out project: ' + error.message);
+            return false;
+        }
+    }
+
+    renderCloseoutSection(project) {
+        if (!project.closeout) return '';
+
+        const closeout = project.closeout;
+        const formatCurrency = (amount) => window.depositManager ? window.depositManager.formatCurrency(amount) : '$' + (amount || 0).toFixed(2);
+        const releaseLetterLink = project.releaseLetterStorageUrl ? `
+            <a href="${this.escapeHtml(project.releaseLetterStorageUrl)}" target="_blank" rel="noopener" style="display: inline-flex; align-items: center; gap: 6px; padding: 6px 12px; background: #e8f5e9; border: 1px solid #4caf50; border-radius: 4px; font-size: 0.85rem; color: #2c5530; font-weight: 500; text-decoration: none;">
+                📋 ${this.escapeHtml(project.releaseLetterFilename || 'Deposit Release Letter.pdf')}
+            </a>
+        ` : '';
+
+        return `
+            <div class="closeout-info" style="margin-bottom: 20px;">
+                <h4>Project Close-Out</h4>
+                <div class="project-info" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
+                    <div class="info-item">
+                        <span class="info-label">Final Inspection:</span>
+                        <span class="info-value">${this.escapeHtml(CLOSEOUT_INSPECTION_RESULTS[closeout.inspectionResult] || closeout.inspectionResult)}${closeout.failedInspectionOverride ? ' (closed by board override)' : ''}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Inspection Date:</span>
+                        <span class="info-value">${this.escapeHtml(closeout.inspectionDate || 'Not recorded')}${closeout.inspector ? ` (${this.escapeHtml(closeout.inspector)})` : ''}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Deduction:</span>
+                        <span class="info-value">${formatCurrency(closeout.deductionAmount)}${closeout.deductionReason ? ` — ${this.escapeHtml(closeout.deductionReason)}` : ''}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Refund:</span>
+                        <span class="info-value">${formatCurrency(closeout.refundAmount)}${closeout.checkNumber ? ` (check #${this.escapeHtml(closeout.checkNumber)})` : ''}</span>
+                    </div>
+                </div>
+                ${closeout.notes ? `<div style="color: #666; font-size: 0.9rem; margin-top: 8px;">${this.escapeHtml(closeout.notes)}</div>` : ''}
+                ${releaseLetterLink ? `<div style="margin-top: 10px;">${releaseLetterLink}</div>` : ''}
+            </div>
+        `;
+    }
+
+    hide() {
+        const modal = document.getElementById('closeoutModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+        this.currentProjectId = null;
+    }
+}
+
+// Initialize closeout manager
+window.closeoutManager = new CloseoutManager();
@@ -0,0 +1,393 @@
+// Deadline Manager - Handles approval expiration, construction completion deadlines and extensions
+
+// Default limits used until an admin saves them in projectConfig/deadlines.
+// approvalValidityMonths: time from approval to start construction.
+// completionMonths: time from construction start to completion.
+const DEFAULT_PROJECT_DEADLINES = {
+    'New Home': { approvalValidityMonths: 12, completionMonths: 18 },
+    'Renovation/Extension': { approvalValidityMonths: 12, completionMonths: 12 },
+    'Accessory Structure': { approvalValidityMonths: 12, completionMonths: 6 },
+    'Pool': { approvalValidityMonths: 6, completionMonths: 6 },
+    'Other': { approvalValidityMonths: 6, completionMonths: 6 }
+};
+
+const DEADLINE_TYPES = {
+    approval: { label: 'Approval Expiration', flag: 'Approval expired' },
+    completion: { label: 'Construction Completion', flag: 'Completion overdue' }
+};
+
+class DeadlineManager {
+    constructor() {
+        this.db = null;
+        this.deadlines = JSON.parse(JSON.stringify(DEFAULT_PROJECT_DEADLINES));
+        this.init();
+    }
+
+    async init() {
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+        await this.loadDeadlines();
+    }
+
+    async loadDeadlines() {
+        if (!this.db) return;
+
+        try {
+            const configDoc = await this.db.collection('projectConfig').doc('deadlines').get();
+            if (configDoc.exists) {
+                const data = configDoc.data();
+                Object.keys(DEFAULT_PROJECT_DEADLINES).forEach(projectType => {
+                    this.deadlines[projectType] = {
+                        ...DEFAULT_PROJECT_DEADLINES[projectType],
+                        ...((data.limits || {})[projectType] || {})
+                    };
+                });
+            }
+
+            // Deadline flags depend on the limits, so refresh the project list
+            if (window.projectManager) {
+                window.projectManager.renderProjects();
+            }
+        } catch (error) {
+            console.error('Error loading project deadlines:', error);
+        }
+    }
+
+    async saveDeadlines() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can change project deadlines.');
+            return;
+        }
+
+        const limits = {};
+        for (const projectType of Object.keys(DEFAULT_PROJECT_DEADLINES)) {
+            const validityInput = document.querySelector(`[data-deadline-type="${projectType}"][data-deadline-field="approvalValidityMonths"]`);
+            const completionInput = document.querySelector(`[data-deadline-type="${projectType}"][data-deadline-field="completionMonths"]`);
+            const approvalValidityMonths = validityInput ? parseInt(validityInput.value, 10) : NaN;
+            const completionMonths = completionInput ? parseInt(completionInput.value, 10) : NaN;
+            if (!approvalValidityMonths || approvalValidityMonths < 1 || !completionMonths || completionMonths < 1) {
+                alert(`Please enter the approval validity and completion months for ${projectType}.`);
+                return;
+            }
+            limits[projectType] = { approvalValidityMonths: approvalValidityMonths, completionMonths: completionMonths };
+        }
+
+        try {
+            const user = window.firebaseAuth.currentUser;
+            await this.db.collection('projectConfig').doc('deadlines').set({
+                limits: limits,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: user ? user.email : 'system'
+            });
+
+            this.deadlines = limits;
+
+            const deadlineConfigSection = document.getElementById('deadlineConfigSection');
+            if (deadlineConfigSection) deadlineConfigSection.style.display = 'none';
+
+            if (window.projectManager) {
+                window.projectManager.renderProjects();
+            }
+
+            alert('Project deadlines saved successfully!');
+        } catch (error) {
+            console.error('Error saving project deadlines:', error);
+            alert('Error saving project deadlines. Please try again.');
+        }
+    }
+
+    // Custom project types (entered under "Other") use the Other limits
+    getLimits(projectType) {
+        return this.deadlines[projectType] || this.deadlines['Other'];
+    }
+
+    addMonths(date, months) {
+        const result = new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+        // Clamp to the last day of the month (e.g. Jan 31 + 1 month = Feb 28)
+        if (result.getDate() !== date.getDate()) {
+            result.setDate(0);
+        }
+        return result;
+    }
+
+    formatDate(date) {
+        return window.projectManager.formatDate(date);
+    }
+
+    getLatestExtension(project, deadline) {
+        const extensions = (project.deadlineExtensions || []).filter(extension => extension.deadline === deadline);
+        return extensions.length > 0 ? extensions[extensions.length - 1] : null;
+    }
+
+    // Date the approval lapses if construction has not started; null when there is no approval date
+    getApprovalExpiration(project) {
+        if (!project.dateApproved || project.noApprovalOnRecord) return null;
+        const extension = this.getLatestExtension(project, 'approval');
+        if (extension) return window.projectManager.parseDate(extension.newDate);
+        return this.addMonths(window.projectManager.parseDate(project.dateApproved), this.getLimits(project.projectType).approvalValidityMonths);
+    }
+
+    // Date construction must be complete by; null until construction has started
+    getCompletionDeadline(project) {
+        if (!project.dateConstructionStarted) return null;
+        const extension = this.getLatestExtension(project, 'completion');
+        if (extension) return window.projectManager.parseDate(extension.newDate);
+        return this.addMonths(window.projectManager.parseDate(project.dateConstructionStarted), this.getLimits(project.projectType).completionMonths);
+    }
+
+    getDeadline(project, deadline) {
+        return deadline === 'approval' ? this.getApprovalExpiration(project) : this.getCompletionDeadline(project);
+    }
+
+    // Deadlines only apply while a project is open
+    getDeadlineStatus(project) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const approvalExpires = this.getApprovalExpiration(project);
+        const completionDeadline = this.getCompletionDeadline(project);
+        const isOpen = project.status === 'open';
+
+        return {
+            approvalExpires: approvalExpires,
+            completionDeadline: completionDeadline,
+            approvalExpired: isOpen && !project.dateConstructionStarted && !!approvalExpires && approvalExpires < today,
+            completionOverdue: isOpen && !!completionDeadline && completionDeadline < today
+        };
+    }
+
+    isPastDeadline(project) {
+        const status = this.getDeadlineStatus(project);
+        return status.approvalExpired || status.completionOverdue;
+    }
+
+    renderDeadlineFlag(project) {
+        const status = this.getDeadlineStatus(project);
+        const flags = [];
+        if (status.approvalExpired) {
+            flags.push(`<div style="color: #d32f2f; font-size: 0.7rem; font-weight: 600; line-height: 1.2; margin-top: 2px;" title="Approval expired ${this.formatDate(status.approvalExpires)}">⛔ ${DEADLINE_TYPES.approval.flag}</div>`);
+        }
+        if (status.completionOverdue) {
+            flags.push(`<div style="color: #d32f2f; font-size: 0.7rem; font-weight: 600; line-height: 1.2; margin-top: 2px;" title="Completion deadline ${this.formatDate(status.completionDeadline)}">⛔ ${DEADLINE_TYPES.completion.flag}</div>`);
+        }
+        return flags.join('');
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderDeadlineSection(project, isAdmin) {
+        const status = this.getDeadlineStatus(project);
+        const extensions = project.deadlineExtensions || [];
+        const renderDate = (date, expired) => date
+            ? `<span class="info-value" ${expired ? 'style="color: #d32f2f; font-weight: bold;"' : ''}>${this.formatDate(date)}${expired ? ' (past due)' : ''}</span>`
+            : '<span class="info-value">—</span>';
+
+        const extensionsHtml = extensions.length > 0 ? `
+            <div style="overflow-x: auto; margin-top: 10px;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #f8f9fa; text-align: left;">
+                            <th style="padding: 6px 8px;">Granted</th>
+                            <th style="padding: 6px 8px;">Deadline</th>
+                            <th style="padding: 6px 8px;">Previous</th>
+                            <th style="padding: 6px 8px;">Extended To</th>
+                            <th style="padding: 6px 8px;">Reason</th>
+                            <th style="padding: 6px 8px;">Granted By</th>
+                            <th style="padding: 6px 8px;"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${extensions.map(extension => `
+                            <tr style="border-bottom: 1px solid #f0f0f0;">
+                                <td style="padding: 6px 8px;">${extension.grantedDate || ''}</td>
+                                <td style="padding: 6px 8px;">${(DEADLINE_TYPES[extension.deadline] || {}).label || extension.deadline}</td>
+                                <td style="padding: 6px 8px;">${extension.previousDate || '—'}</td>
+                                <td style="padding: 6px 8px; font-weight: 600;">${extension.newDate}</td>
+                                <td style="padding: 6px 8px;">${this.escapeHtml(extension.reason)}</td>
+                                <td style="padding: 6px 8px; color: #999;">${this.escapeHtml(extension.grantedBy)}</td>
+                                <td style="padding: 6px 8px;">
+                                    <button type="button" class="btn-small btn-secondary" onclick="window.deadlineManager.generateExtensionLetter('${project.id}', '${extension.id}')">Letter</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '';
+
+        const formHtml = isAdmin && project.status === 'open' ? `
+            <div style="margin-top: 12px; display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px; align-items: end;">
+                <select id="extensionDeadline-${project.id}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    ${Object.keys(DEADLINE_TYPES).map(key => `<option value="${key}">${DEADLINE_TYPES[key].label}</option>`).join('')}
+                </select>
+                <input type="date" id="extensionDate-${project.id}" title="New deadline" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="text" id="extensionReason-${project.id}" placeholder="Reason for extension" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <button type="button" class="btn-small btn-primary" onclick="window.deadlineManager.grantExtension('${project.id}')">Grant Extension</button>
+            </div>
+        ` : '';
+
+        return `
+            <div class="deadline-info" style="margin-bottom: 20px;">
+                <h4>Deadlines</h4>
+                <div class="project-info" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
+                    <div class="info-item">
+                        <span class="info-label">Approval Valid Until:</span>
+                        ${renderDate(status.approvalExpires, status.approvalExpired)}
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Completion Deadline:</span>
+                        ${renderDate(status.completionDeadline, status.completionOverdue)}
+                    </div>
+                </div>
+                ${extensionsHtml}
+                ${formHtml}
+            </div>
+        `;
+    }
+
+    async grantExtension(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        const deadline = document.getElementById(`extensionDeadline-${projectId}`)?.value;
+        const dateValue = document.getElementById(`extensionDate-${projectId}`)?.value;
+        const reason = document.getElementById(`extensionReason-${projectId}`)?.value.trim() || '';
+
+        const currentDeadline = this.getDeadline(project, deadline);
+        if (!DEADLINE_TYPES[deadline]) {
+            alert('Please select the deadline to extend.');
+            return;
+        }
+        if (!currentDeadline) {
+            alert(deadline === 'approval'
+                ? 'This project has no approval date to extend.'
+                : 'The completion deadline starts once construction has started.');
+            return;
+        }
+        if (!dateValue) {
+            alert('Please enter the new deadline.');
+            return;
+        }
+        const newDate = window.projectManager.formatDateFromInput(dateValue);
+        if (window.projectManager.parseDate(newDate) <= currentDeadline) {
+            alert(`The new deadline must be after the current deadline of ${this.formatDate(currentDeadline)}.`);
+            return;
+        }
+        if (!reason) {
+            alert('Please enter the reason for the extension.');
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const extension = {
+            id: Date.now().toString(),
+            deadline: deadline,
+            previousDate: this.formatDate(currentDeadline),
+            newDate: newDate,
+            reason: reason,
+            grantedBy: user ? user.email : 'unknown',
+            grantedDate: this.formatDate(new Date()),
+            grantedAt: new Date().toISOString()
+        };
+
+        try {
+            await window.projectManager.updateProject(projectId, {
+                deadlineExtensions: [...(project.deadlineExtensions || []), extension]
+            });
+            await this.generateExtensionLetter(projectId, extension.id);
+        } catch (error) {
+            console.error('Error granting extension:', error);
+            alert('Error granting extension: ' + error.message);
+        }
+    }
+
+    async generateExtensionLetter(projectId, extensionId) {
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        const extension = project ? (project.deadlineExtensions || []).find(e => e.id === extensionId) : null;
+        if (!extension) {
+            alert('Extension not found');
+            return;
+        }
+
+        try {
+            await window.pdfGenerator.generateExtensionLetter(project, {
+                ...extension,
+                label: DEADLINE_TYPES[extension.deadline].label
+            });
+        } catch (error) {
+            console.error('Error generating extension letter:', error);
+            alert('Error generating extension letter. Please try again.');
+        }
+    }
+
+    setupDeadlineConfig() {
+        const configureBtn = document.getElementById('configureDeadlinesBtn');
+        const deadlineConfigSection = document.getElementById('deadlineConfigSection');
+        const saveBtn = document.getElementById('saveDeadlineConfigBtn');
+        const isAdmin = window.userManager && window.userManager.isAdmin();
+
+        if (deadlineConfigSection) {
+            deadlineConfigSection.style.display = 'none'; // Hide by default, show when button clicked
+        }
+
+        // Remove existing listeners to prevent duplicates
+        if (configureBtn) {
+            const newBtn = configureBtn.cloneNode(true);
+            configureBtn.parentNode.replaceChild(newBtn, configureBtn);
+            newBtn.style.display = isAdmin ? 'inline-block' : 'none';
+
+            if (deadlineConfigSection) {
+                newBtn.addEventListener('click', () => {
+                    const isVisible = deadlineConfigSection.style.display !== 'none';
+                    deadlineConfigSection.style.display = isVisible ? 'none' : 'block';
+
+                    if (!isVisible) {
+                        // Load current values into inputs
+                        const inputs = document.getElementById('deadlineConfigInputs');
+                        if (inputs) {
+                            inputs.innerHTML = Object.keys(DEFAULT_PROJECT_DEADLINES).map(projectType => {
+                                const limits = this.getLimits(projectType);
+                                return `
+                                    <div class="form-group">
+                                        <label>${projectType}</label>
+                                        <span style="font-size: 0.8rem; color: var(--text-light);">Start within (months)</span>
+                                        <input type="number" data-deadline-type="${projectType}" data-deadline-field="approvalValidityMonths" min="1" step="1" value="${limits.approvalValidityMonths}" style="width: 100%; padding: 10px; border: 2px solid var(--border-color); border-radius: 6px; margin-bottom: 6px;">
+                                        <span style="font-size: 0.8rem; color: var(--text-light);">Complete within (months)</span>
+                                        <input type="number" data-deadline-type="${projectType}" data-deadline-field="completionMonths" min="1" step="1" value="${limits.completionMonths}" style="width: 100%; padding: 10px; border: 2px solid var(--border-color); border-radius: 6px;">
+                                    </div>
+                                `;
+                            }).join('');
+                        }
+                    }
+                });
+            }
+        }
+
+        if (saveBtn) {
+            const newSaveBtn = saveBtn.cloneNode(true);
+            saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
+
+            newSaveBtn.addEventListener('click', async () => {
+                await this.saveDeadlines();
+            });
+        }
+    }
+}
+
+// Initialize deadline manager
+window.deadlineManager = new DeadlineManager();
@@ -0,0 +1,423 @@
+// Deposit Manager - Handles the builder deposit schedule and each project's deposit ledger
+
+// Default schedule used until an admin saves one in projectConfig/deposits
+const DEFAULT_DEPOSIT_SCHEDULE = {
+    'New Home': 2000,
+    'Renovation/Extension': 1000,
+    'Accessory Structure': 1000,
+    'Pool': 1000,
+    'Other': 1000
+};
+
+// Ledger transaction types; sign is +1 for money coming in and -1 for money going out
+const DEPOSIT_TRANSACTION_TYPES = {
+    receipt: { label: 'Receipt', sign: 1, color: '#2c5530' },
+    partial_refund: { label: 'Partial Refund', sign: -1, color: '#1565c0' },
+    deduction: { label: 'Deduction (HOA Damage)', sign: -1, color: '#d32f2f' },
+    final_refund: { label: 'Final Refund', sign: -1, color: '#1565c0' }
+};
+
+class DepositManager {
+    constructor() {
+        this.db = null;
+        this.depositSchedule = { ...DEFAULT_DEPOSIT_SCHEDULE };
+        // Deposits still held this many months after construction started are flagged
+        this.agingMonths = 12;
+        this.init();
+    }
+
+    async init() {
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+        await this.loadDepositSchedule();
+    }
+
+    async loadDepositSchedule() {
+        if (!this.db) return;
+
+        try {
+            const configDoc = await this.db.collection('projectConfig').doc('deposits').get();
+            if (configDoc.exists) {
+                const data = configDoc.data();
+                this.depositSchedule = { ...DEFAULT_DEPOSIT_SCHEDULE, ...(data.schedule || {}) };
+                this.agingMonths = data.agingMonths || 12;
+            }
+
+            // Mismatch flags depend on the schedule, so refresh the project list
+            if (window.projectManager) {
+                window.projectManager.renderProjects();
+            }
+        } catch (error) {
+            console.error('Error loading deposit schedule:', error);
+        }
+    }
+
+    async saveDepositSchedule() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can change the deposit schedule.');
+            return;
+        }
+
+        const schedule = {};
+        for (const projectType of Object.keys(DEFAULT_DEPOSIT_SCHEDULE)) {
+            const input = document.querySelector(`[data-deposit-type="${projectType}"]`);
+            const amount = input ? parseFloat(input.value) : NaN;
+            if (isNaN(amount) || amount < 0) {
+                alert(`Please enter a valid deposit amount for ${projectType}.`);
+                return;
+            }
+            schedule[projectType] = amount;
+        }
+
+        const agingInput = document.getElementById('depositAgingMonths');
+        const agingMonths = agingInput ? parseInt(agingInput.value, 10) : this.agingMonths;
+        if (!agingMonths || agingMonths < 1) {
+            alert('Please enter the number of months after which held deposits are flagged.');
+            return;
+        }
+
+        try {
+            const user = window.firebaseAuth.currentUser;
+            await this.db.collection('projectConfig').doc('deposits').set({
+                schedule: schedule,
+                agingMonths: agingMonths,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: user ? user.email : 'system'
+            });
+
+            this.depositSchedule = schedule;
+            this.agingMonths = agingMonths;
+
+            const depositScheduleSection = document.getElementById('depositScheduleSection');
+            if (depositScheduleSection) depositScheduleSection.style.display = 'none';
+
+            if (window.projectManager) {
+                window.projectManager.renderProjects();
+            }
+
+            alert('Deposit schedule saved successfully!');
+        } catch (error) {
+            console.error('Error saving deposit schedule:', error);
+            alert('Error saving deposit schedule. Please try again.');
+        }
+    }
+
+    // Custom project types (entered under "Other") use the Other amount
+    getRequiredDeposit(projectType) {
+        if (Object.prototype.hasOwnProperty.call(this.depositSchedule, projectType)) {
+            return this.depositSchedule[projectType];
+        }
+        return this.depositSchedule['Other'] || 0;
+    }
+
+    // Letters show whole-dollar amounts without cents, matching the original wording
+    formatDepositAmount(amount) {
+        return amount % 1 === 0 ? String(amount) : amount.toFixed(2);
+    }
+
+    // Amount the project should have on file: recorded at approval time, else the current schedule
+    getProjectRequiredDeposit(project) {
+        if (project.depositAmountRequired !== null && project.depositAmountRequired !== undefined) {
+            return project.depositAmountRequired;
+        }
+        return this.getRequiredDeposit(project.projectType);
+    }
+
+    hasDepositMismatch(project) {
+        if (project.depositWaived || !project.depositAmountReceived) return false;
+        return Math.abs(project.depositAmountReceived - this.getProjectRequiredDeposit(project)) > 0.005;
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderMismatchWarning(project) {
+        if (!this.hasDepositMismatch(project)) return '';
+        const required = this.getProjectRequiredDeposit(project);
+        return `
+            <div style="background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; padding: 8px 12px; margin-top: 10px; color: #856404; font-size: 0.85rem;">
+                ⚠️ Received $${project.depositAmountReceived.toFixed(2)} but the required deposit for ${this.escapeHtml(project.projectType || 'this project')} is $${required.toFixed(2)}
+            </div>
+        `;
+    }
+
+    // Projects recorded before the ledger existed only have the single received/returned fields;
+    // present those as ledger entries so every calculation works from the ledger
+    getLedger(project) {
+        if (project.depositLedger && project.depositLedger.length > 0) {
+            return project.depositLedger;
+        }
+
+        const ledger = [];
+        if (project.depositAmountReceived) {
+            ledger.push({
+                id: 'legacy-receipt',
+                type: 'receipt',
+                amount: project.depositAmountReceived,
+                date: project.dateDepositReceived || '',
+                checkNumber: '',
+                recordedBy: 'Imported',
+                legacy: true
+            });
+        }
+        if (project.depositAmountReturned) {
+            ledger.push({
+                id: 'legacy-refund',
+                type: project.depositAmountReturned >= (project.depositAmountReceived || 0) ? 'final_refund' : 'partial_refund',
+                amount: project.depositAmountReturned,
+                date: project.dateDepositReturned || '',
+                checkNumber: '',
+                recordedBy: 'Imported',
+                legacy: true
+            });
+        }
+        return ledger;
+    }
+
+    getLedgerTotals(project) {
+        const totals = { received: 0, refunded: 0, deducted: 0, balance: 0 };
+        this.getLedger(project).forEach(entry => {
+            const amount = entry.amount || 0;
+            if (entry.type === 'receipt') {
+                totals.received += amount;
+            } else if (entry.type === 'deduction') {
+                totals.deducted += amount;
+            } else {
+                totals.refunded += amount;
+            }
+        });
+        totals.balance = totals.received - totals.refunded - totals.deducted;
+        return totals;
+    }
+
+    getBalance(project) {
+        return this.getLedgerTotals(project).balance;
+    }
+
+    hasReceipt(project) {
+        return this.getLedger(project).some(entry => entry.type === 'receipt' && entry.amount > 0);
+    }
+
+    formatCurrency(amount) {
+        return '$' + (amount || 0).toFixed(2);
+    }
+
+    async addLedgerEntry(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        const type = document.getElementById(`ledgerType-${projectId}`)?.value;
+        const amountValue = document.getElementById(`ledgerAmount-${projectId}`)?.value;
+        const dateValue = document.getElementById(`ledgerDate-${projectId}`)?.value;
+        const checkNumber = document.getElementById(`ledgerCheck-${projectId}`)?.value.trim() || '';
+        const reason = document.getElementById(`ledgerReason-${projectId}`)?.value.trim() || '';
+        const photoFiles = document.getElementById(`ledgerPhotos-${projectId}`)?.files || [];
+
+        const transactionType = DEPOSIT_TRANSACTION_TYPES[type];
+        const balance = this.getBalance(project);
+        // A blank final refund returns whatever is left on deposit
+        const amount = type === 'final_refund' && !amountValue ? balance : parseFloat(amountValue);
+
+        if (!transactionType) {
+            alert('Please select a transaction type.');
+            return;
+        }
+        if (isNaN(amount) || amount <= 0) {
+            alert('Please enter an amount greater than zero.');
+            return;
+        }
+        if (transactionType.sign < 0 && amount > balance + 0.005) {
+            alert(`This ${transactionType.label.toLowerCase()} of ${this.formatCurrency(amount)} is more than the ${this.formatCurrency(balance)} balance on deposit.`);
+            return;
+        }
+        if (type === 'deduction' && !reason) {
+            alert('Please enter the reason for the deduction.');
+            return;
+        }
+
+        try {
+            // Upload damage photos before saving the entry
+            const photos = [];
+            for (const file of Array.from(photoFiles)) {
+                const fileData = await window.projectManager.readFileAsArrayBuffer(file);
+                const storageUrl = await window.projectManager.uploadFileToStorage(
+                    fileData,
+                    file.name,
+                    file.type,
+                    projectId,
+                    'deposit-deductions'
+                );
+                photos.push({ name: file.name, type: file.type, storageUrl: storageUrl });
+            }
+
+            const user = window.authHandler.getCurrentUser();
+            const ledger = this.getLedger(project).map(entry => ({ ...entry }));
+            ledger.push({
+                id: Date.now().toString(),
+                type: type,
+                amount: amount,
+                date: dateValue ? window.projectManager.formatDateFromInput(dateValue) : window.projectManager.formatDate(new Date()),
+                checkNumber: checkNumber,
+                reason: reason,
+                photos: photos,
+                recordedBy: user ? user.email : 'unknown',
+                recordedAt: new Date().toISOString()
+            });
+
+            await window.projectManager.updateProject(projectId, this.buildLedgerUpdates(ledger));
+        } catch (error) {
+            console.error('Error saving deposit transaction:', error);
+            alert('Error saving deposit transaction: ' + error.message);
+        }
+    }
+
+    // Keep the single received/returned fields in step with the ledger for older views and exports.
+    // Those views take received less returned as the balance, so deductions count as money returned
+    buildLedgerUpdates(ledger) {
+        const receipts = ledger.filter(entry => entry.type === 'receipt');
+        const payouts = ledger.filter(entry => entry.type !== 'receipt');
+        const received = receipts.reduce((sum, entry) => sum + entry.amount, 0);
+        const paidOut = payouts.reduce((sum, entry) => sum + entry.amount, 0);
+
+        return {
+            depositLedger: ledger,
+            depositAmountReceived: received > 0 ? received : null,
+            dateDepositReceived: receipts.length > 0 ? receipts[0].date : '',
+            depositAmountReturned: paidOut > 0 ? paidOut : null,
+            dateDepositReturned: payouts.length > 0 ? payouts[payouts.length - 1].date : ''
+        };
+    }
+
+    renderLedgerSection(project, isAdmin) {
+        if (project.depositWaived) return '';
+
+        const ledger = this.getLedger(project);
+        let runningBalance = 0;
+        const rowsHtml = ledger.map(entry => {
+            const transactionType = DEPOSIT_TRANSACTION_TYPES[entry.type] || DEPOSIT_TRANSACTION_TYPES.receipt;
+            runningBalance += transactionType.sign * (entry.amount || 0);
+            const photosHtml = (entry.photos || []).map(photo =>
+                `<a href="${this.escapeHtml(photo.storageUrl)}" target="_blank" rel="noopener" style="color: #2c5530; font-size: 0.8rem; margin-right: 6px;">📷 ${this.escapeHtml(photo.name)}</a>`
+            ).join('');
+            return `
+                <tr style="border-bottom: 1px solid #f0f0f0;">
+                    <td style="padding: 6px 8px;">${this.escapeHtml(entry.date || '—')}</td>
+                    <td style="padding: 6px 8px; color: ${transactionType.color}; font-weight: 600;">${transactionType.label}</td>
+                    <td style="padding: 6px 8px; text-align: right;">${transactionType.sign < 0 ? '−' : ''}${this.formatCurrency(entry.amount)}</td>
+                    <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${this.formatCurrency(runningBalance)}</td>
+                    <td style="padding: 6px 8px;">${this.escapeHtml(entry.checkNumber || '—')}</td>
+                    <td style="padding: 6px 8px;">${this.escapeHtml(entry.reason)}${photosHtml ? `<div>${photosHtml}</div>` : ''}</td>
+                    <td style="padding: 6px 8px; color: #999;">${this.escapeHtml(entry.recordedBy)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const tableHtml = ledger.length > 0 ? `
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #f8f9fa; text-align: left;">
+                            <th style="padding: 6px 8px;">Date</th>
+                            <th style="padding: 6px 8px;">Transaction</th>
+                            <th style="padding: 6px 8px; text-align: right;">Amount</th>
+                            <th style="padding: 6px 8px; text-align: right;">Balance</th>
+                            <th style="padding: 6px 8px;">Check #</th>
+                            <th style="padding: 6px 8px;">Reason</th>
+                            <th style="padding: 6px 8px;">Recorded By</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>
+        ` : '<div style="color: var(--text-light); font-size: 0.9rem;">No deposit transactions recorded.</div>';
+
+        const formHtml = isAdmin ? `
+            <div style="margin-top: 12px; display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px; align-items: end;">
+                <select id="ledgerType-${project.id}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    ${Object.keys(DEPOSIT_TRANSACTION_TYPES).map(key => `<option value="${key}">${DEPOSIT_TRANSACTION_TYPES[key].label}</option>`).join('')}
+                </select>
+                <input type="number" id="ledgerAmount-${project.id}" step="0.01" min="0" placeholder="Amount ($)" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="date" id="ledgerDate-${project.id}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="text" id="ledgerCheck-${project.id}" placeholder="Check #" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="text" id="ledgerReason-${project.id}" placeholder="Reason (required for deductions)" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="file" id="ledgerPhotos-${project.id}" multiple accept=".jpg,.jpeg,.png,.pdf" title="Damage photos" style="font-size: 0.8rem;">
+                <button type="button" class="btn-small btn-primary" onclick="window.depositManager.addLedgerEntry('${project.id}')">Record Transaction</button>
+            </div>
+        ` : '';
+
+        return `
+            <div class="deposit-ledger" style="margin-bottom: 20px;">
+                <h4>Deposit Ledger <span style="font-weight: normal; color: #666; font-size: 0.9rem;">— balance ${this.formatCurrency(this.getBalance(project))}</span></h4>
+                ${tableHtml}
+                ${formHtml}
+            </div>
+        `;
+    }
+
+    setupDepositScheduleConfig() {
+        const configureBtn = document.getElementById('configureDepositScheduleBtn');
+        const depositScheduleSection = document.getElementById('depositScheduleSection');
+        const saveBtn = document.getElementById('saveDepositScheduleBtn');
+        const isAdmin = window.userManager && window.userManager.isAdmin();
+
+        if (depositScheduleSection) {
+            depositScheduleSection.style.display = 'none'; // Hide by default, show when button clicked
+        }
+
+        // Remove existing listeners to prevent duplicates
+        if (configureBtn) {
+            const newBtn = configureBtn.cloneNode(true);
+            configureBtn.parentNode.replaceChild(newBtn, configureBtn);
+            newBtn.style.display = isAdmin ? 'inline-block' : 'none';
+
+            if (depositScheduleSection) {
+                newBtn.addEventListener('click', () => {
+                    const isVisible = depositScheduleSection.style.display !== 'none';
+                    depositScheduleSection.style.display = isVisible ? 'none' : 'block';
+
+                    if (!isVisible) {
+                        // Load current values into inputs
+                        const inputs = document.getElementById('depositScheduleInputs');
+                        if (inputs) {
+                            inputs.innerHTML = Object.keys(DEFAULT_DEPOSIT_SCHEDULE).map(projectType => `
+                                <div class="form-group">
+                                    <label>${projectType} ($)</label>
+                                    <input type="number" data-deposit-type="${projectType}" step="0.01" min="0" value="${this.getRequiredDeposit(projectType)}" style="width: 100%; padding: 10px; border: 2px solid var(--border-color); border-radius: 6px;">
+                                </div>
+                            `).join('');
+                        }
+                        const agingInput = document.getElementById('depositAgingMonths');
+                        if (agingInput) agingInput.value = this.agingMonths;
+                    }
+                });
+            }
+        }
+
+        if (saveBtn) {
+            const newSaveBtn = saveBtn.cloneNode(true);
+            saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
+
+            newSaveBtn.addEventListener('click', async () => {
+                await this.saveDepositSchedule();
+            });
+        }
+    }
+}
+
+// Initialize deposit manager
+window.depositManager = new DepositManager();
@@ -0,0 +1,401 @@
+// Deposit Report - Treasurer's reconciliation view of deposits held, returned and waived
+
+class DepositReport {
+    constructor() {
+        this.filters = {
+            startDate: '',
+            endDate: '',
+            contractor: ''
+        };
+    }
+
+    // Accepts MM/DD/YYYY (stored dates) or YYYY-MM-DD (date inputs); returns a local Date or null
+    parseDate(dateStr) {
+        if (!dateStr) return null;
+        let parts = dateStr.split('/');
+        if (parts.length === 3) {
+            return new Date(parseInt(parts[2], 10), parseInt(parts[0], 10) - 1, parseInt(parts[1], 10));
+        }
+        parts = dateStr.split('-');
+        if (parts.length === 3) {
+            return new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+        }
+        return null;
+    }
+
+    isInRange(dateStr, start, end) {
+        const date = this.parseDate(dateStr);
+        // Undated (imported) entries only count when no range is applied
+        if (!date) return !start && !end;
+        if (start && date < start) return false;
+        if (end && date > end) return false;
+        return true;
+    }
+
+    monthsBetween(from, to) {
+        return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth()) - (to.getDate() < from.getDate() ? 1 : 0);
+    }
+
+    getContractors() {
+        const projects = window.projectManager ? window.projectManager.projects : [];
+        const contractors = new Set(projects.map(p => (p.contractorName || '').trim()).filter(name => name));
+        return Array.from(contractors).sort((a, b) => a.localeCompare(b));
+    }
+
+    buildRows() {
+        const projects = window.projectManager ? window.projectManager.projects : [];
+        const depositManager = window.depositManager;
+        const start = this.parseDate(this.filters.startDate);
+        const end = this.parseDate(this.filters.endDate);
+        const asOf = end || new Date();
+
+        return projects
+            .filter(project => !this.filters.contractor || (project.contractorName || '').trim() === this.filters.contractor)
+            .map(project => {
+                const row = {
+                    project: project,
+                    received: 0,
+                    returned: 0,
+                    deducted: 0,
+                    held: 0,
+                    waived: !!project.depositWaived,
+                    monthsHeld: null,
+                    aging: false
+                };
+
+                if (row.waived) {
+                    return this.isInRange(project.dateApproved, start, end) ? row : null;
+                }
+
+                depositManager.getLedger(project).forEach(entry => {
+                    const amount = entry.amount || 0;
+                    const entryDate = this.parseDate(entry.date);
+                    if (this.isInRange(entry.date, start, end)) {
+                        if (entry.type === 'receipt') row.received += amount;
+                        else if (entry.type === 'deduction') row.deducted += amount;
+                        else row.returned += amount;
+                    }
+                    // Balance held as of the end of the range
+                    if (!entryDate || entryDate <= asOf) {
+                        row.held += entry.type === 'receipt' ? amount : -amount;
+                    }
+                });
+
+                const constructionStarted = this.parseDate(project.dateConstructionStarted);
+                if (row.held > 0.005 && constructionStarted) {
+                    row.monthsHeld = this.monthsBetween(constructionStarted, asOf);
+                    row.aging = row.monthsHeld >= depositManager.agingMonths;
+                }
+
+                const hasActivity = row.received || row.returned || row.deducted || Math.abs(row.held) > 0.005;
+                return hasActivity ? row : null;
+            })
+            .filter(row => row !== null)
+            .sort((a, b) => (a.project.lot || '').localeCompare(b.project.lot || '', undefined, { numeric: true }));
+    }
+
+    calculateTotals(rows) {
+        return rows.reduce((totals, row) => {
+            totals.received += row.received;
+            totals.returned += row.returned;
+            totals.deducted += row.deducted;
+            totals.held += row.waived ? 0 : row.held;
+            totals.waived += row.waived ? 1 : 0;
+            totals.aging += row.aging ? 1 : 0;
+            return totals;
+        }, { received: 0, returned: 0, deducted: 0, held: 0, waived: 0, aging: 0 });
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getRangeLabel() {
+        if (!this.filters.startDate && !this.filters.endDate) return 'All dates';
+        const format = (value) => value ? window.projectManager.formatDateFromInput(value) : '…';
+        return `${format(this.filters.startDate)} – ${format(this.filters.endDate)}`;
+    }
+
+    getStatusLabel(row) {
+        if (row.waived) return 'Waived';
+        if (row.aging) return `Held ${row.monthsHeld} mo`;
+        return row.held > 0.005 ? 'Held' : 'Settled';
+    }
+
+    renderSummaryCard(label, value, color) {
+        return `
+            <div style="background: #f8f9fa; border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px 16px;">
+                <div style="color: #666; font-size: 0.8rem;">${label}</div>
+                <div style="font-size: 1.3rem; font-weight: bold; color: ${color};">${value}</div>
+            </div>
+        `;
+    }
+
+    renderReport() {
+        const container = document.getElementById('depositReportResults');
+        if (!container) return;
+
+        const rows = this.buildRows();
+        const totals = this.calculateTotals(rows);
+        const money = (amount) => window.depositManager.formatCurrency(amount);
+
+        const rowsHtml = rows.map(row => `
+            <tr style="border-bottom: 1px solid #f0f0f0; ${row.aging ? 'background: #fff3cd;' : ''}">
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.project.lot)}</td>
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.project.address)}</td>
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.project.homeownerName)}</td>
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.project.contractorName)}</td>
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.project.dateConstructionStarted)}</td>
+                <td style="padding: 6px 8px; text-align: right;">${money(row.received)}</td>
+                <td style="padding: 6px 8px; text-align: right;">${money(row.returned)}</td>
+                <td style="padding: 6px 8px; text-align: right;">${money(row.deducted)}</td>
+                <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${row.waived ? '—' : money(row.held)}</td>
+                <td style="padding: 6px 8px; color: ${row.aging ? '#856404' : row.waived ? '#856404' : '#666'}; font-weight: ${row.aging ? '600' : 'normal'};">${row.aging ? '⚠ ' : ''}${this.getStatusLabel(row)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; margin-bottom: 20px;">
+                ${this.renderSummaryCard('Held', money(totals.held), 'var(--primary-color)')}
+                ${this.renderSummaryCard('Received', money(totals.received), '#2c5530')}
+                ${this.renderSummaryCard('Returned', money(totals.returned), '#1565c0')}
+                ${this.renderSummaryCard('Deducted', money(totals.deducted), '#d32f2f')}
+                ${this.renderSummaryCard('Waived', totals.waived, '#856404')}
+                ${this.renderSummaryCard(`Held > ${window.depositManager.agingMonths} months`, totals.aging, totals.aging > 0 ? '#d32f2f' : '#666')}
+            </div>
+            ${rows.length > 0 ? `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                        <thead>
+                            <tr style="background: #e8f5e9; text-align: left; color: #2c5530;">
+                                <th style="padding: 6px 8px;">Lot</th>
+                                <th style="padding: 6px 8px;">Address</th>
+                                <th style="padding: 6px 8px;">Homeowner</th>
+                                <th style="padding: 6px 8px;">Contractor</th>
+                                <th style="padding: 6px 8px;">Construction Started</th>
+                                <th style="padding: 6px 8px; text-align: right;">Received</th>
+                                <th style="padding: 6px 8px; text-align: right;">Returned</th>
+                                <th style="padding: 6px 8px; text-align: right;">Deducted</th>
+                                <th style="padding: 6px 8px; text-align: right;">Held</th>
+                                <th style="padding: 6px 8px;">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                </div>
+            ` : '<div style="color: var(--text-light); padding: 20px 0;">No deposits match these filters.</div>'}
+        `;
+    }
+
+    show() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can view the deposit report.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'depositReportModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+
+        const contractorOptions = this.getContractors().map(name =>
+            `<option value="${this.escapeHtml(name)}" ${this.filters.contractor === name ? 'selected' : ''}>${this.escapeHtml(name)}</option>`
+        ).join('');
+
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 1200px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Deposit Report</h2>
+                    <button id="closeDepositReport" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 20px 30px; overflow-y: auto; flex: 1;">
+                    <div style="display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-end; margin-bottom: 20px;">
+                        <div>
+                            <label for="depositReportStart" style="display: block; font-size: 0.85rem; color: #666;">From</label>
+                            <input type="date" id="depositReportStart" value="${this.filters.startDate}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label for="depositReportEnd" style="display: block; font-size: 0.85rem; color: #666;">To</label>
+                            <input type="date" id="depositReportEnd" value="${this.filters.endDate}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label for="depositReportContractor" style="display: block; font-size: 0.85rem; color: #666;">Contractor</label>
+                            <select id="depositReportContractor" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px; min-width: 200px;">
+                                <option value="">All contractors</option>
+                                ${contractorOptions}
+                            </select>
+                        </div>
+                        <div style="margin-left: auto; display: flex; gap: 8px;">
+                            <button type="button" id="depositReportCsvBtn" class="btn-secondary" style="padding: 8px 16px;">Export CSV</button>
+                            <button type="button" id="depositReportPdfBtn" class="btn-primary" style="padding: 8px 16px;">Export PDF</button>
+                        </div>
+                    </div>
+                    <div id="depositReportResults"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.setupHandlers(modal);
+        this.renderReport();
+    }
+
+    setupHandlers(modal) {
+        const closeBtn = document.getElementById('closeDepositReport');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+                document.removeEventListener('keydown', handleEscape);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        const bindFilter = (elementId, filterKey) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.addEventListener('change', () => {
+                    this.filters[filterKey] = element.value;
+                    this.renderReport();
+                });
+            }
+        };
+        bindFilter('depositReportStart', 'startDate');
+        bindFilter('depositReportEnd', 'endDate');
+        bindFilter('depositReportContractor', 'contractor');
+
+        const csvBtn = document.getElementById('depositReportCsvBtn');
+        if (csvBtn) {
+            csvBtn.addEventListener('click', () => this.exportCSV());
+        }
+
+        const pdfBtn = document.getElementById('depositReportPdfBtn');
+        if (pdfBtn) {
+            pdfBtn.addEventListener('click', () => this.exportPDF());
+        }
+    }
+
+    getExportFilename(extension) {
+        const today = new Date();
+        const dateStr = `${String(today.getMonth() + 1).padStart(2, '0')}_${String(today.getDate()).padStart(2, '0')}_${today.getFullYear()}`;
+        return `Sanctuary Deposit Report - ${dateStr}.${extension}`;
+    }
+
+    escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    exportCSV() {
+        const rows = this.buildRows();
+        const header = ['Lot', 'Address', 'Homeowner', 'Contractor', 'Construction Started', 'Received', 'Returned', 'Deducted', 'Held', 'Status'];
+        const lines = [header.join(',')];
+        rows.forEach(row => {
+            lines.push([
+                row.project.lot,
+                row.project.address,
+                row.project.homeownerName,
+                row.project.contractorName,
+                row.project.dateConstructionStarted,
+                row.received.toFixed(2),
+                row.returned.toFixed(2),
+                row.deducted.toFixed(2),
+                row.waived ? '' : row.held.toFixed(2),
+                this.getStatusLabel(row)
+            ].map(value => this.escapeCSV(value)).join(','));
+        });
+
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getExportFilename('csv');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    exportPDF() {
+        if (typeof window.jspdf === 'undefined') {
+            alert('Error: PDF library not loaded. Please refresh the page and try again.');
+            return;
+        }
+        if (!window.pdfGenerator) {
+            window.pdfGenerator = new PDFGenerator();
+        }
+
+        const rows = this.buildRows();
+        const totals = this.calculateTotals(rows);
+        const money = (amount) => window.depositManager.formatCurrency(amount);
+
+        window.pdfGenerator.generateTableReport({
+            title: 'Builder Deposit Report',
+            subtitle: `${this.getRangeLabel()} · ${this.filters.contractor || 'All contractors'} · Flagged when held more than ${window.depositManager.agingMonths} months after construction started`,
+            columns: [
+                { header: 'Lot', width: 14 },
+                { header: 'Address', width: 40 },
+                { header: 'Homeowner', width: 30 },
+                { header: 'Contractor', width: 32 },
+                { header: 'Started', width: 20 },
+                { header: 'Received', width: 22, align: 'right' },
+                { header: 'Returned', width: 22, align: 'right' },
+                { header: 'Deducted', width: 22, align: 'right' },
+                { header: 'Held', width: 22, align: 'right' },
+                { header: 'Status', width: 25 }
+            ],
+            rows: rows.map(row => ({
+                cells: [
+                    row.project.lot,
+                    row.project.address,
+                    row.project.homeownerName,
+                    row.project.contractorName,
+                    row.project.dateConstructionStarted,
+                    money(row.received),
+                    money(row.returned),
+                    money(row.deducted),
+                    row.waived ? '—' : money(row.held),
+                    this.getStatusLabel(row)
+                ],
+                highlight: row.aging
+            })),
+            totals: ['', 'Totals', '', '', '', money(totals.received), money(totals.returned), money(totals.deducted), money(totals.held), ''],
+            filename: this.getExportFilename('pdf')
+        });
+    }
+
+    setupReportButton() {
+        const reportBtn = document.getElementById('depositReportBtn');
+        if (!reportBtn) return;
+
+        const isAdmin = window.userManager && window.userManager.isAdmin();
+        // Remove existing listeners to prevent duplicates
+        const newBtn = reportBtn.cloneNode(true);
+        reportBtn.parentNode.replaceChild(newBtn, reportBtn);
+        newBtn.style.display = isAdmin ? 'inline-block' : 'none';
+        newBtn.addEventListener('click', () => this.show());
+    }
+
+    hide() {
+        const modal = document.getElementById('depositReportModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+    }
+}
+
+// Initialize deposit report
+window.depositReport = new DepositReport();
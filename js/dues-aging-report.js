@@ -0,0 +1,281 @@
+// Dues Aging Report - Open household balances by days past due, with the next collection step for each
+
+class DuesAgingReport {
+    constructor() {
+        this.filters = {
+            delinquentOnly: true
+        };
+        this.setupReportButton();
+    }
+
+    buildRows() {
+        const households = window.householdManager ? window.householdManager.households : [];
+        const collections = window.duesCollectionManager;
+
+        return households
+            .map(household => {
+                const aging = collections.getAging(household);
+                return {
+                    household: household,
+                    aging: aging,
+                    currentStage: collections.getCurrentStage(household, aging),
+                    nextStage: collections.getNextStage(household, aging)
+                };
+            })
+            .filter(row => row.aging.total > 0.005)
+            .filter(row => !this.filters.delinquentOnly || row.aging.oldestDaysPastDue !== null)
+            .sort((a, b) => (b.aging.oldestDaysPastDue || 0) - (a.aging.oldestDaysPastDue || 0)
+                || (a.household.lotNumber || '').localeCompare(b.household.lotNumber || '', undefined, { numeric: true }));
+    }
+
+    calculateTotals(rows) {
+        return rows.reduce((totals, row) => {
+            Object.keys(AGING_BUCKETS).forEach(key => {
+                totals[key] += row.aging[key];
+            });
+            totals.total += row.aging.total;
+            return totals;
+        }, { current: 0, days30: 0, days60: 0, days90: 0, total: 0 });
+    }
+
+    getStageLabel(row) {
+        return row.currentStage
+            ? `${COLLECTION_STAGES[row.currentStage.stage].label} ${row.currentStage.date}`
+            : '—';
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderSummaryCard(label, value, color) {
+        return `
+            <div style="background: #f8f9fa; border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px 16px;">
+                <div style="color: #666; font-size: 0.8rem;">${label}</div>
+                <div style="font-size: 1.3rem; font-weight: bold; color: ${color};">${value}</div>
+            </div>
+        `;
+    }
+
+    renderReport() {
+        const container = document.getElementById('duesAgingReportResults');
+        if (!container) return;
+
+        const rows = this.buildRows();
+        const totals = this.calculateTotals(rows);
+        const money = (amount) => window.duesManager.formatCurrency(amount);
+
+        const rowsHtml = rows.map(row => `
+            <tr style="border-bottom: 1px solid #f0f0f0; ${row.aging.days90 > 0.005 ? 'background: #ffebee;' : ''}">
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.household.lotNumber)}</td>
+                <td style="padding: 6px 8px;">${this.escapeHtml(row.household.address)}</td>
+                ${Object.keys(AGING_BUCKETS).map(key => `<td style="padding: 6px 8px; text-align: right;">${row.aging[key] > 0.005 ? money(row.aging[key]) : '—'}</td>`).join('')}
+                <td style="padding: 6px 8px; text-align: right; font-weight: 600;">${money(row.aging.total)}</td>
+                <td style="padding: 6px 8px; color: ${row.currentStage ? '#d32f2f' : '#666'};">${this.getStageLabel(row)}</td>
+                <td style="padding: 6px 8px; text-align: right; white-space: nowrap;">
+                    ${row.nextStage ? `<button type="button" class="btn-small btn-primary" onclick="window.duesCollectionManager.issueLetter('${row.household.id}', '${row.nextStage}')">Issue ${COLLECTION_STAGES[row.nextStage].label}</button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 12px; margin-bottom: 20px;">
+                ${Object.keys(AGING_BUCKETS).map(key => this.renderSummaryCard(AGING_BUCKETS[key].label, money(totals[key]), key === 'days90' && totals[key] > 0.005 ? '#d32f2f' : 'var(--primary-color)')).join('')}
+                ${this.renderSummaryCard('Total Open', money(totals.total), '#2c5530')}
+                ${this.renderSummaryCard('Accounts', rows.length, '#666')}
+            </div>
+            <div style="color: var(--text-light); font-size: 0.85rem; margin-bottom: 12px;">Late fees: ${window.duesCollectionManager.describePolicy()}</div>
+            ${rows.length > 0 ? `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                        <thead>
+                            <tr style="background: #e8f5e9; text-align: left; color: #2c5530;">
+                                <th style="padding: 6px 8px;">Lot</th>
+                                <th style="padding: 6px 8px;">Address</th>
+                                ${Object.keys(AGING_BUCKETS).map(key => `<th style="padding: 6px 8px; text-align: right;">${AGING_BUCKETS[key].label}</th>`).join('')}
+                                <th style="padding: 6px 8px; text-align: right;">Total</th>
+                                <th style="padding: 6px 8px;">Last Letter</th>
+                                <th style="padding: 6px 8px;"></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                </div>
+            ` : `<div style="color: var(--text-light); padding: 20px 0;">${this.filters.delinquentOnly ? 'No household is past due.' : 'No household has an open balance.'}</div>`}
+        `;
+    }
+
+    show() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can view the aging report.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'duesAgingReportModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 1200px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Dues Aging Report</h2>
+                    <button id="closeDuesAgingReport" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 20px 30px; overflow-y: auto; flex: 1;">
+                    <div style="display: flex; gap: 12px; flex-wrap: wrap; align-items: center; margin-bottom: 20px;">
+                        <label style="display: flex; align-items: center; gap: 8px; font-size: 0.9rem;">
+                            <input type="checkbox" id="duesAgingDelinquentOnly" ${this.filters.delinquentOnly ? 'checked' : ''}>
+                            Past due accounts only
+                        </label>
+                        <div style="margin-left: auto; display: flex; gap: 8px;">
+                            <button type="button" id="duesAgingCsvBtn" class="btn-secondary" style="padding: 8px 16px;">Export CSV</button>
+                            <button type="button" id="duesAgingPdfBtn" class="btn-primary" style="padding: 8px 16px;">Export PDF</button>
+                        </div>
+                    </div>
+                    <div id="duesAgingReportResults"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.setupHandlers(modal);
+        this.renderReport();
+    }
+
+    setupHandlers(modal) {
+        const closeBtn = document.getElementById('closeDuesAgingReport');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+                document.removeEventListener('keydown', handleEscape);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        const delinquentOnly = document.getElementById('duesAgingDelinquentOnly');
+        if (delinquentOnly) {
+            delinquentOnly.addEventListener('change', () => {
+                this.filters.delinquentOnly = delinquentOnly.checked;
+                this.renderReport();
+            });
+        }
+
+        const csvBtn = document.getElementById('duesAgingCsvBtn');
+        if (csvBtn) {
+            csvBtn.addEventListener('click', () => this.exportCSV());
+        }
+
+        const pdfBtn = document.getElementById('duesAgingPdfBtn');
+        if (pdfBtn) {
+            pdfBtn.addEventListener('click', () => this.exportPDF());
+        }
+    }
+
+    getExportFilename(extension) {
+        const today = new Date();
+        const dateStr = `${String(today.getMonth() + 1).padStart(2, '0')}_${String(today.getDate()).padStart(2, '0')}_${today.getFullYear()}`;
+        return `Sanctuary Dues Aging Report - ${dateStr}.${extension}`;
+    }
+
+    escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    exportCSV() {
+        const rows = this.buildRows();
+        const header = ['Lot', 'Address', ...Object.keys(AGING_BUCKETS).map(key => AGING_BUCKETS[key].label), 'Total', 'Days Past Due', 'Last Letter'];
+        const lines = [header.join(',')];
+        rows.forEach(row => {
+            lines.push([
+                row.household.lotNumber,
+                row.household.address,
+                ...Object.keys(AGING_BUCKETS).map(key => row.aging[key].toFixed(2)),
+                row.aging.total.toFixed(2),
+                row.aging.oldestDaysPastDue || 0,
+                row.currentStage ? this.getStageLabel(row) : ''
+            ].map(value => this.escapeCSV(value)).join(','));
+        });
+
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getExportFilename('csv');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    exportPDF() {
+        if (typeof window.jspdf === 'undefined') {
+            alert('Error: PDF library not loaded. Please refresh the page and try again.');
+            return;
+        }
+        if (!window.pdfGenerator) {
+            window.pdfGenerator = new PDFGenerator();
+        }
+
+        const rows = this.buildRows();
+        const totals = this.calculateTotals(rows);
+        const money = (amount) => window.duesManager.formatCurrency(amount);
+
+        window.pdfGenerator.generateTableReport({
+            title: 'Dues Aging Report',
+            subtitle: `${this.filters.delinquentOnly ? 'Past due accounts' : 'All open balances'} · Late fees: ${window.duesCollectionManager.describePolicy()}`,
+            columns: [
+                { header: 'Lot', width: 16 },
+                { header: 'Address', width: 55 },
+                ...Object.keys(AGING_BUCKETS).map(key => ({ header: AGING_BUCKETS[key].label, width: 25, align: 'right' })),
+                { header: 'Total', width: 28, align: 'right' },
+                { header: 'Last Letter', width: 50 }
+            ],
+            rows: rows.map(row => ({
+                cells: [
+                    row.household.lotNumber,
+                    row.household.address,
+                    ...Object.keys(AGING_BUCKETS).map(key => row.aging[key] > 0.005 ? money(row.aging[key]) : ''),
+                    money(row.aging.total),
+                    row.currentStage ? this.getStageLabel(row) : ''
+                ],
+                highlight: row.aging.days90 > 0.005
+            })),
+            totals: ['', 'Total', ...Object.keys(AGING_BUCKETS).map(key => money(totals[key])), money(totals.total), ''],
+            filename: this.getExportFilename('pdf')
+        });
+    }
+
+    // Visibility follows the other admin-only household buttons (see HouseholdManager.checkAuthForWrites)
+    setupReportButton() {
+        const reportBtn = document.getElementById('duesAgingReportBtn');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', () => this.show());
+        }
+    }
+
+    hide() {
+        const modal = document.getElementById('duesAgingReportModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+    }
+}
+
+// Initialize dues aging report
+window.duesAgingReport = new DuesAgingReport();
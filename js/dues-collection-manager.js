@@ -0,0 +1,420 @@
+// Dues Collection Manager - Late fee policy, delinquency aging and collection letters for household dues
+
+// Default policy used until an admin saves one in householdConfig/lateFees. No fee is charged
+// until the board sets a fee amount and the date the policy takes effect.
+// graceDays: days past the due date before a late fee is charged.
+// repeatDays: charge again every this many days the invoice stays open (0 = charge once).
+// effectiveDate: MM/DD/YYYY; fees falling due before it are never charged.
+// reminderDays / demandDays / lienDays: days past due before each collection stage can be issued.
+// lienStatement: the board's wording of the lien provision in the governing documents,
+// quoted in lien notices; left out of the letter when blank.
+const DEFAULT_LATE_FEE_POLICY = {
+    graceDays: 30,
+    feeType: 'flat',
+    feeAmount: 0,
+    repeatDays: 0,
+    effectiveDate: null,
+    reminderDays: 30,
+    demandDays: 60,
+    lienDays: 90,
+    lienStatement: ''
+};
+
+const AGING_BUCKETS = {
+    current: { label: 'Current', minDays: -Infinity },
+    days30: { label: '30 Days', minDays: 30 },
+    days60: { label: '60 Days', minDays: 60 },
+    days90: { label: '90+ Days', minDays: 90 }
+};
+
+const COLLECTION_STAGES = {
+    reminder: { label: 'Reminder', daysField: 'reminderDays', subject: 'Reminder of Past Due Assessments' },
+    demand: { label: 'Demand Letter', daysField: 'demandDays', subject: 'Demand for Payment of Past Due Assessments' },
+    lien: { label: 'Lien Notice', daysField: 'lienDays', subject: 'Notice of Intent to Record Assessment Lien' }
+};
+const COLLECTION_STAGE_ORDER = ['reminder', 'demand', 'lien'];
+
+// Days a homeowner is given to pay after a collection letter
+const COLLECTION_PAYMENT_DAYS = 30;
+
+class DuesCollectionManager {
+    constructor() {
+        this.db = null;
+        this.policy = { ...DEFAULT_LATE_FEE_POLICY };
+        this.applyingLateFees = false;
+        this.init();
+    }
+
+    async init() {
+        this.setupLateFeeConfig();
+
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+        await this.loadPolicy();
+    }
+
+    async loadPolicy() {
+        if (!this.db) return;
+
+        try {
+            const configDoc = await this.db.collection('householdConfig').doc('lateFees').get();
+            if (configDoc.exists) {
+                this.policy = { ...DEFAULT_LATE_FEE_POLICY, ...configDoc.data() };
+            }
+            await this.applyLateFees();
+        } catch (error) {
+            console.error('Error loading late fee policy:', error);
+        }
+    }
+
+    async savePolicy() {
+        if (!window.householdManager.requireAuth() || !this.db) return;
+
+        const readNumber = (id) => parseFloat(document.getElementById(id)?.value);
+        const effectiveDateValue = document.getElementById('lateFeeEffectiveDate')?.value;
+        const policy = {
+            graceDays: readNumber('lateFeeGraceDays'),
+            feeType: document.getElementById('lateFeeType')?.value === 'percent' ? 'percent' : 'flat',
+            feeAmount: readNumber('lateFeeAmount') || 0,
+            repeatDays: readNumber('lateFeeRepeatDays') || 0,
+            effectiveDate: effectiveDateValue ? window.projectManager.formatDateFromInput(effectiveDateValue) : null,
+            reminderDays: readNumber('collectionReminderDays'),
+            demandDays: readNumber('collectionDemandDays'),
+            lienDays: readNumber('collectionLienDays'),
+            lienStatement: (document.getElementById('collectionLienStatement')?.value || '').trim()
+        };
+
+        if (isNaN(policy.graceDays) || policy.graceDays < 0 || policy.feeAmount < 0 || policy.repeatDays < 0) {
+            alert('Please enter the grace period, fee and repeat interval as zero or more.');
+            return;
+        }
+        if (isNaN(policy.reminderDays) || isNaN(policy.demandDays) || isNaN(policy.lienDays)
+            || !(policy.reminderDays < policy.demandDays && policy.demandDays < policy.lienDays)) {
+            alert('Collection stages must be reached in order: reminder, then demand letter, then lien notice.');
+            return;
+        }
+        if (policy.feeAmount > 0 && !policy.effectiveDate) {
+            alert('Please enter the date the late fee policy takes effect.');
+            return;
+        }
+
+        // Show what saving will charge right away before anything is written
+        const fees = this.getAllDueLateFees(policy);
+        if (fees.length > 0) {
+            const total = fees.reduce((sum, { fee }) => sum + fee.amount, 0);
+            const lines = fees.slice(0, 10).map(({ household, fee }) =>
+                `• Lot ${household.lotNumber || '?'}: ${window.duesManager.formatCurrency(fee.amount)} on ${fee.issuedDate} (${fee.description})`);
+            if (fees.length > lines.length) lines.push(`• ...and ${fees.length - lines.length} more`);
+            if (!confirm(`Saving this policy will charge ${fees.length} late fee${fees.length > 1 ? 's' : ''} totaling ${window.duesManager.formatCurrency(total)}:\n\n${lines.join('\n')}\n\nSave the policy and charge these fees?`)) {
+                return;
+            }
+        }
+
+        try {
+            const user = window.firebaseAuth.currentUser;
+            await this.db.collection('householdConfig').doc('lateFees').set({
+                ...policy,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: user ? user.email : 'system'
+            });
+
+            this.policy = policy;
+
+            const lateFeeConfigSection = document.getElementById('lateFeeConfigSection');
+            if (lateFeeConfigSection) lateFeeConfigSection.style.display = 'none';
+
+            alert('Late fee policy saved successfully!');
+            await this.applyLateFees();
+        } catch (error) {
+            console.error('Error saving late fee policy:', error);
+            alert('Error saving late fee policy. Please try again.');
+        }
+    }
+
+    describePolicy() {
+        if (!(this.policy.feeAmount > 0)) return 'No late fee is charged.';
+        const fee = this.policy.feeType === 'percent'
+            ? `${this.policy.feeAmount}% of the open amount`
+            : window.duesManager.formatCurrency(this.policy.feeAmount);
+        const repeat = this.policy.repeatDays > 0 ? `, and again every ${this.policy.repeatDays} days it stays unpaid` : '';
+        const effective = this.policy.effectiveDate ? ` Fees are charged from ${this.policy.effectiveDate}.` : ' No fee is charged until the board sets the date the policy takes effect.';
+        return `${fee} is charged ${this.policy.graceDays} days after an invoice is due${repeat}.${effective}`;
+    }
+
+    today() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    }
+
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    daysBetween(from, to) {
+        return Math.round((to - from) / (24 * 60 * 60 * 1000));
+    }
+
+    // What was still owed on an invoice at the end of a day: only invoices issued and payments
+    // received by then count, applied oldest due date first as in DuesManager.allocatePayments.
+    getOpenAmountOn(household, invoiceId, date) {
+        const parseDate = (value) => window.projectManager.parseDate(value);
+        const asOf = {
+            ...household,
+            duesInvoices: window.duesManager.getInvoices(household)
+                .filter(invoice => !invoice.issuedDate || parseDate(invoice.issuedDate) <= date),
+            duesPayments: window.duesManager.getPayments(household)
+                .filter(payment => !payment.date || parseDate(payment.date) <= date)
+        };
+        const invoice = window.duesManager.allocatePayments(asOf).invoices.find(entry => entry.id === invoiceId);
+        return invoice ? invoice.open : 0;
+    }
+
+    // Late fee invoices the policy calls for on this household that have not been charged yet.
+    // Each fee's id names the invoice and the charge number, so a fee is never charged twice.
+    // Charges falling before the policy's effective date are skipped, and each fee is figured
+    // on what was open on its own charge date, so nothing is charged for time already paid.
+    getDueLateFees(household, today = this.today(), policy = this.policy) {
+        if (!(policy.feeAmount > 0) || !policy.effectiveDate) return [];
+
+        const parseDate = (value) => window.projectManager.parseDate(value);
+        const effectiveDate = parseDate(policy.effectiveDate);
+        const chargedIds = new Set(window.duesManager.getInvoices(household).map(invoice => invoice.id));
+        const firstChargeDay = Math.max(policy.graceDays, 1);
+
+        // Every scheduled charge from the effective date through today, oldest first
+        const charges = [];
+        window.duesManager.getInvoices(household)
+            .filter(invoice => invoice.type !== 'late_fee' && invoice.dueDate)
+            .forEach(invoice => {
+                const dueDate = parseDate(invoice.dueDate);
+                const daysPastDue = this.daysBetween(dueDate, today);
+                if (daysPastDue < firstChargeDay) return;
+
+                const count = policy.repeatDays > 0
+                    ? 1 + Math.floor((daysPastDue - firstChargeDay) / policy.repeatDays)
+                    : 1;
+                for (let charge = 1; charge <= count; charge++) {
+                    const chargeDate = this.addDays(dueDate, firstChargeDay + (charge - 1) * policy.repeatDays);
+                    const id = `late-${invoice.id}-${charge}`;
+                    if (chargeDate < effectiveDate || chargedIds.has(id)) continue;
+                    charges.push({ invoice, charge, chargeDate, id });
+                }
+            });
+        charges.sort((a, b) => a.chargeDate - b.chargeDate);
+
+        // Earlier fees from this pass are part of the account when later ones are figured
+        const fees = [];
+        charges.forEach(({ invoice, chargeDate, id }) => {
+            const withFees = { ...household, duesInvoices: [...window.duesManager.getInvoices(household), ...fees] };
+            const open = this.getOpenAmountOn(withFees, invoice.id, chargeDate);
+            if (open <= 0.005) return;
+
+            const chargedDate = window.projectManager.formatDate(chargeDate);
+            fees.push({
+                id: id,
+                type: 'late_fee',
+                lateFeeFor: invoice.id,
+                description: `Late fee - ${invoice.description}`,
+                amount: policy.feeType === 'percent'
+                    ? Math.round(open * policy.feeAmount) / 100
+                    : policy.feeAmount,
+                issuedDate: chargedDate,
+                dueDate: chargedDate,
+                issuedBy: 'Late fee policy'
+            });
+        });
+
+        return fees;
+    }
+
+    // Fees a policy would charge across all households right now
+    getAllDueLateFees(policy = this.policy) {
+        if (!window.householdManager || !window.duesManager) return [];
+        const today = this.today();
+        return window.householdManager.households.flatMap(household =>
+            this.getDueLateFees(household, today, policy).map(fee => ({ household, fee })));
+    }
+
+    // Charge any late fees the policy calls for. Runs for admins whenever households load,
+    // so fees are applied without anyone having to start a billing run.
+    async applyLateFees() {
+        const isAdmin = window.userManager && window.userManager.isAdmin();
+        if (this.applyingLateFees || !isAdmin || !window.householdManager || !window.duesManager) return;
+
+        this.applyingLateFees = true;
+        try {
+            for (const household of window.householdManager.households) {
+                // One household's failure shouldn't keep the rest from being charged
+                try {
+                    const fees = this.getDueLateFees(household);
+                    if (fees.length === 0) continue;
+
+                    // Append rather than rewrite the list, so invoices or payments saved meanwhile from elsewhere are kept
+                    const saved = await window.householdManager.updateHousehold(household.id, {
+                        duesInvoices: firebase.firestore.FieldValue.arrayUnion(...fees)
+                    });
+                    if (saved) {
+                        household.duesInvoices = [...window.duesManager.getInvoices(household), ...fees];
+                    }
+                } catch (error) {
+                    console.error(`Error applying late fees to household ${household.id}:`, error);
+                }
+            }
+        } finally {
+            this.applyingLateFees = false;
+        }
+    }
+
+    // Open amounts split by days past due, plus the oldest open invoice for collection stages
+    getAging(household, today = this.today()) {
+        const aging = { current: 0, days30: 0, days60: 0, days90: 0, total: 0, oldestDaysPastDue: null, oldestInvoice: null, openInvoices: [] };
+
+        window.duesManager.allocatePayments(household).invoices
+            .filter(invoice => invoice.open > 0.005)
+            .forEach(invoice => {
+                const daysPastDue = invoice.dueDate ? this.daysBetween(window.projectManager.parseDate(invoice.dueDate), today) : 0;
+                const bucket = Object.keys(AGING_BUCKETS).reverse().find(key => daysPastDue >= AGING_BUCKETS[key].minDays);
+                aging[bucket] += invoice.open;
+                aging.total += invoice.open;
+                aging.openInvoices.push(invoice);
+                if (daysPastDue > 0 && (aging.oldestDaysPastDue === null || daysPastDue > aging.oldestDaysPastDue)) {
+                    aging.oldestDaysPastDue = daysPastDue;
+                    aging.oldestInvoice = invoice;
+                }
+            });
+
+        return aging;
+    }
+
+    // Latest letter sent for a delinquency that is still open; letters about invoices since paid no longer count
+    getCurrentStage(household, aging = this.getAging(household)) {
+        const openIds = new Set(aging.openInvoices.map(invoice => invoice.id));
+        const history = (household.collectionHistory || []).filter(entry => openIds.has(entry.invoiceId));
+        return history.length > 0 ? history[history.length - 1] : null;
+    }
+
+    // Next stage once the oldest open invoice is far enough past due; stages are never skipped
+    getNextStage(household, aging = this.getAging(household)) {
+        if (aging.oldestDaysPastDue === null) return null;
+
+        const current = this.getCurrentStage(household, aging);
+        const nextStage = COLLECTION_STAGE_ORDER[current ? COLLECTION_STAGE_ORDER.indexOf(current.stage) + 1 : 0];
+        if (!nextStage) return null;
+        return aging.oldestDaysPastDue >= this.policy[COLLECTION_STAGES[nextStage].daysField] ? nextStage : null;
+    }
+
+    renderCollectionStatus(household) {
+        const current = this.getCurrentStage(household);
+        if (!current) return '';
+        return `<div style="color: #d32f2f; font-size: 0.85rem; margin-bottom: 10px;">⚠ ${COLLECTION_STAGES[current.stage].label} sent ${current.date}${current.issuedBy ? ` by ${current.issuedBy}` : ''}</div>`;
+    }
+
+    // Generate the letter for a collection stage and record it on the household
+    async issueLetter(householdId, stage) {
+        if (!window.householdManager.requireAuth()) return;
+        if (typeof window.jspdf === 'undefined') {
+            alert('Error: PDF library not loaded. Please refresh the page and try again.');
+            return;
+        }
+
+        const household = window.duesManager.getHousehold(householdId);
+        if (!household || !COLLECTION_STAGES[stage]) {
+            alert('Household not found');
+            return;
+        }
+
+        const aging = this.getAging(household);
+        if (this.getNextStage(household, aging) !== stage) {
+            alert(`A ${COLLECTION_STAGES[stage].label.toLowerCase()} can't be issued for this account now.`);
+            return;
+        }
+
+        const today = this.today();
+        const user = window.authHandler.getCurrentUser();
+        const entry = {
+            stage: stage,
+            date: window.projectManager.formatDate(today),
+            balance: aging.total,
+            invoiceId: aging.oldestInvoice.id,
+            issuedBy: user ? user.email : 'unknown'
+        };
+
+        try {
+            const letter = await window.pdfGenerator.renderCollectionLetter(household, {
+                stage: stage,
+                label: COLLECTION_STAGES[stage].label,
+                subject: COLLECTION_STAGES[stage].subject,
+                balance: aging.total,
+                payBy: window.projectManager.formatDate(this.addDays(today, COLLECTION_PAYMENT_DAYS)),
+                openInvoices: aging.openInvoices,
+                lienStatement: this.policy.lienStatement
+            });
+
+            // Record the stage before handing out the letter, so a letter is never sent that the account doesn't show
+            const collectionHistory = [...(household.collectionHistory || []), entry];
+            const saved = await window.householdManager.updateHousehold(householdId, { collectionHistory: collectionHistory });
+            if (!saved) {
+                alert('The collection letter could not be recorded on this account, so it was not downloaded. Please try again.');
+                return;
+            }
+            household.collectionHistory = collectionHistory;
+            letter.doc.save(letter.filename);
+
+            if (window.duesAgingReport) window.duesAgingReport.renderReport();
+            window.duesManager.refreshAccount(householdId);
+        } catch (error) {
+            console.error('Error issuing collection letter:', error);
+            alert('Error issuing collection letter: ' + error.message);
+        }
+    }
+
+    setupLateFeeConfig() {
+        const configureBtn = document.getElementById('configureLateFeesBtn');
+        const lateFeeConfigSection = document.getElementById('lateFeeConfigSection');
+        const saveBtn = document.getElementById('saveLateFeeConfigBtn');
+
+        if (configureBtn && lateFeeConfigSection) {
+            configureBtn.addEventListener('click', () => {
+                const isVisible = lateFeeConfigSection.style.display !== 'none';
+                lateFeeConfigSection.style.display = isVisible ? 'none' : 'block';
+
+                if (!isVisible) {
+                    // Load current values into inputs
+                    const setValue = (id, value) => {
+                        const input = document.getElementById(id);
+                        if (input) input.value = value;
+                    };
+                    setValue('lateFeeGraceDays', this.policy.graceDays);
+                    setValue('lateFeeType', this.policy.feeType);
+                    setValue('lateFeeAmount', this.policy.feeAmount || '');
+                    setValue('lateFeeRepeatDays', this.policy.repeatDays || '');
+                    // A policy without a start date defaults to today so nothing is backdated
+                    const effectiveDate = this.policy.effectiveDate
+                        ? window.projectManager.parseDate(this.policy.effectiveDate)
+                        : this.today();
+                    setValue('lateFeeEffectiveDate', `${effectiveDate.getFullYear()}-${String(effectiveDate.getMonth() + 1).padStart(2, '0')}-${String(effectiveDate.getDate()).padStart(2, '0')}`);
+                    setValue('collectionReminderDays', this.policy.reminderDays);
+                    setValue('collectionDemandDays', this.policy.demandDays);
+                    setValue('collectionLienDays', this.policy.lienDays);
+                    setValue('collectionLienStatement', this.policy.lienStatement || '');
+                }
+            });
+        }
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                await this.savePolicy();
+            });
+        }
+    }
+}
+
+// Initialize dues collection manager
+window.duesCollectionManager = new DuesCollectionManager();
@@ -0,0 +1,364 @@
+// Dues Manager - Annual dues invoices, payments and balances for each household
+
+const DUES_PAYMENT_METHODS = {
+    check: { label: 'Check', referenceLabel: 'Check #' },
+    ach: { label: 'ACH', referenceLabel: 'Transaction ID' },
+    cash: { label: 'Cash', referenceLabel: 'Receipt #' },
+    // Account credits (overcharge corrections, board-approved adjustments) reduce the balance like a payment
+    credit: { label: 'Credit', referenceLabel: 'reason for the credit' }
+};
+
+const DUES_ACCOUNT_STATUSES = {
+    paid: { label: 'Paid', color: '#2c5530', background: '#e8f5e9' },
+    partial: { label: 'Partial', color: '#856404', background: '#fff3cd' },
+    unpaid: { label: 'Unpaid', color: '#d32f2f', background: '#ffebee' }
+};
+
+class DuesManager {
+    constructor() {
+        this.setupInvoiceGeneration();
+    }
+
+    getHousehold(householdId) {
+        return window.householdManager ? window.householdManager.households.find(h => h.id === householdId) : null;
+    }
+
+    isLotOnly(household) {
+        const status = (household.status || 'built').toLowerCase().trim();
+        return status === 'lotonly' || status === 'lot only';
+    }
+
+    // Annual rate from householdConfig/dues for the household's built or lot-only status
+    getAnnualRate(household) {
+        const duesConfig = window.householdManager.duesConfig;
+        return this.isLotOnly(household) ? (duesConfig.lotOnlyDues || 0) : (duesConfig.builtDues || 0);
+    }
+
+    formatCurrency(amount) {
+        return '$' + (amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    getInvoices(household) {
+        return household.duesInvoices || [];
+    }
+
+    getPayments(household) {
+        return household.duesPayments || [];
+    }
+
+    // Apply payments to invoices oldest due date first. Returns each invoice with the amount
+    // paid against it and what is still open, plus any overpayment left as a credit.
+    allocatePayments(household) {
+        const parseDate = (date) => window.projectManager.parseDate(date);
+        const invoices = this.getInvoices(household)
+            .map(invoice => ({ ...invoice, paid: 0, open: invoice.amount || 0 }))
+            .sort((a, b) => parseDate(a.dueDate || a.issuedDate) - parseDate(b.dueDate || b.issuedDate));
+
+        let available = this.getPayments(household).reduce((sum, payment) => sum + (payment.amount || 0), 0);
+        invoices.forEach(invoice => {
+            const applied = Math.min(available, invoice.open);
+            invoice.paid = applied;
+            invoice.open = invoice.open - applied;
+            available -= applied;
+        });
+
+        return { invoices: invoices, credit: available };
+    }
+
+    getTotals(household) {
+        const invoiced = this.getInvoices(household).reduce((sum, invoice) => sum + (invoice.amount || 0), 0);
+        const paid = this.getPayments(household).reduce((sum, payment) => sum + (payment.amount || 0), 0);
+        return { invoiced: invoiced, paid: paid, balance: invoiced - paid };
+    }
+
+    // paid, partial or unpaid; null for a household that has never been invoiced
+    getStatus(household) {
+        if (this.getInvoices(household).length === 0) return null;
+
+        const openInvoices = this.allocatePayments(household).invoices.filter(invoice => invoice.open > 0.005);
+        if (openInvoices.length === 0) return 'paid';
+        return openInvoices.some(invoice => invoice.paid > 0) ? 'partial' : 'unpaid';
+    }
+
+    renderStatusBadge(household) {
+        const status = this.getStatus(household);
+        if (!status) {
+            return '<span style="color: var(--text-light); font-size: 0.85rem;">—</span>';
+        }
+
+        const statusInfo = DUES_ACCOUNT_STATUSES[status];
+        const balance = this.getTotals(household).balance;
+        return `
+            <span style="background: ${statusInfo.background}; color: ${statusInfo.color}; padding: 3px 8px; border-radius: 4px; font-size: 0.75rem; font-weight: 600; white-space: nowrap;">${statusInfo.label}</span>
+            ${balance > 0.005 ? `<div style="font-size: 0.8rem; color: var(--text-light); margin-top: 2px;">${this.formatCurrency(balance)} due</div>` : ''}
+        `;
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderAccount(household, isAdmin) {
+        const totals = this.getTotals(household);
+        const { invoices, credit } = this.allocatePayments(household);
+        const payments = this.getPayments(household);
+        const status = this.getStatus(household);
+        const inputStyle = 'padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+
+        const invoicesHtml = invoices.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead>
+                    <tr style="background: #f8f9fa; text-align: left;">
+                        <th style="padding: 6px 8px;">Invoice</th>
+                        <th style="padding: 6px 8px;">Issued</th>
+                        <th style="padding: 6px 8px;">Due</th>
+                        <th style="padding: 6px 8px; text-align: right;">Amount</th>
+                        <th style="padding: 6px 8px; text-align: right;">Paid</th>
+                        <th style="padding: 6px 8px; text-align: right;">Open</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${invoices.map(invoice => `
+                        <tr style="border-bottom: 1px solid #f0f0f0;">
+                            <td style="padding: 6px 8px;">${this.escapeHtml(invoice.description)}</td>
+                            <td style="padding: 6px 8px; white-space: nowrap;">${this.escapeHtml(invoice.issuedDate)}</td>
+                            <td style="padding: 6px 8px; white-space: nowrap;">${this.escapeHtml(invoice.dueDate)}</td>
+                            <td style="padding: 6px 8px; text-align: right;">${this.formatCurrency(invoice.amount)}</td>
+                            <td style="padding: 6px 8px; text-align: right;">${this.formatCurrency(invoice.paid)}</td>
+                            <td style="padding: 6px 8px; text-align: right; font-weight: 600; ${invoice.open > 0.005 ? 'color: #d32f2f;' : ''}">${this.formatCurrency(invoice.open)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div style="text-align: center; color: var(--text-light); margin-top: 15px;">No dues invoices have been issued to this household.</div>';
+
+        const paymentsHtml = payments.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-top: 12px;">
+                <thead>
+                    <tr style="background: #f8f9fa; text-align: left;">
+                        <th style="padding: 6px 8px;">Payment Date</th>
+                        <th style="padding: 6px 8px;">Method</th>
+                        <th style="padding: 6px 8px;">Reference</th>
+                        <th style="padding: 6px 8px; text-align: right;">Amount</th>
+                        <th style="padding: 6px 8px;">Recorded By</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${payments.map(payment => `
+                        <tr style="border-bottom: 1px solid #f0f0f0;">
+                            <td style="padding: 6px 8px; white-space: nowrap;">${this.escapeHtml(payment.date)}</td>
+                            <td style="padding: 6px 8px;">${this.escapeHtml((DUES_PAYMENT_METHODS[payment.method] || {}).label || payment.method)}</td>
+                            <td style="padding: 6px 8px;">${this.escapeHtml(payment.reference)}</td>
+                            <td style="padding: 6px 8px; text-align: right;">${this.formatCurrency(payment.amount)}</td>
+                            <td style="padding: 6px 8px; color: #999;">${this.escapeHtml(payment.recordedBy)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        const formHtml = isAdmin ? `
+            <div style="margin-top: 12px; display: grid; grid-template-columns: repeat(auto-fit, minmax(130px, 1fr)); gap: 10px; align-items: end;">
+                <input type="number" id="duesPaymentAmount-${household.id}" min="0" step="0.01" placeholder="Amount" value="${totals.balance > 0.005 ? totals.balance.toFixed(2) : ''}" style="${inputStyle}">
+                <input type="date" id="duesPaymentDate-${household.id}" title="Payment date" style="${inputStyle}">
+                <select id="duesPaymentMethod-${household.id}" style="${inputStyle}">
+                    ${Object.keys(DUES_PAYMENT_METHODS).map(key => `<option value="${key}">${DUES_PAYMENT_METHODS[key].label}</option>`).join('')}
+                </select>
+                <input type="text" id="duesPaymentReference-${household.id}" placeholder="Check # / transaction ID / credit reason" style="${inputStyle}">
+                <button type="button" class="btn-small btn-primary" onclick="window.duesManager.recordPayment('${household.id}')">Record Payment</button>
+            </div>
+        ` : '';
+
+        return `
+            <div style="display: flex; gap: 20px; flex-wrap: wrap; margin-bottom: 12px; font-size: 0.9rem;">
+                <div><span style="color: var(--text-light);">Invoiced:</span> <strong>${this.formatCurrency(totals.invoiced)}</strong></div>
+                <div><span style="color: var(--text-light);">Paid:</span> <strong>${this.formatCurrency(totals.paid)}</strong></div>
+                <div><span style="color: var(--text-light);">Balance:</span> <strong style="${totals.balance > 0.005 ? 'color: #d32f2f;' : ''}">${this.formatCurrency(Math.max(totals.balance, 0))}</strong></div>
+                ${credit > 0.005 ? `<div><span style="color: var(--text-light);">Credit:</span> <strong style="color: #2c5530;">${this.formatCurrency(credit)}</strong></div>` : ''}
+                ${status ? `<span style="background: ${DUES_ACCOUNT_STATUSES[status].background}; color: ${DUES_ACCOUNT_STATUSES[status].color}; padding: 3px 8px; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">${DUES_ACCOUNT_STATUSES[status].label}</span>` : ''}
+            </div>
+            ${window.duesCollectionManager ? window.duesCollectionManager.renderCollectionStatus(household) : ''}
+            ${invoicesHtml}
+            ${paymentsHtml}
+            ${formHtml}
+        `;
+    }
+
+    refreshAccount(householdId) {
+        const accountContainer = document.getElementById('householdDuesAccount');
+        const household = this.getHousehold(householdId);
+        if (accountContainer && household) {
+            accountContainer.innerHTML = this.renderAccount(household, window.userManager && window.userManager.isAdmin());
+        }
+    }
+
+    // Save to the household and apply locally so the open modal shows the change right away
+    async saveAccount(householdId, updates) {
+        await window.householdManager.updateHousehold(householdId, updates);
+        const household = this.getHousehold(householdId);
+        if (household) Object.assign(household, updates);
+        this.refreshAccount(householdId);
+        window.householdManager.renderHouseholds();
+    }
+
+    async recordPayment(householdId) {
+        if (!window.householdManager.requireAuth()) return;
+
+        const household = this.getHousehold(householdId);
+        if (!household) {
+            alert('Household not found');
+            return;
+        }
+
+        const amount = parseFloat(document.getElementById(`duesPaymentAmount-${householdId}`)?.value);
+        const dateValue = document.getElementById(`duesPaymentDate-${householdId}`)?.value;
+        const method = document.getElementById(`duesPaymentMethod-${householdId}`)?.value;
+        const reference = document.getElementById(`duesPaymentReference-${householdId}`)?.value.trim() || '';
+
+        if (isNaN(amount) || amount <= 0) {
+            alert('Please enter a payment amount greater than zero.');
+            return;
+        }
+        if (!DUES_PAYMENT_METHODS[method]) {
+            alert('Please select the payment method.');
+            return;
+        }
+        if (method !== 'cash' && !reference) {
+            alert(`Please enter the ${DUES_PAYMENT_METHODS[method].referenceLabel}.`);
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const payment = {
+            id: Date.now().toString(),
+            date: dateValue ? window.projectManager.formatDateFromInput(dateValue) : window.projectManager.formatDate(new Date()),
+            amount: amount,
+            method: method,
+            reference: reference,
+            recordedBy: user ? user.email : 'unknown',
+            recordedAt: new Date().toISOString()
+        };
+
+        try {
+            await this.saveAccount(householdId, { duesPayments: [...this.getPayments(household), payment] });
+        } catch (error) {
+            console.error('Error recording dues payment:', error);
+            alert('Error recording payment: ' + error.message);
+        }
+    }
+
+    // Issue one annual dues invoice per household for the year; households already invoiced
+    // for that year, and those whose rate is zero, are skipped
+    async generateInvoices() {
+        if (!window.householdManager.requireAuth()) return;
+
+        const year = parseInt(document.getElementById('duesInvoiceYear')?.value, 10);
+        const dueDateValue = document.getElementById('duesInvoiceDueDate')?.value;
+        if (!year || year < 2000) {
+            alert('Please enter the dues year.');
+            return;
+        }
+        if (!dueDateValue) {
+            alert('Please enter the date the dues are due.');
+            return;
+        }
+
+        const invoiceId = `dues-${year}`;
+        const toInvoice = window.householdManager.households.filter(household =>
+            !this.getInvoices(household).some(invoice => invoice.id === invoiceId) && this.getAnnualRate(household) > 0
+        );
+        const alreadyInvoiced = window.householdManager.households.filter(household =>
+            this.getInvoices(household).some(invoice => invoice.id === invoiceId)
+        ).length;
+
+        if (toInvoice.length === 0) {
+            alert(alreadyInvoiced > 0
+                ? `Every household has already been invoiced for ${year}.`
+                : 'No households to invoice. Check that the annual dues amounts are configured.');
+            return;
+        }
+
+        const total = toInvoice.reduce((sum, household) => sum + this.getAnnualRate(household), 0);
+        if (!confirm(`Issue ${year} dues invoices to ${toInvoice.length} households for a total of ${this.formatCurrency(total)}?`)) {
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const issuedDate = window.projectManager.formatDate(new Date());
+        const dueDate = window.projectManager.formatDateFromInput(dueDateValue);
+        let issued = 0;
+        const problems = [];
+
+        for (const household of toInvoice) {
+            const invoice = {
+                id: invoiceId,
+                type: 'dues',
+                year: year,
+                description: `${year} Annual Dues (${this.isLotOnly(household) ? 'Lot Only' : 'Built Lot'})`,
+                amount: this.getAnnualRate(household),
+                issuedDate: issuedDate,
+                dueDate: dueDate,
+                issuedBy: user ? user.email : 'unknown'
+            };
+            try {
+                const saved = await window.householdManager.updateHousehold(household.id, {
+                    duesInvoices: [...this.getInvoices(household), invoice]
+                });
+                if (saved) {
+                    issued++;
+                } else {
+                    problems.push(household.address);
+                }
+            } catch (error) {
+                console.error(`Error invoicing household ${household.address}:`, error);
+                problems.push(household.address);
+            }
+        }
+
+        let message = `Dues invoices issued: ${issued}`;
+        if (alreadyInvoiced > 0) {
+            message += `\nAlready invoiced for ${year}: ${alreadyInvoiced}`;
+        }
+        if (problems.length > 0) {
+            message += `\nCould not be saved (${problems.length}): ${problems.slice(0, 10).join(', ')}${problems.length > 10 ? ', ...' : ''}`;
+        }
+        alert(message);
+
+        const duesInvoiceSection = document.getElementById('duesInvoiceSection');
+        if (duesInvoiceSection) duesInvoiceSection.style.display = 'none';
+
+        await window.householdManager.loadHouseholds();
+    }
+
+    setupInvoiceGeneration() {
+        const invoicesBtn = document.getElementById('duesInvoicesBtn');
+        const duesInvoiceSection = document.getElementById('duesInvoiceSection');
+        const generateBtn = document.getElementById('generateDuesInvoicesBtn');
+
+        if (invoicesBtn && duesInvoiceSection) {
+            invoicesBtn.addEventListener('click', () => {
+                const isVisible = duesInvoiceSection.style.display !== 'none';
+                duesInvoiceSection.style.display = isVisible ? 'none' : 'block';
+
+                if (!isVisible) {
+                    const yearInput = document.getElementById('duesInvoiceYear');
+                    if (yearInput && !yearInput.value) yearInput.value = new Date().getFullYear();
+                }
+            });
+        }
+
+        if (generateBtn) {
+            generateBtn.addEventListener('click', async () => {
+                await this.generateInvoices();
+            });
+        }
+    }
+}
+
+// Initialize dues manager
+window.duesManager = new DuesManager();
@@ -0,0 +1,213 @@
+// File Version Manager - Revision history, removal archive and restore for project attachments
+
+const FILE_VERSION_TYPES = {
+    siteConditions: { label: 'Site Conditions', listField: 'siteConditionsFiles' },
+    submittedPlans: { label: 'Submitted Plans', listField: 'submittedPlansFiles' }
+};
+
+class FileVersionManager {
+    // Hex SHA-256 of the file contents, used to spot re-uploads of an unchanged file
+    async hashData(data) {
+        if (!window.crypto || !window.crypto.subtle) return '';
+        const digest = await window.crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    getUploader() {
+        const user = window.authHandler ? window.authHandler.getCurrentUser() : null;
+        return user ? user.email : 'unknown';
+    }
+
+    // Stored shape of an attachment: everything but the raw data
+    toRecord(file) {
+        if (typeof file === 'string') {
+            return { name: file, type: '', storageUrl: null };
+        }
+        const { data, ...record } = file;
+        return {
+            ...record,
+            name: file.name || '',
+            type: file.type || '',
+            storageUrl: file.storageUrl || null
+        };
+    }
+
+    // Record for a freshly uploaded file. A file uploaded under the name of an existing
+    // attachment becomes its next revision, with the earlier revisions kept in versions.
+    createRecord({ name, type, storageUrl, size, hash }, previous = null) {
+        const record = {
+            name: name,
+            type: type || '',
+            storageUrl: storageUrl,
+            size: size || 0,
+            hash: hash || '',
+            uploadedAt: new Date().toISOString(),
+            uploadedBy: this.getUploader(),
+            revision: 1,
+            versions: []
+        };
+        if (previous) {
+            const { versions, ...previousVersion } = this.toRecord(previous);
+            // Numbered after the newest revision, which may be in the history if an older one was restored
+            record.revision = Math.max(previous.revision || 1, ...(versions || []).map(version => version.revision || 1)) + 1;
+            record.versions = [...(versions || []), { ...previousVersion, revision: previous.revision || 1 }];
+        }
+        return record;
+    }
+
+    // Archive entry for a file removed from a project, so it can be restored later
+    toArchiveEntry(file, fileType) {
+        return {
+            ...this.toRecord(file),
+            fileType: fileType,
+            removedAt: new Date().toISOString(),
+            removedBy: this.getUploader()
+        };
+    }
+
+    // File names and uploaders come from homeowners' uploads
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    formatSize(bytes) {
+        if (!bytes) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    formatTimestamp(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '' : window.projectManager.formatDate(date);
+    }
+
+    // "Rev 2 · 1.4 MB · jane@example.com · 03/02/2026" for a file badge
+    describe(file) {
+        const parts = [];
+        if (file.revision) parts.push(`Rev ${file.revision}`);
+        if (file.size) parts.push(this.formatSize(file.size));
+        if (file.uploadedBy) parts.push(file.uploadedBy);
+        if (file.uploadedAt) parts.push(this.formatTimestamp(file.uploadedAt));
+        return parts.join(' · ');
+    }
+
+    renderFileLink(file) {
+        return file.storageUrl
+            ? `<a href="${this.escapeHtml(file.storageUrl)}" target="_blank" rel="noopener" style="color: #2c5530;">${this.escapeHtml(file.name)}</a>`
+            : `<span>${this.escapeHtml(file.name)}</span>`;
+    }
+
+    // Earlier revisions of one attachment, newest first
+    renderVersionHistory(project, fileType, index, isAdmin) {
+        const file = (project[FILE_VERSION_TYPES[fileType].listField] || [])[index];
+        const versions = file && file.versions ? file.versions : [];
+        if (versions.length === 0) return '';
+
+        const rowsHtml = versions.map((version, versionIndex) => ({ version, versionIndex })).reverse().map(({ version, versionIndex }) => `
+            <div style="display: flex; align-items: center; gap: 8px; padding: 3px 0;">
+                <span>Rev ${version.revision || versionIndex + 1}</span>
+                ${this.renderFileLink(version)}
+                <span style="color: #999;">${this.escapeHtml([this.formatSize(version.size), version.uploadedBy, this.formatTimestamp(version.uploadedAt)].filter(Boolean).join(' · '))}</span>
+                ${isAdmin ? `<button type="button" class="btn-small btn-secondary" onclick="window.fileVersionManager.restoreVersion('${project.id}', '${fileType}', ${index}, ${versionIndex})">Restore</button>` : ''}
+            </div>
+        `).join('');
+
+        return `
+            <details style="flex-basis: 100%; font-size: 0.8rem; color: #666; margin: -2px 0 4px 12px;">
+                <summary style="cursor: pointer;">${this.escapeHtml(file.name)} — ${versions.length} earlier version${versions.length > 1 ? 's' : ''}</summary>
+                ${rowsHtml}
+            </details>
+        `;
+    }
+
+    // Files removed from one attachment list
+    renderArchivedFiles(project, fileType, isAdmin) {
+        const archived = (project.archivedFiles || [])
+            .map((file, archiveIndex) => ({ file, archiveIndex }))
+            .filter(({ file }) => file.fileType === fileType);
+        if (archived.length === 0) return '';
+
+        return `
+            <details style="margin-top: 8px; font-size: 0.8rem; color: #666;">
+                <summary style="cursor: pointer;">${archived.length} removed file${archived.length > 1 ? 's' : ''}</summary>
+                ${archived.reverse().map(({ file, archiveIndex }) => `
+                    <div style="display: flex; align-items: center; gap: 8px; padding: 3px 0;">
+                        ${this.renderFileLink(file)}
+                        <span style="color: #999;">${file.revision ? `Rev ${file.revision} · ` : ''}removed ${this.formatTimestamp(file.removedAt)}${file.removedBy ? ` by ${this.escapeHtml(file.removedBy)}` : ''}</span>
+                        ${isAdmin ? `<button type="button" class="btn-small btn-secondary" onclick="window.fileVersionManager.restoreArchived('${project.id}', ${archiveIndex})">Restore</button>` : ''}
+                    </div>
+                `).join('')}
+            </details>
+        `;
+    }
+
+    // Make an earlier revision current again; the replaced revision moves into the history
+    async restoreVersion(projectId, fileType, index, versionIndex) {
+        if (!window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        const listField = FILE_VERSION_TYPES[fileType].listField;
+        const files = [...(project ? project[listField] || [] : [])];
+        const current = files[index];
+        const version = current && current.versions ? current.versions[versionIndex] : null;
+        if (!version) {
+            alert('Version not found.');
+            return;
+        }
+        if (!confirm(`Restore revision ${version.revision || versionIndex + 1} of ${current.name}? The current revision will stay in the version history.`)) {
+            return;
+        }
+
+        const { versions, ...currentVersion } = current;
+        const remaining = versions.filter((entry, i) => i !== versionIndex);
+        files[index] = {
+            ...version,
+            versions: [...remaining, currentVersion].sort((a, b) => (a.revision || 0) - (b.revision || 0))
+        };
+
+        try {
+            await window.projectManager.updateProject(projectId, { [listField]: files });
+        } catch (error) {
+            console.error('Error restoring file version:', error);
+            alert('Error restoring file version: ' + error.message);
+        }
+    }
+
+    // Return a removed file to its attachment list
+    async restoreArchived(projectId, archiveIndex) {
+        if (!window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        const entry = project && project.archivedFiles ? project.archivedFiles[archiveIndex] : null;
+        if (!entry || !FILE_VERSION_TYPES[entry.fileType]) {
+            alert('Removed file not found.');
+            return;
+        }
+        if (!confirm(`Restore ${entry.name} to ${FILE_VERSION_TYPES[entry.fileType].label}?`)) {
+            return;
+        }
+
+        const { fileType, removedAt, removedBy, ...file } = entry;
+        const listField = FILE_VERSION_TYPES[fileType].listField;
+
+        try {
+            await window.projectManager.updateProject(projectId, {
+                [listField]: [...(project[listField] || []), file],
+                archivedFiles: project.archivedFiles.filter((archived, i) => i !== archiveIndex)
+            });
+        } catch (error) {
+            console.error('Error restoring file:', error);
+            alert('Error restoring file: ' + error.message);
+        }
+    }
+}
+
+// Initialize file version manager
+window.fileVersionManager = new FileVersionManager();
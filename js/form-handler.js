@@ -254,12 +254,12 @@ class FormHandler {
         // Get review comments - use default or custom
         const reviewComments = (this.reviewCommentsTypeSelect && this.reviewCommentsTypeSelect.value === 'other')
             ? (this.reviewCommentsInput ? this.reviewCommentsInput.value.trim() : '')
-            : 'The plan was reviewed for Sanctuary Setback Requirements.';
+            : window.letterTemplateManager.getDefaultReviewComments();
 
         // Get approval reason - use default or custom
         const approvalReason = (this.approvalReasonTypeSelect && this.approvalReasonTypeSelect.value === 'other')
             ? (this.approvalReasonInput ? this.approvalReasonInput.value.trim() : '')
-            : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
+            : window.letterTemplateManager.getDefaultReason('approval');
 
         // Get approved on date, or use today's date if not provided
         const approvedOnInput = document.getElementById('approvedOn');
@@ -322,7 +322,14 @@ class FormHandler {
         
         // Trigger PDF generation with separate file lists
         if (window.pdfGenerator && typeof window.pdfGenerator.generatePDF === 'function') {
-            window.pdfGenerator.generatePDF(formData, siteConditionsFiles, projectFiles);
+            window.pdfGenerator.generatePDF(formData, siteConditionsFiles, projectFiles).then(result => {
+                if (!result) return;
+                // Reset form after successful generation
+                setTimeout(() => {
+                    this.resetForm();
+                    if (window.fileHandler) window.fileHandler.clearFiles();
+                }, 2000);
+            });
         } else {
             console.error('PDF Generator not properly initialized');
             alert('Error: PDF Generator not ready. Please refresh the page and try again.');
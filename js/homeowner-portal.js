@@ -0,0 +1,376 @@
+// Homeowner Portal - Lets household members submit architectural review requests for their own lot
+
+class HomeownerPortal {
+    constructor() {
+        this.db = null;
+        this.memberHouseholds = [];
+        this.init();
+    }
+
+    init() {
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+    }
+
+    getCurrentEmail() {
+        const user = window.authHandler && window.authHandler.getCurrentUser();
+        return user ? user.email : null;
+    }
+
+    async loadMemberHouseholds() {
+        const email = this.getCurrentEmail();
+        this.memberHouseholds = [];
+        if (!email || !this.db) return this.memberHouseholds;
+
+        // Prefer the households already loaded by HouseholdManager, fall back to Firestore
+        let households = window.householdManager ? window.householdManager.households : [];
+        if (!households || households.length === 0) {
+            try {
+                const snapshot = await this.db.collection('households').get();
+                households = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            } catch (error) {
+                console.error('Error loading households for portal:', error);
+                households = [];
+            }
+        }
+
+        this.memberHouseholds = households.filter(household =>
+            (household.members || []).some(member => member.email === email)
+        );
+        return this.memberHouseholds;
+    }
+
+    async updatePortalButton() {
+        const portalBtn = document.getElementById('homeownerPortalBtn');
+        if (!portalBtn) return;
+
+        if (!this.getCurrentEmail()) {
+            portalBtn.style.display = 'none';
+            return;
+        }
+
+        const households = await this.loadMemberHouseholds();
+        portalBtn.style.display = households.length > 0 ? 'block' : 'none';
+    }
+
+    getMemberName(household, email) {
+        const member = (household.members || []).find(m => m.email === email);
+        return member && member.name ? member.name : '';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    renderSubmissions(households) {
+        const householdIds = households.map(h => h.id);
+        const projects = window.projectManager ? window.projectManager.projects.filter(p => householdIds.includes(p.householdId)) : [];
+
+        if (projects.length === 0) {
+            return '<p style="color: var(--text-light); font-size: 0.9rem; margin: 0;">No requests submitted yet.</p>';
+        }
+
+        return projects.map(project => {
+            const statusText = project.status === 'open' ? 'Approved' : project.status === 'under_review' ? 'Under Review' : project.status === 'denied' ? 'Denied' : 'Closed';
+            return `
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 10px 12px; border: 1px solid #ddd; border-radius: 6px;">
+                    <div>
+                        <div style="font-weight: 600; color: #333;">${this.escapeHtml(project.projectType)}</div>
+                        <div style="color: #666; font-size: 0.85rem;">${this.escapeHtml(project.address)} · Submitted ${project.dateSubmitted || 'N/A'}</div>
+                    </div>
+                    <span class="project-status-badge ${project.status}" style="padding: 3px 8px; border-radius: 10px; font-size: 0.75rem; font-weight: 600;">${statusText}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async show() {
+        const email = this.getCurrentEmail();
+        if (!email) {
+            alert('Please sign in to submit an architectural request.');
+            if (window.authHandler) {
+                window.authHandler.showLogin();
+            }
+            return;
+        }
+
+        const households = await this.loadMemberHouseholds();
+        if (households.length === 0) {
+            alert('Your account is not listed as a member of any household. Please contact the committee to be added to your household.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'homeownerPortalModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+
+        const householdOptions = households.map(h =>
+            `<option value="${h.id}">${this.escapeHtml(h.address)} (Lot ${this.escapeHtml(h.lotNumber)})</option>`
+        ).join('');
+
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 700px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Submit Architectural Request</h2>
+                    <button id="closeHomeownerPortal" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 30px; overflow-y: auto; flex: 1;">
+                    <form id="homeownerPortalForm">
+                        <div class="form-group">
+                            <label for="portalHousehold">Property <span class="required">*</span></label>
+                            <select id="portalHousehold" required>${householdOptions}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="portalHomeownerName">Homeowner Name <span class="required">*</span></label>
+                            <input type="text" id="portalHomeownerName" required value="${this.escapeHtml(this.getMemberName(households[0], email))}">
+                            <span class="error-message" id="portalHomeownerName-error"></span>
+                        </div>
+                        <div class="form-group">
+                            <label for="portalProjectType">Project Type <span class="required">*</span></label>
+                            <select id="portalProjectType" required>
+                                <option value="">Select a project type...</option>
+                                <option value="New Home">New Home</option>
+                                <option value="Renovation/Extension">Renovation/Extension</option>
+                                <option value="Accessory Structure">Accessory Structure</option>
+                                <option value="Pool">Pool</option>
+                                <option value="Other">Other</option>
+                            </select>
+                            <span class="error-message" id="portalProjectType-error"></span>
+                        </div>
+                        <div class="form-group" id="portalOtherProjectTypeGroup" style="display: none;">
+                            <label for="portalOtherProjectType">Specify Project Type <span class="required">*</span></label>
+                            <input type="text" id="portalOtherProjectType" placeholder="e.g., Fence, Driveway">
+                            <span class="error-message" id="portalOtherProjectType-error"></span>
+                        </div>
+                        <div class="form-group">
+                            <label for="portalContractorName">Contractor Name</label>
+                            <input type="text" id="portalContractorName" placeholder="Builder or contractor (if known)">
+                        </div>
+                        <div class="form-group">
+                            <label for="portalDescription">Project Description <span class="required">*</span></label>
+                            <textarea id="portalDescription" rows="4" placeholder="Describe the proposed work"></textarea>
+                            <span class="error-message" id="portalDescription-error"></span>
+                        </div>
+                        <div class="form-group">
+                            <label for="portalSiteConditions">Current Site Conditions (photos or PDF)</label>
+                            <input type="file" id="portalSiteConditions" multiple accept=".pdf,.jpg,.jpeg,.png">
+                        </div>
+                        <div class="form-group">
+                            <label for="portalSubmittedPlans">Plans for Review <span class="required">*</span></label>
+                            <input type="file" id="portalSubmittedPlans" multiple accept=".pdf,.jpg,.jpeg,.png,.doc,.docx">
+                            <span class="error-message" id="portalSubmittedPlans-error"></span>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn-primary" id="portalSubmitBtn">Submit for Review</button>
+                        </div>
+                    </form>
+                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid var(--border-color);">
+                        <h3 style="color: var(--primary-color); margin-bottom: 15px; font-size: 1.2rem;">Your Requests</h3>
+                        <div style="display: flex; flex-direction: column; gap: 10px;">
+                            ${this.renderSubmissions(households)}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.setupFormHandlers(modal);
+    }
+
+    setupFormHandlers(modal) {
+        const closeBtn = document.getElementById('closeHomeownerPortal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+                document.removeEventListener('keydown', handleEscape);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        const householdSelect = document.getElementById('portalHousehold');
+        const nameInput = document.getElementById('portalHomeownerName');
+        if (householdSelect && nameInput) {
+            householdSelect.addEventListener('change', () => {
+                const household = this.memberHouseholds.find(h => h.id === householdSelect.value);
+                if (household && !nameInput.value.trim()) {
+                    nameInput.value = this.getMemberName(household, this.getCurrentEmail());
+                }
+            });
+        }
+
+        const projectTypeSelect = document.getElementById('portalProjectType');
+        const otherGroup = document.getElementById('portalOtherProjectTypeGroup');
+        if (projectTypeSelect && otherGroup) {
+            projectTypeSelect.addEventListener('change', () => {
+                otherGroup.style.display = projectTypeSelect.value === 'Other' ? 'block' : 'none';
+            });
+        }
+
+        const form = document.getElementById('homeownerPortalForm');
+        if (form) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleSubmit();
+            });
+        }
+    }
+
+    showError(fieldId, message) {
+        const errorElement = document.getElementById(`${fieldId}-error`);
+        const field = document.getElementById(fieldId);
+        if (errorElement) errorElement.textContent = message;
+        if (field) field.classList.add('error');
+    }
+
+    clearErrors() {
+        const modal = document.getElementById('homeownerPortalModal');
+        if (!modal) return;
+        modal.querySelectorAll('.error-message').forEach(el => el.textContent = '');
+        modal.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+    }
+
+    async readFiles(fileList) {
+        const files = [];
+        for (const file of Array.from(fileList || [])) {
+            try {
+                const data = await window.projectManager.readFileAsArrayBuffer(file);
+                files.push({ name: file.name, type: file.type, data: data });
+            } catch (error) {
+                console.error(`Error reading file ${file.name}:`, error);
+            }
+        }
+        return files;
+    }
+
+    async handleSubmit() {
+        const email = this.getCurrentEmail();
+        if (!email) {
+            alert('Please sign in to submit an architectural request.');
+            return;
+        }
+
+        if (!window.projectManager || !window.projectManager.firestoreEnabled || !this.db) {
+            alert('Firestore not initialized. Cannot submit request.');
+            return;
+        }
+
+        this.clearErrors();
+
+        const householdId = document.getElementById('portalHousehold')?.value;
+        const homeownerName = document.getElementById('portalHomeownerName')?.value.trim();
+        const projectTypeSelect = document.getElementById('portalProjectType')?.value;
+        const otherProjectType = document.getElementById('portalOtherProjectType')?.value.trim();
+        const projectType = projectTypeSelect === 'Other' ? otherProjectType : projectTypeSelect;
+        const contractorName = document.getElementById('portalContractorName')?.value.trim();
+        const description = document.getElementById('portalDescription')?.value.trim();
+        const siteConditionsInput = document.getElementById('portalSiteConditions');
+        const submittedPlansInput = document.getElementById('portalSubmittedPlans');
+
+        // Only households the signed-in user belongs to may be submitted against
+        const household = this.memberHouseholds.find(h => h.id === householdId);
+        if (!household) {
+            alert('You can only submit requests for your own household.');
+            return;
+        }
+
+        if (!homeownerName) {
+            this.showError('portalHomeownerName', 'Homeowner name is required');
+            return;
+        }
+        if (!projectTypeSelect) {
+            this.showError('portalProjectType', 'Project type is required');
+            return;
+        }
+        if (projectTypeSelect === 'Other' && !otherProjectType) {
+            this.showError('portalOtherProjectType', 'Please specify the project type');
+            return;
+        }
+        if (!description) {
+            this.showError('portalDescription', 'Please describe the proposed work');
+            return;
+        }
+        if (!submittedPlansInput || submittedPlansInput.files.length === 0) {
+            this.showError('portalSubmittedPlans', 'Please attach the plans for review');
+            return;
+        }
+
+        const submitBtn = document.getElementById('portalSubmitBtn');
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Uploading...';
+        }
+
+        try {
+            const project = {
+                id: Date.now().toString(),
+                homeownerName: homeownerName,
+                address: household.address || '',
+                lot: household.lotNumber || '',
+                projectType: projectType,
+                contractorName: contractorName || '',
+                approvedBy: '',
+                dateApproved: '',
+                dateConstructionStarted: '',
+                status: 'under_review',
+                hasApprovalLetter: false,
+                householdId: household.id,
+                projectDescription: description,
+                submittedBy: email,
+                dateSubmitted: window.projectManager.formatDate(new Date()),
+                depositAmountRequired: window.depositManager ? window.depositManager.getRequiredDeposit(projectType) : null,
+                siteConditionsFiles: await this.readFiles(siteConditionsInput ? siteConditionsInput.files : []),
+                submittedPlansFiles: await this.readFiles(submittedPlansInput.files)
+            };
+
+            // Reuse the project converter so uploads land in the same Storage folders as admin-created projects
+            const firestoreData = await window.projectManager.convertProjectToFirestore(project);
+
+            // The converter keeps going when a single upload fails; a request without its plans is not reviewable
+            const failedUploads = [...firestoreData.siteConditionsFiles, ...firestoreData.submittedPlansFiles]
+                .filter(file => !file.storageUrl);
+            if (failedUploads.length > 0) {
+                throw new Error(`Could not upload ${failedUploads.map(file => file.name).join(', ')}. Please check your connection and submit again.`);
+            }
+
+            const docRef = await this.db.collection(window.projectManager.collectionName).add(firestoreData);
+            console.log('Homeowner request submitted:', docRef.id);
+
+            alert('Your request has been submitted to the Architectural Review Committee.');
+            this.hide();
+        } catch (error) {
+            console.error('Error submitting homeowner request:', error);
+            alert('Error submitting request: ' + (error.message || 'Unknown error'));
+            if (submitBtn) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Submit for Review';
+            }
+        }
+    }
+
+    hide() {
+        const modal = document.getElementById('homeownerPortalModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+    }
+}
+
+// Initialize homeowner portal
+window.homeownerPortal = new HomeownerPortal();
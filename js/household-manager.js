@@ -1,5 +1,14 @@
 // Household Manager - Handles household and member management
 
+// Lot attributes stored on each household document; the setback rules read them by lot number and
+// variance notices read adjacentLots (lot numbers that share a boundary or face the lot across the street)
+const LOT_ATTRIBUTE_FIELDS = ['phase', 'lotAreaSqFt', 'lotPosition', 'lotClass', 'specialSetbacks', 'lotNotes', 'adjacentLots'];
+
+const LOT_POSITIONS = {
+    interior: 'Interior',
+    corner: 'Corner'
+};
+
 class HouseholdManager {
     constructor() {
         this.households = [];
@@ -19,6 +28,7 @@ class HouseholdManager {
         this.setupTabNavigation();
         this.setupCSVUpload();
         this.setupHouseholdForm();
+        this.setupLotAttributesImport();
         this.setupSearchAndSort();
         this.setupDuesConfiguration();
         
@@ -228,6 +238,17 @@ class HouseholdManager {
         const cancelMemberBtn = document.getElementById('cancelMemberBtn');
         const closeAddMemberModal = document.getElementById('closeAddMemberModal');
         const addMemberModal = document.getElementById('addMemberModal');
+        const phaseSelect = document.getElementById('householdPhase');
+
+        // Phase options follow the setback standards
+        if (phaseSelect && typeof SETBACK_PHASE_ORDER !== 'undefined') {
+            SETBACK_PHASE_ORDER.forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = SETBACK_PHASES[key].label;
+                phaseSelect.appendChild(option);
+            });
+        }
 
         if (addHouseholdBtn) {
             addHouseholdBtn.addEventListener('click', () => {
@@ -235,6 +256,13 @@ class HouseholdManager {
             });
         }
 
+        const linkProjectsBtn = document.getElementById('linkProjectsBtn');
+        if (linkProjectsBtn) {
+            linkProjectsBtn.addEventListener('click', () => {
+                if (window.projectLinkManager) window.projectLinkManager.showResolver();
+            });
+        }
+
         if (saveHouseholdBtn) {
             saveHouseholdBtn.addEventListener('click', async () => {
                 await this.saveHousehold();
@@ -359,6 +387,10 @@ class HouseholdManager {
         const householdIdInput = document.getElementById('householdId');
         const membersSection = document.getElementById('householdMembersSection');
         const vehiclesSection = document.getElementById('householdVehiclesSection');
+        const projectsSection = document.getElementById('householdProjectsSection');
+        const projectsList = document.getElementById('householdProjectsList');
+        const duesSection = document.getElementById('householdDuesSection');
+        const duesAccount = document.getElementById('householdDuesAccount');
         const addMemberBtn = document.getElementById('addMemberBtn');
         const addVehicleBtn = document.getElementById('addVehicleBtn');
 
@@ -372,6 +404,22 @@ class HouseholdManager {
             if (lotInput) lotInput.value = household.lotNumber || '';
             if (statusInput) statusInput.value = household.status || 'built';
             if (householdIdInput) householdIdInput.value = householdId;
+            this.fillLotAttributeInputs(household);
+
+            // Every project filed for this lot
+            if (projectsList && window.projectLinkManager) {
+                projectsList.innerHTML = window.projectLinkManager.renderLotHistory(household);
+            }
+            if (projectsSection) projectsSection.style.display = 'block';
+
+            // Dues invoices, payments and balance
+            if (duesAccount && window.duesManager) {
+                duesAccount.innerHTML = window.duesManager.renderAccount(household, window.userManager && window.userManager.isAdmin());
+            }
+            if (duesSection) duesSection.style.display = 'block';
+            if (window.householdStatement) {
+                window.householdStatement.prepareControls(this.canEditHousehold(householdId));
+            }
 
             // Load and display members
             this.renderHouseholdMembers(householdId);
@@ -396,8 +444,11 @@ class HouseholdManager {
             if (form) form.reset();
             if (statusInput) statusInput.value = 'built';
             if (householdIdInput) householdIdInput.value = '';
+            this.fillLotAttributeInputs({});
             if (membersSection) membersSection.style.display = 'none';
             if (vehiclesSection) vehiclesSection.style.display = 'none';
+            if (projectsSection) projectsSection.style.display = 'none';
+            if (duesSection) duesSection.style.display = 'none';
             if (addMemberBtn) addMemberBtn.style.display = 'none';
             if (addVehicleBtn) addVehicleBtn.style.display = 'none';
         }
@@ -430,11 +481,16 @@ class HouseholdManager {
         }
 
         const status = statusInput ? statusInput.value : 'built';
+        const lotAttributes = this.readLotAttributeInputs();
+        if (lotAttributes.lotAreaSqFt !== null && lotAttributes.lotAreaSqFt <= 0) {
+            alert('Lot area must be a positive number of square feet.');
+            return;
+        }
 
         try {
             if (householdId) {
                 // Update existing
-                await this.updateHousehold(householdId, { address, lotNumber, status });
+                await this.updateHousehold(householdId, { address, lotNumber, status, ...lotAttributes });
             } else {
                 // Create new
                 // Check for duplicates
@@ -443,7 +499,7 @@ class HouseholdManager {
                     alert('A household with this address and lot number already exists.');
                     return;
                 }
-                await this.createHousehold(address, lotNumber, status);
+                await this.createHousehold(address, lotNumber, status, lotAttributes);
             }
 
             this.closeHouseholdModal();
@@ -454,6 +510,231 @@ class HouseholdManager {
         }
     }
 
+    readLotAttributeInputs() {
+        const lotArea = parseFloat(document.getElementById('householdLotArea')?.value);
+        return {
+            phase: document.getElementById('householdPhase')?.value || '',
+            lotAreaSqFt: isNaN(lotArea) ? null : lotArea,
+            lotPosition: document.getElementById('householdLotPosition')?.value || '',
+            lotClass: document.getElementById('householdLotClass')?.value || '',
+            specialSetbacks: document.getElementById('householdSpecialSetbacks')?.checked || false,
+            lotNotes: document.getElementById('householdLotNotes')?.value.trim() || '',
+            adjacentLots: this.parseLotList(document.getElementById('householdAdjacentLots')?.value)
+        };
+    }
+
+    // "41, 43; 58" -> ['41', '43', '58']
+    parseLotList(text) {
+        return String(text || '')
+            .split(/[\s,;]+/)
+            .map(lot => lot.replace(/^lot\s*#?\s*/i, '').trim())
+            .filter(Boolean);
+    }
+
+    fillLotAttributeInputs(household) {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        setValue('householdPhase', household.phase || '');
+        setValue('householdLotArea', household.lotAreaSqFt || '');
+        setValue('householdLotPosition', household.lotPosition || '');
+        setValue('householdLotClass', household.lotClass || '');
+        setValue('householdLotNotes', household.lotNotes || '');
+        setValue('householdAdjacentLots', (household.adjacentLots || []).join(', '));
+        const specialInput = document.getElementById('householdSpecialSetbacks');
+        if (specialInput) specialInput.checked = !!household.specialSetbacks;
+    }
+
+    normalizeLotNumber(lotNumber) {
+        return String(lotNumber || '').trim().replace(/^lot\s*#?\s*/i, '').toLowerCase();
+    }
+
+    // Households recorded on a lot number (a combined lot may have more than one)
+    getHouseholdsByLot(lotNumber) {
+        const lot = this.normalizeLotNumber(lotNumber);
+        if (!lot) return [];
+        return this.households.filter(h => this.normalizeLotNumber(h.lotNumber) === lot);
+    }
+
+    // Recorded lot attributes for a lot number, or null when no household has the lot
+    getLotAttributes(lotNumber) {
+        const households = this.getHouseholdsByLot(lotNumber);
+        if (households.length === 0) return null;
+
+        // Prefer a household that has attributes recorded
+        const household = households.find(h => LOT_ATTRIBUTE_FIELDS.some(field => Array.isArray(h[field]) ? h[field].length > 0 : h[field])) || households[0];
+        return {
+            householdId: household.id,
+            address: household.address,
+            lotNumber: household.lotNumber,
+            phase: household.phase || '',
+            lotAreaSqFt: household.lotAreaSqFt || null,
+            lotPosition: household.lotPosition || '',
+            lotClass: household.lotClass || '',
+            specialSetbacks: !!household.specialSetbacks,
+            lotNotes: household.lotNotes || '',
+            adjacentLots: household.adjacentLots || []
+        };
+    }
+
+    setupLotAttributesImport() {
+        const importBtn = document.getElementById('importLotAttributesBtn');
+        const fileInput = document.getElementById('lotAttributesCsvInput');
+        if (!importBtn || !fileInput) return;
+
+        importBtn.addEventListener('click', () => {
+            if (!this.requireAuth()) return;
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const rows = this.parseLotAttributesCSV(await file.text());
+                if (rows.length === 0) {
+                    alert('No lot attribute rows found in the CSV.');
+                    return;
+                }
+                if (!confirm(`Update lot attributes from ${rows.length} row${rows.length === 1 ? '' : 's'}? Columns left blank in the CSV are not changed.`)) {
+                    return;
+                }
+                await this.importLotAttributes(rows);
+            } catch (error) {
+                console.error('Error importing lot attributes:', error);
+                alert(`Error importing lot attributes: ${error.message}`);
+            }
+        });
+    }
+
+    // CSV columns: Lot Number (required), Phase, Lot Area, Position, Lot Class, Special, Notes, Adjacent Lots
+    parseLotAttributesCSV(csvText) {
+        const lines = csvText.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) return [];
+
+        const headers = this.parseCSVLine(lines[0]).map(h => h.toLowerCase());
+        const columnIndex = (...names) => headers.findIndex(h => names.some(name => h.includes(name)));
+        const columns = {
+            lotNumber: columnIndex('lot number', 'lot #', 'lot no'),
+            phase: columnIndex('phase'),
+            lotAreaSqFt: columnIndex('area', 'square', 'sf'),
+            lotPosition: columnIndex('position', 'corner'),
+            lotClass: columnIndex('class'),
+            specialSetbacks: columnIndex('special'),
+            lotNotes: columnIndex('note'),
+            adjacentLots: columnIndex('adjacent', 'neighbor')
+        };
+        if (columns.lotNumber === -1) {
+            columns.lotNumber = headers.findIndex(h => h === 'lot');
+        }
+        if (columns.lotNumber === -1) {
+            throw new Error('CSV must contain a Lot Number column');
+        }
+
+        const rows = [];
+        for (let i = 1; i < lines.length; i++) {
+            const values = this.parseCSVLine(lines[i]);
+            const value = (field) => columns[field] === -1 ? '' : (values[columns[field]] || '').trim();
+            const lotNumber = value('lotNumber');
+            if (!lotNumber) continue;
+
+            const attributes = {};
+            const rowErrors = [];
+
+            const phase = value('phase').replace(/^phase\s*/i, '').toUpperCase();
+            if (phase) {
+                if (typeof SETBACK_PHASES !== 'undefined' && !SETBACK_PHASES[phase]) rowErrors.push(`unknown phase "${phase}"`);
+                else attributes.phase = phase;
+            }
+
+            const area = value('lotAreaSqFt').replace(/[,\s]|sf$/gi, '');
+            if (area) {
+                const lotArea = parseFloat(area);
+                if (isNaN(lotArea) || lotArea <= 0) rowErrors.push(`invalid lot area "${value('lotAreaSqFt')}"`);
+                else attributes.lotAreaSqFt = lotArea;
+            }
+
+            const position = value('lotPosition').toLowerCase();
+            if (position) {
+                if (LOT_POSITIONS[position]) attributes.lotPosition = position;
+                else if (['yes', 'y', 'true', 'x'].includes(position)) attributes.lotPosition = 'corner';
+                else if (['no', 'n', 'false'].includes(position)) attributes.lotPosition = 'interior';
+                else rowErrors.push(`unknown position "${value('lotPosition')}"`);
+            }
+
+            const lotClass = value('lotClass').toLowerCase();
+            if (lotClass) {
+                if (['half_acre', 'half', '0.5', '.5'].includes(lotClass)) attributes.lotClass = 'half_acre';
+                else if (['one_acre', 'one', '1', '1.0'].includes(lotClass)) attributes.lotClass = 'one_acre';
+                else rowErrors.push(`unknown lot class "${value('lotClass')}"`);
+            }
+
+            const special = value('specialSetbacks').toLowerCase();
+            if (special) {
+                attributes.specialSetbacks = ['yes', 'y', 'true', '1', 'x'].includes(special);
+            }
+
+            const notes = value('lotNotes');
+            if (notes) attributes.lotNotes = notes;
+
+            const adjacentLots = this.parseLotList(value('adjacentLots'));
+            if (adjacentLots.length > 0) attributes.adjacentLots = adjacentLots;
+
+            rows.push({ line: i + 1, lotNumber: lotNumber, attributes: attributes, errors: rowErrors });
+        }
+
+        return rows;
+    }
+
+    async importLotAttributes(rows) {
+        if (!this.requireAuth()) return;
+
+        let updated = 0;
+        const unmatched = [];
+        const problems = [];
+
+        for (const row of rows) {
+            if (row.errors.length > 0) {
+                problems.push(`Line ${row.line} (lot ${row.lotNumber}): ${row.errors.join(', ')}`);
+                continue;
+            }
+            if (Object.keys(row.attributes).length === 0) continue;
+
+            const households = this.getHouseholdsByLot(row.lotNumber);
+            if (households.length === 0) {
+                unmatched.push(row.lotNumber);
+                continue;
+            }
+
+            for (const household of households) {
+                try {
+                    if (await this.updateHousehold(household.id, row.attributes)) {
+                        updated++;
+                    } else {
+                        problems.push(`Line ${row.line} (lot ${row.lotNumber}): not saved, please sign in again`);
+                    }
+                } catch (error) {
+                    console.error(`Error updating lot attributes for lot ${row.lotNumber}:`, error);
+                    problems.push(`Line ${row.line} (lot ${row.lotNumber}): could not be saved`);
+                }
+            }
+        }
+
+        let message = `Lot attribute import complete!\nHouseholds updated: ${updated}`;
+        if (unmatched.length > 0) {
+            message += `\nLots with no household (${unmatched.length}): ${unmatched.slice(0, 20).join(', ')}${unmatched.length > 20 ? ', ...' : ''}`;
+        }
+        if (problems.length > 0) {
+            message += `\nRows skipped (${problems.length}):\n${problems.slice(0, 10).join('\n')}${problems.length > 10 ? '\n...' : ''}`;
+        }
+        alert(message);
+
+        await this.loadHouseholds();
+    }
+
     setupSearchAndSort() {
         const searchInput = document.getElementById('householdSearch');
         const sortSelect = document.getElementById('householdSortBy');
@@ -485,6 +766,16 @@ class HouseholdManager {
             addHouseholdBtn.style.display = isAdmin ? 'block' : 'none';
         }
 
+        const importLotAttributesBtn = document.getElementById('importLotAttributesBtn');
+        if (importLotAttributesBtn) {
+            importLotAttributesBtn.style.display = isAdmin ? 'block' : 'none';
+        }
+
+        const linkProjectsBtn = document.getElementById('linkProjectsBtn');
+        if (linkProjectsBtn) {
+            linkProjectsBtn.style.display = isAdmin ? 'block' : 'none';
+        }
+
         if (duesConfigSection) {
             duesConfigSection.style.display = 'none'; // Hide by default, show when button clicked
         }
@@ -492,6 +783,31 @@ class HouseholdManager {
         if (configureDuesBtn) {
             configureDuesBtn.style.display = isAdmin ? 'block' : 'none';
         }
+
+        const duesInvoicesBtn = document.getElementById('duesInvoicesBtn');
+        if (duesInvoicesBtn) {
+            duesInvoicesBtn.style.display = isAdmin ? 'block' : 'none';
+        }
+
+        const duesInvoiceSection = document.getElementById('duesInvoiceSection');
+        if (duesInvoiceSection) {
+            duesInvoiceSection.style.display = 'none';
+        }
+
+        ['configureLateFeesBtn', 'duesAgingReportBtn', 'householdStatementsBtn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) button.style.display = isAdmin ? 'block' : 'none';
+        });
+
+        const lateFeeConfigSection = document.getElementById('lateFeeConfigSection');
+        if (lateFeeConfigSection) {
+            lateFeeConfigSection.style.display = 'none';
+        }
+
+        const householdStatementsSection = document.getElementById('householdStatementsSection');
+        if (householdStatementsSection) {
+            householdStatementsSection.style.display = 'none';
+        }
     }
 
     requireAuth() {
@@ -607,6 +923,13 @@ class HouseholdManager {
                 // Small delay to ensure userManager has loaded user data
                 setTimeout(() => {
                     this.renderHouseholds();
+                    if (window.homeownerPortal) {
+                        window.homeownerPortal.updatePortalButton();
+                    }
+                    // Charge any late fees that have come due (admins only)
+                    if (window.duesCollectionManager) {
+                        window.duesCollectionManager.applyLateFees();
+                    }
                 }, 200);
             }, (error) => {
                 console.error('Error listening to households:', error);
@@ -631,7 +954,7 @@ class HouseholdManager {
         }
     }
 
-    async createHousehold(address, lotNumber, status = 'built') {
+    async createHousehold(address, lotNumber, status = 'built', lotAttributes = {}) {
         if (!this.requireAuth() || !this.db) return;
 
         const user = window.firebaseAuth.currentUser;
@@ -641,6 +964,7 @@ class HouseholdManager {
             address: address.trim(),
             lotNumber: lotNumber.trim(),
             status: status || 'built',
+            ...lotAttributes,
             members: [],
             vehicles: [],
             createdAt: firebase.firestore.FieldValue.serverTimestamp(),
@@ -652,11 +976,12 @@ class HouseholdManager {
         await this.db.collection(this.collectionName).add(householdData);
     }
 
+    // Resolves true once the write is saved, false when it was not attempted
     async updateHousehold(householdId, data) {
-        if (!this.requireAuth() || !this.db) return;
+        if (!this.requireAuth() || !this.db) return false;
 
         const user = window.firebaseAuth.currentUser;
-        if (!user) return;
+        if (!user) return false;
 
         const updateData = {
             ...data,
@@ -665,6 +990,7 @@ class HouseholdManager {
         };
 
         await this.db.collection(this.collectionName).doc(householdId).update(updateData);
+        return true;
     }
 
     async deleteHousehold(householdId) {
@@ -794,6 +1120,7 @@ class HouseholdManager {
                             <th>Lot Number</th>
                             <th>Status</th>
                             <th>Members</th>
+                            <th>Dues</th>
                             <th class="actions-column">Actions</th>
                         </tr>
                     </thead>
@@ -824,9 +1151,13 @@ class HouseholdManager {
             html += `
                 <tr>
                     <td class="address-cell">${this.escapeHtml(household.address)}</td>
-                    <td class="lot-cell">${this.escapeHtml(household.lotNumber)}</td>
+                    <td class="lot-cell">
+                        ${this.escapeHtml(household.lotNumber)}
+                        ${household.phase ? `<div style="font-size: 0.8rem; color: var(--text-light);">Phase ${this.escapeHtml(household.phase)}${household.lotPosition === 'corner' ? ' · Corner' : ''}</div>` : ''}
+                    </td>
                     <td class="status-cell"><span class="status-badge ${statusClass}">${statusLabel}</span></td>
                     <td class="members-cell">${memberCount}</td>
+                    <td class="dues-cell">${window.duesManager ? window.duesManager.renderStatusBadge(household) : ''}</td>
                     <td class="actions-cell">
                         <div class="household-actions">
                             <button type="button" class="btn-icon" onclick="window.householdManager.openHouseholdModal('${household.id}')" title="View Details">👁️</button>
@@ -855,6 +1186,10 @@ class HouseholdManager {
         let built = 0;
         let lotOnly = 0;
         let withMembers = 0;
+        let duesPaid = 0;
+        let duesPartial = 0;
+        let duesUnpaid = 0;
+        let duesOutstanding = 0;
 
         this.households.forEach(household => {
             // Check status - handle both 'lotonly' and 'lot only' variations
@@ -868,13 +1203,26 @@ class HouseholdManager {
             if (household.members && household.members.length > 0) {
                 withMembers++;
             }
+
+            // Dues account status; households never invoiced are not counted
+            if (window.duesManager) {
+                const duesStatus = window.duesManager.getStatus(household);
+                if (duesStatus === 'paid') duesPaid++;
+                if (duesStatus === 'partial') duesPartial++;
+                if (duesStatus === 'unpaid') duesUnpaid++;
+                duesOutstanding += Math.max(window.duesManager.getTotals(household).balance, 0);
+            }
         });
 
         return {
             total,
             built,
             lotOnly,
-            withMembers
+            withMembers,
+            duesPaid,
+            duesPartial,
+            duesUnpaid,
+            duesOutstanding
         };
     }
 
@@ -941,6 +1289,9 @@ class HouseholdManager {
         updateMetric('metricBuiltHouseholds', metrics.built);
         updateMetric('metricLotOnlyHouseholds', metrics.lotOnly);
         updateMetric('metricHouseholdsWithMembers', metrics.withMembers);
+        updateMetric('metricDuesPaid', metrics.duesPaid);
+        updateMetric('metricDuesPartial', metrics.duesPartial);
+        updateMetric('metricDuesUnpaid', metrics.duesUnpaid);
         
         // Update annual dues calculations
         this.renderAnnualDues(metrics);
@@ -1066,6 +1417,11 @@ class HouseholdManager {
         if (totalAnnualDues) {
             totalAnnualDues.textContent = `$${total.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
         }
+
+        const duesOutstanding = document.getElementById('duesOutstandingAmount');
+        if (duesOutstanding) {
+            duesOutstanding.textContent = `$${(metrics.duesOutstanding || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        }
     }
 
     renderHouseholdMembers(householdId) {
@@ -1083,7 +1439,6 @@ class HouseholdManager {
         const canEdit = this.canEditHousehold(householdId);
         const currentUser = window.firebaseAuth.currentUser;
 
-        const noMembers = document.getElementById('noMembers');
         if (noMembers) noMembers.style.display = 'none';
 
         let html = '<div class="members-list">';
@@ -0,0 +1,286 @@
+// Household Statement - Printable dues account statements for a date range, one household or all as a ZIP
+
+class HouseholdStatement {
+    constructor() {
+        this.generatingAll = false;
+        this.setupStatementButtons();
+    }
+
+    // Statements default to the current calendar year through today
+    getDefaultRange() {
+        const today = new Date();
+        const toInput = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return {
+            start: toInput(new Date(today.getFullYear(), 0, 1)),
+            end: toInput(today)
+        };
+    }
+
+    // Reads a From/To pair of date inputs; alerts and returns null when the range is unusable
+    readRange(startInputId, endInputId) {
+        const startValue = document.getElementById(startInputId)?.value;
+        const endValue = document.getElementById(endInputId)?.value;
+        if (!startValue || !endValue) {
+            alert('Please choose the statement start and end dates.');
+            return null;
+        }
+        if (startValue > endValue) {
+            alert('The statement start date must be on or before the end date.');
+            return null;
+        }
+        return {
+            startDate: window.projectManager.formatDateFromInput(startValue),
+            endDate: window.projectManager.formatDateFromInput(endValue)
+        };
+    }
+
+    // Invoices and late fees are charges; payments and credits reduce the balance
+    getTransactions(household) {
+        const duesManager = window.duesManager;
+        const parseDate = (date) => date ? window.projectManager.parseDate(date) : null;
+
+        const charges = duesManager.getInvoices(household).map(invoice => ({
+            date: invoice.issuedDate || invoice.dueDate,
+            parsedDate: parseDate(invoice.issuedDate || invoice.dueDate),
+            kind: invoice.type === 'late_fee' ? 'lateFees' : 'dues',
+            description: invoice.dueDate && invoice.type !== 'late_fee'
+                ? `${invoice.description} (due ${invoice.dueDate})`
+                : invoice.description,
+            charge: invoice.amount || 0,
+            credit: 0
+        }));
+
+        const credits = duesManager.getPayments(household).map(payment => {
+            const method = DUES_PAYMENT_METHODS[payment.method];
+            const isCredit = payment.method === 'credit';
+            const reference = payment.reference
+                ? (isCredit ? ` - ${payment.reference}` : ` #${payment.reference}`)
+                : '';
+            return {
+                date: payment.date,
+                parsedDate: parseDate(payment.date),
+                kind: isCredit ? 'credits' : 'payments',
+                description: isCredit
+                    ? `Credit${reference}`
+                    : `Payment - ${method ? method.label : payment.method || 'Other'}${reference}`,
+                charge: 0,
+                credit: payment.amount || 0
+            };
+        });
+
+        // Charges come before payments dated the same day so the running balance reads naturally
+        return [...charges, ...credits].sort((a, b) =>
+            ((a.parsedDate ? a.parsedDate.getTime() : 0) - (b.parsedDate ? b.parsedDate.getTime() : 0))
+            || (b.charge - a.charge));
+    }
+
+    // Builder deposits still held on the household's lot, from the projects collection
+    getDepositsHeld(household) {
+        if (!window.projectLinkManager || !window.depositManager) return [];
+
+        return window.projectLinkManager.getLotHistory(household)
+            .filter(project => !project.depositWaived)
+            .map(project => {
+                const totals = window.depositManager.getLedgerTotals(project);
+                return {
+                    projectType: project.projectType,
+                    dateApproved: project.dateApproved,
+                    received: totals.received,
+                    held: totals.balance
+                };
+            })
+            .filter(deposit => deposit.held > 0.005);
+    }
+
+    buildStatement(household, range) {
+        const start = window.projectManager.parseDate(range.startDate);
+        const end = window.projectManager.parseDate(range.endDate);
+        const statement = {
+            startDate: range.startDate,
+            endDate: range.endDate,
+            openingBalance: 0,
+            entries: [],
+            totals: { dues: 0, lateFees: 0, payments: 0, credits: 0 },
+            closingBalance: 0,
+            deposits: this.getDepositsHeld(household)
+        };
+
+        let balance = 0;
+        this.getTransactions(household).forEach(transaction => {
+            const time = transaction.parsedDate ? transaction.parsedDate.getTime() : 0;
+            if (time > end.getTime()) return;
+
+            balance += transaction.charge - transaction.credit;
+            if (time < start.getTime()) {
+                statement.openingBalance = balance;
+                return;
+            }
+
+            statement.totals[transaction.kind] += transaction.charge || transaction.credit;
+            statement.entries.push({
+                date: transaction.date,
+                description: transaction.description,
+                charge: transaction.charge,
+                credit: transaction.credit,
+                balance: balance
+            });
+        });
+        statement.closingBalance = balance;
+
+        return statement;
+    }
+
+    hasActivity(statement) {
+        return statement.entries.length > 0
+            || Math.abs(statement.openingBalance) > 0.005
+            || statement.deposits.length > 0;
+    }
+
+    ensurePdfGenerator() {
+        if (typeof window.jspdf === 'undefined') {
+            alert('Error: PDF library not loaded. Please refresh the page and try again.');
+            return false;
+        }
+        if (!window.pdfGenerator) {
+            window.pdfGenerator = new PDFGenerator();
+        }
+        return true;
+    }
+
+    // Shown in the household modal to the owner's household and to admins
+    prepareControls(canView) {
+        const controls = document.getElementById('householdStatementControls');
+        if (!controls) return;
+
+        controls.style.display = canView ? 'block' : 'none';
+        const range = this.getDefaultRange();
+        const startInput = document.getElementById('householdStatementStart');
+        const endInput = document.getElementById('householdStatementEnd');
+        if (startInput && !startInput.value) startInput.value = range.start;
+        if (endInput && !endInput.value) endInput.value = range.end;
+    }
+
+    async download(householdId) {
+        const household = window.duesManager.getHousehold(householdId);
+        if (!household) return;
+        if (!window.householdManager.canEditHousehold(householdId)) {
+            alert('You can only download statements for your own household.');
+            return;
+        }
+
+        const range = this.readRange('householdStatementStart', 'householdStatementEnd');
+        if (!range || !this.ensurePdfGenerator()) return;
+
+        try {
+            await window.pdfGenerator.generateHouseholdStatement(household, this.buildStatement(household, range));
+        } catch (error) {
+            console.error('Error generating household statement:', error);
+            alert('Error generating statement: ' + error.message);
+        }
+    }
+
+    async downloadAll() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can download statements for every household.');
+            return;
+        }
+        if (typeof window.JSZip === 'undefined') {
+            alert('Error: ZIP library not loaded. Please refresh the page and try again.');
+            return;
+        }
+        if (this.generatingAll) return;
+
+        const range = this.readRange('householdStatementsStart', 'householdStatementsEnd');
+        if (!range || !this.ensurePdfGenerator()) return;
+
+        const statements = window.householdManager.households
+            .map(household => ({ household: household, statement: this.buildStatement(household, range) }))
+            .filter(item => this.hasActivity(item.statement))
+            .sort((a, b) => (a.household.lotNumber || '').localeCompare(b.household.lotNumber || '', undefined, { numeric: true }));
+
+        if (statements.length === 0) {
+            alert('No household has dues activity or a deposit held for this period.');
+            return;
+        }
+
+        const downloadBtn = document.getElementById('downloadAllStatementsBtn');
+        const originalText = downloadBtn ? downloadBtn.textContent : '';
+        this.generatingAll = true;
+
+        try {
+            const zip = new JSZip();
+            const usedNames = new Set();
+            for (let i = 0; i < statements.length; i++) {
+                if (downloadBtn) {
+                    downloadBtn.disabled = true;
+                    downloadBtn.textContent = `Building ${i + 1} of ${statements.length}...`;
+                }
+                const { doc, filename } = await window.pdfGenerator.buildHouseholdStatement(statements[i].household, statements[i].statement);
+
+                // Two households can share a lot and address; keep every statement in the archive
+                let name = filename;
+                for (let copy = 2; usedNames.has(name); copy++) {
+                    name = filename.replace(/\.pdf$/, ` (${copy}).pdf`);
+                }
+                usedNames.add(name);
+                zip.file(name, doc.output('arraybuffer'));
+            }
+
+            const blob = await zip.generateAsync({ type: 'blob' });
+            const dateStr = range.endDate.replace(/\//g, '_');
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `Sanctuary Account Statements - ${dateStr}.zip`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error generating household statements:', error);
+            alert('Error generating statements: ' + error.message);
+        } finally {
+            this.generatingAll = false;
+            if (downloadBtn) {
+                downloadBtn.disabled = false;
+                downloadBtn.textContent = originalText;
+            }
+        }
+    }
+
+    // Visibility of the batch button follows the other admin-only household buttons (see HouseholdManager.checkAuthForWrites)
+    setupStatementButtons() {
+        const singleBtn = document.getElementById('downloadHouseholdStatementBtn');
+        if (singleBtn) {
+            singleBtn.addEventListener('click', () => {
+                const householdId = document.getElementById('householdId')?.value;
+                if (householdId) this.download(householdId);
+            });
+        }
+
+        const statementsBtn = document.getElementById('householdStatementsBtn');
+        const statementsSection = document.getElementById('householdStatementsSection');
+        if (statementsBtn && statementsSection) {
+            statementsBtn.addEventListener('click', () => {
+                const isVisible = statementsSection.style.display !== 'none';
+                statementsSection.style.display = isVisible ? 'none' : 'block';
+
+                if (!isVisible) {
+                    const range = this.getDefaultRange();
+                    const startInput = document.getElementById('householdStatementsStart');
+                    const endInput = document.getElementById('householdStatementsEnd');
+                    if (startInput && !startInput.value) startInput.value = range.start;
+                    if (endInput && !endInput.value) endInput.value = range.end;
+                }
+            });
+        }
+
+        const downloadAllBtn = document.getElementById('downloadAllStatementsBtn');
+        if (downloadAllBtn) {
+            downloadAllBtn.addEventListener('click', () => this.downloadAll());
+        }
+    }
+}
+
+// Initialize household statements
+window.householdStatement = new HouseholdStatement();
@@ -0,0 +1,412 @@
+// Letter Template Manager - Handles the editable letter template stored in Firestore
+
+// Built-in template used until an admin saves one (version 0)
+const DEFAULT_LETTER_TEMPLATE = {
+    version: 0,
+    greeting: 'Dear {{ownerLastName}} Residence,',
+    greetingNoOwner: 'Dear Property Owner,',
+    defaultReviewComments: 'The plan was reviewed for Sanctuary Setback Requirements.',
+    defaultApprovalReason: 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.',
+    approvalClosing: 'We look forward to another beautiful addition to the neighborhood.',
+    depositParagraph: 'Please submit a ${{depositAmount}} builder deposit, which will be held for the duration of the project to cover any unremedied HOA property damage. We return nearly all deposits in full; only in rare cases have deductions been necessary. Checks are made out to:',
+    associationName: 'Sanctuary Homeowners Association',
+    associationAddress: '1 Sanctuary Blvd, Suite 100\nMandeville, LA 70471'
+};
+
+const LETTER_TEMPLATE_FIELDS = [
+    { key: 'greeting', label: 'Greeting', rows: 1 },
+    { key: 'greetingNoOwner', label: 'Greeting (no owner name)', rows: 1 },
+    { key: 'defaultReviewComments', label: 'Default Review Comments', rows: 2 },
+    { key: 'defaultApprovalReason', label: 'Default Approval Reason', rows: 2 },
+    { key: 'approvalClosing', label: 'Approval Closing', rows: 2 },
+    { key: 'depositParagraph', label: 'Deposit Paragraph', rows: 4 },
+    { key: 'associationName', label: 'Checks Payable To', rows: 1 },
+    { key: 'associationAddress', label: 'Association Mailing Address', rows: 2 }
+];
+
+const LETTER_TEMPLATE_PLACEHOLDERS = ['ownerLastName', 'address', 'lot', 'projectType', 'contractorName', 'depositAmount', 'conditions'];
+
+class LetterTemplateManager {
+    constructor() {
+        this.db = null;
+        this.template = { ...DEFAULT_LETTER_TEMPLATE };
+        this.init();
+    }
+
+    async init() {
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+        await this.loadTemplate();
+    }
+
+    async loadTemplate() {
+        if (!this.db) return;
+
+        try {
+            const templateDoc = await this.db.collection('projectConfig').doc('letterTemplate').get();
+            if (templateDoc.exists) {
+                const data = templateDoc.data();
+                this.template = { ...DEFAULT_LETTER_TEMPLATE };
+                LETTER_TEMPLATE_FIELDS.forEach(field => {
+                    if (typeof data[field.key] === 'string') {
+                        this.template[field.key] = data[field.key];
+                    }
+                });
+                this.template.version = data.version || 0;
+            }
+        } catch (error) {
+            console.error('Error loading letter template:', error);
+        }
+
+        this.applyDefaultsToForms();
+    }
+
+    async saveTemplate(values) {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can edit letter templates.');
+            return false;
+        }
+
+        try {
+            const user = window.firebaseAuth.currentUser;
+            const version = (this.template.version || 0) + 1;
+            const templateData = { version: version };
+            LETTER_TEMPLATE_FIELDS.forEach(field => {
+                templateData[field.key] = values[field.key] || '';
+            });
+            const versionData = {
+                ...templateData,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: user ? user.email : 'system'
+            };
+
+            // Every saved version is kept so a sent letter's templateVersion can be traced to its wording
+            const versionRef = this.getVersionsCollection().doc(String(version));
+            const existingVersion = await versionRef.get();
+            if (existingVersion.exists) {
+                await this.loadTemplate();
+                alert(`Version ${version} was just saved by ${existingVersion.data().updatedBy || 'another administrator'}. Review the latest template and save again.`);
+                return false;
+            }
+            await versionRef.set(versionData);
+            await this.db.collection('projectConfig').doc('letterTemplate').set(versionData);
+
+            this.template = { ...DEFAULT_LETTER_TEMPLATE, ...templateData };
+            this.applyDefaultsToForms();
+            return true;
+        } catch (error) {
+            console.error('Error saving letter template:', error);
+            alert('Error saving letter template. Please try again.');
+            return false;
+        }
+    }
+
+    getActiveTemplate() {
+        return this.template;
+    }
+
+    getVersionsCollection() {
+        return this.db.collection('projectConfig').doc('letterTemplate').collection('versions');
+    }
+
+    // Wording of a saved version; version 0 is the built-in default
+    async loadTemplateVersion(version) {
+        if (!version) {
+            return { ...DEFAULT_LETTER_TEMPLATE };
+        }
+
+        const versionDoc = await this.getVersionsCollection().doc(String(version)).get();
+        if (versionDoc.exists) {
+            return { ...DEFAULT_LETTER_TEMPLATE, ...versionDoc.data(), version: version };
+        }
+        // Versions saved before history was kept only survive while they are the active template
+        return version === this.template.version ? { ...this.template } : null;
+    }
+
+    async loadVersionHistory() {
+        const snapshot = await this.getVersionsCollection().orderBy('version', 'desc').get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    formatVersionDate(timestamp) {
+        if (!timestamp || typeof timestamp.toDate !== 'function') return '';
+        return window.projectManager ? window.projectManager.formatDate(timestamp.toDate()) : timestamp.toDate().toLocaleDateString();
+    }
+
+    // Read-only view of the wording a letter was generated from
+    async showVersion(version) {
+        let template;
+        try {
+            template = await this.loadTemplateVersion(version);
+        } catch (error) {
+            console.error('Error loading letter template version:', error);
+            alert('Error loading letter template version: ' + error.message);
+            return;
+        }
+        if (!template) {
+            alert(`Letter template version ${version} was saved before version history was kept and is no longer available.`);
+            return;
+        }
+
+        const savedBy = template.updatedBy
+            ? `Saved by ${this.escapeHtml(template.updatedBy)}${this.formatVersionDate(template.updatedAt) ? ` on ${this.formatVersionDate(template.updatedAt)}` : ''}`
+            : (version ? '' : 'Built-in default wording');
+
+        const modal = document.createElement('div');
+        modal.id = 'letterTemplateVersionModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10003; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 700px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Letter Template Version ${version || 0}</h2>
+                    <button id="closeLetterTemplateVersion" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 20px 30px; overflow-y: auto; flex: 1;">
+                    ${savedBy ? `<div style="color: #666; font-size: 0.85rem; margin-bottom: 15px;">${savedBy}</div>` : ''}
+                    <div style="border: 1px solid #ddd; border-radius: 8px; padding: 20px; font-size: 0.9rem; color: #1e1e1e; background: #fafafa;">
+                        ${this.renderPreview(template)}
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const hide = () => {
+            if (modal.parentNode) modal.parentNode.removeChild(modal);
+            document.removeEventListener('keydown', handleEscape);
+        };
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') hide();
+        };
+        document.addEventListener('keydown', handleEscape);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) hide();
+        });
+        document.getElementById('closeLetterTemplateVersion').addEventListener('click', hide);
+    }
+
+    async renderVersionHistory() {
+        const container = document.getElementById('letterTemplateHistory');
+        if (!container) return;
+
+        try {
+            const versions = await this.loadVersionHistory();
+            container.innerHTML = versions.length > 0
+                ? versions.map(entry => `
+                    <div style="display: flex; justify-content: space-between; gap: 10px; padding: 4px 0; border-bottom: 1px solid #f0f0f0;">
+                        <span>Version ${entry.version} — ${this.escapeHtml(entry.updatedBy || 'unknown')}${this.formatVersionDate(entry.updatedAt) ? `, ${this.formatVersionDate(entry.updatedAt)}` : ''}</span>
+                        <a href="#" onclick="window.letterTemplateManager.showVersion(${entry.version}); return false;" style="color: #2c5530;">View</a>
+                    </div>
+                `).join('')
+                : '<div style="color: #999;">No saved versions yet. Letters use the built-in wording (version 0).</div>';
+        } catch (error) {
+            console.error('Error loading letter template history:', error);
+            container.innerHTML = '<div style="color: #d32f2f;">Could not load version history.</div>';
+        }
+    }
+
+    getDefaultReviewComments() {
+        return this.template.defaultReviewComments;
+    }
+
+    // Approval letters use the template's reason; other letter types keep their own wording
+    getDefaultReason(letterType) {
+        if (!letterType || letterType === 'approval' || !LETTER_TYPES[letterType]) {
+            return this.template.defaultApprovalReason;
+        }
+        return LETTER_TYPES[letterType].defaultReason;
+    }
+
+    // Replace {{placeholder}} tokens; unknown placeholders are left as typed
+    render(text, values) {
+        return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+            if (!Object.prototype.hasOwnProperty.call(values, key)) return match;
+            const value = values[key];
+            if (Array.isArray(value)) return value.join('; ');
+            return value === null || value === undefined ? '' : String(value);
+        });
+    }
+
+    getPlaceholderValues(formData, depositAmount) {
+        return {
+            ownerLastName: formData.ownerLastName || '',
+            address: formData.address || '',
+            lot: formData.lot || '',
+            projectType: formData.projectType || '',
+            contractorName: formData.contractorName || '',
+            depositAmount: depositAmount,
+            conditions: formData.conditions || []
+        };
+    }
+
+    // The add form's static dropdowns show the default text; keep them in sync with the template
+    applyDefaultsToForms() {
+        const reviewOption = document.querySelector('#addReviewCommentsType option[value="default"]');
+        if (reviewOption) {
+            reviewOption.textContent = this.template.defaultReviewComments;
+        }
+        const reasonOption = document.querySelector('#addApprovalReasonType option[value="default"]');
+        if (reasonOption) {
+            reasonOption.textContent = this.template.defaultApprovalReason;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    renderPreview(template) {
+        const sample = {
+            ownerLastName: 'Smith',
+            address: '123 Sanctuary Drive',
+            lot: '42',
+            projectType: 'New Home',
+            contractorName: 'Northshore Builders',
+            depositAmount: '2000',
+            conditions: ['Fence height not to exceed 6 feet']
+        };
+        const paragraph = (text) => `<p style="margin: 0 0 12px 0; white-space: pre-wrap;">${this.escapeHtml(this.render(text, sample))}</p>`;
+
+        return `
+            <div style="font-weight: bold; color: #2c5530; margin-bottom: 12px;">RE: Architectural Review - ${sample.projectType}</div>
+            <div style="color: #666; margin-bottom: 12px;">${sample.address}<br>Lot: ${sample.lot}<br>Contractor: ${sample.contractorName}</div>
+            ${paragraph(template.greeting)}
+            ${paragraph(template.defaultReviewComments)}
+            ${paragraph(template.defaultApprovalReason)}
+            ${paragraph(template.approvalClosing)}
+            ${paragraph(template.depositParagraph)}
+            <p style="margin: 0 0 12px 0; white-space: pre-wrap;"><strong>${this.escapeHtml(this.render(template.associationName, sample))}</strong><br>${this.escapeHtml(this.render(template.associationAddress, sample))}</p>
+            <p style="margin: 0;">Sincerely,</p>
+        `;
+    }
+
+    showEditor() {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can edit letter templates.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'letterTemplateModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10002; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+
+        const fieldsHtml = LETTER_TEMPLATE_FIELDS.map(field => `
+            <div class="form-group" style="margin-bottom: 12px;">
+                <label for="letterTemplate-${field.key}" style="font-weight: 500;">${field.label}</label>
+                <textarea id="letterTemplate-${field.key}" data-template-key="${field.key}" rows="${field.rows}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit;">${this.escapeHtml(this.template[field.key])}</textarea>
+            </div>
+        `).join('');
+
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 1100px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Letter Template (version ${this.template.version || 0})</h2>
+                    <button id="closeLetterTemplate" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 20px 30px; overflow-y: auto; flex: 1;">
+                    <div style="color: #666; font-size: 0.85rem; margin-bottom: 15px;">
+                        Placeholders: ${LETTER_TEMPLATE_PLACEHOLDERS.map(p => `<code>{{${p}}}</code>`).join(' ')}
+                    </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 24px;">
+                        <div>
+                            ${fieldsHtml}
+                            <h3 style="color: var(--primary-color); margin: 20px 0 10px 0; font-size: 1.1rem;">Version History</h3>
+                            <div id="letterTemplateHistory" style="font-size: 0.85rem; color: #333;">Loading...</div>
+                        </div>
+                        <div>
+                            <h3 style="color: var(--primary-color); margin: 0 0 10px 0; font-size: 1.1rem;">Preview</h3>
+                            <div id="letterTemplatePreview" style="border: 1px solid #ddd; border-radius: 8px; padding: 20px; font-size: 0.9rem; color: #1e1e1e; background: #fafafa;">
+                                ${this.renderPreview(this.template)}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                <div style="padding: 15px 30px; border-top: 1px solid #e0e0e0; display: flex; justify-content: space-between; gap: 10px;">
+                    <button id="resetLetterTemplateBtn" style="background: #f5f5f5; color: #333; border: 1px solid #ddd; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Restore Defaults</button>
+                    <button id="saveLetterTemplateBtn" style="background: #2c5530; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; font-weight: 500;">Save as New Version</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.setupEditorHandlers(modal);
+        this.renderVersionHistory();
+    }
+
+    readEditorValues(modal) {
+        const values = {};
+        modal.querySelectorAll('[data-template-key]').forEach(input => {
+            values[input.dataset.templateKey] = input.value;
+        });
+        return values;
+    }
+
+    setupEditorHandlers(modal) {
+        const preview = document.getElementById('letterTemplatePreview');
+        const updatePreview = () => {
+            if (preview) {
+                preview.innerHTML = this.renderPreview(this.readEditorValues(modal));
+            }
+        };
+
+        modal.querySelectorAll('[data-template-key]').forEach(input => {
+            input.addEventListener('input', updatePreview);
+        });
+
+        const closeBtn = document.getElementById('closeLetterTemplate');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideEditor());
+        }
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hideEditor();
+            }
+        });
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                this.hideEditor();
+                document.removeEventListener('keydown', handleEscape);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        const resetBtn = document.getElementById('resetLetterTemplateBtn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                modal.querySelectorAll('[data-template-key]').forEach(input => {
+                    input.value = DEFAULT_LETTER_TEMPLATE[input.dataset.templateKey];
+                });
+                updatePreview();
+            });
+        }
+
+        const saveBtn = document.getElementById('saveLetterTemplateBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                const saved = await this.saveTemplate(this.readEditorValues(modal));
+                if (saved) {
+                    alert(`Letter template saved as version ${this.template.version}.`);
+                    this.hideEditor();
+                }
+            });
+        }
+    }
+
+    hideEditor() {
+        const modal = document.getElementById('letterTemplateModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+    }
+}
+
+// Initialize letter template manager
+window.letterTemplateManager = new LetterTemplateManager();
@@ -0,0 +1,223 @@
+// Milestone Manager - Handles construction milestones, inspections and the overdue flag
+
+const MILESTONE_LABELS = {
+    start: 'Construction Start',
+    foundation: 'Foundation',
+    framing: 'Framing',
+    final: 'Final Inspection',
+    landscaping: 'Landscaping Complete'
+};
+
+// Milestones tracked for each project type, in construction order
+const MILESTONES_BY_PROJECT_TYPE = {
+    'New Home': ['start', 'foundation', 'framing', 'final', 'landscaping'],
+    'Renovation/Extension': ['start', 'foundation', 'framing', 'final', 'landscaping'],
+    'Accessory Structure': ['start', 'foundation', 'framing', 'final'],
+    'Pool': ['start', 'final', 'landscaping'],
+    'Other': ['start', 'final']
+};
+
+const MILESTONE_RESULTS = {
+    pass: { label: 'Pass', color: '#2c5530' },
+    fail: { label: 'Fail', color: '#d32f2f' }
+};
+
+class MilestoneManager {
+    getMilestoneKeys(projectType) {
+        return MILESTONES_BY_PROJECT_TYPE[projectType] || MILESTONES_BY_PROJECT_TYPE['Other'];
+    }
+
+    // Milestones for the project's type merged with what has been recorded
+    getMilestones(project) {
+        const recorded = project.milestones || [];
+        const keys = [...this.getMilestoneKeys(project.projectType)];
+        // Keep recorded milestones that are no longer in the type's list (e.g. after a type change)
+        recorded.forEach(milestone => {
+            if (!keys.includes(milestone.key)) keys.push(milestone.key);
+        });
+
+        return keys.map(key => {
+            const existing = recorded.find(milestone => milestone.key === key) || {};
+            const milestone = {
+                key: key,
+                label: MILESTONE_LABELS[key] || key,
+                scheduledDate: existing.scheduledDate || '',
+                actualDate: existing.actualDate || '',
+                inspector: existing.inspector || '',
+                result: existing.result || '',
+                notes: existing.notes || '',
+                photos: existing.photos || []
+            };
+            // dateConstructionStarted is also editable in the edit dialog, so it wins for the start milestone
+            if (key === 'start' && project.dateConstructionStarted) {
+                milestone.actualDate = project.dateConstructionStarted;
+            }
+            return milestone;
+        });
+    }
+
+    // A milestone is overdue once its scheduled date has passed without being completed
+    isMilestoneOverdue(milestone) {
+        if (!milestone.scheduledDate || milestone.actualDate) return false;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return window.projectManager.parseDate(milestone.scheduledDate) < today;
+    }
+
+    getOverdueMilestones(project) {
+        if (project.status !== 'open') return [];
+        return this.getMilestones(project).filter(milestone => this.isMilestoneOverdue(milestone));
+    }
+
+    renderOverdueFlag(project) {
+        const overdue = this.getOverdueMilestones(project);
+        if (overdue.length === 0) return '';
+        const labels = overdue.map(milestone => `${milestone.label} (due ${milestone.scheduledDate})`).join(', ');
+        return `<div style="color: #d32f2f; font-size: 0.7rem; font-weight: 600; line-height: 1.2; margin-top: 2px;" title="Overdue: ${labels}">⏰ Milestone overdue</div>`;
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderTimeline(project, isAdmin) {
+        const milestones = this.getMilestones(project);
+
+        const itemsHtml = milestones.map(milestone => {
+            const overdue = project.status === 'open' && this.isMilestoneOverdue(milestone);
+            const result = MILESTONE_RESULTS[milestone.result];
+            const dotColor = milestone.result === 'fail' ? '#d32f2f' : milestone.actualDate ? '#2c5530' : overdue ? '#d32f2f' : '#bbb';
+            const photosHtml = milestone.photos.map(photo =>
+                `<a href="${this.escapeHtml(photo.storageUrl)}" target="_blank" rel="noopener" style="color: #2c5530; font-size: 0.8rem; margin-right: 6px;">📷 ${this.escapeHtml(photo.name)}</a>`
+            ).join('');
+
+            return `
+                <div style="position: relative; padding: 0 0 14px 22px; border-left: 2px solid #e0e0e0; margin-left: 6px;">
+                    <span style="position: absolute; left: -7px; top: 2px; width: 12px; height: 12px; border-radius: 50%; background: ${dotColor};"></span>
+                    <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: baseline;">
+                        <span style="font-weight: 600; color: #333;">${milestone.label}</span>
+                        ${result ? `<span style="color: ${result.color}; font-size: 0.8rem; font-weight: 600;">${result.label}</span>` : ''}
+                        ${overdue ? '<span style="color: #d32f2f; font-size: 0.8rem; font-weight: 600;">Overdue</span>' : ''}
+                    </div>
+                    <div style="color: #666; font-size: 0.85rem;">
+                        Scheduled: ${this.escapeHtml(milestone.scheduledDate || '—')} &nbsp;|&nbsp; Actual: ${this.escapeHtml(milestone.actualDate || '—')}${milestone.inspector ? ` &nbsp;|&nbsp; Inspector: ${this.escapeHtml(milestone.inspector)}` : ''}
+                    </div>
+                    ${milestone.notes ? `<div style="color: #555; font-size: 0.85rem; white-space: pre-wrap;">${this.escapeHtml(milestone.notes)}</div>` : ''}
+                    ${photosHtml ? `<div>${photosHtml}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const formHtml = isAdmin ? `
+            <div style="margin-top: 12px; display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px; align-items: end;">
+                <select id="milestoneKey-${project.id}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    ${milestones.map(milestone => `<option value="${milestone.key}">${milestone.label}</option>`).join('')}
+                </select>
+                <input type="date" id="milestoneScheduled-${project.id}" title="Scheduled date" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="date" id="milestoneActual-${project.id}" title="Actual date" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="text" id="milestoneInspector-${project.id}" placeholder="Inspector" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <select id="milestoneResult-${project.id}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    <option value="">No result</option>
+                    ${Object.keys(MILESTONE_RESULTS).map(key => `<option value="${key}">${MILESTONE_RESULTS[key].label}</option>`).join('')}
+                </select>
+                <input type="text" id="milestoneNotes-${project.id}" placeholder="Inspection notes" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="file" id="milestonePhotos-${project.id}" multiple accept=".jpg,.jpeg,.png,.pdf" title="Inspection photos" style="font-size: 0.8rem;">
+                <button type="button" class="btn-small btn-primary" onclick="window.milestoneManager.saveMilestone('${project.id}')">Save Milestone</button>
+            </div>
+            <div style="color: #999; font-size: 0.8rem; margin-top: 4px;">Blank fields keep their current values.</div>
+        ` : '';
+
+        return `
+            <div class="milestone-timeline" style="margin-bottom: 20px;">
+                <h4>Construction Milestones</h4>
+                <div style="margin-top: 10px;">${itemsHtml}</div>
+                ${formHtml}
+            </div>
+        `;
+    }
+
+    // Milestones ready to save with one milestone's fields replaced (labels are derived, not stored)
+    buildMilestoneUpdates(project, key, values) {
+        return this.getMilestones(project)
+            .map(milestone => milestone.key === key ? { ...milestone, ...values } : milestone)
+            .map(({ label, ...rest }) => rest);
+    }
+
+    async saveMilestone(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        const key = document.getElementById(`milestoneKey-${projectId}`)?.value;
+        const scheduledValue = document.getElementById(`milestoneScheduled-${projectId}`)?.value;
+        const actualValue = document.getElementById(`milestoneActual-${projectId}`)?.value;
+        const inspector = document.getElementById(`milestoneInspector-${projectId}`)?.value.trim() || '';
+        const result = document.getElementById(`milestoneResult-${projectId}`)?.value || '';
+        const notes = document.getElementById(`milestoneNotes-${projectId}`)?.value.trim() || '';
+        const photoFiles = document.getElementById(`milestonePhotos-${projectId}`)?.files || [];
+
+        const milestones = this.getMilestones(project);
+        const milestone = milestones.find(m => m.key === key);
+        if (!milestone) {
+            alert('Please select a milestone.');
+            return;
+        }
+        if (!scheduledValue && !actualValue && !inspector && !result && !notes && photoFiles.length === 0) {
+            alert('Please enter at least one milestone detail to save.');
+            return;
+        }
+        if (result && !actualValue && !milestone.actualDate) {
+            alert('Please enter the actual date of the inspection.');
+            return;
+        }
+
+        try {
+            // Upload inspection photos before saving the milestone
+            const photos = [...milestone.photos];
+            for (const file of Array.from(photoFiles)) {
+                const fileData = await window.projectManager.readFileAsArrayBuffer(file);
+                const storageUrl = await window.projectManager.uploadFileToStorage(
+                    fileData,
+                    `${key}_${file.name}`,
+                    file.type,
+                    projectId,
+                    'milestone-inspections'
+                );
+                photos.push({ name: file.name, type: file.type, storageUrl: storageUrl });
+            }
+
+            if (scheduledValue) milestone.scheduledDate = window.projectManager.formatDateFromInput(scheduledValue);
+            if (actualValue) milestone.actualDate = window.projectManager.formatDateFromInput(actualValue);
+            if (inspector) milestone.inspector = inspector;
+            if (result) milestone.result = result;
+            if (notes) milestone.notes = notes;
+            milestone.photos = photos;
+
+            const updates = {
+                milestones: milestones.map(({ label, ...rest }) => rest)
+            };
+            // The start milestone is the construction start date shown everywhere else
+            const start = milestones.find(m => m.key === 'start');
+            if (start && start.actualDate) {
+                updates.dateConstructionStarted = start.actualDate;
+            }
+
+            await window.projectManager.updateProject(projectId, updates);
+        } catch (error) {
+            console.error('Error saving milestone:', error);
+            alert('Error saving milestone: ' + error.message);
+        }
+    }
+}
+
+// Initialize milestone manager
+window.milestoneManager = new MilestoneManager();
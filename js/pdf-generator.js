@@ -1,5 +1,61 @@
 // PDF Generator - Handles PDF creation with letterhead, content, and attachments
 
+// Letter types the committee can issue. Each type controls the subject line, closing,
+// whether the deposit paragraph and Builder's Rules are included, and the filename.
+// The approval reason and closing come from the editable letter template.
+const LETTER_TYPES = {
+    approval: {
+        label: 'Approval',
+        subject: 'Architectural Review',
+        filenameLabel: 'Architectural Approval Letter',
+        itemsIntro: '',
+        decisionLabel: 'Approved',
+        includeDeposit: true,
+        includeBuildersRules: true
+    },
+    conditional_approval: {
+        label: 'Conditional Approval',
+        subject: 'Architectural Review - Conditional Approval',
+        filenameLabel: 'Architectural Conditional Approval Letter',
+        defaultReason: 'The project is approved subject to the conditions listed below.',
+        itemsIntro: 'This approval is subject to the following conditions:',
+        closing: 'Please confirm these conditions with your contractor before construction begins. We look forward to another beautiful addition to the neighborhood.',
+        decisionLabel: 'Approved',
+        includeDeposit: true,
+        includeBuildersRules: true
+    },
+    more_info: {
+        label: 'Request for More Information',
+        subject: 'Architectural Review - Additional Information Requested',
+        filenameLabel: 'Architectural Information Request',
+        defaultReason: 'The committee needs additional information before a decision can be made on this request.',
+        itemsIntro: 'Please provide the following:',
+        closing: 'Once we receive these items, the committee will complete its review.',
+        decisionLabel: 'Reviewed',
+        includeDeposit: false,
+        includeBuildersRules: false
+    },
+    denial: {
+        label: 'Denial',
+        subject: 'Architectural Review - Denial',
+        filenameLabel: 'Architectural Denial Letter',
+        defaultReason: 'The project does not meet Sanctuary architectural standards and is denied as submitted.',
+        itemsIntro: 'The request was denied for the following reasons:',
+        closing: 'You are welcome to revise the plans and resubmit them for review.',
+        decisionLabel: 'Denied',
+        includeDeposit: false,
+        includeBuildersRules: false
+    }
+};
+
+// Split a conditions textarea into a clean list (one item per line, leading numbering removed)
+function parseLetterConditions(text) {
+    return (text || '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\d+[.)]\s*/, '').trim())
+        .filter(line => line.length > 0);
+}
+
 class PDFGenerator {
     constructor() {
         this.logoData = null;
@@ -53,76 +109,26 @@ class PDFGenerator {
         });
     }
 
+    // Downloads the letter and returns { blob, filename }, or nothing if generation failed
     async generatePDF(formData, siteConditionsFiles, projectFiles) {
         this.showLoading(true);
         
         try {
-            // Ensure logo is loaded before generating PDF - always reload to be sure
-            console.log('Checking logo status before PDF generation...');
-            if (!this.logoData || !this.logoWidth || !this.logoHeight) {
-                console.log('Logo not loaded, loading now...');
-                await this.loadLogo();
-                // Wait a bit more to ensure canvas processing is complete
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-            
-            // Verify logo is actually available
-            if (this.logoData && this.logoWidth && this.logoHeight) {
-                console.log('Logo is ready:', { 
-                    hasData: !!this.logoData, 
-                    width: this.logoWidth, 
-                    height: this.logoHeight,
-                    dataLength: this.logoData.length 
-                });
-            } else {
-                console.warn('Logo failed to load - PDF will be generated without logo');
-            }
-            
-            const { jsPDF } = window.jspdf;
-            const doc = new jsPDF({
-                orientation: 'portrait',
-                unit: 'mm',
-                format: 'letter'
-            });
+            const result = await this.renderLetterPDF(formData, siteConditionsFiles, projectFiles);
 
-            // Generate main letter
-            await this.generateLetter(doc, formData);
-
-            // Always merge attachments (including builder's rules) using pdf-lib
-            const result = await this.addAttachments(doc, siteConditionsFiles || [], projectFiles || [], formData);
-            if (result && result.success) {
-                // If attachments were added via pdf-lib, download already happened
-                this.showLoading(false);
-                this.showSuccess('Approval letter generated and downloaded successfully! You can now upload it to the project if needed.');
-                
-                // Don't auto-save to project - user must intentionally upload it
-                
-                setTimeout(() => {
-                    if (window.formHandler) window.formHandler.resetForm();
-                    if (window.fileHandler) window.fileHandler.clearFiles();
-                }, 2000);
-                return;
-            }
-
-            // Fallback: Generate filename and download if addAttachments failed
-            const filename = this.generateFilename(formData);
-            const pdfBlob = doc.output('blob');
-            doc.save(filename);
-            
             // Don't auto-save to project - user must intentionally upload it
-            
+            const url = URL.createObjectURL(result.blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = result.filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
             this.showLoading(false);
             this.showSuccess('Approval letter generated and downloaded successfully! You can now upload it to the project if needed.');
-            
-            // Reset form after successful generation
-            setTimeout(() => {
-                if (window.formHandler) {
-                    window.formHandler.resetForm();
-                }
-                if (window.fileHandler) {
-                    window.fileHandler.clearFiles();
-                }
-            }, 2000);
+            return result;
 
         } catch (error) {
             console.error('Error generating PDF:', error);
@@ -131,11 +137,191 @@ class PDFGenerator {
         }
     }
 
-    async generateLetter(doc, formData) {
+    // Builds the letter with its attachments and returns { blob, filename } without downloading
+    // it or touching any form, so a saved project's letter can be rebuilt from anywhere
+    async renderLetterPDF(formData, siteConditionsFiles, projectFiles) {
+        // Ensure logo is loaded before generating PDF - always reload to be sure
+        console.log('Checking logo status before PDF generation...');
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            console.log('Logo not loaded, loading now...');
+            await this.loadLogo();
+            // Wait a bit more to ensure canvas processing is complete
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        // Verify logo is actually available
+        if (this.logoData && this.logoWidth && this.logoHeight) {
+            console.log('Logo is ready:', { 
+                hasData: !!this.logoData, 
+                width: this.logoWidth, 
+                height: this.logoHeight,
+                dataLength: this.logoData.length 
+            });
+        } else {
+            console.warn('Logo failed to load - PDF will be generated without logo');
+        }
+        
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+
+        // Generate main letter
+        const hasAttachments = (siteConditionsFiles || []).length + (projectFiles || []).length > 0;
+        await this.generateLetter(doc, formData, hasAttachments);
+
+        // Always merge attachments (including builder's rules) using pdf-lib
+        const result = await this.addAttachments(doc, siteConditionsFiles || [], projectFiles || [], formData);
+        if (result && result.success) {
+            return { blob: new Blob([result.blob], { type: 'application/pdf' }), filename: result.filename };
+        }
+
+        // Fallback: the letter with images added by jsPDF if pdf-lib could not merge the attachments
+        return { blob: doc.output('blob'), filename: this.generateFilename(formData) };
+    }
+
+    getLetterType(formData) {
+        return LETTER_TYPES[formData && formData.letterType] || LETTER_TYPES.approval;
+    }
+
+    getDepositAmount(formData) {
+        if (!window.depositManager) {
+            return String(DEFAULT_DEPOSIT_SCHEDULE[formData.projectType] || DEFAULT_DEPOSIT_SCHEDULE['Other']);
+        }
+        const amount = formData.depositAmount !== undefined && formData.depositAmount !== null
+            ? formData.depositAmount
+            : window.depositManager.getRequiredDeposit(formData.projectType);
+        return window.depositManager.formatDepositAmount(amount);
+    }
+
+    getTemplate() {
+        return window.letterTemplateManager ? window.letterTemplateManager.getActiveTemplate() : DEFAULT_LETTER_TEMPLATE;
+    }
+
+    renderTemplate(text, values) {
+        return window.letterTemplateManager ? window.letterTemplateManager.render(text, values) : text;
+    }
+
+    async generateLetter(doc, formData, hasAttachments) {
+        const letterType = this.getLetterType(formData);
+        const template = this.getTemplate();
+        const depositAmount = this.getDepositAmount(formData);
+        const placeholders = window.letterTemplateManager
+            ? window.letterTemplateManager.getPlaceholderValues(formData, depositAmount)
+            : {};
+        // Let the caller record which template version produced this letter
+        formData.letterTemplateVersion = template.version || 0;
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+        let yPos = this.renderLetterhead(doc, `RE: ${letterType.subject} - ${formData.projectType}`, formData);
+
+        // Greeting
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(0, 0, 0);
+        const greeting = this.renderTemplate(formData.ownerLastName ? template.greeting : template.greetingNoOwner, placeholders);
+        doc.text(greeting, margin, yPos);
+        yPos += 8;
+
+        // Review comments - proper paragraph formatting
+        const reviewComments = doc.splitTextToSize(this.renderTemplate(formData.reviewComments || template.defaultReviewComments, placeholders), contentWidth);
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(30, 30, 30);
+        doc.text(reviewComments, margin, yPos);
+        yPos += (reviewComments.length * 5) + 8;
+
+        // Approval reason - proper paragraph formatting
+        const reasonText = formData.approvalReason || letterType.defaultReason || template.defaultApprovalReason;
+        const approvalReason = doc.splitTextToSize(this.renderTemplate(reasonText, placeholders), contentWidth);
+        doc.text(approvalReason, margin, yPos);
+        yPos += (approvalReason.length * 5) + 8;
+
+        // Numbered conditions / requested items / denial reasons
+        const conditions = formData.conditions || [];
+        if (letterType.itemsIntro && conditions.length > 0) {
+            doc.text(letterType.itemsIntro, margin, yPos);
+            yPos += 7;
+            conditions.forEach((condition, index) => {
+                const conditionLines = doc.splitTextToSize(`${index + 1}. ${condition}`, contentWidth - 6);
+                yPos = this.ensureSpace(doc, yPos, conditionLines.length * 5, margin);
+                doc.text(conditionLines, margin + 6, yPos);
+                yPos += (conditionLines.length * 5) + 2;
+            });
+            yPos += 6;
+        }
+
+        // Closing sentiment
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(30, 30, 30);
+        const closingLines = doc.splitTextToSize(this.renderTemplate(letterType.closing || template.approvalClosing, placeholders), contentWidth);
+        yPos = this.ensureSpace(doc, yPos, closingLines.length * 5, margin);
+        doc.text(closingLines, margin, yPos);
+        yPos += (closingLines.length * 5) + 5;
+
+        if (letterType.includeDeposit) {
+            // Builder deposit information based on project type
+            const depositText = this.renderTemplate(template.depositParagraph, placeholders);
+            const depositLines = doc.splitTextToSize(depositText, contentWidth);
+            yPos = this.ensureSpace(doc, yPos, (depositLines.length * 5) + 22, margin);
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(30, 30, 30);
+            doc.text(depositLines, margin, yPos);
+            yPos += (depositLines.length * 5) + 6;
+            
+            // Deposit address
+            doc.setFont('helvetica', 'bold');
+            doc.text(this.renderTemplate(template.associationName, placeholders), margin, yPos);
+            yPos += 5;
+            doc.setFont('helvetica', 'normal');
+            this.renderTemplate(template.associationAddress, placeholders).split('\n').forEach(line => {
+                doc.text(line, margin, yPos);
+                yPos += 5;
+            });
+            yPos += 7;
+        } else {
+            yPos += 5;
+        }
+
+        yPos = this.renderSignature(doc, yPos, margin);
+        
+        // Approved by (if provided)
+        if (formData.approvedBy) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(100, 100, 100);
+            doc.text(`${letterType.decisionLabel} by: ${formData.approvedBy}`, margin, yPos);
+            yPos += 8;
+        }
+
+        // Approved on date (use provided date or today's date)
+        const approvedDate = formData.approvedOn || new Date();
+        const approvedDateStr = this.formatDate(approvedDate);
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'italic');
+        doc.setTextColor(100, 100, 100);
+        doc.text(`${letterType.decisionLabel} on: ${approvedDateStr}`, margin, yPos);
+        yPos += 8;
+
+        // Add attachments note if there are files - modern, subtle styling
+        if (hasAttachments) {
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(120, 120, 120);
+            doc.text('Attachments included on following pages.', margin, yPos);
+        }
+    }
+
+    // Letterhead shared by every letter: logo, association title, subject, date and property block.
+    // The sender line defaults to the committee; association letters such as dues notices pass the board.
+    // Returns the y position where the greeting should start.
+    renderLetterhead(doc, subjectText, property, sender = 'Architectural Review Committee') {
         const pageWidth = doc.internal.pageSize.getWidth();
-        const pageHeight = doc.internal.pageSize.getHeight();
         const margin = 25.4; // 1 inch in mm
-        const contentWidth = pageWidth - (margin * 2);
         
         // Simple header layout: LOGO, then TITLE, then SUBJECT
         let yPos = margin;
@@ -178,14 +364,13 @@ class PDFGenerator {
         doc.setFontSize(12);
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(70, 70, 70);
-        doc.text('Architectural Review Committee', margin, yPos);
+        doc.text(sender, margin, yPos);
         yPos += 10;
         
         // 3. SUBJECT - below title, left-aligned
         doc.setFontSize(11);
         doc.setFont('helvetica', 'bold');
         doc.setTextColor(44, 85, 48);
-        const subjectText = `RE: Architectural Review - ${formData.projectType}`;
         const subjectAvailableWidth = pageWidth - (margin * 2);
         const subjectLines = doc.splitTextToSize(subjectText, subjectAvailableWidth);
         subjectLines.forEach((line, index) => {
@@ -206,104 +391,571 @@ class PDFGenerator {
         doc.setFontSize(11);
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(0, 0, 0);
-        doc.text(formData.address, margin, yPos);
+        doc.text(property.address || '', margin, yPos);
         yPos += 5;
-        doc.text(`Lot: ${formData.lot}`, margin, yPos);
-        if (formData.contractorName) {
+        doc.text(`Lot: ${property.lot || ''}`, margin, yPos);
+        if (property.contractorName) {
             yPos += 5;
-            doc.text(`Contractor: ${formData.contractorName}`, margin, yPos);
+            doc.text(`Contractor: ${property.contractorName}`, margin, yPos);
         }
         yPos += 10; // Space before greeting
 
-        // Greeting
+        return yPos;
+    }
+
+    // Sincerely block shared by every letter; returns the y position below it
+    renderSignature(doc, yPos, margin, sender = 'Architectural Review Committee') {
+        // Keep the signature block together on one page
+        yPos = this.ensureSpace(doc, yPos, 45, margin);
+
+        // Closing - professional, modern formatting
         doc.setFontSize(11);
         doc.setFont('helvetica', 'normal');
-        doc.setTextColor(0, 0, 0);
-        const greeting = formData.ownerLastName 
-            ? `Dear ${formData.ownerLastName} Residence,`
-            : 'Dear Property Owner,';
-        doc.text(greeting, margin, yPos);
+        doc.setTextColor(30, 30, 30);
+        doc.text('Sincerely,', margin, yPos);
         yPos += 8;
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(44, 85, 48);
+        doc.text('Sanctuary Homeowners Association', margin, yPos);
+        yPos += 6;
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(70, 70, 70);
+        doc.text(sender, margin, yPos);
+        return yPos + 10;
+    }
+
+    // Template greeting for letters generated from a saved project (which stores the full homeowner name)
+    getProjectGreeting(project) {
+        const template = this.getTemplate();
+        const ownerLastName = (project.homeownerName || '').trim().split(' ').pop();
+        const greeting = ownerLastName ? template.greeting : template.greetingNoOwner;
+        return this.renderTemplate(greeting, { ownerLastName: ownerLastName });
+    }
+
+    // Deposit release letter sent when a project is closed out.
+    // Downloads the PDF and returns { blob, filename } so the caller can store it with the project.
+    async generateReleaseLetter(project, closeout) {
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            await this.loadLogo();
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+        const formatCurrency = (amount) => window.depositManager
+            ? window.depositManager.formatCurrency(amount)
+            : `$${(parseFloat(amount) || 0).toFixed(2)}`;
+        const inspectionLabel = CLOSEOUT_INSPECTION_RESULTS[closeout.inspectionResult] || closeout.inspectionResult;
+
+        let yPos = this.renderLetterhead(doc, `RE: Builder Deposit Release - ${project.projectType || 'Project'}`, project);
+
+        const writeParagraph = (text) => {
+            const lines = doc.splitTextToSize(text, contentWidth);
+            yPos = this.ensureSpace(doc, yPos, lines.length * 5, margin);
+            lines.forEach((line, index) => {
+                doc.text(line, margin, yPos + (index * 5));
+            });
+            yPos += (lines.length * 5) + 6;
+        };
 
-        // Review comments - proper paragraph formatting
-        const reviewComments = doc.splitTextToSize(formData.reviewComments, contentWidth);
         doc.setFontSize(11);
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(30, 30, 30);
-        doc.text(reviewComments, margin, yPos);
-        yPos += (reviewComments.length * 5) + 8;
+        doc.text(this.getProjectGreeting(project), margin, yPos);
+        yPos += 10;
 
-        // Approval reason - proper paragraph formatting
-        const approvalReason = doc.splitTextToSize(formData.approvalReason, contentWidth);
-        doc.text(approvalReason, margin, yPos);
-        yPos += (approvalReason.length * 5) + 8;
+        const inspectionDate = closeout.inspectionDate ? ` on ${closeout.inspectionDate}` : '';
+        const inspector = closeout.inspector ? ` by ${closeout.inspector}` : '';
+        writeParagraph(`The Architectural Review Committee completed the final inspection of this project${inspectionDate}${inspector}. Result: ${inspectionLabel}.`);
+        if (closeout.notes) {
+            writeParagraph(closeout.notes);
+        }
+
+        // Deposit summary
+        const summaryRows = [
+            ['Deposit received', formatCurrency(closeout.depositReceived)]
+        ];
+        if (closeout.priorDeductions > 0) {
+            summaryRows.push(['Previous deductions', `-${formatCurrency(closeout.priorDeductions)}`]);
+        }
+        if (closeout.priorRefunds > 0) {
+            summaryRows.push(['Previous refunds', `-${formatCurrency(closeout.priorRefunds)}`]);
+        }
+        if (closeout.deductionAmount > 0) {
+            summaryRows.push(['Deduction at close-out', `-${formatCurrency(closeout.deductionAmount)}`]);
+        }
+        summaryRows.push(['Refund issued', formatCurrency(closeout.refundAmount)]);
+        summaryRows.push(['Remaining balance', formatCurrency(closeout.remainingBalance)]);
+
+        yPos = this.ensureSpace(doc, yPos, (summaryRows.length * 6) + 6, margin);
+        doc.setFontSize(11);
+        summaryRows.forEach((row, index) => {
+            const isLast = index === summaryRows.length - 1;
+            doc.setFont('helvetica', isLast ? 'bold' : 'normal');
+            doc.text(row[0], margin + 5, yPos);
+            doc.text(row[1], margin + 95, yPos, { align: 'right' });
+            yPos += 6;
+        });
+        yPos += 4;
+
+        doc.setFont('helvetica', 'normal');
+        if (closeout.deductionAmount > 0 && closeout.deductionReason) {
+            writeParagraph(`Reason for deduction: ${closeout.deductionReason}`);
+        }
+        if (closeout.refundAmount > 0) {
+            const check = closeout.checkNumber ? ` (check #${closeout.checkNumber})` : '';
+            writeParagraph(`The refund of ${formatCurrency(closeout.refundAmount)}${check} is enclosed. This project is now closed with the Architectural Review Committee.`);
+        } else {
+            writeParagraph('No refund is due. This project is now closed with the Architectural Review Committee.');
+        }
+        writeParagraph('Thank you for your cooperation throughout construction.');
+
+        yPos = this.renderSignature(doc, yPos, margin);
+
+        if (closeout.closedBy) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(100, 100, 100);
+            doc.text(`Closed out by: ${closeout.closedBy}`, margin, yPos);
+        }
+
+        const filename = this.generateProjectLetterFilename('Deposit Release', project);
+        const blob = doc.output('blob');
+        doc.save(filename);
+        return { blob: blob, filename: filename };
+    }
+
+    // Extension letter for an approval or construction deadline; downloads the PDF
+    async generateExtensionLetter(project, extension) {
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            await this.loadLogo();
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+
+        let yPos = this.renderLetterhead(doc, `RE: ${extension.label} Extension - ${project.projectType || 'Project'}`, project);
+
+        const writeParagraph = (text) => {
+            const lines = doc.splitTextToSize(text, contentWidth);
+            yPos = this.ensureSpace(doc, yPos, lines.length * 5, margin);
+            lines.forEach((line, index) => {
+                doc.text(line, margin, yPos + (index * 5));
+            });
+            yPos += (lines.length * 5) + 6;
+        };
 
-        // Closing sentiment
         doc.setFontSize(11);
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(30, 30, 30);
-        doc.text('We look forward to another beautiful addition to the neighborhood.', margin, yPos);
+        doc.text(this.getProjectGreeting(project), margin, yPos);
         yPos += 10;
 
-        // Builder deposit information based on project type
-        const depositAmount = formData.projectType === 'New Home' ? '2000' : '1000';
-        const depositText = `Please submit a $${depositAmount} builder deposit, which will be held for the duration of the project to cover any unremedied HOA property damage. We return nearly all deposits in full; only in rare cases have deductions been necessary. Checks are made out to:`;
-        const depositLines = doc.splitTextToSize(depositText, contentWidth);
+        if (extension.deadline === 'approval') {
+            writeParagraph(`The Architectural Review Committee has extended the approval for this project${project.dateApproved ? `, originally approved on ${project.dateApproved},` : ''} to ${extension.newDate}. Construction must begin on or before that date or the approval will expire and the plans must be resubmitted for review.`);
+        } else {
+            writeParagraph(`The Architectural Review Committee has extended the construction completion deadline for this project from ${extension.previousDate} to ${extension.newDate}. All work, including final inspection, must be complete on or before that date.`);
+        }
+        if (extension.reason) {
+            writeParagraph(`Reason for extension: ${extension.reason}`);
+        }
+        writeParagraph('All other terms of the original approval remain in effect. Please contact the committee if you anticipate any further delays.');
+
+        yPos = this.renderSignature(doc, yPos, margin);
+
+        if (extension.grantedBy) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(100, 100, 100);
+            doc.text(`Extension granted by: ${extension.grantedBy}${extension.grantedDate ? ` on ${extension.grantedDate}` : ''}`, margin, yPos);
+        }
+
+        doc.save(this.generateProjectLetterFilename(`${extension.label} Extension`, project));
+    }
+
+    // Notice of a variance request sent to adjacent lots, one letter per page.
+    // Downloads the PDF and returns { blob, filename } so the caller can keep the copy that was sent.
+    async generateVarianceNotices(project, variance, neighbors) {
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            await this.loadLogo();
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+
+        neighbors.forEach((neighbor, index) => {
+            if (index > 0) doc.addPage();
+
+            let yPos = this.renderLetterhead(doc, `RE: Notice of Variance Request - Lot ${project.lot}, ${project.address}`, {
+                address: neighbor.address,
+                lot: neighbor.lotNumber
+            });
+
+            const writeParagraph = (text) => {
+                const lines = doc.splitTextToSize(text, contentWidth);
+                yPos = this.ensureSpace(doc, yPos, lines.length * 5, margin);
+                lines.forEach((line, lineIndex) => {
+                    doc.text(line, margin, yPos + (lineIndex * 5));
+                });
+                yPos += (lines.length * 5) + 6;
+            };
+
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(30, 30, 30);
+            doc.text('Dear Neighbor,', margin, yPos);
+            yPos += 10;
+
+            writeParagraph(`As the owner of an adjacent lot, you are receiving notice that the Architectural Review Committee has received a variance request for ${project.projectType || 'a project'} at ${project.address} (Lot ${project.lot}).`);
+            writeParagraph(`Standard: ${variance.standardLabel}. Required: ${variance.requiredValue}. Requested: ${variance.requestedValue}.`);
+            writeParagraph(`Reason given for the request: ${variance.justification}`);
+            writeParagraph(`If you object to this variance, please send your objection in writing to the Architectural Review Committee by ${variance.commentDeadline}. The committee will consider all objections received by that date before making its decision. No response is needed if you do not object.`);
+
+            this.renderSignature(doc, yPos, margin);
+        });
+
+        const filename = this.generateProjectLetterFilename('Variance Notice', project);
+        const blob = doc.output('blob');
+        doc.save(filename);
+        return { blob: blob, filename: filename };
+    }
+
+    // Variance decision letter to the applicant; downloads the PDF and returns { blob, filename }
+    async generateVarianceDecisionLetter(project, variance) {
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            await this.loadLogo();
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+        const decision = variance.decision;
+        const approved = decision.result === 'approved';
+
+        let yPos = this.renderLetterhead(doc, `RE: Variance ${approved ? 'Approval' : 'Denial'} - ${project.projectType || 'Project'}`, project);
+
+        const writeParagraph = (text) => {
+            const lines = doc.splitTextToSize(text, contentWidth);
+            yPos = this.ensureSpace(doc, yPos, lines.length * 5, margin);
+            lines.forEach((line, index) => {
+                doc.text(line, margin, yPos + (index * 5));
+            });
+            yPos += (lines.length * 5) + 6;
+        };
+
         doc.setFontSize(11);
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(30, 30, 30);
-        doc.text(depositLines, margin, yPos);
-        yPos += (depositLines.length * 5) + 6;
-        
-        // Deposit address
+        doc.text(this.getProjectGreeting(project), margin, yPos);
+        yPos += 10;
+
+        writeParagraph(`The Architectural Review Committee has reviewed your request for a variance from the ${variance.standardLabel.toLowerCase()} standard (${variance.requiredValue} required, ${variance.requestedValue} requested).`);
+
+        const neighborCount = (variance.neighbors || []).filter(neighbor => neighbor.noticeDate).length;
+        const objectionCount = (variance.objections || []).length;
+        if (neighborCount > 0) {
+            writeParagraph(`Notice was sent to ${neighborCount} adjacent lot${neighborCount === 1 ? '' : 's'} and ${objectionCount === 0 ? 'no objections were' : `${objectionCount} objection${objectionCount === 1 ? ' was' : 's were'}`} received.`);
+        }
+
+        if (approved) {
+            writeParagraph(`The variance is APPROVED. You may proceed with ${variance.requestedValue} where ${variance.requiredValue} is required, as shown on the plans submitted for review.${decision.notes ? ` Conditions: ${decision.notes}` : ''}`);
+            writeParagraph('This variance applies only to this project and the standard named above. All other standards and the terms of your approval remain in effect.');
+        } else {
+            writeParagraph(`The variance is DENIED. Reason: ${decision.notes}`);
+            writeParagraph(`The project must meet the ${variance.requiredValue} requirement. Please submit revised plans to the committee for review.`);
+        }
+
+        yPos = this.renderSignature(doc, yPos, margin);
+
+        if (decision.decidedBy) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(100, 100, 100);
+            doc.text(`Decision recorded by: ${decision.decidedBy}${decision.date ? ` on ${decision.date}` : ''}`, margin, yPos);
+        }
+
+        const filename = this.generateProjectLetterFilename(`Variance ${approved ? 'Approval' : 'Denial'}`, project);
+        const blob = doc.output('blob');
+        doc.save(filename);
+        return { blob: blob, filename: filename };
+    }
+
+    // Dues collection letter (reminder, demand or lien notice) listing the open invoices. Returns
+    // { doc, filename } so the letter is only downloaded once it has been recorded on the account.
+    // account: { stage, label, subject, balance, payBy, openInvoices: [{ description, dueDate, open }] }
+    async renderCollectionLetter(household, account) {
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            await this.loadLogo();
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+        const sender = 'Board of Directors';
+        const formatCurrency = (amount) => window.duesManager
+            ? window.duesManager.formatCurrency(amount)
+            : `$${(parseFloat(amount) || 0).toFixed(2)}`;
+
+        let yPos = this.renderLetterhead(doc, `RE: ${account.subject}`, {
+            address: household.address,
+            lot: household.lotNumber
+        }, sender);
+
+        const writeParagraph = (text) => {
+            const lines = doc.splitTextToSize(text, contentWidth);
+            yPos = this.ensureSpace(doc, yPos, lines.length * 5, margin);
+            lines.forEach((line, index) => {
+                doc.text(line, margin, yPos + (index * 5));
+            });
+            yPos += (lines.length * 5) + 6;
+        };
+
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(30, 30, 30);
+        doc.text('Dear Homeowner,', margin, yPos);
+        yPos += 10;
+
+        if (account.stage === 'reminder') {
+            writeParagraph(`Our records show that the assessments on your account are past due. The balance of ${formatCurrency(account.balance)} is itemized below. If you have already sent payment, please accept our thanks and disregard this reminder.`);
+        } else if (account.stage === 'demand') {
+            writeParagraph(`Despite our earlier reminder, the assessments on your account remain unpaid. The Association hereby demands payment of the past due balance of ${formatCurrency(account.balance)}, itemized below, including late fees charged under the Association's late fee policy.`);
+        } else {
+            writeParagraph(`The assessments on your account remain unpaid after our reminder and demand for payment. This is notice that the Association intends to record a lien against Lot ${household.lotNumber} for the past due balance of ${formatCurrency(account.balance)}, itemized below.`);
+            // The legal basis is the board's own wording from the late fee policy, never assumed here
+            if (account.lienStatement) {
+                writeParagraph(account.lienStatement);
+            }
+        }
+
+        // Itemized open invoices
+        yPos = this.ensureSpace(doc, yPos, ((account.openInvoices.length + 2) * 6) + 6, margin);
+        doc.setFontSize(10);
         doc.setFont('helvetica', 'bold');
-        doc.text('Sanctuary Homeowners Association', margin, yPos);
-        yPos += 5;
+        doc.text('Description', margin + 5, yPos);
+        doc.text('Due', margin + 95, yPos);
+        doc.text('Amount Due', margin + contentWidth - 5, yPos, { align: 'right' });
+        yPos += 6;
         doc.setFont('helvetica', 'normal');
-        doc.text('1 Sanctuary Blvd, Suite 100', margin, yPos);
-        yPos += 5;
-        doc.text('Mandeville, LA 70471', margin, yPos);
-        yPos += 12;
+        account.openInvoices.forEach(invoice => {
+            yPos = this.ensureSpace(doc, yPos, 6, margin);
+            doc.text(doc.splitTextToSize(invoice.description, 85)[0], margin + 5, yPos);
+            doc.text(invoice.dueDate || '', margin + 95, yPos);
+            doc.text(formatCurrency(invoice.open), margin + contentWidth - 5, yPos, { align: 'right' });
+            yPos += 6;
+        });
+        doc.setFont('helvetica', 'bold');
+        doc.text('Total past due', margin + 5, yPos);
+        doc.text(formatCurrency(account.balance), margin + contentWidth - 5, yPos, { align: 'right' });
+        yPos += 10;
 
-        // Closing - professional, modern formatting
         doc.setFontSize(11);
         doc.setFont('helvetica', 'normal');
-        doc.text('Sincerely,', margin, yPos);
-        yPos += 8;
+        if (account.stage === 'reminder') {
+            writeParagraph(`Please remit payment by ${account.payBy}. Checks may be made payable to Sanctuary Homeowners Association. Late fees continue to accrue on unpaid balances.`);
+        } else if (account.stage === 'demand') {
+            writeParagraph(`Payment in full must be received by ${account.payBy}. If the balance is not paid by that date, the Board will proceed with further collection action, which may include recording a lien against your lot.`);
+        } else {
+            writeParagraph(`To avoid the lien, payment in full must be received by ${account.payBy}.`);
+        }
+        writeParagraph('If you believe this balance is in error or would like to discuss a payment plan, please contact the Board before that date.');
+
+        this.renderSignature(doc, yPos, margin, sender);
+
+        return { doc: doc, filename: this.generateHouseholdLetterFilename(account.label, household) };
+    }
+
+    // Statement of a household's dues account over a date range, with the architectural deposits
+    // held on its lot. Returns { doc, filename } so single and batch downloads can share it.
+    // statement: { startDate, endDate, openingBalance, entries: [{ date, description, charge, credit, balance }],
+    //              totals: { dues, lateFees, payments, credits }, closingBalance, deposits: [...] }
+    async buildHouseholdStatement(household, statement) {
+        if (!this.logoData || !this.logoWidth || !this.logoHeight) {
+            await this.loadLogo();
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const margin = 25.4; // 1 inch in mm
+        const contentWidth = doc.internal.pageSize.getWidth() - (margin * 2);
+        const right = margin + contentWidth;
+        const sender = 'Board of Directors';
+        const formatCurrency = (amount) => window.duesManager
+            ? window.duesManager.formatCurrency(amount)
+            : `$${(parseFloat(amount) || 0).toFixed(2)}`;
+
+        let yPos = this.renderLetterhead(doc, `RE: Statement of Account - ${statement.startDate} to ${statement.endDate}`, {
+            address: household.address,
+            lot: household.lotNumber
+        }, sender);
+
+        // Activity table: date, description, charges, payments and credits, running balance
+        const drawActivityHeader = () => {
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(44, 85, 48);
+            doc.text('Date', margin, yPos);
+            doc.text('Description', margin + 22, yPos);
+            doc.text('Charges', right - 50, yPos, { align: 'right' });
+            doc.text('Paid/Credited', right - 25, yPos, { align: 'right' });
+            doc.text('Balance', right, yPos, { align: 'right' });
+            yPos += 2;
+            doc.setDrawColor(44, 85, 48);
+            doc.line(margin, yPos, right, yPos);
+            yPos += 5;
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(30, 30, 30);
+        };
+        const drawActivityRow = (date, description, charge, credit, balance, bold = false) => {
+            if (yPos + 6 > doc.internal.pageSize.getHeight() - margin) {
+                doc.addPage();
+                yPos = margin;
+                drawActivityHeader();
+            }
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            doc.text(date || '', margin, yPos);
+            doc.text(doc.splitTextToSize(description, 70)[0], margin + 22, yPos);
+            doc.text(charge ? formatCurrency(charge) : '', right - 50, yPos, { align: 'right' });
+            doc.text(credit ? formatCurrency(credit) : '', right - 25, yPos, { align: 'right' });
+            doc.text(formatCurrency(balance), right, yPos, { align: 'right' });
+            yPos += 6;
+        };
+
+        yPos = this.ensureSpace(doc, yPos, 30, margin);
+        drawActivityHeader();
+        drawActivityRow(statement.startDate, 'Opening balance', 0, 0, statement.openingBalance, true);
+        statement.entries.forEach(entry => {
+            drawActivityRow(entry.date, entry.description, entry.charge, entry.credit, entry.balance);
+        });
+        if (statement.entries.length === 0) {
+            drawActivityRow('', 'No activity in this period', 0, 0, statement.openingBalance);
+        }
+        drawActivityRow(statement.endDate, statement.closingBalance < 0 ? 'Closing balance (credit)' : 'Closing balance', 0, 0, statement.closingBalance, true);
+        yPos += 4;
+
+        // Period summary
+        const summaryRows = [
+            ['Dues invoiced', formatCurrency(statement.totals.dues)],
+            ['Late fees', formatCurrency(statement.totals.lateFees)],
+            ['Payments received', formatCurrency(statement.totals.payments)],
+            ['Credits', formatCurrency(statement.totals.credits)]
+        ];
+        yPos = this.ensureSpace(doc, yPos, (summaryRows.length * 6) + 12, margin);
+        doc.setFontSize(10);
         doc.setFont('helvetica', 'bold');
         doc.setTextColor(44, 85, 48);
-        doc.text('Sanctuary Homeowners Association', margin, yPos);
+        doc.text('Summary for the period', margin, yPos);
         yPos += 6;
         doc.setFont('helvetica', 'normal');
-        doc.setTextColor(70, 70, 70);
-        doc.text('Architectural Review Committee', margin, yPos);
-        yPos += 10;
-        
-        // Approved by (if provided)
-        if (formData.approvedBy) {
-            doc.setFontSize(10);
+        doc.setTextColor(30, 30, 30);
+        summaryRows.forEach(row => {
+            doc.text(row[0], margin + 5, yPos);
+            doc.text(row[1], margin + 95, yPos, { align: 'right' });
+            yPos += 6;
+        });
+        yPos += 6;
+
+        // Architectural deposits held on the lot
+        yPos = this.ensureSpace(doc, yPos, 20, margin);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(44, 85, 48);
+        doc.text(`Architectural deposits held as of ${this.formatDate(new Date())}`, margin, yPos);
+        yPos += 6;
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(30, 30, 30);
+        if (statement.deposits.length === 0) {
+            doc.text('No builder deposits are held for this lot.', margin + 5, yPos);
+            yPos += 6;
+        } else {
+            statement.deposits.forEach(deposit => {
+                yPos = this.ensureSpace(doc, yPos, 6, margin);
+                const approved = deposit.dateApproved ? `, approved ${deposit.dateApproved}` : '';
+                doc.text(doc.splitTextToSize(`${deposit.projectType || 'Project'}${approved}`, 90)[0], margin + 5, yPos);
+                doc.text(`${formatCurrency(deposit.received)} received`, right - 35, yPos, { align: 'right' });
+                doc.text(`${formatCurrency(deposit.held)} held`, right, yPos, { align: 'right' });
+                yPos += 6;
+            });
+            doc.setFontSize(9);
             doc.setFont('helvetica', 'italic');
             doc.setTextColor(100, 100, 100);
-            doc.text(`Approved by: ${formData.approvedBy}`, margin, yPos);
+            yPos = this.ensureSpace(doc, yPos, 6, margin);
+            doc.text('Deposits are held by the Architectural Review Committee and are separate from the dues balance.', margin + 5, yPos);
             yPos += 8;
         }
 
-        // Approved on date (use provided date or today's date)
-        const approvedDate = formData.approvedOn || new Date();
-        const approvedDateStr = this.formatDate(approvedDate);
-        doc.setFontSize(10);
-        doc.setFont('helvetica', 'italic');
-        doc.setTextColor(100, 100, 100);
-        doc.text(`Approved on: ${approvedDateStr}`, margin, yPos);
-        yPos += 8;
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(30, 30, 30);
+        yPos += 4;
+        this.renderSignature(doc, yPos, margin, sender);
 
-        // Add attachments note if there are files - modern, subtle styling
-        if (window.fileHandler && window.fileHandler.getFiles().length > 0) {
-            doc.setFontSize(9);
-            doc.setFont('helvetica', 'italic');
-            doc.setTextColor(120, 120, 120);
-            doc.text('Attachments included on following pages.', margin, yPos);
+        return { doc: doc, filename: this.generateHouseholdLetterFilename('Statement', household) };
+    }
+
+    async generateHouseholdStatement(household, statement) {
+        const { doc, filename } = await this.buildHouseholdStatement(household, statement);
+        doc.save(filename);
+    }
+
+    // Filename for letters and statements sent to a household
+    generateHouseholdLetterFilename(label, household) {
+        const sanitize = (text) => (text || '')
+            .replace(/[^a-zA-Z0-9\s]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const dateStr = this.formatDate(new Date()).replace(/\//g, '_');
+        return `Sanctuary ${label} - ${household.lotNumber || ''} - ${sanitize(household.address)} - ${dateStr}.pdf`;
+    }
+
+    // Filename for letters generated from a saved project (release, extension, etc.)
+    generateProjectLetterFilename(label, project) {
+        const sanitize = (text) => (text || '')
+            .replace(/[^a-zA-Z0-9\s]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const dateStr = this.formatDate(new Date()).replace(/\//g, '_');
+        return `Sanctuary ${label} - ${project.lot || ''} - ${sanitize(project.address)} - ${sanitize(project.projectType)} - ${dateStr}.pdf`;
+    }
+
+    ensureSpace(doc, yPos, neededHeight, margin) {
+        // Start a new page when the next block would run into the bottom margin
+        const pageHeight = doc.internal.pageSize.getHeight();
+        if (yPos + neededHeight > pageHeight - margin) {
+            doc.addPage();
+            return margin;
         }
+        return yPos;
     }
 
     async loadBuildersRules() {
@@ -371,9 +1023,10 @@ class PDFGenerator {
                 await this.processFiles(mergedPdfDoc, projectFiles);
             }
 
-            // Add Builder's Rules PDF - always add with section label
+            // Add Builder's Rules PDF with section label (approval letters only)
+            const includeBuildersRules = this.getLetterType(formData).includeBuildersRules;
             console.log('Attempting to load Builder\'s Rules PDF...');
-            const buildersRulesBytes = await this.loadBuildersRules();
+            const buildersRulesBytes = includeBuildersRules ? await this.loadBuildersRules() : null;
             if (buildersRulesBytes && buildersRulesBytes.byteLength > 0) {
                 try {
                     console.log('Builder\'s Rules PDF loaded, size:', buildersRulesBytes.byteLength, 'bytes');
@@ -388,29 +1041,16 @@ class PDFGenerator {
                     console.error('Error attaching Builder\'s Rules PDF:', error);
                     console.error('Error details:', error.message, error.stack);
                 }
-            } else {
+            } else if (includeBuildersRules) {
                 console.error('Builder\'s Rules PDF not found or could not be loaded. Path: assets/Sanctuary Builder Rules.pdf');
                 console.error('Make sure the file exists in the assets folder relative to index.html');
             }
 
             // Save the merged PDF
             const mergedPdfBytes = await mergedPdfDoc.save();
-            
-            // Generate filename and download
             const filename = this.generateFilename(formData);
             
-            // Create a blob and trigger download
-            const blob = new Blob([mergedPdfBytes], { type: 'application/pdf' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-            
-            // Return blob and filename for project tracking
+            // Return blob and filename; the caller decides whether to download or store it
             return {
                 success: true,
                 blob: mergedPdfBytes, // Return ArrayBuffer for storage
@@ -449,6 +1089,8 @@ class PDFGenerator {
         
         // Process each attachment
         for (const fileItem of files) {
+            // Characters the letter font cannot print, collected across all pages of this file
+            const unprintable = new Set();
             try {
                 if (fileItem.type === 'application/pdf') {
                     // Embed PDF pages - ensure all pages are copied
@@ -457,9 +1099,14 @@ class PDFGenerator {
                     const pages = await pdfDoc.copyPages(attachmentPdf, pageIndices);
                     
                     // Add all pages to ensure nothing is truncated
-                    pages.forEach(page => {
+                    for (const [index, page] of pages.entries()) {
                         pdfDoc.addPage(page);
-                    });
+                        if (fileItem.annotations) {
+                            // The annotator draws over the visible area, which is the crop box
+                            const replaced = await this.drawAnnotations(pdfDoc, page, fileItem.annotations, index + 1, page.getCropBox());
+                            replaced.forEach(char => unprintable.add(char));
+                        }
+                    }
                     
                     console.log(`PDF "${fileItem.name}" embedded: ${pages.length} page(s) added`);
                 } else if (fileItem.type.startsWith('image/')) {
@@ -544,6 +1191,11 @@ class PDFGenerator {
                                     height: finalHeight,
                                 });
                                 
+                                if (fileItem.annotations) {
+                                    const replaced = await this.drawAnnotations(pdfDoc, page, fileItem.annotations, 1, { x: x, y: y, width: finalWidth, height: finalHeight });
+                                    replaced.forEach(char => unprintable.add(char));
+                                }
+                                
                                 console.log(`Image "${fileItem.name}" embedded: ${imgWidth}x${imgHeight} on page ${pageWidth}x${pageHeight}`);
                             }
                         } catch (error) {
@@ -557,9 +1209,125 @@ class PDFGenerator {
                     console.error(`Error processing file ${fileItem.name}:`, error);
                     // Continue with other files
                 }
+
+                if (unprintable.size > 0) {
+                    const characters = [...unprintable].join(' ');
+                    console.warn(`Markup notes on "${fileItem.name}" contain characters the letter font cannot print:`, characters);
+                    alert(`Some markup notes on "${fileItem.name}" contain characters the letter font cannot print (${characters}). They appear as "?" in the letter.`);
+                }
             }
     }
 
+    // Flatten reviewer markup onto an attachment page. box is where the page content sits,
+    // in PDF points from the bottom-left of the unrotated page; the annotator's primitives are
+    // measured from the top-left of the page as it is displayed, after the page's /Rotate.
+    async drawAnnotations(pdfDoc, page, annotations, pageNumber, box) {
+        const { rgb, degrees } = PDFLib;
+        const onPage = annotations.filter(annotation => annotation.page === pageNumber);
+        if (onPage.length === 0 || !window.planAnnotator) return [];
+
+        const font = await pdfDoc.embedFont('Helvetica');
+        const scale = window.planAnnotator.getPageScale(annotations, pageNumber);
+        const toColor = (hex) => rgb(
+            parseInt(hex.slice(1, 3), 16) / 255,
+            parseInt(hex.slice(3, 5), 16) / 255,
+            parseInt(hex.slice(5, 7), 16) / 255
+        );
+
+        // Map a displayed point to page space for each quarter turn of /Rotate (clockwise)
+        const rotation = ((Math.round(page.getRotation().angle / 90) * 90) % 360 + 360) % 360;
+        const sideways = rotation === 90 || rotation === 270;
+        const displayWidth = sideways ? box.height : box.width;
+        const displayHeight = sideways ? box.width : box.height;
+        const point = (x, y) => {
+            if (rotation === 90) return { x: box.x + y, y: box.y + x };
+            if (rotation === 180) return { x: box.x + box.width - x, y: box.y + y };
+            if (rotation === 270) return { x: box.x + box.width - y, y: box.y + box.height - x };
+            return { x: box.x + x, y: box.y + box.height - y };
+        };
+        const rectangle = (left, top, width, height) => {
+            const a = point(left, top);
+            const b = point(left + width, top + height);
+            return {
+                x: Math.min(a.x, b.x),
+                y: Math.min(a.y, b.y),
+                width: Math.abs(b.x - a.x),
+                height: Math.abs(b.y - a.y)
+            };
+        };
+
+        // Helvetica only covers WinAnsi; drawText throws on anything else and the note would be lost
+        const characterSet = new Set(font.getCharacterSet());
+        const replaced = [];
+        const encodable = (text) => Array.from(text.replace(/[\r\n\t]+/g, ' ')).map(char => {
+            if (characterSet.has(char.codePointAt(0))) return char;
+            const plain = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            if (plain && Array.from(plain).every(c => characterSet.has(c.codePointAt(0)))) return plain;
+            replaced.push(char);
+            return '?';
+        }).join('');
+
+        onPage.forEach(annotation => {
+            window.planAnnotator.toPrimitives(annotation, displayWidth, displayHeight, scale).forEach(primitive => {
+                try {
+                    const color = toColor(primitive.color);
+                    if (primitive.kind === 'line') {
+                        page.drawLine({
+                            start: point(primitive.x1, primitive.y1),
+                            end: point(primitive.x2, primitive.y2),
+                            thickness: primitive.lineWidth,
+                            color: color,
+                            dashArray: primitive.dashed ? [primitive.lineWidth * 4, primitive.lineWidth * 3] : undefined
+                        });
+                    } else if (primitive.kind === 'rect') {
+                        page.drawRectangle({
+                            ...rectangle(primitive.x, primitive.y, primitive.width, primitive.height),
+                            borderColor: color,
+                            borderWidth: primitive.lineWidth
+                        });
+                    } else if (primitive.kind === 'ellipse') {
+                        const center = point(primitive.cx, primitive.cy);
+                        page.drawEllipse({
+                            x: center.x,
+                            y: center.y,
+                            xScale: Math.max(sideways ? primitive.ry : primitive.rx, 0.5),
+                            yScale: Math.max(sideways ? primitive.rx : primitive.ry, 0.5),
+                            color: primitive.filled ? color : undefined,
+                            borderColor: color,
+                            borderWidth: primitive.lineWidth
+                        });
+                    } else if (primitive.kind === 'text') {
+                        const text = encodable(primitive.text);
+                        const padding = primitive.size * 0.35;
+                        const textWidth = font.widthOfTextAtSize(text, primitive.size);
+                        const left = primitive.align === 'center' ? primitive.x - textWidth / 2 - padding : primitive.x;
+                        const boxHeight = primitive.size + padding * 2;
+                        page.drawRectangle({
+                            ...rectangle(left, primitive.y, textWidth + padding * 2, boxHeight),
+                            color: rgb(1, 1, 1),
+                            opacity: 0.9,
+                            borderColor: color,
+                            borderWidth: primitive.lineWidth
+                        });
+                        // Turn the text against /Rotate so it reads upright on the displayed page
+                        page.drawText(text, {
+                            ...point(left + padding, primitive.y + padding + primitive.size * 0.8),
+                            size: primitive.size,
+                            font: font,
+                            color: color,
+                            rotate: degrees(rotation)
+                        });
+                    }
+                } catch (error) {
+                    console.error('Error drawing markup on attachment:', error);
+                }
+            });
+        });
+
+        // Returned rather than reported here so the caller can warn once per file
+        return replaced;
+    }
+
     async addAttachmentsSimple(mainDoc, files) {
         // Fallback: add images as pages using jsPDF directly
         // Note: This method has limitations with very large images due to jsPDF constraints
@@ -688,7 +1456,103 @@ class PDFGenerator {
             .replace(/\s+/g, ' ')
             .trim();
         
-        return `Sanctuary Architectural Approval Letter - ${formData.lot} - ${sanitizedAddress} - ${sanitizedProjectType} - ${dateStr}.pdf`;
+        const letterType = this.getLetterType(formData);
+        return `Sanctuary ${letterType.filenameLabel} - ${formData.lot} - ${sanitizedAddress} - ${sanitizedProjectType} - ${dateStr}.pdf`;
+    }
+
+    // Tabular report (deposits, aging, etc.) with the association header and page breaks.
+    // columns: [{ header, width (mm), align }]; rows: [{ cells: [...], highlight }]; totals: optional cells
+    generateTableReport({ title, subtitle, columns, rows, totals, filename }) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'landscape',
+            unit: 'mm',
+            format: 'letter'
+        });
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const margin = 15;
+        const rowHeight = 7;
+        let yPos = margin;
+
+        // Header - logo, association name and report title
+        if (this.logoData && this.logoWidth && this.logoHeight && this.logoData.startsWith('data:image/')) {
+            try {
+                const logoHeight = 15;
+                const logoWidth = logoHeight * (this.logoWidth / this.logoHeight);
+                doc.addImage(this.logoData, 'JPEG', pageWidth - margin - logoWidth, yPos, logoWidth, logoHeight);
+            } catch (error) {
+                console.error('Error adding logo to report:', error);
+            }
+        }
+        doc.setFontSize(16);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(44, 85, 48);
+        doc.text('Sanctuary Homeowners Association', margin, yPos + 5);
+        doc.setFontSize(12);
+        doc.setTextColor(70, 70, 70);
+        doc.text(title, margin, yPos + 12);
+        yPos += 18;
+        if (subtitle) {
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(100, 100, 100);
+            doc.text(subtitle, margin, yPos);
+            yPos += 6;
+        }
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'italic');
+        doc.text(`Generated ${this.formatDate(new Date())}`, margin, yPos);
+        yPos += 6;
+
+        const drawRow = (cells, options = {}) => {
+            let xPos = margin;
+            if (options.fill) {
+                doc.setFillColor(...options.fill);
+                doc.rect(margin, yPos - 5, pageWidth - (margin * 2), rowHeight, 'F');
+            }
+            doc.setFont('helvetica', options.bold ? 'bold' : 'normal');
+            doc.setTextColor(...(options.color || [30, 30, 30]));
+            columns.forEach((column, index) => {
+                const text = doc.splitTextToSize(String(cells[index] === undefined ? '' : cells[index]), column.width - 2)[0] || '';
+                if (column.align === 'right') {
+                    doc.text(text, xPos + column.width - 2, yPos, { align: 'right' });
+                } else {
+                    doc.text(text, xPos + 1, yPos);
+                }
+                xPos += column.width;
+            });
+            yPos += rowHeight;
+        };
+
+        const drawHeader = () => {
+            doc.setFontSize(8);
+            drawRow(columns.map(column => column.header), { bold: true, fill: [232, 245, 233], color: [44, 85, 48] });
+        };
+
+        drawHeader();
+        doc.setFontSize(8);
+        rows.forEach(row => {
+            if (yPos + rowHeight > pageHeight - margin) {
+                doc.addPage();
+                yPos = margin + 5;
+                drawHeader();
+                doc.setFontSize(8);
+            }
+            drawRow(row.cells, row.highlight ? { fill: [255, 243, 205] } : {});
+        });
+
+        if (totals) {
+            if (yPos + rowHeight > pageHeight - margin) {
+                doc.addPage();
+                yPos = margin + 5;
+            }
+            doc.setDrawColor(44, 85, 48);
+            doc.line(margin, yPos - 5, pageWidth - margin, yPos - 5);
+            drawRow(totals, { bold: true });
+        }
+
+        doc.save(filename);
     }
 
     showLoading(show) {
@@ -0,0 +1,547 @@
+// Plan Annotator - Markup layer for PDF and image attachments: shapes, arrows, text callouts and measurement lines
+
+const ANNOTATION_TOOLS = {
+    rect: { label: '▭ Box', hint: 'Drag to draw a box' },
+    ellipse: { label: '◯ Circle', hint: 'Drag to circle an area' },
+    arrow: { label: '➔ Arrow', hint: 'Drag from the tail to the point of the arrow' },
+    text: { label: '✎ Note', hint: 'Drag from the point of interest to where the note should sit' },
+    measure: { label: '↔ Measure', hint: 'Drag between two points to measure; set the scale first' },
+    scale: { label: '⚖ Set Scale', hint: 'Drag along a dimension of known length, then enter it in feet' },
+    erase: { label: '⌫ Erase', hint: 'Click a markup to remove it' }
+};
+
+const ANNOTATION_COLORS = {
+    '#d32f2f': 'Red',
+    '#1565c0': 'Blue',
+    '#2e7d32': 'Green',
+    '#ef6c00': 'Orange'
+};
+
+class PlanAnnotator {
+    constructor() {
+        this.state = null;
+    }
+
+    // Annotations are stored on each attachment record, so every revision keeps its own markup
+    getAnnotations(file) {
+        return (file && file.annotations) || [];
+    }
+
+    getPageScale(annotations, page) {
+        return annotations.find(annotation => annotation.tool === 'scale' && annotation.page === page) || null;
+    }
+
+    // Length in feet of a line drawn on a page, using the page's scale line; null without a scale.
+    // width and height may be any size with the page's proportions.
+    measureFeet(annotation, scale, width, height) {
+        if (!scale || !scale.feet) return null;
+        const length = Math.hypot((annotation.x2 - annotation.x1) * width, (annotation.y2 - annotation.y1) * height);
+        const scaleLength = Math.hypot((scale.x2 - scale.x1) * width, (scale.y2 - scale.y1) * height);
+        return scaleLength > 0 ? (length / scaleLength) * scale.feet : null;
+    }
+
+    formatFeet(feet) {
+        return feet === null ? 'scale not set' : `${Math.round(feet * 10) / 10} ft`;
+    }
+
+    // Drawing primitives for one annotation on a width x height page, origin top-left.
+    // Shared by the on-screen canvas and the letter attachment flattening in PDFGenerator.
+    toPrimitives(annotation, width, height, scale = null) {
+        const x1 = annotation.x1 * width;
+        const y1 = annotation.y1 * height;
+        const x2 = annotation.x2 * width;
+        const y2 = annotation.y2 * height;
+        const lineWidth = Math.max(1.5, width * 0.0025);
+        const fontSize = Math.max(10, width * 0.014);
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const line = (ax, ay, bx, by) => ({ kind: 'line', x1: ax, y1: ay, x2: bx, y2: by });
+        const ticks = () => {
+            const tick = fontSize * 0.5;
+            const dx = Math.sin(angle) * tick;
+            const dy = -Math.cos(angle) * tick;
+            return [line(x1 - dx, y1 - dy, x1 + dx, y1 + dy), line(x2 - dx, y2 - dy, x2 + dx, y2 + dy)];
+        };
+        let primitives = [];
+
+        if (annotation.tool === 'rect') {
+            primitives = [{ kind: 'rect', x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) }];
+        } else if (annotation.tool === 'ellipse') {
+            primitives = [{ kind: 'ellipse', cx: (x1 + x2) / 2, cy: (y1 + y2) / 2, rx: Math.abs(x2 - x1) / 2, ry: Math.abs(y2 - y1) / 2 }];
+        } else if (annotation.tool === 'arrow') {
+            const head = fontSize;
+            primitives = [
+                line(x1, y1, x2, y2),
+                line(x2, y2, x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6)),
+                line(x2, y2, x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6))
+            ];
+        } else if (annotation.tool === 'text') {
+            primitives = [
+                line(x1, y1, x2, y2),
+                { kind: 'ellipse', cx: x1, cy: y1, rx: lineWidth * 1.5, ry: lineWidth * 1.5, filled: true },
+                { kind: 'text', x: x2, y: y2, text: annotation.text || '', size: fontSize, align: 'left' }
+            ];
+        } else if (annotation.tool === 'measure' || annotation.tool === 'scale') {
+            const label = annotation.tool === 'scale'
+                ? `Scale: ${annotation.feet} ft`
+                : this.formatFeet(this.measureFeet(annotation, scale, width, height));
+            primitives = [
+                line(x1, y1, x2, y2),
+                ...ticks(),
+                { kind: 'text', x: (x1 + x2) / 2, y: (y1 + y2) / 2 - fontSize * 1.8, text: label, size: fontSize, align: 'center' }
+            ];
+        }
+
+        return primitives.map(primitive => ({ ...primitive, color: annotation.color || '#d32f2f', lineWidth: lineWidth, dashed: annotation.tool === 'scale' }));
+    }
+
+    drawPrimitives(ctx, primitives) {
+        primitives.forEach(primitive => {
+            ctx.strokeStyle = primitive.color;
+            ctx.fillStyle = primitive.color;
+            ctx.lineWidth = primitive.lineWidth;
+            ctx.setLineDash(primitive.dashed && primitive.kind === 'line' ? [primitive.lineWidth * 4, primitive.lineWidth * 3] : []);
+
+            if (primitive.kind === 'line') {
+                ctx.beginPath();
+                ctx.moveTo(primitive.x1, primitive.y1);
+                ctx.lineTo(primitive.x2, primitive.y2);
+                ctx.stroke();
+            } else if (primitive.kind === 'rect') {
+                ctx.strokeRect(primitive.x, primitive.y, primitive.width, primitive.height);
+            } else if (primitive.kind === 'ellipse') {
+                ctx.beginPath();
+                ctx.ellipse(primitive.cx, primitive.cy, Math.max(primitive.rx, 0.5), Math.max(primitive.ry, 0.5), 0, 0, Math.PI * 2);
+                if (primitive.filled) {
+                    ctx.fill();
+                } else {
+                    ctx.stroke();
+                }
+            } else if (primitive.kind === 'text') {
+                ctx.font = `${primitive.size}px Arial, sans-serif`;
+                const padding = primitive.size * 0.35;
+                const textWidth = ctx.measureText(primitive.text).width;
+                const left = primitive.align === 'center' ? primitive.x - textWidth / 2 - padding : primitive.x;
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.fillRect(left, primitive.y, textWidth + padding * 2, primitive.size + padding * 2);
+                ctx.strokeRect(left, primitive.y, textWidth + padding * 2, primitive.size + padding * 2);
+                ctx.fillStyle = primitive.color;
+                ctx.textBaseline = 'top';
+                ctx.fillText(primitive.text, left + padding, primitive.y + padding);
+            }
+        });
+        ctx.setLineDash([]);
+    }
+
+    // Draw a page's annotations onto a canvas the size of the rendered page
+    drawAnnotations(ctx, annotations, page, width, height) {
+        const scale = this.getPageScale(annotations, page);
+        annotations
+            .filter(annotation => annotation.page === page)
+            .forEach(annotation => this.drawPrimitives(ctx, this.toPrimitives(annotation, width, height, scale)));
+    }
+
+    getFile(state) {
+        const project = window.projectManager.projects.find(p => p.id === state.projectId);
+        const files = project ? project[FILE_VERSION_TYPES[state.fileType].listField] || [] : [];
+        return { project: project, file: files[state.fileIndex] };
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    show(projectId, fileType, fileIndex) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+        if (!window.planRenderer.isAvailable()) {
+            alert('The PDF viewer could not be loaded. Check your connection and reload the page.');
+            return;
+        }
+
+        this.hide();
+        this.state = {
+            projectId: projectId,
+            fileType: fileType,
+            fileIndex: parseInt(fileIndex) || 0
+        };
+        const { project, file } = this.getFile(this.state);
+        if (!project || !file || !file.storageUrl) {
+            this.state = null;
+            alert('File not found.');
+            return;
+        }
+
+        const canEdit = window.userManager && window.userManager.isAdmin();
+        Object.assign(this.state, {
+            file: file,
+            canEdit: canEdit,
+            annotations: this.getAnnotations(file).map(annotation => ({ ...annotation })),
+            includeInLetter: !!file.annotationsInLetter,
+            undoStack: [],
+            dirty: false,
+            tool: 'rect',
+            color: Object.keys(ANNOTATION_COLORS)[0],
+            page: 1,
+            zoom: 1,
+            draft: null
+        });
+
+        const buttonStyle = 'padding: 6px 10px; font-size: 0.85rem;';
+        const toolbarHtml = canEdit ? `
+            <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center;">
+                ${Object.keys(ANNOTATION_TOOLS).map(key => `
+                    <button type="button" class="btn-small btn-secondary annotation-tool-btn" data-tool="${key}" title="${ANNOTATION_TOOLS[key].hint}" style="${buttonStyle}">${ANNOTATION_TOOLS[key].label}</button>
+                `).join('')}
+                <select id="annotationColor" style="padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    ${Object.keys(ANNOTATION_COLORS).map(color => `<option value="${color}" style="color: ${color};">${ANNOTATION_COLORS[color]}</option>`).join('')}
+                </select>
+                <button type="button" id="annotationUndo" class="btn-small btn-secondary" style="${buttonStyle}">↶ Undo</button>
+            </div>
+        ` : '<div style="color: #666;">Markup is view-only for members.</div>';
+
+        const modal = document.createElement('div');
+        modal.id = 'planAnnotatorModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px;';
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; width: 100%; max-width: 1400px; height: 92vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 16px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.4rem;">Markup — ${this.escapeHtml(file.name)}${file.revision ? ` (Rev ${this.escapeHtml(file.revision)})` : ''}</h2>
+                    <button id="closePlanAnnotatorModal" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 12px 20px; border-bottom: 1px solid #e0e0e0; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: space-between; font-size: 0.9rem;">
+                    ${toolbarHtml}
+                    <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center;">
+                        <button type="button" id="annotationPrevPage" class="btn-small btn-secondary" style="${buttonStyle}">‹</button>
+                        <span id="annotationPageLabel">Page 1</span>
+                        <button type="button" id="annotationNextPage" class="btn-small btn-secondary" style="${buttonStyle}">›</button>
+                        <button type="button" id="annotationZoomOut" class="btn-small btn-secondary" style="${buttonStyle}">−</button>
+                        <span id="annotationZoomLabel" style="min-width: 48px; text-align: center;">100%</span>
+                        <button type="button" id="annotationZoomIn" class="btn-small btn-secondary" style="${buttonStyle}">+</button>
+                    </div>
+                </div>
+                <div id="annotationStatus" style="padding: 6px 20px; font-size: 0.85rem; color: #666;"></div>
+                <div id="annotationStage" style="flex: 1; overflow: auto; background: #e9ecef; margin: 0 20px; border: 1px solid #ddd; border-radius: 6px; min-height: 0;">
+                    <div id="annotationPageWrapper" style="position: relative; margin: 10px auto; width: max-content;"></div>
+                </div>
+                <div style="padding: 12px 20px; display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap;">
+                    <label style="font-size: 0.9rem; display: flex; align-items: center; gap: 6px;">
+                        <input type="checkbox" id="annotationIncludeInLetter" ${this.state.includeInLetter ? 'checked' : ''} ${canEdit ? '' : 'disabled'}>
+                        Include this markup in letter attachments
+                    </label>
+                    <div style="display: flex; gap: 10px;">
+                        <button type="button" id="cancelAnnotationBtn" class="btn btn-secondary">Close</button>
+                        ${canEdit ? '<button type="button" id="saveAnnotationBtn" class="btn btn-primary">Save Markup</button>' : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            if (this.state && this.state.dirty && !confirm('Discard unsaved markup?')) return;
+            this.hide();
+        };
+        document.getElementById('closePlanAnnotatorModal').addEventListener('click', close);
+        document.getElementById('cancelAnnotationBtn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        const handleKeys = (e) => {
+            if (!document.getElementById('planAnnotatorModal')) {
+                document.removeEventListener('keydown', handleKeys);
+                return;
+            }
+            if (e.key === 'Escape') {
+                close();
+            } else if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+                e.preventDefault();
+                this.undo();
+            }
+        };
+        document.addEventListener('keydown', handleKeys);
+
+        document.getElementById('annotationPrevPage').addEventListener('click', () => this.goToPage(this.state.page - 1));
+        document.getElementById('annotationNextPage').addEventListener('click', () => this.goToPage(this.state.page + 1));
+        document.getElementById('annotationZoomOut').addEventListener('click', () => this.setZoom(this.state.zoom / 1.25));
+        document.getElementById('annotationZoomIn').addEventListener('click', () => this.setZoom(this.state.zoom * 1.25));
+
+        if (canEdit) {
+            modal.querySelectorAll('.annotation-tool-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.setTool(btn.getAttribute('data-tool')));
+            });
+            document.getElementById('annotationColor').addEventListener('change', (e) => {
+                this.state.color = e.target.value;
+            });
+            document.getElementById('annotationUndo').addEventListener('click', () => this.undo());
+            document.getElementById('annotationIncludeInLetter').addEventListener('change', (e) => {
+                this.state.includeInLetter = e.target.checked;
+                this.state.dirty = true;
+            });
+            document.getElementById('saveAnnotationBtn').addEventListener('click', () => this.save());
+            this.setTool('rect');
+        }
+
+        this.load();
+    }
+
+    async load() {
+        this.setStatus('Loading file…');
+        try {
+            this.state.source = await window.planRenderer.load(this.state.file);
+            await this.render();
+        } catch (error) {
+            console.error('Error loading file for markup:', error);
+            this.setStatus(`<span style="color: #d32f2f;">${this.escapeHtml(error.message)}</span>`);
+        }
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('annotationStatus');
+        if (status) status.innerHTML = message;
+    }
+
+    setTool(tool) {
+        this.state.tool = tool;
+        document.querySelectorAll('.annotation-tool-btn').forEach(btn => {
+            const active = btn.getAttribute('data-tool') === tool;
+            btn.style.background = active ? 'var(--primary-color)' : '';
+            btn.style.color = active ? 'white' : '';
+        });
+        this.setStatus(ANNOTATION_TOOLS[tool].hint);
+    }
+
+    goToPage(page) {
+        if (!this.state || !this.state.source || page < 1 || page > this.state.source.pageCount) return;
+        this.state.page = page;
+        this.render();
+    }
+
+    setZoom(zoom) {
+        if (!this.state) return;
+        this.state.zoom = Math.max(0.25, Math.min(4, zoom));
+        this.render();
+    }
+
+    async render() {
+        const state = this.state;
+        if (!state || !state.source) return;
+
+        const stage = document.getElementById('annotationStage');
+        const wrapper = document.getElementById('annotationPageWrapper');
+        document.getElementById('annotationPageLabel').textContent = `Page ${state.page} of ${state.source.pageCount}`;
+        document.getElementById('annotationZoomLabel').textContent = `${Math.round(state.zoom * 100)}%`;
+
+        const natural = await window.planRenderer.getNaturalSize(state.source, state.page);
+        const scale = Math.min(((stage.clientWidth - 20) / natural.width) * state.zoom, PLAN_RENDER_MAX_CANVAS_SIZE / Math.max(natural.width, natural.height));
+        const pageCanvas = await window.planRenderer.renderPage(state.source, state.page, scale);
+        if (this.state !== state) return;
+
+        const overlay = document.createElement('canvas');
+        overlay.width = pageCanvas.width;
+        overlay.height = pageCanvas.height;
+        overlay.style.cssText = `position: absolute; top: 0; left: 0; cursor: ${state.canEdit ? 'crosshair' : 'default'};`;
+        pageCanvas.style.cssText = 'display: block; box-shadow: 0 2px 8px rgba(0,0,0,0.2);';
+
+        wrapper.innerHTML = '';
+        wrapper.appendChild(pageCanvas);
+        wrapper.appendChild(overlay);
+        state.overlay = overlay;
+        this.redraw();
+
+        if (state.canEdit) {
+            this.attachDrawingHandlers(overlay);
+        }
+    }
+
+    redraw() {
+        const { overlay, annotations, page, draft } = this.state;
+        if (!overlay) return;
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+        this.drawAnnotations(ctx, draft ? [...annotations, draft] : annotations, page, overlay.width, overlay.height);
+    }
+
+    getPoint(overlay, e) {
+        const rect = overlay.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+            y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+        };
+    }
+
+    attachDrawingHandlers(overlay) {
+        overlay.addEventListener('mousedown', (e) => {
+            const point = this.getPoint(overlay, e);
+            if (this.state.tool === 'erase') {
+                this.eraseAt(point);
+                return;
+            }
+            this.state.draft = {
+                page: this.state.page,
+                tool: this.state.tool,
+                color: this.state.tool === 'scale' ? '#555555' : this.state.color,
+                x1: point.x,
+                y1: point.y,
+                x2: point.x,
+                y2: point.y,
+                text: this.state.tool === 'text' ? '…' : '',
+                feet: this.state.tool === 'scale' ? '?' : null
+            };
+        });
+        overlay.addEventListener('mousemove', (e) => {
+            if (!this.state.draft) return;
+            const point = this.getPoint(overlay, e);
+            this.state.draft.x2 = point.x;
+            this.state.draft.y2 = point.y;
+            this.redraw();
+        });
+        const finish = () => {
+            const draft = this.state.draft;
+            if (!draft) return;
+            this.state.draft = null;
+            this.finishDraft(draft);
+            this.redraw();
+        };
+        overlay.addEventListener('mouseup', finish);
+        overlay.addEventListener('mouseleave', finish);
+    }
+
+    finishDraft(draft) {
+        const size = Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1);
+        if (draft.tool !== 'text' && size < 0.005) return;
+
+        if (draft.tool === 'text') {
+            const text = prompt('Note text:');
+            if (!text || !text.trim()) return;
+            draft.text = text.trim();
+            if (size < 0.005) {
+                // A click without a drag puts the note just beside the point
+                draft.x2 = Math.min(draft.x1 + 0.03, 0.9);
+                draft.y2 = Math.max(draft.y1 - 0.03, 0);
+            }
+        } else if (draft.tool === 'scale') {
+            const feet = parseFloat(prompt('Length of this line in feet:'));
+            if (isNaN(feet) || feet <= 0) {
+                alert('Enter the length in feet as a number greater than zero.');
+                return;
+            }
+            draft.feet = feet;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const annotation = {
+            ...draft,
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            createdBy: user ? user.email : 'unknown',
+            createdAt: new Date().toISOString()
+        };
+        this.pushUndo();
+        // One scale per page; a new scale line replaces the old one
+        if (draft.tool === 'scale') {
+            this.state.annotations = this.state.annotations.filter(existing => !(existing.tool === 'scale' && existing.page === draft.page));
+        }
+        this.state.annotations.push(annotation);
+        this.state.dirty = true;
+    }
+
+    // Remove the markup nearest the click on the current page
+    eraseAt(point) {
+        const { overlay, annotations, page } = this.state;
+        const width = overlay.width;
+        const height = overlay.height;
+        const px = point.x * width;
+        const py = point.y * height;
+        const tolerance = Math.max(8, width * 0.01);
+        const distanceToSegment = (ax, ay, bx, by) => {
+            const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+            const t = lengthSquared ? Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / lengthSquared)) : 0;
+            return Math.hypot(px - (ax + t * (bx - ax)), py - (ay + t * (by - ay)));
+        };
+
+        let nearest = null;
+        annotations.forEach((annotation, index) => {
+            if (annotation.page !== page) return;
+            const x1 = annotation.x1 * width;
+            const y1 = annotation.y1 * height;
+            const x2 = annotation.x2 * width;
+            const y2 = annotation.y2 * height;
+            let distance;
+            if (annotation.tool === 'rect' || annotation.tool === 'ellipse') {
+                distance = Math.min(
+                    distanceToSegment(x1, y1, x2, y1), distanceToSegment(x2, y1, x2, y2),
+                    distanceToSegment(x2, y2, x1, y2), distanceToSegment(x1, y2, x1, y1)
+                );
+            } else {
+                distance = distanceToSegment(x1, y1, x2, y2);
+            }
+            if (distance <= tolerance && (!nearest || distance < nearest.distance)) {
+                nearest = { index: index, distance: distance };
+            }
+        });
+
+        if (nearest) {
+            this.pushUndo();
+            this.state.annotations = annotations.filter((annotation, index) => index !== nearest.index);
+            this.state.dirty = true;
+            this.redraw();
+        }
+    }
+
+    pushUndo() {
+        this.state.undoStack.push(this.state.annotations.map(annotation => ({ ...annotation })));
+    }
+
+    undo() {
+        if (!this.state || !this.state.canEdit || this.state.undoStack.length === 0) return;
+        this.state.annotations = this.state.undoStack.pop();
+        this.state.dirty = true;
+        this.redraw();
+    }
+
+    async save() {
+        const state = this.state;
+        const { project, file } = this.getFile(state);
+        if (!project || !file || file.storageUrl !== state.file.storageUrl) {
+            alert('This file changed while the markup was open. Close the markup and open it again.');
+            return;
+        }
+
+        const listField = FILE_VERSION_TYPES[state.fileType].listField;
+        const files = [...project[listField]];
+        files[state.fileIndex] = {
+            ...file,
+            annotations: state.annotations,
+            annotationsInLetter: state.includeInLetter
+        };
+
+        const saveBtn = document.getElementById('saveAnnotationBtn');
+        if (saveBtn) saveBtn.disabled = true;
+        try {
+            await window.projectManager.updateProject(state.projectId, { [listField]: files });
+            state.dirty = false;
+            this.hide();
+        } catch (error) {
+            console.error('Error saving markup:', error);
+            alert('Error saving markup: ' + error.message);
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    }
+
+    hide() {
+        const modal = document.getElementById('planAnnotatorModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+        if (this.state) {
+            window.planRenderer.release(this.state.source);
+        }
+        this.state = null;
+    }
+}
+
+// Initialize plan annotator
+window.planAnnotator = new PlanAnnotator();
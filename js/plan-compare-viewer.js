@@ -0,0 +1,424 @@
+// Plan Compare Viewer - Renders two revisions of a submitted plan side by side or as a difference overlay
+
+const PLAN_COMPARE_ZOOM_LEVELS = [0.5, 0.75, 1, 1.5, 2, 3, 4];
+const PLAN_COMPARE_DIFF_THRESHOLD = 48;
+
+class PlanCompareViewer {
+    constructor() {
+        // Loaded documents and images, keyed by storage URL, for the open viewer only
+        this.sources = {};
+        this.state = null;
+        this.renderToken = 0;
+    }
+
+    // Every stored revision of every submitted plan, oldest first within each file
+    getRevisions(project) {
+        const revisions = [];
+        (project.submittedPlansFiles || []).forEach((file, fileIndex) => {
+            [...(file.versions || []), file].forEach(version => {
+                if (!version.storageUrl) return;
+                const uploaded = version.uploadedAt && window.fileVersionManager
+                    ? ` (${window.fileVersionManager.formatTimestamp(version.uploadedAt)})`
+                    : '';
+                revisions.push({
+                    key: `${fileIndex}-${version.revision || 1}`,
+                    fileIndex: fileIndex,
+                    label: `${version.name}${version.revision ? ` — Rev ${version.revision}` : ''}${uploaded}`,
+                    file: version
+                });
+            });
+        });
+        return revisions;
+    }
+
+    canCompare(project) {
+        return this.getRevisions(project).length >= 2;
+    }
+
+    // The chosen file's current revision against the revision before it,
+    // or against the previous plan file when it has no history
+    getDefaultPair(revisions, fileIndex) {
+        const ofFile = revisions.filter(revision => revision.fileIndex === fileIndex);
+        if (ofFile.length >= 2) {
+            return [ofFile[ofFile.length - 2], ofFile[ofFile.length - 1]];
+        }
+        const later = ofFile[0] || revisions[revisions.length - 1];
+        const earlier = revisions.filter(revision => revision !== later).pop();
+        return [earlier, later];
+    }
+
+    show(projectId, fileIndex = 0) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+        if (!window.planRenderer.isAvailable()) {
+            alert('The PDF viewer could not be loaded. Check your connection and reload the page.');
+            return;
+        }
+
+        const revisions = this.getRevisions(project);
+        if (revisions.length < 2) {
+            alert('This project needs at least two stored plan revisions to compare.');
+            return;
+        }
+
+        this.hide();
+        const [earlier, later] = this.getDefaultPair(revisions, parseInt(fileIndex) || 0);
+        this.state = {
+            revisions: revisions,
+            left: earlier,
+            right: later,
+            mode: 'side',
+            page: 1,
+            pageCount: 1,
+            zoom: 1
+        };
+
+        const selectStyle = 'padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; max-width: 320px;';
+        const buttonStyle = 'padding: 6px 10px; font-size: 0.85rem;';
+        const revisionOptions = (selected) => revisions.map(revision => `
+            <option value="${revision.key}" ${revision === selected ? 'selected' : ''}>${this.escapeHtml(revision.label)}</option>
+        `).join('');
+        const paneStyle = 'flex: 1; overflow: auto; background: #e9ecef; border: 1px solid #ddd; border-radius: 6px; cursor: grab; position: relative;';
+
+        const modal = document.createElement('div');
+        modal.id = 'planCompareModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px;';
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; width: 100%; max-width: 1600px; height: 92vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 16px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.4rem;">Compare Plan Revisions</h2>
+                    <button id="closePlanCompareModal" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 12px 20px; border-bottom: 1px solid #e0e0e0; display: flex; flex-wrap: wrap; gap: 10px; align-items: center; font-size: 0.9rem;">
+                    <label>Earlier <select id="planCompareLeft" style="${selectStyle}">${revisionOptions(earlier)}</select></label>
+                    <label>Later <select id="planCompareRight" style="${selectStyle}">${revisionOptions(later)}</select></label>
+                    <select id="planCompareMode" style="${selectStyle}">
+                        <option value="side">Side by side</option>
+                        <option value="overlay">Overlay with differences</option>
+                    </select>
+                    <span style="display: flex; gap: 4px; align-items: center;">
+                        <button type="button" id="planComparePrevPage" class="btn-small btn-secondary" style="${buttonStyle}">‹</button>
+                        <span id="planComparePageLabel">Page 1</span>
+                        <button type="button" id="planCompareNextPage" class="btn-small btn-secondary" style="${buttonStyle}">›</button>
+                    </span>
+                    <span style="display: flex; gap: 4px; align-items: center;">
+                        <button type="button" id="planCompareZoomOut" class="btn-small btn-secondary" style="${buttonStyle}">−</button>
+                        <span id="planCompareZoomLabel" style="min-width: 48px; text-align: center;">100%</span>
+                        <button type="button" id="planCompareZoomIn" class="btn-small btn-secondary" style="${buttonStyle}">+</button>
+                        <button type="button" id="planCompareZoomFit" class="btn-small btn-secondary" style="${buttonStyle}">Fit</button>
+                    </span>
+                </div>
+                <div id="planCompareStatus" style="padding: 6px 20px; font-size: 0.85rem; color: #666;"></div>
+                <div style="flex: 1; display: flex; gap: 10px; padding: 0 20px 20px; min-height: 0;">
+                    <div id="planCompareLeftPane" style="${paneStyle}"></div>
+                    <div id="planCompareRightPane" style="${paneStyle}"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        document.getElementById('closePlanCompareModal').addEventListener('click', () => this.hide());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+        const handleKeys = (e) => {
+            if (!document.getElementById('planCompareModal')) {
+                document.removeEventListener('keydown', handleKeys);
+                return;
+            }
+            if (e.target.tagName === 'SELECT') return;
+            if (e.key === 'Escape') {
+                this.hide();
+                document.removeEventListener('keydown', handleKeys);
+            } else if (e.key === '+' || e.key === '=') {
+                this.stepZoom(1);
+            } else if (e.key === '-') {
+                this.stepZoom(-1);
+            } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+                this.goToPage(this.state.page + 1);
+            } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+                this.goToPage(this.state.page - 1);
+            }
+        };
+        document.addEventListener('keydown', handleKeys);
+
+        const findRevision = (key) => this.state.revisions.find(revision => revision.key === key);
+        document.getElementById('planCompareLeft').addEventListener('change', (e) => {
+            this.state.left = findRevision(e.target.value);
+            this.load();
+        });
+        document.getElementById('planCompareRight').addEventListener('change', (e) => {
+            this.state.right = findRevision(e.target.value);
+            this.load();
+        });
+        document.getElementById('planCompareMode').addEventListener('change', (e) => {
+            this.state.mode = e.target.value;
+            this.render();
+        });
+        document.getElementById('planComparePrevPage').addEventListener('click', () => this.goToPage(this.state.page - 1));
+        document.getElementById('planCompareNextPage').addEventListener('click', () => this.goToPage(this.state.page + 1));
+        document.getElementById('planCompareZoomOut').addEventListener('click', () => this.stepZoom(-1));
+        document.getElementById('planCompareZoomIn').addEventListener('click', () => this.stepZoom(1));
+        document.getElementById('planCompareZoomFit').addEventListener('click', () => this.setZoom(1));
+
+        this.setupPanes();
+        this.load();
+    }
+
+    // Scrolling or dragging either pane moves the other to the same relative position
+    setupPanes() {
+        const panes = [document.getElementById('planCompareLeftPane'), document.getElementById('planCompareRightPane')];
+        let syncing = false;
+
+        panes.forEach((pane, i) => {
+            const other = panes[1 - i];
+            pane.addEventListener('scroll', () => {
+                if (syncing) return;
+                syncing = true;
+                const position = this.getScrollFraction(pane);
+                this.setScrollFraction(other, position);
+                requestAnimationFrame(() => {
+                    syncing = false;
+                });
+            });
+
+            let drag = null;
+            pane.addEventListener('mousedown', (e) => {
+                drag = { x: e.clientX, y: e.clientY, left: pane.scrollLeft, top: pane.scrollTop };
+                pane.style.cursor = 'grabbing';
+                e.preventDefault();
+            });
+            pane.addEventListener('mousemove', (e) => {
+                if (!drag) return;
+                pane.scrollLeft = drag.left - (e.clientX - drag.x);
+                pane.scrollTop = drag.top - (e.clientY - drag.y);
+            });
+            const endDrag = () => {
+                drag = null;
+                pane.style.cursor = 'grab';
+            };
+            pane.addEventListener('mouseup', endDrag);
+            pane.addEventListener('mouseleave', endDrag);
+
+            // Ctrl + wheel zooms both panes together
+            pane.addEventListener('wheel', (e) => {
+                if (!e.ctrlKey) return;
+                e.preventDefault();
+                this.stepZoom(e.deltaY < 0 ? 1 : -1);
+            }, { passive: false });
+        });
+    }
+
+    getScrollFraction(pane) {
+        const maxLeft = pane.scrollWidth - pane.clientWidth;
+        const maxTop = pane.scrollHeight - pane.clientHeight;
+        return {
+            x: maxLeft > 0 ? pane.scrollLeft / maxLeft : 0,
+            y: maxTop > 0 ? pane.scrollTop / maxTop : 0
+        };
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    setScrollFraction(pane, position) {
+        pane.scrollLeft = position.x * (pane.scrollWidth - pane.clientWidth);
+        pane.scrollTop = position.y * (pane.scrollHeight - pane.clientHeight);
+    }
+
+    // Status text is written as text because it carries uploaded file names and error messages.
+    // parts may be a string or a list of { text, color } pieces for the difference legend.
+    setStatus(parts, color = '') {
+        const status = document.getElementById('planCompareStatus');
+        if (!status) return;
+        status.textContent = '';
+        (Array.isArray(parts) ? parts : [{ text: parts, color: color }]).forEach(part => {
+            const span = document.createElement('span');
+            span.textContent = part.text;
+            if (part.color) {
+                span.style.color = part.color;
+                span.style.fontWeight = '600';
+            }
+            status.appendChild(span);
+        });
+    }
+
+    // Open each revision once while the viewer is up
+    async loadSource(revision) {
+        const key = revision.file.storageUrl;
+        if (!this.sources[key]) {
+            this.sources[key] = await window.planRenderer.load(revision.file);
+        }
+        return this.sources[key];
+    }
+
+    async load() {
+        const { left, right } = this.state;
+        this.setStatus('Loading revisions…');
+        try {
+            const [leftSource, rightSource] = await Promise.all([this.loadSource(left), this.loadSource(right)]);
+            this.state.leftSource = leftSource;
+            this.state.rightSource = rightSource;
+            this.state.pageCount = Math.max(leftSource.pageCount, rightSource.pageCount);
+            this.state.page = Math.min(this.state.page, this.state.pageCount);
+            await this.render();
+        } catch (error) {
+            console.error('Error loading plan revisions:', error);
+            this.setStatus(error.message, '#d32f2f');
+        }
+    }
+
+    goToPage(page) {
+        if (!this.state || page < 1 || page > this.state.pageCount) return;
+        this.state.page = page;
+        this.render();
+    }
+
+    stepZoom(direction) {
+        if (!this.state) return;
+        const current = PLAN_COMPARE_ZOOM_LEVELS.findIndex(level => level >= this.state.zoom);
+        const next = Math.max(0, Math.min(PLAN_COMPARE_ZOOM_LEVELS.length - 1, (current < 0 ? PLAN_COMPARE_ZOOM_LEVELS.length - 1 : current) + direction));
+        this.setZoom(PLAN_COMPARE_ZOOM_LEVELS[next]);
+    }
+
+    setZoom(zoom) {
+        if (!this.state || zoom === this.state.zoom) return;
+        this.state.zoom = zoom;
+        this.render();
+    }
+
+    // Faded copy of the later page with lines only in the later revision in green
+    // and lines only in the earlier revision in red
+    renderDifference(earlier, later) {
+        const width = Math.max(earlier.width, later.width);
+        const height = Math.max(earlier.height, later.height);
+        const readPixels = (source) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(source, 0, 0);
+            return ctx.getImageData(0, 0, width, height);
+        };
+
+        const before = readPixels(earlier).data;
+        const afterImage = readPixels(later);
+        const after = afterImage.data;
+        let changed = 0;
+
+        for (let i = 0; i < after.length; i += 4) {
+            const lumBefore = 0.299 * before[i] + 0.587 * before[i + 1] + 0.114 * before[i + 2];
+            const lumAfter = 0.299 * after[i] + 0.587 * after[i + 1] + 0.114 * after[i + 2];
+            if (Math.abs(lumBefore - lumAfter) > PLAN_COMPARE_DIFF_THRESHOLD) {
+                changed++;
+                const added = lumAfter < lumBefore;
+                after[i] = added ? 0 : 220;
+                after[i + 1] = added ? 160 : 0;
+                after[i + 2] = 0;
+            } else {
+                const faded = 255 - (255 - lumAfter) * 0.35;
+                after[i] = faded;
+                after[i + 1] = faded;
+                after[i + 2] = faded;
+            }
+            after[i + 3] = 255;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(afterImage, 0, 0);
+        return { canvas: canvas, changedPercent: (changed / (width * height)) * 100 };
+    }
+
+    showCanvas(pane, canvas, emptyMessage) {
+        const previous = this.getScrollFraction(pane);
+        pane.innerHTML = '';
+        if (canvas) {
+            canvas.style.cssText = 'display: block; margin: 10px auto; box-shadow: 0 2px 8px rgba(0,0,0,0.2);';
+            pane.appendChild(canvas);
+            this.setScrollFraction(pane, previous);
+        } else {
+            pane.innerHTML = `<div style="padding: 40px; text-align: center; color: #666;">${emptyMessage}</div>`;
+        }
+    }
+
+    async render() {
+        const state = this.state;
+        if (!state || !state.leftSource || !state.rightSource) return;
+        const token = ++this.renderToken;
+
+        const leftPane = document.getElementById('planCompareLeftPane');
+        const rightPane = document.getElementById('planCompareRightPane');
+        document.getElementById('planComparePageLabel').textContent = `Page ${state.page} of ${state.pageCount}`;
+        document.getElementById('planCompareZoomLabel').textContent = `${Math.round(state.zoom * 100)}%`;
+        rightPane.style.display = state.mode === 'overlay' ? 'none' : 'block';
+        this.setStatus('Rendering…');
+
+        try {
+            // Both revisions share one scale so the same drawing features line up
+            const sizes = (await Promise.all([
+                window.planRenderer.getNaturalSize(state.leftSource, state.page),
+                window.planRenderer.getNaturalSize(state.rightSource, state.page)
+            ])).filter(Boolean);
+            const naturalWidth = Math.max(...sizes.map(size => size.width));
+            const naturalMax = Math.max(...sizes.map(size => Math.max(size.width, size.height)));
+            const paneWidth = leftPane.clientWidth - 20;
+            const scale = Math.min((paneWidth / naturalWidth) * state.zoom, PLAN_RENDER_MAX_CANVAS_SIZE / naturalMax);
+
+            const [leftCanvas, rightCanvas] = await Promise.all([
+                window.planRenderer.renderPage(state.leftSource, state.page, scale),
+                window.planRenderer.renderPage(state.rightSource, state.page, scale)
+            ]);
+            if (token !== this.renderToken) return;
+
+            if (state.mode === 'overlay') {
+                if (leftCanvas && rightCanvas) {
+                    const difference = this.renderDifference(leftCanvas, rightCanvas);
+                    this.showCanvas(leftPane, difference.canvas);
+                    this.setStatus([
+                        { text: '■ Added in later revision', color: '#00a000' },
+                        { text: '\u00a0\u00a0' },
+                        { text: '■ Removed from earlier revision', color: '#dc0000' },
+                        { text: `\u00a0\u00a0${difference.changedPercent.toFixed(2)}% of the page differs` }
+                    ]);
+                } else {
+                    this.showCanvas(leftPane, leftCanvas || rightCanvas);
+                    this.setStatus(`Page ${state.page} only exists in the ${leftCanvas ? 'earlier' : 'later'} revision.`);
+                }
+            } else {
+                this.showCanvas(leftPane, leftCanvas, `The earlier revision has no page ${state.page}.`);
+                this.showCanvas(rightPane, rightCanvas, `The later revision has no page ${state.page}.`);
+                this.setStatus(`${state.left.label} \u00a0⟷\u00a0 ${state.right.label}`);
+            }
+        } catch (error) {
+            console.error('Error rendering plan comparison:', error);
+            this.setStatus(`Error rendering page: ${error.message}`, '#d32f2f');
+        }
+    }
+
+    hide() {
+        const modal = document.getElementById('planCompareModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+        Object.values(this.sources).forEach(source => window.planRenderer.release(source));
+        this.sources = {};
+        this.state = null;
+    }
+}
+
+// Initialize plan compare viewer
+window.planCompareViewer = new PlanCompareViewer();
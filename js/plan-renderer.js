@@ -0,0 +1,94 @@
+// Plan Renderer - Opens stored PDF and image attachments and draws their pages to canvases with pdf.js
+
+const PDFJS_WORKER_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+// Largest canvas side rendered, to keep zoomed-in plan sheets within browser memory
+const PLAN_RENDER_MAX_CANVAS_SIZE = 4096;
+
+class PlanRenderer {
+    isAvailable() {
+        if (!window.pdfjsLib) return false;
+        window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+        return true;
+    }
+
+    isRenderable(file) {
+        const name = file.name || '';
+        const type = file.type || '';
+        return type === 'application/pdf' || /\.pdf$/i.test(name)
+            || type.startsWith('image/') || /\.(jpg|jpeg|png|gif|webp)$/i.test(name);
+    }
+
+    // Download a stored file and open it; PDFs go through pdf.js, images through an Image element
+    async load(fileInfo) {
+        const downloaded = await window.projectManager.downloadStoredFile(fileInfo);
+        if (!downloaded) {
+            throw new Error(`Could not download ${fileInfo.name}`);
+        }
+
+        const type = downloaded.type || fileInfo.type || '';
+        const isPDF = type === 'application/pdf' || /\.pdf$/i.test(fileInfo.name);
+        const isImage = type.startsWith('image/') || /\.(jpg|jpeg|png|gif|webp)$/i.test(fileInfo.name);
+
+        if (isPDF) {
+            const doc = await window.pdfjsLib.getDocument({ data: new Uint8Array(downloaded.data) }).promise;
+            return { kind: 'pdf', doc: doc, pageCount: doc.numPages };
+        }
+        if (isImage) {
+            const url = URL.createObjectURL(new Blob([downloaded.data], { type: type }));
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`Could not open ${fileInfo.name}`));
+                img.src = url;
+            });
+            return { kind: 'image', image: image, url: url, pageCount: 1 };
+        }
+        throw new Error(`${fileInfo.name} is not a PDF or image`);
+    }
+
+    // Size of a page at 100% (PDF points or image pixels); null when the file has no such page
+    getNaturalSize(source, pageNumber) {
+        if (pageNumber > source.pageCount) return Promise.resolve(null);
+        if (source.kind === 'image') {
+            return Promise.resolve({ width: source.image.naturalWidth, height: source.image.naturalHeight });
+        }
+        return source.doc.getPage(pageNumber).then(page => {
+            const viewport = page.getViewport({ scale: 1 });
+            return { width: viewport.width, height: viewport.height };
+        });
+    }
+
+    // Draw one page onto a white canvas at the given scale; null when the file has no such page
+    async renderPage(source, pageNumber, scale) {
+        if (pageNumber > source.pageCount) return null;
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        if (source.kind === 'image') {
+            canvas.width = Math.round(source.image.naturalWidth * scale);
+            canvas.height = Math.round(source.image.naturalHeight * scale);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(source.image, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        }
+
+        const page = await source.doc.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: scale });
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: ctx, viewport: viewport }).promise;
+        return canvas;
+    }
+
+    release(source) {
+        if (!source) return;
+        if (source.kind === 'pdf') source.doc.destroy();
+        if (source.url) URL.revokeObjectURL(source.url);
+    }
+}
+
+// Initialize plan renderer
+window.planRenderer = new PlanRenderer();
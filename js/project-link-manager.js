@@ -0,0 +1,334 @@
+// Project Link Manager - Links projects to household records by lot and address, and shows each lot's project history
+
+const LINK_MATCH_REASONS = {
+    linked: 'Linked',
+    matched: 'Matches one household',
+    ambiguous: 'Matches more than one household',
+    address_differs: 'Lot matches, address differs',
+    lot_differs: 'Address matches, lot differs',
+    missing: 'Linked household no longer exists',
+    none: 'No household on record'
+};
+
+// Street suffixes written both ways in project and household records
+const ADDRESS_ABBREVIATIONS = {
+    avenue: 'ave',
+    boulevard: 'blvd',
+    circle: 'cir',
+    court: 'ct',
+    cove: 'cv',
+    drive: 'dr',
+    lane: 'ln',
+    place: 'pl',
+    road: 'rd',
+    street: 'st',
+    trail: 'trl'
+};
+
+class ProjectLinkManager {
+    normalizeLot(lot) {
+        return String(lot || '').trim().toLowerCase()
+            .replace(/^lot\s*#?\s*/, '')
+            .replace(/^0+(?=\d)/, '');
+    }
+
+    normalizeAddress(address) {
+        return String(address || '').toLowerCase()
+            .replace(/[.,#]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+            .join(' ');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    getHouseholds() {
+        return window.householdManager ? window.householdManager.households : [];
+    }
+
+    // How a project lines up with the household registry: { reason, household, candidates }
+    matchProject(project) {
+        const households = this.getHouseholds();
+
+        if (project.householdId) {
+            const linked = households.find(h => h.id === project.householdId);
+            if (linked) return { reason: 'linked', household: linked, candidates: [linked] };
+        }
+
+        const lot = this.normalizeLot(project.lot);
+        const address = this.normalizeAddress(project.address);
+        const sameLot = households.filter(h => lot && this.normalizeLot(h.lotNumber) === lot);
+        const sameAddress = households.filter(h => address && this.normalizeAddress(h.address) === address);
+        const exact = sameLot.filter(h => sameAddress.includes(h));
+
+        if (project.householdId) {
+            return { reason: 'missing', household: null, candidates: exact.length > 0 ? exact : [...sameLot, ...sameAddress] };
+        }
+        if (exact.length === 1) return { reason: 'matched', household: exact[0], candidates: exact };
+        if (exact.length > 1) return { reason: 'ambiguous', household: null, candidates: exact };
+        if (sameLot.length > 0) return { reason: 'address_differs', household: null, candidates: sameLot };
+        if (sameAddress.length > 0) return { reason: 'lot_differs', household: null, candidates: sameAddress };
+        return { reason: 'none', household: null, candidates: [] };
+    }
+
+    // Household id for a new project when its lot and address match exactly one household
+    findHouseholdId(address, lot) {
+        const match = this.matchProject({ address: address, lot: lot });
+        return match.reason === 'matched' ? match.household.id : '';
+    }
+
+    getUnlinkedProjects() {
+        const projects = window.projectManager ? window.projectManager.projects : [];
+        return projects
+            .map(project => ({ project: project, match: this.matchProject(project) }))
+            .filter(entry => entry.match.reason !== 'linked');
+    }
+
+    // Every project filed for a household's lot, linked or not, newest first
+    getLotHistory(household) {
+        const projects = window.projectManager ? window.projectManager.projects : [];
+        const lot = this.normalizeLot(household.lotNumber);
+        const householdIds = this.getHouseholds()
+            .filter(h => this.normalizeLot(h.lotNumber) === lot)
+            .map(h => h.id);
+
+        const parseDate = (date) => date && window.projectManager ? window.projectManager.parseDate(date) : null;
+        return projects
+            .filter(project => householdIds.includes(project.householdId) || (!project.householdId && this.normalizeLot(project.lot) === lot))
+            .sort((a, b) => {
+                const aDate = parseDate(a.dateApproved || a.dateSubmitted);
+                const bDate = parseDate(b.dateApproved || b.dateSubmitted);
+                return (bDate ? bDate.getTime() : 0) - (aDate ? aDate.getTime() : 0);
+            });
+    }
+
+    renderLotHistory(household) {
+        const projects = this.getLotHistory(household);
+        if (projects.length === 0) {
+            return '<div style="text-align: center; color: var(--text-light); margin-top: 15px;">No architectural projects have been filed for this lot.</div>';
+        }
+
+        const statusText = (status) => status === 'open' ? 'Open' : status === 'under_review' ? 'Under Review' : status === 'denied' ? 'Denied' : 'Previous';
+        const linkStyle = 'color: #2c5530; font-weight: 500; white-space: nowrap;';
+
+        const rowsHtml = projects.map(project => {
+            const letters = [];
+            if (project.approvalLetterStorageUrl) {
+                letters.push(`<a href="${project.approvalLetterStorageUrl}" target="_blank" rel="noopener" style="${linkStyle}">Approval</a>`);
+            } else if (project.hasApprovalLetter) {
+                letters.push('<span style="color: #666;">Approval</span>');
+            }
+            if (project.releaseLetterStorageUrl) {
+                letters.push(`<a href="${project.releaseLetterStorageUrl}" target="_blank" rel="noopener" style="${linkStyle}">Deposit Release</a>`);
+            }
+
+            let deposit = '—';
+            if (project.depositWaived) {
+                deposit = 'Waived';
+            } else if (project.depositAmountReceived && window.depositManager) {
+                deposit = `${window.depositManager.formatCurrency(project.depositAmountReceived)} received<br><span style="color: #666;">${window.depositManager.formatCurrency(window.depositManager.getBalance(project))} balance</span>`;
+            }
+
+            return `
+                <tr style="border-bottom: 1px solid #f0f0f0;">
+                    <td style="padding: 6px 8px; white-space: nowrap;">${project.dateApproved || project.dateSubmitted || '—'}</td>
+                    <td style="padding: 6px 8px;">
+                        ${this.escapeHtml(project.projectType || '')}
+                        <div style="font-size: 0.8rem; color: #666;">${this.escapeHtml(project.homeownerName || '')}${project.householdId ? '' : ' · not linked'}</div>
+                    </td>
+                    <td style="padding: 6px 8px;"><span class="project-status-badge ${project.status}" style="padding: 2px 8px; border-radius: 10px; font-size: 0.75rem;">${statusText(project.status)}</span></td>
+                    <td style="padding: 6px 8px;">${letters.join('<br>') || '—'}</td>
+                    <td style="padding: 6px 8px;">${deposit}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="background: #f8f9fa; text-align: left;">
+                            <th style="padding: 6px 8px;">Date</th>
+                            <th style="padding: 6px 8px;">Project</th>
+                            <th style="padding: 6px 8px;">Status</th>
+                            <th style="padding: 6px 8px;">Letters</th>
+                            <th style="padding: 6px 8px;">Deposit</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async linkProject(projectId, householdId, useHouseholdRecord = false) {
+        const household = this.getHouseholds().find(h => h.id === householdId);
+        if (!household) throw new Error('Household not found');
+
+        const updates = { householdId: householdId };
+        if (useHouseholdRecord) {
+            updates.address = household.address;
+            updates.lot = household.lotNumber;
+        }
+        await window.projectManager.updateProject(projectId, updates);
+    }
+
+    async linkAllMatches() {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const matched = this.getUnlinkedProjects().filter(entry => entry.match.reason === 'matched');
+        if (matched.length === 0) {
+            alert('There are no projects with an exact household match to link.');
+            return;
+        }
+        if (!confirm(`Link ${matched.length} project${matched.length === 1 ? '' : 's'} to the household with the same lot and address?`)) {
+            return;
+        }
+
+        let linked = 0;
+        let errors = 0;
+        for (const entry of matched) {
+            try {
+                await this.linkProject(entry.project.id, entry.match.household.id);
+                linked++;
+            } catch (error) {
+                console.error(`Error linking project ${entry.project.id}:`, error);
+                errors++;
+            }
+        }
+
+        alert(`Linking complete!\nLinked: ${linked}\nErrors: ${errors}`);
+        this.renderResolverList();
+    }
+
+    async resolve(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const householdId = document.getElementById(`linkHousehold-${projectId}`)?.value;
+        const useHouseholdRecord = document.getElementById(`linkUseHousehold-${projectId}`)?.checked || false;
+        if (!householdId) {
+            alert('Please select the household for this project.');
+            return;
+        }
+
+        try {
+            await this.linkProject(projectId, householdId, useHouseholdRecord);
+            this.renderResolverList();
+        } catch (error) {
+            console.error('Error linking project:', error);
+            alert('Error linking project: ' + error.message);
+        }
+    }
+
+    renderResolverList() {
+        const list = document.getElementById('projectLinkList');
+        if (!list) return;
+
+        const unlinked = this.getUnlinkedProjects();
+        const matchedCount = unlinked.filter(entry => entry.match.reason === 'matched').length;
+        const linkAllBtn = document.getElementById('linkAllMatchesBtn');
+        if (linkAllBtn) {
+            linkAllBtn.textContent = `Link All Exact Matches (${matchedCount})`;
+            linkAllBtn.disabled = matchedCount === 0;
+        }
+
+        if (unlinked.length === 0) {
+            list.innerHTML = '<div style="text-align: center; color: #666; padding: 30px;">Every project is linked to a household.</div>';
+            return;
+        }
+
+        // Candidates first, then every other household by lot number
+        const households = [...this.getHouseholds()].sort((a, b) => (parseInt(a.lotNumber) || 0) - (parseInt(b.lotNumber) || 0));
+        const householdLabel = (household) => this.escapeHtml(`Lot ${household.lotNumber} — ${household.address}`);
+
+        list.innerHTML = unlinked.map(({ project, match }) => {
+            const others = households.filter(h => !match.candidates.includes(h));
+            const options = [
+                ...match.candidates.map(h => `<option value="${h.id}">${householdLabel(h)}</option>`),
+                ...(match.candidates.length > 0 && others.length > 0 ? ['<option disabled>──────────</option>'] : []),
+                ...others.map(h => `<option value="${h.id}">${householdLabel(h)}</option>`)
+            ].join('');
+            const needsReview = match.reason !== 'matched';
+
+            return `
+                <div style="border: 1px solid ${needsReview ? '#ffc107' : '#e0e0e0'}; border-radius: 6px; padding: 12px; margin-bottom: 10px;">
+                    <div style="display: flex; justify-content: space-between; gap: 10px; flex-wrap: wrap;">
+                        <div>
+                            <strong>${this.escapeHtml(project.address || '(no address)')}</strong> — Lot ${this.escapeHtml(project.lot || '?')}
+                            <div style="font-size: 0.85rem; color: #666;">${this.escapeHtml(project.homeownerName || '')}${project.projectType ? ` · ${this.escapeHtml(project.projectType)}` : ''}</div>
+                        </div>
+                        <span style="font-size: 0.8rem; color: ${needsReview ? '#856404' : '#2c5530'};">${LINK_MATCH_REASONS[match.reason]}</span>
+                    </div>
+                    <div style="display: flex; gap: 10px; margin-top: 10px; flex-wrap: wrap; align-items: center;">
+                        <select id="linkHousehold-${project.id}" style="flex: 1; min-width: 220px; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            ${match.candidates.length === 0 ? '<option value="">Select household...</option>' : ''}
+                            ${options}
+                        </select>
+                        <label style="font-size: 0.85rem; display: flex; align-items: center; gap: 5px;">
+                            <input type="checkbox" id="linkUseHousehold-${project.id}" ${match.reason === 'address_differs' || match.reason === 'lot_differs' ? 'checked' : ''}>
+                            Correct project address &amp; lot
+                        </label>
+                        <button type="button" class="btn-small btn-primary" onclick="window.projectLinkManager.resolve('${project.id}')">Link</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    showResolver() {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'projectLinkModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px; overflow-y: auto;';
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; max-width: 800px; width: 100%; max-height: 90vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 20px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.5rem;">Link Projects to Households</h2>
+                    <button id="closeProjectLinkModal" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="padding: 20px 30px; overflow-y: auto; flex: 1;">
+                    <div style="color: #666; font-size: 0.9rem; margin-bottom: 15px;">
+                        Projects not yet linked to a household. Exact lot and address matches can be linked together; the rest need a household picked by hand.
+                    </div>
+                    <div id="projectLinkList"></div>
+                </div>
+                <div style="padding: 15px 30px; border-top: 1px solid #e0e0e0; display: flex; justify-content: flex-end; gap: 10px;">
+                    <button id="cancelProjectLinkBtn" style="background: #f5f5f5; color: #333; border: 1px solid #ddd; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Close</button>
+                    <button id="linkAllMatchesBtn" style="background: #2c5530; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; font-weight: 500;">Link All Exact Matches</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.renderResolverList();
+
+        document.getElementById('closeProjectLinkModal').addEventListener('click', () => this.hide());
+        document.getElementById('cancelProjectLinkBtn').addEventListener('click', () => this.hide());
+        document.getElementById('linkAllMatchesBtn').addEventListener('click', () => this.linkAllMatches());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.hide();
+        });
+        this.escapeHandler = (e) => {
+            if (e.key === 'Escape') this.hide();
+        };
+        document.addEventListener('keydown', this.escapeHandler);
+    }
+
+    hide() {
+        const modal = document.getElementById('projectLinkModal');
+        if (modal) modal.remove();
+        if (this.escapeHandler) {
+            document.removeEventListener('keydown', this.escapeHandler);
+            this.escapeHandler = null;
+        }
+    }
+}
+
+// Initialize project link manager
+window.projectLinkManager = new ProjectLinkManager();
@@ -89,6 +89,26 @@ class ProjectManager {
                 generateBtn.title = '';
             }
         }
+
+        // Deposit schedule configuration - admin only
+        if (window.depositManager) {
+            window.depositManager.setupDepositScheduleConfig();
+        }
+
+        // Deposit report - admin only
+        if (window.depositReport) {
+            window.depositReport.setupReportButton();
+        }
+
+        // Approval and completion deadline configuration - admin only
+        if (window.deadlineManager) {
+            window.deadlineManager.setupDeadlineConfig();
+        }
+
+        // Submission checklist configuration - admin only
+        if (window.checklistManager) {
+            window.checklistManager.setupChecklistConfig();
+        }
     }
 
     promptLogin(action) {
@@ -317,35 +337,185 @@ class ProjectManager {
             hasApprovalLetter: data.hasApprovalLetter !== undefined ? data.hasApprovalLetter : (!!approvalLetterBlob || !!approvalLetterStorageUrl),
             noApprovalOnRecord: data.noApprovalOnRecord || false,
             depositAmountReceived: data.depositAmountReceived || null,
+            depositAmountRequired: data.depositAmountRequired !== undefined ? data.depositAmountRequired : null,
+            depositLedger: data.depositLedger || [],
             dateDepositReceived: data.dateDepositReceived || '',
             depositAmountReturned: data.depositAmountReturned || null,
             dateDepositReturned: data.dateDepositReturned || '',
             depositWaived: data.depositWaived || false,
             depositWaiverReason: data.depositWaiverReason || '',
             reviewComments: data.reviewComments || '',
+            setbackCheck: data.setbackCheck || null,
             approvalReason: data.approvalReason || '',
-            siteConditionsFiles: (data.siteConditionsFiles || []).map(file => ({
-                name: file.name || file,
-                type: file.type || '',
-                storageUrl: file.storageUrl || null
-            })),
-            submittedPlansFiles: (data.submittedPlansFiles || []).map(file => ({
-                name: file.name || file,
-                type: file.type || '',
-                storageUrl: file.storageUrl || null
-            }))
+            householdId: data.householdId || '',
+            projectDescription: data.projectDescription || '',
+            submittedBy: data.submittedBy || '',
+            dateSubmitted: data.dateSubmitted || '',
+            reviewVotes: data.reviewVotes || [],
+            reviewDecision: data.reviewDecision || '',
+            reviewDecisionDate: data.reviewDecisionDate || '',
+            letterType: data.letterType || 'approval',
+            letterConditions: data.letterConditions || [],
+            letterTemplateVersion: data.letterTemplateVersion !== undefined ? data.letterTemplateVersion : null,
+            milestones: data.milestones || [],
+            deadlineExtensions: data.deadlineExtensions || [],
+            // Projects saved before more than one variance was allowed stored a single variance object
+            variances: data.variances || (data.variance ? [data.variance] : []),
+            submissionChecklist: data.submissionChecklist || {},
+            closeout: data.closeout || null,
+            releaseLetterStorageUrl: data.releaseLetterStorageUrl || null,
+            releaseLetterFilename: data.releaseLetterFilename || '',
+            approvalLetterHistory: data.approvalLetterHistory || [],
+            siteConditionsFiles: (data.siteConditionsFiles || []).map(file => window.fileVersionManager.toRecord(file)),
+            submittedPlansFiles: (data.submittedPlansFiles || []).map(file => window.fileVersionManager.toRecord(file)),
+            archivedFiles: data.archivedFiles || []
         };
     }
 
+    // Download a file stored with a project into the { name, type, data } shape the PDF generator expects.
+    // Markup the reviewer chose to include comes along as annotations, which the generator flattens onto the pages.
+    async downloadStoredFile(fileInfo) {
+        const fileData = await this.fetchStoredFile(fileInfo);
+        if (fileData && fileInfo.annotationsInLetter && (fileInfo.annotations || []).length > 0) {
+            fileData.annotations = fileInfo.annotations;
+        }
+        return fileData;
+    }
+
+    async fetchStoredFile(fileInfo) {
+        if (!fileInfo.storageUrl) return null;
+        
+        try {
+            const storage = window.firebaseStorage;
+            if (!storage) return null;
+            
+            // Extract path from storage URL
+            const url = new URL(fileInfo.storageUrl);
+            const pathMatch = url.pathname.match(/\/o\/(.+)/);
+            if (!pathMatch) return null;
+            
+            const encodedPath = pathMatch[1];
+            const decodedPath = decodeURIComponent(encodedPath);
+            const storageRef = storage.ref(decodedPath);
+            
+            // Get download URL
+            const downloadURL = await storageRef.getDownloadURL();
+            
+            // Use XMLHttpRequest instead of fetch to potentially bypass CORS
+            // Or use image loading for images
+            const fileType = fileInfo.type || '';
+            const fileName = fileInfo.name || 'file';
+            
+            if (fileType.startsWith('image/')) {
+                // For images, use image loading which bypasses CORS
+                return await new Promise((resolve, reject) => {
+                    const img = new Image();
+                    img.crossOrigin = 'anonymous';
+                    
+                    img.onload = async () => {
+                        try {
+                            // Convert image to canvas
+                            const canvas = document.createElement('canvas');
+                            canvas.width = img.width;
+                            canvas.height = img.height;
+                            const ctx = canvas.getContext('2d');
+                            ctx.drawImage(img, 0, 0);
+                            
+                            // Convert canvas to blob, then to ArrayBuffer
+                            canvas.toBlob(async (blob) => {
+                                if (!blob) {
+                                    reject(new Error('Failed to convert image to blob'));
+                                    return;
+                                }
+                                const arrayBuffer = await blob.arrayBuffer();
+                                resolve({
+                                    name: fileName,
+                                    type: fileType,
+                                    data: arrayBuffer
+                                });
+                            }, fileType);
+                        } catch (error) {
+                            reject(error);
+                        }
+                    };
+                    
+                    img.onerror = () => {
+                        // Fallback: try direct URL fetch with XMLHttpRequest
+                        const xhr = new XMLHttpRequest();
+                        xhr.open('GET', downloadURL, true);
+                        xhr.responseType = 'arraybuffer';
+                        xhr.onload = () => {
+                            if (xhr.status === 200) {
+                                resolve({
+                                    name: fileName,
+                                    type: fileType,
+                                    data: xhr.response
+                                });
+                            } else {
+                                reject(new Error('Failed to load image'));
+                            }
+                        };
+                        xhr.onerror = () => reject(new Error('Failed to load image'));
+                        xhr.send();
+                    };
+                    
+                    img.src = downloadURL;
+                });
+            } else {
+                // For PDFs and other files, use XMLHttpRequest
+                return await new Promise((resolve, reject) => {
+                    const xhr = new XMLHttpRequest();
+                    xhr.open('GET', downloadURL, true);
+                    xhr.responseType = 'arraybuffer';
+                    xhr.onload = () => {
+                        if (xhr.status === 200) {
+                            resolve({
+                                name: fileName,
+                                type: fileType,
+                                data: xhr.response
+                            });
+                        } else {
+                            reject(new Error('Failed to load file'));
+                        }
+                    };
+                    xhr.onerror = () => reject(new Error('Failed to load file'));
+                    xhr.send();
+                });
+            }
+        } catch (error) {
+            console.error('Error downloading file from storage:', error);
+            return null;
+        }
+    }
+
+    // Download every stored file in a list, skipping any that fail
+    async downloadStoredFiles(files) {
+        const downloaded = [];
+        for (const fileInfo of files || []) {
+            if (!fileInfo.storageUrl) continue;
+            try {
+                const fileData = await this.downloadStoredFile(fileInfo);
+                if (fileData) {
+                    downloaded.push(fileData);
+                } else {
+                    console.warn(`Failed to download file: ${fileInfo.name}`);
+                }
+            } catch (error) {
+                console.error(`Error downloading file ${fileInfo.name}:`, error);
+            }
+        }
+        return downloaded;
+    }
+
     async uploadFileToStorage(fileData, fileName, fileType, projectId, folder) {
         const storage = window.firebaseStorage;
         if (!storage) {
             throw new Error('Firebase Storage not available');
         }
         
-        // Generate unique filename
+        // Generate unique filename; the timestamp keeps a re-upload under the same name from overwriting earlier versions
         const sanitizedFilename = fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
-        const storagePath = `${folder}/${projectId}/${sanitizedFilename}`;
+        const storagePath = `${folder}/${projectId}/${Date.now()}_${sanitizedFilename}`;
         
         // Create storage reference
         const storageRef = storage.ref().child(storagePath);
@@ -391,9 +561,64 @@ class ProjectManager {
         return downloadURL;
     }
 
+    // Upload the entries of an attachment list that carry file data and return the stored records.
+    // A file uploaded under an existing name becomes that attachment's next revision;
+    // an identical re-upload is skipped.
+    async storeProjectFiles(files, folder, projectId, defaultName) {
+        const stored = [];
+        for (const file of files || []) {
+            if (!(file.data && (file.data instanceof ArrayBuffer || file.data instanceof Uint8Array))) {
+                stored.push(window.fileVersionManager.toRecord(file));
+                continue;
+            }
+
+            const fileData = file.data instanceof ArrayBuffer ? file.data : file.data.buffer;
+            const fileName = file.name || defaultName;
+            const previousIndex = stored.findIndex(existing => existing.name === fileName && existing.storageUrl);
+            const previous = previousIndex >= 0 ? stored[previousIndex] : null;
+
+            try {
+                const hash = await window.fileVersionManager.hashData(fileData);
+                if (previous && hash && previous.hash === hash) {
+                    console.log(`${fileName} is unchanged from revision ${previous.revision || 1}, skipping upload`);
+                    continue;
+                }
+
+                const storageUrl = await this.uploadFileToStorage(
+                    fileData,
+                    fileName,
+                    file.type,
+                    projectId || Date.now().toString(),
+                    folder
+                );
+                const record = window.fileVersionManager.createRecord({
+                    name: fileName,
+                    type: file.type,
+                    storageUrl: storageUrl,
+                    size: fileData.byteLength,
+                    hash: hash
+                }, previous);
+
+                if (previous) {
+                    stored[previousIndex] = record;
+                } else {
+                    stored.push(record);
+                }
+            } catch (error) {
+                console.error(`Error uploading ${folder} file:`, error);
+                // Continue with other files even if one fails
+                if (!previous) {
+                    stored.push({ name: fileName, type: file.type || '' });
+                }
+            }
+        }
+        return stored;
+    }
+
     async convertProjectToFirestore(project) {
         // Use Firebase Storage for all files (supports files up to 5GB)
-        let approvalLetterStorageUrl = null;
+        // Keep the existing letter URL unless a new letter blob is uploaded below
+        let approvalLetterStorageUrl = project.approvalLetterStorageUrl || null;
         let approvalLetterSize = 0;
         
         if (project.approvalLetterBlob) {
@@ -415,95 +640,13 @@ class ProjectManager {
             }
         }
 
-        // Upload site conditions files to Firebase Storage
-        const siteConditionsFilesWithUrls = [];
-        if (project.siteConditionsFiles && project.siteConditionsFiles.length > 0) {
-            for (const file of project.siteConditionsFiles) {
-                if (file.data && (file.data instanceof ArrayBuffer || file.data instanceof Uint8Array)) {
-                    try {
-                        const fileData = file.data instanceof ArrayBuffer ? file.data : file.data.buffer;
-                        const fileName = file.name || `site-condition-${Date.now()}.png`;
-                        const storageUrl = await this.uploadFileToStorage(
-                            fileData,
-                            fileName,
-                            file.type,
-                            project.id || Date.now().toString(),
-                            'site-conditions'
-                        );
-                        siteConditionsFilesWithUrls.push({
-                            name: file.name || fileName,
-                            type: file.type || '',
-                            storageUrl: storageUrl
-                        });
-                    } catch (error) {
-                        console.error('Error uploading site conditions file:', error);
-                        // Continue with other files even if one fails
-                        siteConditionsFilesWithUrls.push({
-                            name: file.name || file,
-                            type: file.type || ''
-                        });
-                    }
-                } else if (file.storageUrl) {
-                    // Already has a storage URL, keep it
-                    siteConditionsFilesWithUrls.push({
-                        name: file.name || file,
-                        type: file.type || '',
-                        storageUrl: file.storageUrl
-                    });
-                } else {
-                    // No data, just metadata
-                    siteConditionsFilesWithUrls.push({
-                        name: file.name || file,
-                        type: file.type || ''
-                    });
-                }
-            }
-        }
-
-        // Upload submitted plans files to Firebase Storage
-        const submittedPlansFilesWithUrls = [];
-        if (project.submittedPlansFiles && project.submittedPlansFiles.length > 0) {
-            for (const file of project.submittedPlansFiles) {
-                if (file.data && (file.data instanceof ArrayBuffer || file.data instanceof Uint8Array)) {
-                    try {
-                        const fileData = file.data instanceof ArrayBuffer ? file.data : file.data.buffer;
-                        const fileName = file.name || `submitted-plan-${Date.now()}.pdf`;
-                        const storageUrl = await this.uploadFileToStorage(
-                            fileData,
-                            fileName,
-                            file.type,
-                            project.id || Date.now().toString(),
-                            'submitted-plans'
-                        );
-                        submittedPlansFilesWithUrls.push({
-                            name: file.name || fileName,
-                            type: file.type || '',
-                            storageUrl: storageUrl
-                        });
-                    } catch (error) {
-                        console.error('Error uploading submitted plans file:', error);
-                        // Continue with other files even if one fails
-                        submittedPlansFilesWithUrls.push({
-                            name: file.name || file,
-                            type: file.type || ''
-                        });
-                    }
-                } else if (file.storageUrl) {
-                    // Already has a storage URL, keep it
-                    submittedPlansFilesWithUrls.push({
-                        name: file.name || file,
-                        type: file.type || '',
-                        storageUrl: file.storageUrl
-                    });
-                } else {
-                    // No data, just metadata
-                    submittedPlansFilesWithUrls.push({
-                        name: file.name || file,
-                        type: file.type || ''
-                    });
-                }
-            }
-        }
+        // Upload new attachments to Firebase Storage
+        const siteConditionsFilesWithUrls = await this.storeProjectFiles(
+            project.siteConditionsFiles, 'site-conditions', project.id, 'site-condition.png'
+        );
+        const submittedPlansFilesWithUrls = await this.storeProjectFiles(
+            project.submittedPlansFiles, 'submitted-plans', project.id, 'submitted-plan.pdf'
+        );
 
         return {
             homeownerName: project.homeownerName || '',
@@ -521,15 +664,37 @@ class ProjectManager {
             hasApprovalLetter: project.hasApprovalLetter !== undefined ? project.hasApprovalLetter : !!approvalLetterStorageUrl,
             noApprovalOnRecord: project.noApprovalOnRecord || false,
             depositAmountReceived: project.depositAmountReceived || null,
+            depositAmountRequired: project.depositAmountRequired !== undefined ? project.depositAmountRequired : null,
+            depositLedger: project.depositLedger || [],
             dateDepositReceived: project.dateDepositReceived || '',
             depositAmountReturned: project.depositAmountReturned || null,
             dateDepositReturned: project.dateDepositReturned || '',
             depositWaived: project.depositWaived || false,
             depositWaiverReason: project.depositWaiverReason || '',
             reviewComments: project.reviewComments || '',
+            setbackCheck: project.setbackCheck || null,
             approvalReason: project.approvalReason || '',
+            householdId: project.householdId || '',
+            projectDescription: project.projectDescription || '',
+            submittedBy: project.submittedBy || '',
+            dateSubmitted: project.dateSubmitted || '',
+            reviewVotes: project.reviewVotes || [],
+            reviewDecision: project.reviewDecision || '',
+            reviewDecisionDate: project.reviewDecisionDate || '',
+            letterType: project.letterType || 'approval',
+            letterConditions: project.letterConditions || [],
+            letterTemplateVersion: project.letterTemplateVersion !== undefined ? project.letterTemplateVersion : null,
+            milestones: project.milestones || [],
+            deadlineExtensions: project.deadlineExtensions || [],
+            variances: project.variances || [],
+            submissionChecklist: project.submissionChecklist || {},
+            closeout: project.closeout || null,
+            releaseLetterStorageUrl: project.releaseLetterStorageUrl || null,
+            releaseLetterFilename: project.releaseLetterFilename || '',
+            approvalLetterHistory: project.approvalLetterHistory || [],
             siteConditionsFiles: siteConditionsFilesWithUrls,
             submittedPlansFiles: submittedPlansFilesWithUrls,
+            archivedFiles: project.archivedFiles || [],
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
         };
     }
@@ -579,6 +744,25 @@ class ProjectManager {
             });
         }
 
+        // Show the lot's required setbacks under the lot number
+        if (window.setbackRules) {
+            window.setbackRules.bindLotInput(document.getElementById('addLot'));
+        }
+
+        // Proposed setbacks checked against the lot's requirements
+        if (window.setbackChecker) {
+            window.setbackChecker.mount('addSetbackCheck', 'add', document.getElementById('addLot'));
+        }
+
+        // Address and lot suggestions from the household registry
+        if (window.addressAutocomplete) {
+            window.addressAutocomplete.bind({
+                addressInput: document.getElementById('addAddress'),
+                lotInput: document.getElementById('addLot'),
+                ownerInput: document.getElementById('addHomeownerName')
+            });
+        }
+
         // Clear errors on input
         const formFields = form?.querySelectorAll('input, select');
         formFields?.forEach(field => {
@@ -705,6 +889,16 @@ class ProjectManager {
             });
         }
 
+        // Handle Letter Type dropdown
+        const letterTypeSelect = document.getElementById('addLetterType');
+        const letterConditionsGroup = document.getElementById('addLetterConditionsGroup');
+        if (letterTypeSelect && letterConditionsGroup) {
+            letterTypeSelect.addEventListener('change', () => {
+                letterConditionsGroup.style.display = letterTypeSelect.value === 'approval' ? 'none' : 'block';
+                this.clearError('addLetterConditions');
+            });
+        }
+
         // Handle generate letter button in add form
         const addGenerateLetterBtn = document.getElementById('addGenerateLetterBtn');
         if (addGenerateLetterBtn) {
@@ -725,18 +919,19 @@ class ProjectManager {
                 const approvedBy = document.getElementById('addApprovedBy')?.value.trim();
                 const noApprovalOnRecord = document.getElementById('noApprovalOnRecord')?.checked;
                 const dateApproved = noApprovalOnRecord ? null : document.getElementById('addDateApproved')?.value;
+                const { letterType, letterConditions } = this.getLetterTypeFields('add');
                 
                 // Review comments
                 const reviewCommentsType = document.getElementById('addReviewCommentsType')?.value;
                 const reviewComments = reviewCommentsType === 'other' 
                     ? document.getElementById('addReviewComments')?.value.trim() 
-                    : 'The plan was reviewed for Sanctuary Setback Requirements.';
+                    : window.letterTemplateManager.getDefaultReviewComments();
                 
                 // Approval reason
                 const approvalReasonType = document.getElementById('addApprovalReasonType')?.value;
                 const approvalReason = approvalReasonType === 'other'
                     ? document.getElementById('addApprovalReason')?.value.trim()
-                    : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
+                    : window.letterTemplateManager.getDefaultReason(letterType);
                 
                 const siteConditionsFiles = document.getElementById('addSiteConditions')?.files || [];
 
@@ -753,6 +948,18 @@ class ProjectManager {
                     alert('Please specify the approval reason');
                     return;
                 }
+                if ((letterType === 'conditional_approval' || letterType === 'more_info') && letterConditions.length === 0) {
+                    alert(letterType === 'more_info' ? 'Please list the information requested' : 'Please list the conditions of approval');
+                    return;
+                }
+
+                // Setback check result goes into the letter's review comments
+                const setbackCheck = window.setbackChecker ? window.setbackChecker.getCheck('add') : null;
+                if (setbackCheck && setbackCheck.found && !setbackCheck.compliant && letterType === 'approval') {
+                    if (!confirm('The proposed setbacks do not meet the requirements for this lot. Generate an approval letter anyway?')) {
+                        return;
+                    }
+                }
 
                 // Prepare form data for PDF generation
                 const formData = {
@@ -761,10 +968,12 @@ class ProjectManager {
                     lot: lot,
                     projectType: projectType,
                     contractorName: contractorName,
-                    reviewComments: reviewComments,
+                    reviewComments: window.setbackChecker ? window.setbackChecker.appendToComments(reviewComments, setbackCheck) : reviewComments,
                     approvalReason: approvalReason,
                     approvedBy: approvedBy,
-                    approvedOn: noApprovalOnRecord ? null : (dateApproved || new Date().toISOString().split('T')[0])
+                    approvedOn: noApprovalOnRecord ? null : (dateApproved || new Date().toISOString().split('T')[0]),
+                    letterType: letterType,
+                    conditions: letterConditions
                 };
 
                 // Convert site conditions files to File objects
@@ -789,11 +998,17 @@ class ProjectManager {
                         window.pdfGenerator = new PDFGenerator();
                     }
                     
-                    await window.pdfGenerator.generatePDF(formData, siteConditionsFileArray, submittedPlansFileArray);
+                    const result = await window.pdfGenerator.generatePDF(formData, siteConditionsFileArray, submittedPlansFileArray);
+                    
+                    // Remember the template version; the project records it only if this letter is uploaded
+                    if (result) {
+                        addGenerateLetterBtn.dataset.letterTemplateVersion = formData.letterTemplateVersion;
+                        addGenerateLetterBtn.dataset.letterFilename = result.filename;
+                    }
                     
                     // PDF is downloaded - user must intentionally upload it to the project
                     // Don't close form - let user upload the file if they want
-                    alert('Approval letter generated and downloaded! You can now upload it to this project using the "Upload Approval Letter" field above.');
+                    alert(`${LETTER_TYPES[letterType].label} letter generated and downloaded! You can now upload it to this project using the "Upload Approval Letter" field above.`);
                     return; // Don't proceed with form submission
                 } catch (error) {
                     console.error('Error generating approval letter:', error);
@@ -986,7 +1201,7 @@ class ProjectManager {
             }
             if (fileList) {
                 fileList.innerHTML = files.map(file => 
-                    `<div style="padding: 4px 0; font-size: 0.85rem; color: #2c5530;">✓ ${file.name}</div>`
+                    `<div style="padding: 4px 0; font-size: 0.85rem; color: #2c5530;">✓ ${this.escapeHtml(file.name)}</div>`
                 ).join('');
                 fileList.style.display = 'block';
             }
@@ -1008,7 +1223,7 @@ class ProjectManager {
             }
             if (fileList) {
                 fileList.innerHTML = files.map(file => 
-                    `<div style="padding: 4px 0; font-size: 0.85rem; color: #2c5530;">✓ ${file.name}</div>`
+                    `<div style="padding: 4px 0; font-size: 0.85rem; color: #2c5530;">✓ ${this.escapeHtml(file.name)}</div>`
                 ).join('');
                 fileList.style.display = 'block';
             }
@@ -1106,6 +1321,16 @@ class ProjectManager {
         }
     }
 
+    // Read the letter type picker and its conditions textarea ('add' or 'edit' form)
+    getLetterTypeFields(prefix) {
+        const selectedType = document.getElementById(`${prefix}LetterType`)?.value;
+        const letterType = LETTER_TYPES[selectedType] ? selectedType : 'approval';
+        const letterConditions = letterType === 'approval'
+            ? []
+            : parseLetterConditions(document.getElementById(`${prefix}LetterConditions`)?.value);
+        return { letterType, letterConditions };
+    }
+
     resetAddProjectForm() {
         const form = document.getElementById('addProjectForm');
         
@@ -1130,6 +1355,11 @@ class ProjectManager {
         
         if (form && typeof form.reset === 'function') {
             form.reset();
+            // Clear the lot setback summary
+            const addLotInput = document.getElementById('addLot');
+            if (addLotInput) {
+                addLotInput.dispatchEvent(new Event('input'));
+            }
             // Hide "Other" project type field
             const otherProjectTypeGroup = document.getElementById('addOtherProjectTypeGroup');
             if (otherProjectTypeGroup) {
@@ -1221,6 +1451,28 @@ class ProjectManager {
             this.clearError('addApprovalReason');
         }
 
+        // Forget the template version of any letter generated from this form
+        const addGenerateLetterBtn = document.getElementById('addGenerateLetterBtn');
+        if (addGenerateLetterBtn) {
+            delete addGenerateLetterBtn.dataset.letterTemplateVersion;
+            delete addGenerateLetterBtn.dataset.letterFilename;
+        }
+
+        // Reset letter type fields
+        const letterTypeSelect = document.getElementById('addLetterType');
+        const letterConditionsGroup = document.getElementById('addLetterConditionsGroup');
+        const letterConditionsInput = document.getElementById('addLetterConditions');
+        if (letterTypeSelect) {
+            letterTypeSelect.value = 'approval';
+        }
+        if (letterConditionsGroup) {
+            letterConditionsGroup.style.display = 'none';
+        }
+        if (letterConditionsInput) {
+            letterConditionsInput.value = '';
+            this.clearError('addLetterConditions');
+        }
+
         // Reset site conditions files
         const siteConditionsInput = document.getElementById('addSiteConditions');
         const siteConditionsDropZoneContent = document.getElementById('addSiteConditionsDropZoneContent');
@@ -1273,18 +1525,21 @@ class ProjectManager {
         const approvalLetterFile = document.getElementById('addApprovalLetter')?.files[0];
         const siteConditionsFiles = document.getElementById('addSiteConditions')?.files || [];
         const submittedPlansFiles = document.getElementById('addSubmittedPlans')?.files || [];
+        const { letterType, letterConditions } = this.getLetterTypeFields('add');
+        const generatedLetter = document.getElementById('addGenerateLetterBtn')?.dataset || {};
         
         // Review comments
         const reviewCommentsType = document.getElementById('addReviewCommentsType')?.value;
         const reviewComments = reviewCommentsType === 'other' 
             ? document.getElementById('addReviewComments')?.value.trim() 
-            : 'The plan was reviewed for Sanctuary Setback Requirements.';
+            : window.letterTemplateManager.getDefaultReviewComments();
+        const setbackCheck = window.setbackChecker ? window.setbackChecker.getCheck('add') : null;
         
         // Approval reason
         const approvalReasonType = document.getElementById('addApprovalReasonType')?.value;
         const approvalReason = approvalReasonType === 'other'
             ? document.getElementById('addApprovalReason')?.value.trim()
-            : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
+            : window.letterTemplateManager.getDefaultReason(letterType);
         
         const depositAmountReceived = document.getElementById('addDepositAmountReceived')?.value;
         const dateDepositReceived = document.getElementById('addDateDepositReceived')?.value;
@@ -1414,11 +1669,19 @@ class ProjectManager {
                 approvalLetterBlob: arrayBuffer,
                 approvalLetterFilename: approvalLetterFilename,
                 hasApprovalLetter: !!arrayBuffer, // Flag to track if letter exists
-                reviewComments: reviewComments || '',
+                householdId: window.projectLinkManager ? window.projectLinkManager.findHouseholdId(address, lot) : '',
+                reviewComments: (window.setbackChecker ? window.setbackChecker.appendToComments(reviewComments, setbackCheck) : reviewComments) || '',
+                setbackCheck: window.setbackChecker ? window.setbackChecker.toProjectRecord(setbackCheck) : null,
                 approvalReason: approvalReason || '',
+                letterType: letterType,
+                letterConditions: letterConditions,
+                letterTemplateVersion: this.isGeneratedLetterUpload(approvalLetterFile, generatedLetter.letterFilename)
+                    ? parseInt(generatedLetter.letterTemplateVersion, 10)
+                    : null,
                 siteConditionsFiles: siteConditionsArrayBuffers,
                 submittedPlansFiles: submittedPlansArrayBuffers,
                 depositAmountReceived: depositAmountReceived ? parseFloat(depositAmountReceived) : null,
+                depositAmountRequired: window.depositManager ? window.depositManager.getRequiredDeposit(projectType) : null,
                 dateDepositReceived: formattedDateDepositReceived,
                 depositAmountReturned: depositAmountReturned ? parseFloat(depositAmountReturned) : null,
                 dateDepositReturned: formattedDateDepositReturned,
@@ -1500,6 +1763,17 @@ class ProjectManager {
         });
     }
 
+    // Homeowner portal submissions put user-entered text into admin views; quotes are escaped too
+    // so the value is also safe inside input value="" attributes
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     formatDate(dateString) {
         if (!dateString) return '';
         const date = new Date(dateString);
@@ -1626,6 +1900,14 @@ class ProjectManager {
             <button type="button" class="btn-small btn-secondary" onclick="window.projectManager.editProject('${project.id}')">
                 Edit
             </button>
+            <button type="button" class="btn-small btn-secondary" onclick="window.projectManager.regenerateLetter('${project.id}')">
+                Regenerate Letter
+            </button>
+            ${project.status === 'open' ? `
+                <button type="button" class="btn-small btn-primary" onclick="window.closeoutManager.show('${project.id}')">
+                    Close Out
+                </button>
+            ` : ''}
             <button type="button" class="btn-small btn-danger" onclick="window.projectManager.deleteProject('${project.id}')">
                 Delete
             </button>
@@ -1645,7 +1927,7 @@ class ProjectManager {
                         <div class="file-badge-with-remove" data-file-id="${fileId}" data-project-id="${project.id}" data-file-index="${index}" data-file-type="${fileTypeDataAttr}" style="display: flex; align-items: center; gap: 4px; padding: 6px 8px 6px 12px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; font-size: 0.85rem;">
                             <div class="file-badge-clickable" data-file-id="${fileId}" data-project-id="${project.id}" data-file-index="${index}" data-file-type="${fileTypeDataAttr}" style="display: flex; align-items: center; gap: 6px; cursor: pointer; flex: 1; transition: all 0.2s ease;" onmouseover="this.style.color='#2c5530';" onmouseout="this.style.color='#333';">
                                 <span style="font-size: 1rem;">${icon}</span>
-                                <span style="color: #333;">${fileName}</span>
+                                <span style="color: #333;">${this.escapeHtml(fileName)}</span>
                             </div>
                             ${isAdmin ? `
                                 <button type="button" class="file-remove-btn" data-project-id="${project.id}" data-file-type="${fileTypeDataAttr}" data-file-index="${index}" style="background: #dc3545; color: white; border: none; border-radius: 50%; width: 20px; height: 20px; font-size: 12px; cursor: pointer; display: flex; align-items: center; justify-content: center; padding: 0; line-height: 1; transition: all 0.2s ease;" onmouseover="this.style.background='#c82333'; this.style.transform='scale(1.1)';" onmouseout="this.style.background='#dc3545'; this.style.transform='scale(1)';" title="Remove file">×</button>
@@ -1685,11 +1967,11 @@ class ProjectManager {
                     </div>
                     <div class="info-item">
                         <span class="info-label">Project Type:</span>
-                        <span class="info-value">${project.projectType || 'N/A'}</span>
+                        <span class="info-value">${this.escapeHtml(project.projectType || 'N/A')}</span>
                     </div>
                     <div class="info-item">
                         <span class="info-label">Contractor:</span>
-                        <span class="info-value">${project.contractorName || 'N/A'}</span>
+                        <span class="info-value">${this.escapeHtml(project.contractorName || 'N/A')}</span>
                     </div>
                     <div class="info-item">
                         <span class="info-label">Approved By:</span>
@@ -1707,6 +1989,24 @@ class ProjectManager {
                     </div>
                 </div>
                 
+                ${project.submittedBy ? `
+                    <div class="submission-info" style="margin-bottom: 20px; background: #eef5ef; border: 1px solid #c8dccb; border-radius: 4px; padding: 12px;">
+                        <div style="font-weight: bold; color: #2c5530; margin-bottom: 6px;">Submitted by Homeowner</div>
+                        <div style="color: #333; font-size: 0.9rem; margin-bottom: 6px;">${this.escapeHtml(project.submittedBy)}${project.dateSubmitted ? ` on ${project.dateSubmitted}` : ''}</div>
+                        ${project.projectDescription ? `<div style="color: #555; font-size: 0.9rem; white-space: pre-wrap;">${this.escapeHtml(project.projectDescription)}</div>` : ''}
+                    </div>
+                ` : ''}
+                
+                ${window.reviewManager ? window.reviewManager.renderReviewSection(project, isAdmin) : ''}
+                
+                ${window.checklistManager ? window.checklistManager.renderChecklistSection(project, isAdmin) : ''}
+                
+                ${window.deadlineManager ? window.deadlineManager.renderDeadlineSection(project, isAdmin) : ''}
+                ${window.setbackChecker ? window.setbackChecker.renderProjectRecord(project.setbackCheck) : ''}
+                ${window.varianceManager ? window.varianceManager.renderVarianceSection(project, isAdmin) : ''}
+                
+                ${window.milestoneManager ? window.milestoneManager.renderTimeline(project, isAdmin) : ''}
+                
                 <div class="deposit-info" style="margin-bottom: 20px;">
                     <h4>Deposit Information</h4>
                     ${project.depositWaived ? `
@@ -1737,9 +2037,14 @@ class ProjectManager {
                                 <span class="info-value">${project.dateDepositReturned || 'Not returned'}</span>
                             </div>
                         </div>
+                        ${window.depositManager ? window.depositManager.renderMismatchWarning(project) : ''}
                     `}
                 </div>
                 
+                ${window.depositManager ? window.depositManager.renderLedgerSection(project, isAdmin) : ''}
+                
+                ${window.closeoutManager ? window.closeoutManager.renderCloseoutSection(project) : ''}
+                
                 ${renderFileSection(
                     project.siteConditionsFiles,
                     'siteConditions',
@@ -1770,6 +2075,7 @@ class ProjectManager {
                     'approval-letter',
                     'approvalLetter'
                 )}
+                ${this.renderLetterHistory(project, isAdmin)}
                 
                 <div class="project-card-actions" style="margin-top: 20px; display: flex; gap: 10px; flex-wrap: wrap;">
                     ${downloadButton}
@@ -2008,28 +2314,29 @@ class ProjectManager {
             return this.projects.filter(p => p.status === 'open' || p.status === 'under_review');
         } else if (this.currentFilter === 'previous') {
             return this.projects.filter(p => p.status === 'previous');
+        } else if (this.currentFilter === 'denied') {
+            return this.projects.filter(p => p.status === 'denied');
+        } else if (this.currentFilter === 'past_deadline') {
+            return this.projects.filter(p => window.deadlineManager && window.deadlineManager.isPastDeadline(p));
         }
         return this.projects;
     }
 
     calculateTotalDeposits() {
-        let totalReceived = 0;
-        let totalReturned = 0;
+        let total = 0;
 
         this.projects.forEach(project => {
             // Skip waived deposits in the calculation
             if (project.depositWaived) {
                 return;
             }
-            if (project.depositAmountReceived !== null && project.depositAmountReceived !== undefined) {
-                totalReceived += project.depositAmountReceived;
-            }
-            if (project.depositAmountReturned !== null && project.depositAmountReturned !== undefined) {
-                totalReturned += project.depositAmountReturned;
-            }
+            // Balance on the ledger: receipts less refunds and deductions
+            total += window.depositManager
+                ? window.depositManager.getBalance(project)
+                : (project.depositAmountReceived || 0) - (project.depositAmountReturned || 0);
         });
 
-        return totalReceived - totalReturned;
+        return total;
     }
 
     updateDepositSummary() {
@@ -2046,13 +2353,17 @@ class ProjectManager {
         let siteConditionsCount = 0;
         let submittedPlansCount = 0;
         let approvalLettersCount = 0;
+        let pastDeadlineCount = 0;
+        let checklistsCompleteCount = 0;
 
         this.projects.forEach(project => {
             // Count deposits as "good" if:
             // - depositAmountReceived has a value (filled), OR
             // - depositWaived is true
             // Only missing if neither condition is met
-            const hasDepositAmount = project.depositAmountReceived && project.depositAmountReceived > 0;
+            const hasDepositAmount = window.depositManager
+                ? window.depositManager.hasReceipt(project)
+                : project.depositAmountReceived > 0;
             const isDepositWaived = project.depositWaived === true;
             
             if (hasDepositAmount || isDepositWaived) {
@@ -2073,6 +2384,16 @@ class ProjectManager {
             if (project.hasApprovalLetter || project.approvalLetterStorageUrl || project.approvalLetterBlob) {
                 approvalLettersCount++;
             }
+
+            // Count projects with every required document received or waived
+            if (!window.checklistManager || window.checklistManager.isComplete(project)) {
+                checklistsCompleteCount++;
+            }
+
+            // Count open projects past their approval or completion deadline
+            if (window.deadlineManager && window.deadlineManager.isPastDeadline(project)) {
+                pastDeadlineCount++;
+            }
         });
 
         return {
@@ -2080,7 +2401,9 @@ class ProjectManager {
             deposits: depositsOnRecord,
             siteConditions: siteConditionsCount,
             submittedPlans: submittedPlansCount,
-            approvalLetters: approvalLettersCount
+            approvalLetters: approvalLettersCount,
+            pastDeadline: pastDeadlineCount,
+            checklists: checklistsCompleteCount
         };
     }
 
@@ -2110,6 +2433,19 @@ class ProjectManager {
         if (approvalLettersElement) {
             approvalLettersElement.textContent = `${metrics.approvalLetters}/${metrics.total}`;
         }
+
+        // Update submission checklist metric
+        const checklistsElement = document.getElementById('metricChecklists');
+        if (checklistsElement) {
+            checklistsElement.textContent = `${metrics.checklists}/${metrics.total}`;
+        }
+
+        // Update past deadline metric
+        const pastDeadlineElement = document.getElementById('metricPastDeadline');
+        if (pastDeadlineElement) {
+            pastDeadlineElement.textContent = metrics.pastDeadline;
+            pastDeadlineElement.style.color = metrics.pastDeadline > 0 ? '#d32f2f' : '';
+        }
     }
 
     renderProjects() {
@@ -2190,6 +2526,14 @@ class ProjectManager {
                 <button type="button" class="btn-small btn-secondary" onclick="window.projectManager.editProject('${project.id}')">
                     Edit
                 </button>
+                <button type="button" class="btn-small btn-secondary" onclick="window.projectManager.regenerateLetter('${project.id}')">
+                    Regenerate Letter
+                </button>
+                ${project.status === 'open' ? `
+                    <button type="button" class="btn-small btn-primary" onclick="window.closeoutManager.show('${project.id}')">
+                        Close Out
+                    </button>
+                ` : ''}
                 <button type="button" class="btn-small btn-danger" onclick="window.projectManager.deleteProject('${project.id}')">
                     Delete
                 </button>
@@ -2212,8 +2556,8 @@ class ProjectManager {
             return `
             <div class="project-card" data-project-id="${project.id}">
                 <div class="project-card-header">
-                    <h3>${project.homeownerName}${project.address ? ' - ' + project.address : ''}</h3>
-                    <div class="project-status-badge ${project.status}">${project.status === 'open' ? 'Open' : project.status === 'under_review' ? 'Under Architectural Review' : 'Previous'}</div>
+                    <h3>${this.escapeHtml(project.homeownerName)}${project.address ? ' - ' + this.escapeHtml(project.address) : ''}</h3>
+                    <div class="project-status-badge ${project.status}">${project.status === 'open' ? 'Open' : project.status === 'under_review' ? 'Under Architectural Review' : project.status === 'denied' ? 'Denied' : 'Previous'}</div>
                 </div>
                 <div class="project-card-body">
                     <div class="project-info">
@@ -2223,11 +2567,11 @@ class ProjectManager {
                         </div>
                         <div class="info-item">
                             <span class="info-label">Project Type:</span>
-                            <span class="info-value">${project.projectType || 'N/A'}</span>
+                            <span class="info-value">${this.escapeHtml(project.projectType || 'N/A')}</span>
                         </div>
                         <div class="info-item">
                             <span class="info-label">Contractor:</span>
-                            <span class="info-value">${project.contractorName || 'N/A'}</span>
+                            <span class="info-value">${this.escapeHtml(project.contractorName || 'N/A')}</span>
                         </div>
                         <div class="info-item">
                             <span class="info-label">Approved By:</span>
@@ -2276,9 +2620,13 @@ class ProjectManager {
                                     <span class="info-value">${project.dateDepositReturned || 'Not returned'}</span>
                                 </div>
                             </div>
+                            ${window.depositManager ? window.depositManager.renderMismatchWarning(project) : ''}
                         `}
                     </div>
                     
+                    ${window.depositManager ? window.depositManager.renderLedgerSection(project, isAdmin) : ''}
+                    ${window.closeoutManager ? window.closeoutManager.renderCloseoutSection(project) : ''}
+                    
                     <div class="file-info" style="margin-top: 20px;">
                         <h4>Current Site Conditions</h4>
                         <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
@@ -2293,12 +2641,15 @@ class ProjectManager {
                                         <div class="file-badge-with-remove" data-file-id="${fileId}" data-project-id="${project.id}" data-file-index="${index}" data-file-type="siteConditions" style="display: flex; align-items: center; gap: 4px; padding: 6px 8px 6px 12px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; font-size: 0.85rem;">
                                             <div class="file-badge-clickable" style="display: flex; align-items: center; gap: 6px; cursor: pointer; flex: 1; transition: all 0.2s ease;" onmouseover="this.style.color='#2c5530';" onmouseout="this.style.color='#333';">
                                                 <span style="font-size: 1rem;">${isImage ? '🖼️' : isPDF ? '📄' : '📎'}</span>
-                                                <span style="color: #333;">${fileName}</span>
+                                                <span style="color: #333;">${this.escapeHtml(fileName)}</span>
+                                                ${file.revision ? `<span style="color: #999; font-size: 0.75rem;" title="${this.escapeHtml(window.fileVersionManager.describe(file))}">Rev ${file.revision}${file.size ? ` · ${window.fileVersionManager.formatSize(file.size)}` : ''}${file.uploadedBy ? ` · ${this.escapeHtml(file.uploadedBy)}` : ''}</span>` : ''}
+                                                ${file.annotations && file.annotations.length > 0 ? `<span style="color: #d32f2f; font-size: 0.75rem;" title="Reviewer markup">✎ ${file.annotations.length}</span>` : ''}
                                             </div>
                                             ${isAdmin ? `
                                                 <button type="button" class="file-remove-btn" data-project-id="${project.id}" data-file-index="${index}" data-file-type="siteConditions" style="background: #dc3545; color: white; border: none; border-radius: 50%; width: 20px; height: 20px; font-size: 12px; cursor: pointer; display: flex; align-items: center; justify-content: center; padding: 0; line-height: 1; transition: all 0.2s ease;" onmouseover="this.style.background='#c82333'; this.style.transform='scale(1.1)';" onmouseout="this.style.background='#dc3545'; this.style.transform='scale(1)';" title="Remove file">×</button>
                                             ` : ''}
                                         </div>
+                                        ${window.fileVersionManager.renderVersionHistory(project, 'siteConditions', index, isAdmin)}
                                     `;
                                 }).join('') :
                                 `<div style="display: flex; align-items: center; gap: 6px; padding: 6px 12px; background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; font-size: 0.85rem;">
@@ -2307,10 +2658,16 @@ class ProjectManager {
                                 </div>`
                             }
                         </div>
+                        ${window.fileVersionManager.renderArchivedFiles(project, 'siteConditions', isAdmin)}
                     </div>
                     
                     <div class="file-info" style="margin-top: 20px;">
-                        <h4>Submitted Plans</h4>
+                        <h4 style="display: flex; align-items: center; gap: 10px;">
+                            Submitted Plans
+                            ${isAuthenticated && window.planCompareViewer && window.planCompareViewer.canCompare(project) ? `
+                                <button type="button" class="btn-small btn-secondary" onclick="window.planCompareViewer.show('${project.id}')" style="font-size: 0.75rem; padding: 3px 8px;">Compare Revisions</button>
+                            ` : ''}
+                        </h4>
                         <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
                             ${project.submittedPlansFiles && project.submittedPlansFiles.length > 0 ? 
                                 project.submittedPlansFiles.map((file, index) => {
@@ -2324,12 +2681,15 @@ class ProjectManager {
                                         <div class="file-badge-with-remove" data-file-id="${fileId}" data-project-id="${project.id}" data-file-index="${index}" data-file-type="submittedPlans" style="display: flex; align-items: center; gap: 4px; padding: 6px 8px 6px 12px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; font-size: 0.85rem;">
                                             <div class="file-badge-clickable" style="display: flex; align-items: center; gap: 6px; cursor: pointer; flex: 1; transition: all 0.2s ease;" onmouseover="this.style.color='#2c5530';" onmouseout="this.style.color='#333';">
                                                 <span style="font-size: 1rem;">${isImage ? '🖼️' : isPDF ? '📄' : isDoc ? '📝' : '📎'}</span>
-                                                <span style="color: #333;">${fileName}</span>
+                                                <span style="color: #333;">${this.escapeHtml(fileName)}</span>
+                                                ${file.revision ? `<span style="color: #999; font-size: 0.75rem;" title="${this.escapeHtml(window.fileVersionManager.describe(file))}">Rev ${file.revision}${file.size ? ` · ${window.fileVersionManager.formatSize(file.size)}` : ''}${file.uploadedBy ? ` · ${this.escapeHtml(file.uploadedBy)}` : ''}</span>` : ''}
+                                                ${file.annotations && file.annotations.length > 0 ? `<span style="color: #d32f2f; font-size: 0.75rem;" title="Reviewer markup">✎ ${file.annotations.length}</span>` : ''}
                                             </div>
                                             ${isAdmin ? `
                                                 <button type="button" class="file-remove-btn" data-project-id="${project.id}" data-file-index="${index}" data-file-type="submittedPlans" style="background: #dc3545; color: white; border: none; border-radius: 50%; width: 20px; height: 20px; font-size: 12px; cursor: pointer; display: flex; align-items: center; justify-content: center; padding: 0; line-height: 1; transition: all 0.2s ease;" onmouseover="this.style.background='#c82333'; this.style.transform='scale(1.1)';" onmouseout="this.style.background='#dc3545'; this.style.transform='scale(1)';" title="Remove file">×</button>
                                             ` : ''}
                                         </div>
+                                        ${window.fileVersionManager.renderVersionHistory(project, 'submittedPlans', index, isAdmin)}
                                     `;
                                 }).join('') :
                                 `<div style="display: flex; align-items: center; gap: 6px; padding: 6px 12px; background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; font-size: 0.85rem;">
@@ -2338,6 +2698,7 @@ class ProjectManager {
                                 </div>`
                             }
                         </div>
+                        ${window.fileVersionManager.renderArchivedFiles(project, 'submittedPlans', isAdmin)}
                     </div>
                     
                     <div class="file-info" style="margin-top: 20px;">
@@ -2360,6 +2721,10 @@ class ProjectManager {
                                 </div>
                             `}
                         </div>
+                        ${project.letterTemplateVersion !== null && project.letterTemplateVersion !== undefined ? `
+                            <div style="color: #666; font-size: 0.8rem; margin-top: 6px;">Generated from letter template <a href="#" onclick="window.letterTemplateManager.showVersion(${project.letterTemplateVersion}); return false;" style="color: #2c5530;">version ${project.letterTemplateVersion}</a></div>
+                        ` : ''}
+                        ${this.renderLetterHistory(project, isAdmin)}
                     </div>
                 </div>
                 <div class="project-card-actions">
@@ -2395,34 +2760,69 @@ class ProjectManager {
                 e.stopPropagation();
                 console.log('Remove button clicked:', { fileType, fileIndex, projectId: project.id });
                 
-                if (confirm(`Are you sure you want to remove this file? You'll need to save the project for the change to take effect.`)) {
-                    // Mark file for removal (will be handled when saving)
-                    if (!project.filesToRemove) {
-                        project.filesToRemove = { siteConditions: [], submittedPlans: [], approvalLetter: false };
-                    }
-                    
-                    if (fileType === 'approvalLetter') {
-                        project.filesToRemove.approvalLetter = true;
-                    } else if (fileType === 'siteConditions' && fileIndex !== null) {
-                        project.filesToRemove.siteConditions.push(parseInt(fileIndex));
-                    } else if (fileType === 'submittedPlans' && fileIndex !== null) {
-                        project.filesToRemove.submittedPlans.push(parseInt(fileIndex));
-                    }
-                    
-                    console.log('Files to remove:', project.filesToRemove);
-                    
-                    // Remove from display immediately
-                    const badgeContainer = newBtn.closest('.file-badge-with-remove');
-                    if (badgeContainer) {
-                        badgeContainer.style.opacity = '0.5';
-                        badgeContainer.style.textDecoration = 'line-through';
-                        newBtn.style.display = 'none';
-                    }
-                }
+                this.removeProjectFile(project, fileType, fileIndex);
             });
         });
     }
     
+    // Remove an attachment right away. Site conditions and submitted plans are kept in
+    // archivedFiles and approval letters in approvalLetterHistory so they can be restored.
+    async removeProjectFile(project, fileType, fileIndex) {
+        if (!confirm(`Are you sure you want to remove this file?`)) return;
+
+        let fileRemoved = false;
+        if (fileType === 'approvalLetter') {
+            if (this.hasStoredApprovalLetter(project)) {
+                try {
+                    project.approvalLetterHistory = [
+                        ...(project.approvalLetterHistory || []),
+                        await this.archiveApprovalLetter(project, 'removed')
+                    ];
+                } catch (error) {
+                    console.error('Error archiving approval letter:', error);
+                    alert('Error archiving approval letter: ' + error.message);
+                    return;
+                }
+            }
+            project.approvalLetterBlob = null;
+            project.approvalLetterStorageUrl = null;
+            project.approvalLetterFilename = '';
+            project.hasApprovalLetter = false;
+            fileRemoved = true;
+        } else if (FILE_VERSION_TYPES[fileType] && fileIndex !== null) {
+            const listField = FILE_VERSION_TYPES[fileType].listField;
+            const indexToRemove = parseInt(fileIndex);
+            const files = project[listField] || [];
+            if (files.length > indexToRemove) {
+                project.archivedFiles = [
+                    ...(project.archivedFiles || []),
+                    window.fileVersionManager.toArchiveEntry(files[indexToRemove], fileType)
+                ];
+                project[listField] = files.filter((file, index) => index !== indexToRemove);
+                fileRemoved = true;
+                console.log(`Archived ${fileType} file at index ${indexToRemove}. Remaining files:`, project[listField]);
+            }
+        }
+
+        if (!fileRemoved) {
+            console.error('File not found or could not be removed');
+            alert('File could not be removed');
+            return;
+        }
+
+        // Immediately save to Firestore
+        try {
+            const firestoreData = await this.convertProjectToFirestore(project);
+            await this.db.collection(this.collectionName).doc(project.id).update(firestoreData);
+            console.log('File removed and project updated in Firestore:', project.id);
+            this.renderProjects();
+        } catch (error) {
+            console.error('Error removing file:', error);
+            alert('Error removing file: ' + error.message);
+            this.renderProjects();
+        }
+    }
+    
     setupFilePreviewDelegation() {
         // Use event delegation on the projects container
         // Wait for DOM to be ready
@@ -2495,58 +2895,7 @@ class ProjectManager {
                     return;
                 }
                 
-                // Use async IIFE to handle await
-                (async () => {
-                    if (confirm(`Are you sure you want to remove this file?`)) {
-                        // Remove file immediately from the project
-                        let fileRemoved = false;
-                        
-                        if (fileType === 'approvalLetter') {
-                            // Remove approval letter
-                            project.approvalLetterBlob = null;
-                            project.approvalLetterStorageUrl = null;
-                            project.approvalLetterFilename = '';
-                            project.hasApprovalLetter = false;
-                            fileRemoved = true;
-                        } else if (fileType === 'siteConditions' && fileIndex !== null) {
-                            // Remove site conditions file at index
-                            const indexToRemove = parseInt(fileIndex);
-                            if (project.siteConditionsFiles && project.siteConditionsFiles.length > indexToRemove) {
-                                project.siteConditionsFiles = project.siteConditionsFiles.filter((file, index) => index !== indexToRemove);
-                                fileRemoved = true;
-                                console.log(`Removed site conditions file at index ${indexToRemove}. Remaining files:`, project.siteConditionsFiles);
-                            }
-                        } else if (fileType === 'submittedPlans' && fileIndex !== null) {
-                            // Remove submitted plans file at index
-                            const indexToRemove = parseInt(fileIndex);
-                            if (project.submittedPlansFiles && project.submittedPlansFiles.length > indexToRemove) {
-                                project.submittedPlansFiles = project.submittedPlansFiles.filter((file, index) => index !== indexToRemove);
-                                fileRemoved = true;
-                                console.log(`Removed submitted plans file at index ${indexToRemove}. Remaining files:`, project.submittedPlansFiles);
-                            }
-                        }
-                        
-                        if (fileRemoved) {
-                            // Immediately save to Firestore
-                            try {
-                                const firestoreData = await this.convertProjectToFirestore(project);
-                                await this.db.collection(this.collectionName).doc(projectId).update(firestoreData);
-                                console.log('File removed and project updated in Firestore:', projectId);
-                                
-                                // Re-render projects to show updated state
-                                this.renderProjects();
-                            } catch (error) {
-                                console.error('Error removing file:', error);
-                                alert('Error removing file: ' + error.message);
-                                // Revert the change on error
-                                this.renderProjects();
-                            }
-                        } else {
-                            console.error('File not found or could not be removed');
-                            alert('File could not be removed');
-                        }
-                    }
-                })();
+                this.removeProjectFile(project, fileType, fileIndex);
                 return;
             }
         });
@@ -2708,15 +3057,18 @@ class ProjectManager {
                 return;
             }
             
-            // Show preview modal
-            this.showFilePreview(fileName, fileData, fileMimeType);
+            // Show preview modal, with markup and revision compare for stored attachments
+            const attachment = fileType === 'siteConditions' || fileType === 'submittedPlans'
+                ? { projectId: project.id, fileType: fileType, fileIndex: fileIndex }
+                : null;
+            this.showFilePreview(fileName, fileData, fileMimeType, attachment);
         } catch (error) {
             console.error('Error previewing file:', error);
             alert('Error loading file: ' + error.message);
         }
     }
     
-    showFilePreview(fileName, fileData, fileMimeType) {
+    showFilePreview(fileName, fileData, fileMimeType, attachment = null) {
         // Create modal
         const modal = document.createElement('div');
         modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.8); z-index: 10000; display: flex; align-items: center; justify-content: center;';
@@ -2726,12 +3078,19 @@ class ProjectManager {
         const isPDF = fileMimeType === 'application/pdf' || /\.pdf$/i.test(fileName);
         const isDocument = /\.(doc|docx|xls|xlsx|ppt|pptx)$/i.test(fileName);
         
+        // Markup and compare need the stored attachment record
+        const project = attachment ? this.projects.find(p => p.id === attachment.projectId) : null;
+        const storedFile = project ? (project[FILE_VERSION_TYPES[attachment.fileType].listField] || [])[attachment.fileIndex] : null;
+        const canAnnotate = storedFile && storedFile.storageUrl && window.planAnnotator && window.planRenderer.isRenderable(storedFile);
+        const canCompare = project && attachment.fileType === 'submittedPlans' && window.planCompareViewer && window.planCompareViewer.canCompare(project);
+        const markupCount = canAnnotate ? window.planAnnotator.getAnnotations(storedFile).length : 0;
+        
         let content = '';
         
         if (isImage) {
             content = `
                 <div style="max-width: 90vw; max-height: 90vh; position: relative;">
-                    <img src="${fileData}" alt="${fileName}" style="max-width: 100%; max-height: 90vh; object-fit: contain; border-radius: 8px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);">
+                    <img src="${fileData}" alt="${this.escapeHtml(fileName)}" style="max-width: 100%; max-height: 90vh; object-fit: contain; border-radius: 8px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);">
                 </div>
             `;
         } else if (isPDF) {
@@ -2745,9 +3104,9 @@ class ProjectManager {
             content = `
                 <div style="background: white; padding: 40px; border-radius: 8px; text-align: center; max-width: 500px;">
                     <div style="font-size: 4rem; margin-bottom: 20px;">📄</div>
-                    <h3 style="margin: 0 0 20px 0; color: #333;">${fileName}</h3>
+                    <h3 style="margin: 0 0 20px 0; color: #333;">${this.escapeHtml(fileName)}</h3>
                     <p style="color: #666; margin-bottom: 30px;">This file type cannot be previewed in the browser.</p>
-                    <a href="${fileData}" download="${fileName}" style="display: inline-block; padding: 12px 24px; background: #2c5530; color: white; text-decoration: none; border-radius: 6px; font-weight: 500;">Download File</a>
+                    <a href="${fileData}" download="${this.escapeHtml(fileName)}" style="display: inline-block; padding: 12px 24px; background: #2c5530; color: white; text-decoration: none; border-radius: 6px; font-weight: 500;">Download File</a>
                 </div>
             `;
         }
@@ -2755,6 +3114,17 @@ class ProjectManager {
         modal.innerHTML = `
             <div style="position: relative; width: 100%; height: 100%; display: flex; align-items: center; justify-content: center;">
                 ${content}
+                <div style="position: absolute; top: 24px; right: 76px; display: flex; gap: 8px;">
+                    ${canAnnotate ? `
+                        <button id="annotatePreviewBtn" class="btn-small btn-primary" style="box-shadow: 0 2px 8px rgba(0,0,0,0.2);">${markupCount > 0 ? `Markup (${markupCount})` : 'Markup'}</button>
+                    ` : ''}
+                    ${canAnnotate && window.sitePlanMeasure ? `
+                        <button id="measurePreviewBtn" class="btn-small btn-primary" style="box-shadow: 0 2px 8px rgba(0,0,0,0.2);">Measure Setbacks</button>
+                    ` : ''}
+                    ${canCompare ? `
+                        <button id="comparePreviewBtn" class="btn-small btn-primary" style="box-shadow: 0 2px 8px rgba(0,0,0,0.2);">Compare Revisions</button>
+                    ` : ''}
+                </div>
                 <button id="closePreviewBtn" style="position: absolute; top: 20px; right: 20px; background: rgba(255,255,255,0.9); border: none; border-radius: 50%; width: 40px; height: 40px; font-size: 24px; cursor: pointer; display: flex; align-items: center; justify-content: center; box-shadow: 0 2px 8px rgba(0,0,0,0.2); transition: all 0.2s ease;" onmouseover="this.style.background='white'; this.style.transform='scale(1.1)';" onmouseout="this.style.background='rgba(255,255,255,0.9)'; this.style.transform='scale(1)';">
                     ×
                 </button>
@@ -2794,27 +3164,47 @@ class ProjectManager {
             }
         };
         document.addEventListener('keydown', handleEscape);
+        
+        // Swap the preview for the markup editor, setback measurement or side-by-side compare
+        const openFromPreview = (buttonId, open) => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            button.addEventListener('click', () => {
+                document.body.removeChild(modal);
+                cleanup();
+                document.removeEventListener('keydown', handleEscape);
+                open();
+            });
+        };
+        openFromPreview('annotatePreviewBtn', () => window.planAnnotator.show(attachment.projectId, attachment.fileType, attachment.fileIndex));
+        openFromPreview('measurePreviewBtn', () => window.sitePlanMeasure.show(attachment.projectId, attachment.fileType, attachment.fileIndex));
+        openFromPreview('comparePreviewBtn', () => window.planCompareViewer.show(attachment.projectId, attachment.fileIndex));
     }
 
     renderProjectCompact(project, isAuthenticated, isAdmin) {
         // Status badge - smaller and more refined
-        const statusText = project.status === 'open' ? 'Open' : project.status === 'under_review' ? 'Under Review' : 'Previous';
+        const statusText = project.status === 'open' ? 'Open' : project.status === 'under_review' ? 'Under Review' : project.status === 'denied' ? 'Denied' : 'Previous';
         const statusBadge = `<span class="project-status-badge ${project.status}" style="padding: 3px 8px; border-radius: 10px; font-size: 0.7rem; font-weight: 600; display: inline-block; white-space: nowrap; text-align: center; min-width: 50px;">${statusText}</span>`;
         
         // Homeowner and address - tighter spacing
         const homeownerAddress = `
-            <div style="font-weight: 600; color: #2c5530; font-size: 0.85rem; margin-bottom: 1px; line-height: 1.3;">${project.homeownerName || 'N/A'}</div>
-            ${project.address ? `<div style="color: #666; font-size: 0.75rem; line-height: 1.2;">${project.address}</div>` : ''}
+            <div style="font-weight: 600; color: #2c5530; font-size: 0.85rem; margin-bottom: 1px; line-height: 1.3;">${this.escapeHtml(project.homeownerName || 'N/A')}</div>
+            ${project.address ? `<div style="color: #666; font-size: 0.75rem; line-height: 1.2;">${this.escapeHtml(project.address)}</div>` : ''}
+            ${window.deadlineManager ? window.deadlineManager.renderDeadlineFlag(project) : ''}
+            ${window.milestoneManager ? window.milestoneManager.renderOverdueFlag(project) : ''}
         `;
         
         // Lot - smaller font
         const lot = `<span style="font-size: 0.8rem; color: #333; font-weight: 500;">${project.lot || 'N/A'}</span>`;
         
         // Project type - smaller font
-        const projectType = `<span style="font-size: 0.8rem; color: #333;">${project.projectType || 'N/A'}</span>`;
+        const projectType = `
+            <span style="font-size: 0.8rem; color: #333;">${this.escapeHtml(project.projectType || 'N/A')}</span>
+            ${window.checklistManager ? window.checklistManager.renderCompletenessBadge(project) : ''}
+        `;
         
         // Contractor - smaller font
-        const contractor = `<span style="font-size: 0.8rem; color: #333;">${project.contractorName || 'N/A'}</span>`;
+        const contractor = `<span style="font-size: 0.8rem; color: #333;">${this.escapeHtml(project.contractorName || 'N/A')}</span>`;
         
         // Date approved - centered, smaller
         const dateApproved = project.noApprovalOnRecord ? 
@@ -2828,8 +3218,14 @@ class ProjectManager {
         } else if (!project.depositAmountReceived) {
             depositStatus = '<span style="color: #d32f2f; font-size: 0.75rem; font-weight: 700;">Needed</span>';
         } else {
-            const netDeposit = (project.depositAmountReceived || 0) - (project.depositAmountReturned || 0);
+            const netDeposit = window.depositManager
+                ? window.depositManager.getBalance(project)
+                : (project.depositAmountReceived || 0) - (project.depositAmountReturned || 0);
             depositStatus = `<span style="color: #2c5530; font-size: 0.8rem; font-weight: 600;">$${netDeposit.toFixed(2)}</span>`;
+            if (window.depositManager && window.depositManager.hasDepositMismatch(project)) {
+                const required = window.depositManager.getProjectRequiredDeposit(project);
+                depositStatus += ` <span style="color: #856404; font-size: 0.75rem; font-weight: 600;" title="Required deposit is $${required.toFixed(2)}">⚠</span>`;
+            }
         }
         
         // Approval letter status - refined
@@ -2848,10 +3244,22 @@ class ProjectManager {
             <button type="button" class="btn-small btn-secondary" onclick="window.projectManager.editProject('${project.id}')" style="padding: 3px 8px; font-size: 0.7rem; white-space: nowrap; border-radius: 3px; font-weight: 500; line-height: 1.2; max-width: 100%; overflow: hidden; text-overflow: ellipsis;">Edit</button>
         ` : '';
         
+        // Regenerate button - admins only
+        const regenerateButton = isAdmin ? `
+            <button type="button" class="btn-small btn-secondary" onclick="window.projectManager.regenerateLetter('${project.id}')" title="Regenerate letter from the saved project" style="padding: 3px 8px; font-size: 0.7rem; white-space: nowrap; border-radius: 3px; font-weight: 500; line-height: 1.2; max-width: 100%; overflow: hidden; text-overflow: ellipsis;">Regenerate</button>
+        ` : '';
+        
+        // Close out button - admins only, while the project is still open
+        const closeOutButton = isAdmin && project.status === 'open' ? `
+            <button type="button" class="btn-small btn-primary" onclick="window.closeoutManager.show('${project.id}')" style="padding: 3px 8px; font-size: 0.7rem; white-space: nowrap; border-radius: 3px; font-weight: 500; line-height: 1.2; max-width: 100%; overflow: hidden; text-overflow: ellipsis;">Close Out</button>
+        ` : '';
+        
         const actionsContent = (downloadButton || editButton) ? `
             <div style="display: flex; flex-direction: column; gap: 4px; align-items: center;">
                 ${downloadButton}
                 ${editButton}
+                ${regenerateButton}
+                ${closeOutButton}
             </div>
         ` : '<span style="color: #999; font-size: 0.7rem;">—</span>';
         
@@ -2867,8 +3275,8 @@ class ProjectManager {
             <div class="compact-project-mobile-card" data-project-id="${project.id}" style="display: none; background: #ffffff; border: 1px solid #e8e8e8; border-radius: 8px; padding: 15px; margin-bottom: 12px; box-shadow: 0 2px 4px rgba(0,0,0,0.05);">
                 <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 12px;">
                     <div style="flex: 1;">
-                        <div style="font-weight: 600; color: #2c5530; font-size: 1rem; margin-bottom: 4px;">${project.homeownerName || 'N/A'}</div>
-                        ${project.address ? `<div style="color: #666; font-size: 0.85rem; margin-bottom: 8px;">${project.address}</div>` : ''}
+                        <div style="font-weight: 600; color: #2c5530; font-size: 1rem; margin-bottom: 4px;">${this.escapeHtml(project.homeownerName || 'N/A')}</div>
+                        ${project.address ? `<div style="color: #666; font-size: 0.85rem; margin-bottom: 8px;">${this.escapeHtml(project.address)}</div>` : ''}
                         <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-top: 8px;">
                             ${statusBadge}
                             ${hasLetter ? '<span style="color: #4caf50; font-size: 0.85rem;">&#10003; Letter</span>' : '<span style="color: #d32f2f; font-size: 0.85rem;">&#10007; No Letter</span>'}
@@ -2887,11 +3295,12 @@ class ProjectManager {
                     </div>
                     <div>
                         <div style="color: #666; font-size: 0.75rem; margin-bottom: 4px;">Project Type</div>
-                        <div style="font-weight: 500;">${project.projectType || 'N/A'}</div>
+                        <div style="font-weight: 500;">${this.escapeHtml(project.projectType || 'N/A')}</div>
+                        ${window.checklistManager ? window.checklistManager.renderCompletenessBadge(project) : ''}
                     </div>
                     <div>
                         <div style="color: #666; font-size: 0.75rem; margin-bottom: 4px;">Contractor</div>
-                        <div style="font-weight: 500;">${project.contractorName || 'N/A'}</div>
+                        <div style="font-weight: 500;">${this.escapeHtml(project.contractorName || 'N/A')}</div>
                     </div>
                     <div>
                         <div style="color: #666; font-size: 0.75rem; margin-bottom: 4px;">Date Approved</div>
@@ -2927,43 +3336,219 @@ class ProjectManager {
         `;
     }
 
-    async downloadLetter(projectId) {
-        // Require authentication for downloading letters
-        if (!this.requireAuth()) {
-            return;
-        }
+    // Letter fields for the PDF generator taken from the saved project instead of a form
+    buildLetterFormData(project) {
+        const letterType = LETTER_TYPES[project.letterType] ? project.letterType : 'approval';
+        return {
+            ownerLastName: (project.homeownerName || '').trim().split(' ').pop() || project.homeownerName,
+            address: project.address,
+            lot: project.lot,
+            projectType: project.projectType,
+            contractorName: project.contractorName,
+            reviewComments: project.reviewComments || window.letterTemplateManager.getDefaultReviewComments(),
+            approvalReason: project.approvalReason || window.letterTemplateManager.getDefaultReason(letterType),
+            approvedBy: project.approvedBy,
+            approvedOn: project.noApprovalOnRecord ? null : (project.dateApproved || new Date().toISOString().split('T')[0]),
+            letterType: letterType,
+            conditions: project.letterConditions || [],
+            depositAmount: window.depositManager ? window.depositManager.getProjectRequiredDeposit(project) : null
+        };
+    }
+
+    // Rebuild the letter from the saved project and its stored attachments.
+    // The current letter is kept in approvalLetterHistory rather than overwritten.
+    async regenerateLetter(projectId) {
+        if (!this.requireAuth()) return;
 
         const project = this.projects.find(p => p.id === projectId);
         if (!project) {
             alert('Project not found.');
             return;
         }
+        if (!project.homeownerName || !project.address || !project.lot || !project.projectType) {
+            alert('This project is missing a homeowner name, address, lot or project type. Edit the project before regenerating the letter.');
+            return;
+        }
 
-        // Check if approval letter exists
-        if (!project.approvalLetterBlob && !project.approvalLetterStorageUrl) {
-            if (project.hasApprovalLetter === false) {
-                alert('Approval not on file for this project.');
-            } else {
-                alert('Approval letter not available for this project.');
+        const hasCurrentLetter = this.hasStoredApprovalLetter(project);
+        if (!confirm(hasCurrentLetter
+            ? 'Regenerate the letter from the saved project? The current letter will be kept as an archived version.'
+            : 'Generate the letter from the saved project?')) {
+            return;
+        }
+
+        try {
+            const formData = this.buildLetterFormData(project);
+            const siteConditionsFiles = await this.downloadStoredFiles(project.siteConditionsFiles);
+            const submittedPlansFiles = await this.downloadStoredFiles(project.submittedPlansFiles);
+
+            // Rendered without downloading so the letter form and its files are left alone
+            const result = await window.pdfGenerator.renderLetterPDF(formData, siteConditionsFiles, submittedPlansFiles);
+
+            const history = [...(project.approvalLetterHistory || [])];
+            if (hasCurrentLetter) {
+                history.push(await this.archiveApprovalLetter(project, 'regenerated'));
             }
+
+            const storageUrl = await this.uploadFileToStorage(
+                result.blob,
+                result.filename,
+                'application/pdf',
+                projectId,
+                'approval-letters'
+            );
+
+            await this.updateProject(projectId, {
+                approvalLetterBlob: null,
+                approvalLetterStorageUrl: storageUrl,
+                approvalLetterFilename: result.filename,
+                hasApprovalLetter: true,
+                letterTemplateVersion: formData.letterTemplateVersion,
+                approvalLetterHistory: history
+            });
+            alert('The letter has been regenerated and saved to the project.');
+        } catch (error) {
+            console.error('Error regenerating letter:', error);
+            alert('Error regenerating letter: ' + error.message);
+        }
+    }
+
+    // Whether an uploaded letter is the one just generated; the browser may add " (1)" to the
+    // name of a download that already exists
+    isGeneratedLetterUpload(file, generatedFilename) {
+        if (!file || !generatedFilename) return false;
+        const baseName = (name) => name.replace(/ \(\d+\)(?=\.pdf$)/i, '');
+        return baseName(file.name) === baseName(generatedFilename);
+    }
+
+    // Copy of the current letter for approvalLetterHistory, taken before the letter is
+    // regenerated, replaced or removed
+    async archiveApprovalLetter(project, reason) {
+        let archivedUrl = project.approvalLetterStorageUrl;
+        if (!archivedUrl && project.approvalLetterBlob) {
+            // Legacy letters only exist in the project record; move them to Storage before archiving
+            archivedUrl = await this.uploadFileToStorage(
+                project.approvalLetterBlob,
+                project.approvalLetterFilename || 'approval-letter.pdf',
+                'application/pdf',
+                project.id,
+                'approval-letters'
+            );
+        }
+        const user = window.authHandler.getCurrentUser();
+        return {
+            storageUrl: archivedUrl || null,
+            filename: project.approvalLetterFilename || 'Approval Letter.pdf',
+            letterTemplateVersion: project.letterTemplateVersion !== undefined ? project.letterTemplateVersion : null,
+            archivedDate: this.formatDate(new Date()),
+            archivedBy: user ? user.email : 'unknown',
+            reason: reason
+        };
+    }
+
+    hasStoredApprovalLetter(project) {
+        return !!(project.approvalLetterStorageUrl || project.approvalLetterBlob);
+    }
+
+    // Make an archived letter current again; the current letter moves into the history
+    async restoreApprovalLetter(projectId, historyIndex) {
+        if (!this.requireAuth()) return;
+
+        const project = this.projects.find(p => p.id === projectId);
+        const history = project ? project.approvalLetterHistory || [] : [];
+        const entry = history[historyIndex];
+        if (!entry || !entry.storageUrl) {
+            alert('Archived letter not found.');
+            return;
+        }
+        const hasCurrentLetter = this.hasStoredApprovalLetter(project);
+        if (!confirm(hasCurrentLetter
+            ? `Restore ${entry.filename}? The current letter will be kept as an archived version.`
+            : `Restore ${entry.filename} as the approval letter?`)) {
             return;
         }
 
         try {
-            let blob;
-            
-            if (project.approvalLetterBlob) {
-                // Use in-memory blob (legacy base64)
-                blob = new Blob([project.approvalLetterBlob], { type: 'application/pdf' });
-            } else if (project.approvalLetterStorageUrl) {
-                // Download from Firebase Storage using Storage SDK
-                const storage = window.firebaseStorage;
-                if (!storage) {
-                    throw new Error('Firebase Storage not available');
-                }
+            const remaining = history.filter((archived, i) => i !== historyIndex);
+            if (hasCurrentLetter) {
+                remaining.push(await this.archiveApprovalLetter(project, 'replaced'));
+            }
 
-                try {
-                    // Extract storage path from the download URL
+            await this.updateProject(projectId, {
+                approvalLetterBlob: null,
+                approvalLetterStorageUrl: entry.storageUrl,
+                approvalLetterFilename: entry.filename,
+                hasApprovalLetter: true,
+                letterTemplateVersion: entry.letterTemplateVersion !== undefined ? entry.letterTemplateVersion : null,
+                approvalLetterHistory: remaining
+            });
+        } catch (error) {
+            console.error('Error restoring approval letter:', error);
+            alert('Error restoring approval letter: ' + error.message);
+        }
+    }
+
+    // Links to letters that were regenerated, replaced or removed
+    renderLetterHistory(project, isAdmin) {
+        const history = project.approvalLetterHistory || [];
+        if (history.length === 0) return '';
+
+        const reasonLabels = { regenerated: 'regenerated', replaced: 'replaced', removed: 'removed' };
+        return `
+            <div style="margin-top: 8px; font-size: 0.8rem; color: #666;">
+                <div style="font-weight: 600; margin-bottom: 4px;">Previous versions</div>
+                ${history.map((entry, historyIndex) => ({ entry, historyIndex })).reverse().map(({ entry, historyIndex }) => `
+                    <div style="display: flex; align-items: center; gap: 8px; padding: 2px 0; flex-wrap: wrap;">
+                        <span>
+                            ${entry.storageUrl
+                                ? `<a href="${this.escapeHtml(entry.storageUrl)}" target="_blank" rel="noopener" style="color: #2c5530;">${this.escapeHtml(entry.filename)}</a>`
+                                : this.escapeHtml(entry.filename)}
+                            — ${reasonLabels[entry.reason] || 'archived'} ${this.escapeHtml(entry.archivedDate)}${entry.archivedBy ? ` by ${this.escapeHtml(entry.archivedBy)}` : ''}${entry.letterTemplateVersion !== null && entry.letterTemplateVersion !== undefined ? ` (template <a href="#" onclick="window.letterTemplateManager.showVersion(${entry.letterTemplateVersion}); return false;" style="color: #2c5530;">v${entry.letterTemplateVersion}</a>)` : ''}
+                        </span>
+                        ${isAdmin && entry.storageUrl ? `<button type="button" class="btn-small btn-secondary" onclick="window.projectManager.restoreApprovalLetter('${project.id}', ${historyIndex})">Restore</button>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async downloadLetter(projectId) {
+        // Require authentication for downloading letters
+        if (!this.requireAuth()) {
+            return;
+        }
+
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found.');
+            return;
+        }
+
+        // Check if approval letter exists
+        if (!project.approvalLetterBlob && !project.approvalLetterStorageUrl) {
+            if (project.hasApprovalLetter === false) {
+                alert('Approval not on file for this project.');
+            } else {
+                alert('Approval letter not available for this project.');
+            }
+            return;
+        }
+
+        try {
+            let blob;
+            
+            if (project.approvalLetterBlob) {
+                // Use in-memory blob (legacy base64)
+                blob = new Blob([project.approvalLetterBlob], { type: 'application/pdf' });
+            } else if (project.approvalLetterStorageUrl) {
+                // Download from Firebase Storage using Storage SDK
+                const storage = window.firebaseStorage;
+                if (!storage) {
+                    throw new Error('Firebase Storage not available');
+                }
+
+                try {
+                    // Extract storage path from the download URL
                     // Firebase Storage download URLs have format: https://firebasestorage.googleapis.com/v0/b/{bucket}/o/{path}?alt=media&token={token}
                     const url = new URL(project.approvalLetterStorageUrl);
                     const pathMatch = url.pathname.match(/\/o\/(.+)/);
@@ -3051,19 +3636,27 @@ class ProjectManager {
             return dateStr;
         };
 
+        // Default wording from the active letter template
+        const defaultReviewComments = window.letterTemplateManager.getDefaultReviewComments();
+        const defaultApprovalReason = window.letterTemplateManager.getDefaultReason(project.letterType);
+
+        // Once ledger transactions exist, the single deposit fields are derived from the ledger
+        const hasLedger = project.depositLedger && project.depositLedger.length > 0;
+        const ledgerReadonly = hasLedger ? 'readonly title="Managed by the deposit ledger"' : '';
+
         // Create edit form HTML with all fields
         const editForm = `
             <div style="padding: 20px;">
-                <h3>Edit Project: ${project.homeownerName}</h3>
+                <h3>Edit Project: ${this.escapeHtml(project.homeownerName)}</h3>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Homeowner Name:</strong></label><br>
-                    <input type="text" id="editHomeownerName" value="${project.homeownerName || ''}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="text" id="editHomeownerName" value="${this.escapeHtml(project.homeownerName)}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Property Address:</strong></label><br>
-                    <input type="text" id="editAddress" value="${project.address || ''}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="text" id="editAddress" value="${this.escapeHtml(project.address)}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
@@ -3085,12 +3678,12 @@ class ProjectManager {
                 
                 <div style="margin-bottom: 15px; display: ${project.projectType && !['New Home', 'Renovation/Extension', 'Accessory Structure', 'Pool'].includes(project.projectType) ? 'block' : 'none'};" id="editOtherProjectTypeGroup">
                     <label><strong>Specify Project Type:</strong></label><br>
-                    <input type="text" id="editOtherProjectType" value="${project.projectType && !['New Home', 'Renovation/Extension', 'Accessory Structure', 'Pool'].includes(project.projectType) ? project.projectType : ''}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="text" id="editOtherProjectType" value="${project.projectType && !['New Home', 'Renovation/Extension', 'Accessory Structure', 'Pool'].includes(project.projectType) ? this.escapeHtml(project.projectType) : ''}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Contractor Name:</strong></label><br>
-                    <input type="text" id="editContractorName" value="${project.contractorName || ''}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="text" id="editContractorName" value="${this.escapeHtml(project.contractorName)}" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
@@ -3120,27 +3713,29 @@ class ProjectManager {
                         <option value="open" ${project.status === 'open' ? 'selected' : ''}>Open</option>
                         <option value="under_review" ${project.status === 'under_review' ? 'selected' : ''}>Under Architectural Review</option>
                         <option value="previous" ${project.status === 'previous' ? 'selected' : ''}>Previous</option>
+                        <option value="denied" ${project.status === 'denied' ? 'selected' : ''}>Denied</option>
                     </select>
                 </div>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Deposit Amount Received ($):</strong></label><br>
-                    <input type="number" id="editDepositReceived" value="${project.depositAmountReceived || ''}" step="0.01" min="0" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="number" id="editDepositReceived" value="${project.depositAmountReceived || ''}" step="0.01" min="0" ${ledgerReadonly} style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    ${hasLedger ? '<small style="color: #666; font-size: 0.85rem; display: block; margin-top: 4px;">Deposit amounts are managed by the deposit ledger in the project details</small>' : ''}
                 </div>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Date Deposit Received:</strong></label><br>
-                    <input type="text" id="editDateDepositReceived" value="${project.dateDepositReceived || ''}" placeholder="MM/DD/YYYY" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="text" id="editDateDepositReceived" value="${project.dateDepositReceived || ''}" placeholder="MM/DD/YYYY" ${ledgerReadonly} style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Deposit Amount Returned ($):</strong></label><br>
-                    <input type="number" id="editDepositReturned" value="${project.depositAmountReturned !== null ? project.depositAmountReturned : ''}" step="0.01" min="0" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="number" id="editDepositReturned" value="${project.depositAmountReturned !== null ? project.depositAmountReturned : ''}" step="0.01" min="0" ${ledgerReadonly} style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
                     <label><strong>Date Deposit Returned:</strong></label><br>
-                    <input type="text" id="editDateDepositReturned" value="${project.dateDepositReturned || ''}" placeholder="MM/DD/YYYY" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                    <input type="text" id="editDateDepositReturned" value="${project.dateDepositReturned || ''}" placeholder="MM/DD/YYYY" ${ledgerReadonly} style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
                 </div>
                 
                 <div style="margin-bottom: 15px;">
@@ -3159,30 +3754,44 @@ class ProjectManager {
                 <div style="margin-bottom: 20px; border-top: 1px solid #e0e0e0; padding-top: 15px;">
                     <h4 style="margin: 0 0 15px 0; color: #2c5530;">Review Information</h4>
                     
+                    <div style="margin-bottom: 15px;" id="editSetbackCheck"></div>
+                    
+                    <div style="margin-bottom: 15px;">
+                        <label><strong>Letter Type:</strong></label><br>
+                        <select id="editLetterType" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                            ${Object.keys(LETTER_TYPES).map(key => `<option value="${key}" ${(project.letterType || 'approval') === key ? 'selected' : ''}>${LETTER_TYPES[key].label}</option>`).join('')}
+                        </select>
+                    </div>
+                    
+                    <div style="margin-bottom: 15px; display: ${project.letterType && project.letterType !== 'approval' ? 'block' : 'none'};" id="editLetterConditionsGroup">
+                        <label><strong>Conditions / Items (one per line):</strong></label><br>
+                        <textarea id="editLetterConditions" rows="4" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;" placeholder="Conditions of approval, information requested or reasons for denial">${(project.letterConditions || []).join('\n')}</textarea>
+                    </div>
+                    
                     <div style="margin-bottom: 15px;">
                         <label><strong>Review Comments:</strong></label><br>
                         <select id="editReviewCommentsType" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
-                            <option value="default" ${!project.reviewComments || project.reviewComments === 'The plan was reviewed for Sanctuary Setback Requirements.' ? 'selected' : ''}>The plan was reviewed for Sanctuary Setback Requirements.</option>
-                            <option value="other" ${project.reviewComments && project.reviewComments !== 'The plan was reviewed for Sanctuary Setback Requirements.' ? 'selected' : ''}>Other (specify below)</option>
+                            <option value="default" ${!project.reviewComments || project.reviewComments === defaultReviewComments ? 'selected' : ''}>${defaultReviewComments}</option>
+                            <option value="other" ${project.reviewComments && project.reviewComments !== defaultReviewComments ? 'selected' : ''}>Other (specify below)</option>
                         </select>
                     </div>
                     
-                    <div style="margin-bottom: 15px; display: ${project.reviewComments && project.reviewComments !== 'The plan was reviewed for Sanctuary Setback Requirements.' ? 'block' : 'none'};" id="editOtherReviewCommentsGroup">
+                    <div style="margin-bottom: 15px; display: ${project.reviewComments && project.reviewComments !== defaultReviewComments ? 'block' : 'none'};" id="editOtherReviewCommentsGroup">
                         <label><strong>Specify Review Comments:</strong></label><br>
-                        <textarea id="editReviewComments" rows="4" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;" placeholder="Enter your review comments">${project.reviewComments && project.reviewComments !== 'The plan was reviewed for Sanctuary Setback Requirements.' ? project.reviewComments : ''}</textarea>
+                        <textarea id="editReviewComments" rows="4" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;" placeholder="Enter your review comments">${project.reviewComments && project.reviewComments !== defaultReviewComments ? project.reviewComments : ''}</textarea>
                     </div>
                     
                     <div style="margin-bottom: 15px;">
                         <label><strong>Approval Reason:</strong></label><br>
                         <select id="editApprovalReasonType" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;">
-                            <option value="default" ${!project.approvalReason || project.approvalReason === 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.' ? 'selected' : ''}>The project meets Sanctuary Setback Requirements. No variances are required. Approved.</option>
-                            <option value="other" ${project.approvalReason && project.approvalReason !== 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.' ? 'selected' : ''}>Other (specify below)</option>
+                            <option value="default" ${!project.approvalReason || project.approvalReason === defaultApprovalReason ? 'selected' : ''}>${defaultApprovalReason}</option>
+                            <option value="other" ${project.approvalReason && project.approvalReason !== defaultApprovalReason ? 'selected' : ''}>Other (specify below)</option>
                         </select>
                     </div>
                     
-                    <div style="margin-bottom: 15px; display: ${project.approvalReason && project.approvalReason !== 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.' ? 'block' : 'none'};" id="editOtherApprovalReasonGroup">
+                    <div style="margin-bottom: 15px; display: ${project.approvalReason && project.approvalReason !== defaultApprovalReason ? 'block' : 'none'};" id="editOtherApprovalReasonGroup">
                         <label><strong>Specify Approval Reason:</strong></label><br>
-                        <textarea id="editApprovalReason" rows="4" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;" placeholder="Enter your approval reason">${project.approvalReason && project.approvalReason !== 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.' ? project.approvalReason : ''}</textarea>
+                        <textarea id="editApprovalReason" rows="4" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #ddd; border-radius: 4px;" placeholder="Enter your approval reason">${project.approvalReason && project.approvalReason !== defaultApprovalReason ? project.approvalReason : ''}</textarea>
                     </div>
                 </div>
                 
@@ -3205,7 +3814,8 @@ class ProjectManager {
                         <small style="color: #666; font-size: 0.85rem; display: block; margin-top: 5px;">Attach image of Google Maps or site picture (optional but recommended)</small>
                         ${project.siteConditionsFiles && project.siteConditionsFiles.length > 0 ? `
                             <div style="margin-top: 8px; font-size: 0.85rem; color: #666;">
-                                Current files: ${project.siteConditionsFiles.map(f => f.name || f).join(', ')}
+                                Current files: ${project.siteConditionsFiles.map(f => this.escapeHtml(f.name || f)).join(', ')}
+                                <br>New files are added to these; a file with the same name is saved as its next revision.
                             </div>
                         ` : ''}
                     </div>
@@ -3230,7 +3840,8 @@ class ProjectManager {
                         <small style="color: #666; font-size: 0.85rem; display: block; margin-top: 5px;">Upload project documents, plans, or drawings (optional but recommended)</small>
                         ${project.submittedPlansFiles && project.submittedPlansFiles.length > 0 ? `
                             <div style="margin-top: 8px; font-size: 0.85rem; color: #666;">
-                                Current files: ${project.submittedPlansFiles.map(f => f.name || f).join(', ')}
+                                Current files: ${project.submittedPlansFiles.map(f => this.escapeHtml(f.name || f)).join(', ')}
+                                <br>New files are added to these; a file with the same name is saved as its next revision.
                             </div>
                         ` : ''}
                     </div>
@@ -3285,6 +3896,26 @@ class ProjectManager {
         modalContent.appendChild(buttonContainer);
         dialog.appendChild(modalContent);
         document.body.appendChild(dialog);
+
+        // Show the lot's required setbacks under the lot number
+        if (window.setbackRules) {
+            window.setbackRules.bindLotInput(document.getElementById('editLot'));
+        }
+
+        // Proposed setbacks checked against the lot's requirements
+        if (window.setbackChecker) {
+            window.setbackChecker.mount('editSetbackCheck', 'edit', document.getElementById('editLot'));
+        }
+
+        if (window.addressAutocomplete) {
+            const editAutocomplete = window.addressAutocomplete.bind({
+                addressInput: document.getElementById('editAddress'),
+                lotInput: document.getElementById('editLot'),
+                ownerInput: document.getElementById('editHomeownerName')
+            });
+            // Flag an existing project whose address and lot already disagree with the registry
+            if (editAutocomplete) editAutocomplete.update();
+        }
         
         // Wait a moment for DOM to be ready before attaching event listeners
         setTimeout(() => {
@@ -3438,6 +4069,15 @@ class ProjectManager {
             });
         }
 
+        // Handle Letter Type dropdown
+        const editLetterTypeSelect = document.getElementById('editLetterType');
+        const editLetterConditionsGroup = document.getElementById('editLetterConditionsGroup');
+        if (editLetterTypeSelect && editLetterConditionsGroup) {
+            editLetterTypeSelect.addEventListener('change', () => {
+                editLetterConditionsGroup.style.display = editLetterTypeSelect.value === 'approval' ? 'none' : 'block';
+            });
+        }
+
         // Setup drag and drop for site conditions in edit modal
         this.setupEditSiteConditionsDragAndDrop();
         this.setupEditSubmittedPlansDragAndDrop();
@@ -3451,6 +4091,9 @@ class ProjectManager {
             }
         };
 
+        // Letter generated in this dialog; its template version is saved only if it is uploaded
+        let generatedLetter = null;
+
         // Handle generate letter button (both inline and in footer)
         const generateLetterBtn = document.getElementById('editGenerateLetterBtn');
         const generateLetterBtnInline = document.getElementById('editGenerateLetterBtnInline');
@@ -3474,18 +4117,19 @@ class ProjectManager {
             const dateApprovedInput = document.getElementById('editDateApproved');
             const dateApproved = dateApprovedInput?.value ? this.formatDateFromInput(dateApprovedInput.value) : '';
             const noApprovalOnRecord = document.getElementById('editNoApprovalOnRecord')?.checked;
+            const { letterType, letterConditions } = this.getLetterTypeFields('edit');
             
             // Review comments
             const reviewCommentsType = document.getElementById('editReviewCommentsType')?.value;
             const reviewComments = reviewCommentsType === 'other' 
                 ? document.getElementById('editReviewComments')?.value.trim() 
-                : 'The plan was reviewed for Sanctuary Setback Requirements.';
+                : window.letterTemplateManager.getDefaultReviewComments();
             
             // Approval reason
             const approvalReasonType = document.getElementById('editApprovalReasonType')?.value;
             const approvalReason = approvalReasonType === 'other'
                 ? document.getElementById('editApprovalReason')?.value.trim()
-                : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
+                : window.letterTemplateManager.getDefaultReason(letterType);
             
             const siteConditionsFiles = document.getElementById('editSiteConditions')?.files || [];
             const submittedPlansFiles = document.getElementById('editSubmittedPlans')?.files || [];
@@ -3495,529 +4139,17 @@ class ProjectManager {
                 alert('Please fill in all required fields (Homeowner Name, Address, Lot, Project Type) before generating the letter.');
                 return;
             }
-
-            // Prepare form data for PDF generation
-            const formData = {
-                ownerLastName: homeownerName.split(' ').pop() || homeownerName,
-                address: address,
-                lot: lot,
-                projectType: projectType,
-                contractorName: contractorName,
-                reviewComments: reviewComments,
-                approvalReason: approvalReason,
-                approvedBy: approvedBy,
-                approvedOn: noApprovalOnRecord ? null : (dateApproved || new Date().toISOString().split('T')[0])
-            };
-
-            // Helper function to download file from Firebase Storage and convert to File object
-            // Helper function to download file from Firebase Storage and convert to format expected by PDF generator
-            // Returns object with {name, type, data} where data is ArrayBuffer
-            const downloadFileFromStorage = async (fileInfo) => {
-                if (!fileInfo.storageUrl) return null;
-                
-                try {
-                    const storage = window.firebaseStorage;
-                    if (!storage) return null;
-                    
-                    // Extract path from storage URL
-                    const url = new URL(fileInfo.storageUrl);
-                    const pathMatch = url.pathname.match(/\/o\/(.+)/);
-                    if (!pathMatch) return null;
-                    
-                    const encodedPath = pathMatch[1];
-                    const decodedPath = decodeURIComponent(encodedPath);
-                    const storageRef = storage.ref(decodedPath);
-                    
-                    // Get download URL
-                    const downloadURL = await storageRef.getDownloadURL();
-                    
-                    // Use XMLHttpRequest instead of fetch to potentially bypass CORS
-                    // Or use image loading for images
-                    const fileType = fileInfo.type || '';
-                    const fileName = fileInfo.name || 'file';
-                    
-                    if (fileType.startsWith('image/')) {
-                        // For images, use image loading which bypasses CORS
-                        return await new Promise((resolve, reject) => {
-                            const img = new Image();
-                            img.crossOrigin = 'anonymous';
-                            
-                            img.onload = async () => {
-                                try {
-                                    // Convert image to canvas
-                                    const canvas = document.createElement('canvas');
-                                    canvas.width = img.width;
-                                    canvas.height = img.height;
-                                    const ctx = canvas.getContext('2d');
-                                    ctx.drawImage(img, 0, 0);
-                                    
-                                    // Convert canvas to blob, then to ArrayBuffer
-                                    canvas.toBlob(async (blob) => {
-                                        if (!blob) {
-                                            reject(new Error('Failed to convert image to blob'));
-                                            return;
-                                        }
-                                        const arrayBuffer = await blob.arrayBuffer();
-                                        resolve({
-                                            name: fileName,
-                                            type: fileType,
-                                            data: arrayBuffer
-                                        });
-                                    }, fileType);
-                                } catch (error) {
-                                    reject(error);
-                                }
-                            };
-                            
-                            img.onerror = () => {
-                                // Fallback: try direct URL fetch with XMLHttpRequest
-                                const xhr = new XMLHttpRequest();
-                                xhr.open('GET', downloadURL, true);
-                                xhr.responseType = 'arraybuffer';
-                                xhr.onload = () => {
-                                    if (xhr.status === 200) {
-                                        resolve({
-                                            name: fileName,
-                                            type: fileType,
-                                            data: xhr.response
-                                        });
-                                    } else {
-                                        reject(new Error('Failed to load image'));
-                                    }
-                                };
-                                xhr.onerror = () => reject(new Error('Failed to load image'));
-                                xhr.send();
-                            };
-                            
-                            img.src = downloadURL;
-                        });
-                    } else {
-                        // For PDFs and other files, use XMLHttpRequest
-                        return await new Promise((resolve, reject) => {
-                            const xhr = new XMLHttpRequest();
-                            xhr.open('GET', downloadURL, true);
-                            xhr.responseType = 'arraybuffer';
-                            xhr.onload = () => {
-                                if (xhr.status === 200) {
-                                    resolve({
-                                        name: fileName,
-                                        type: fileType,
-                                        data: xhr.response
-                                    });
-                                } else {
-                                    reject(new Error('Failed to load file'));
-                                }
-                            };
-                            xhr.onerror = () => reject(new Error('Failed to load file'));
-                            xhr.send();
-                        });
-                    }
-                } catch (error) {
-                    console.error('Error downloading file from storage:', error);
-                    return null;
-                }
-            };
-
-            // Combine existing project files with newly uploaded files
-            const siteConditionsFileArray = [];
-            const submittedPlansFileArray = [];
-            
-            // Helper to convert File to format expected by PDF generator
-            const convertFileToPDFFormat = async (file) => {
-                const arrayBuffer = await this.readFileAsArrayBuffer(file);
-                return {
-                    name: file.name,
-                    type: file.type,
-                    data: arrayBuffer
-                };
-            };
-            
-            // Download existing site conditions files from project
-            if (project.siteConditionsFiles && project.siteConditionsFiles.length > 0) {
-                console.log(`Attempting to download ${project.siteConditionsFiles.length} site conditions files...`);
-                for (const fileInfo of project.siteConditionsFiles) {
-                    if (fileInfo.storageUrl) {
-                        try {
-                            const fileData = await downloadFileFromStorage(fileInfo);
-                            if (fileData) {
-                                siteConditionsFileArray.push(fileData);
-                                console.log(`Successfully downloaded site conditions file: ${fileInfo.name}`);
-                            } else {
-                                console.warn(`Failed to download site conditions file: ${fileInfo.name}`);
-                            }
-                        } catch (error) {
-                            console.error(`Error downloading site conditions file ${fileInfo.name}:`, error);
-                            // Continue with other files even if one fails
-                        }
-                    }
-                }
-                console.log(`Downloaded ${siteConditionsFileArray.length} of ${project.siteConditionsFiles.length} site conditions files`);
-            }
-            
-            // Download existing submitted plans files from project
-            if (project.submittedPlansFiles && project.submittedPlansFiles.length > 0) {
-                console.log(`Attempting to download ${project.submittedPlansFiles.length} submitted plans files...`);
-                for (const fileInfo of project.submittedPlansFiles) {
-                    if (fileInfo.storageUrl) {
-                        try {
-                            const fileData = await downloadFileFromStorage(fileInfo);
-                            if (fileData) {
-                                submittedPlansFileArray.push(fileData);
-                                console.log(`Successfully downloaded submitted plans file: ${fileInfo.name}`);
-                            } else {
-                                console.warn(`Failed to download submitted plans file: ${fileInfo.name}`);
-                            }
-                        } catch (error) {
-                            console.error(`Error downloading submitted plans file ${fileInfo.name}:`, error);
-                            // Continue with other files even if one fails
-                        }
-                    }
-                }
-                console.log(`Downloaded ${submittedPlansFileArray.length} of ${project.submittedPlansFiles.length} submitted plans files`);
-            }
-            
-            // Add newly uploaded files from form (if any) - convert to expected format
-            if (siteConditionsFiles.length > 0) {
-                for (const file of Array.from(siteConditionsFiles)) {
-                    const fileData = await convertFileToPDFFormat(file);
-                    siteConditionsFileArray.push(fileData);
-                }
-            }
-            
-            if (submittedPlansFiles.length > 0) {
-                for (const file of Array.from(submittedPlansFiles)) {
-                    const fileData = await convertFileToPDFFormat(file);
-                    submittedPlansFileArray.push(fileData);
-                }
-            }
-
-            // Generate PDF
-            try {
-                if (!window.pdfGenerator) {
-                    window.pdfGenerator = new PDFGenerator();
-                }
-                
-                await window.pdfGenerator.generatePDF(formData, siteConditionsFileArray, submittedPlansFileArray);
-                
-                // PDF is downloaded - user must intentionally upload it to the project
-                // Don't close dialog - let user upload the file if they want
-                alert('Approval letter generated and downloaded! You can now upload it to this project using the "Upload Approval Letter" field above.');
-            } catch (error) {
-                console.error('Error generating approval letter:', error);
-                alert('Error generating approval letter: ' + error.message);
-            }
-        };
-
-        if (generateLetterBtn) {
-            generateLetterBtn.addEventListener('click', handleGenerateLetter);
-        }
-        if (generateLetterBtnInline) {
-            generateLetterBtnInline.addEventListener('click', handleGenerateLetter);
-        }
-
-        // Handle cancel
-        const cancelBtn = document.getElementById('editCancelBtn');
-        if (cancelBtn) {
-            cancelBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                closeDialog();
-            });
-        } else {
-            console.error('Cancel button not found in edit modal');
-        }
-
-        // Handle save
-        const saveBtn = document.getElementById('editSaveBtn');
-        if (!saveBtn) {
-            console.error('Save button not found in edit modal');
-            return;
-        }
-        
-        saveBtn.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const homeownerName = document.getElementById('editHomeownerName').value.trim();
-            const address = document.getElementById('editAddress').value.trim();
-            const lot = document.getElementById('editLot').value.trim();
-            const projectTypeSelect = document.getElementById('editProjectType');
-            const projectType = projectTypeSelect.value === 'Other' 
-                ? document.getElementById('editOtherProjectType').value.trim() 
-                : projectTypeSelect.value;
-            const contractorName = document.getElementById('editContractorName').value.trim();
-            const approvedBy = document.getElementById('editApprovedBy').value.trim();
-            const dateApprovedInput = document.getElementById('editDateApproved');
-            const dateApproved = dateApprovedInput.value ? this.formatDateFromInput(dateApprovedInput.value) : '';
-            const noApprovalOnRecord = document.getElementById('editNoApprovalOnRecord').checked;
-            const dateStarted = document.getElementById('editDateStarted').value.trim();
-            const status = document.getElementById('editStatus').value;
-            const depositReceived = document.getElementById('editDepositReceived').value.trim();
-            const dateDepositReceived = document.getElementById('editDateDepositReceived').value.trim();
-            const depositReturned = document.getElementById('editDepositReturned').value.trim();
-            const dateDepositReturned = document.getElementById('editDateDepositReturned').value.trim();
-            const depositWaived = document.getElementById('editDepositWaived').checked;
-            const depositWaiverReason = document.getElementById('editDepositWaiverReason').value.trim();
-            const approvalLetterFile = document.getElementById('editApprovalLetter').files[0];
-            
-            // Review comments
-            const reviewCommentsType = document.getElementById('editReviewCommentsType')?.value;
-            const reviewComments = reviewCommentsType === 'other' 
-                ? document.getElementById('editReviewComments')?.value.trim() 
-                : 'The plan was reviewed for Sanctuary Setback Requirements.';
-            
-            // Approval reason
-            const approvalReasonType = document.getElementById('editApprovalReasonType')?.value;
-            const approvalReason = approvalReasonType === 'other'
-                ? document.getElementById('editApprovalReason')?.value.trim()
-                : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
-            
-            const siteConditionsFiles = document.getElementById('editSiteConditions')?.files || [];
-            const submittedPlansFiles = document.getElementById('editSubmittedPlans')?.files || [];
-
-            // Validate waiver reason if deposit is waived
-            if (depositWaived && !depositWaiverReason) {
-                alert('Waiver reason is required when deposit is waived');
-                return;
-            }
-            if (reviewCommentsType === 'other' && !reviewComments) {
-                alert('Please specify the review comments');
-                return;
-            }
-            if (approvalReasonType === 'other' && !approvalReason) {
-                alert('Please specify the approval reason');
+            if ((letterType === 'conditional_approval' || letterType === 'more_info') && letterConditions.length === 0) {
+                alert(letterType === 'more_info' ? 'Please list the information requested' : 'Please list the conditions of approval');
                 return;
             }
 
-            // Handle file removals
-            const filesToRemove = project.filesToRemove || { siteConditions: [], submittedPlans: [], approvalLetter: false };
-            
-            console.log('Files to remove:', filesToRemove);
-            console.log('Current site conditions files:', project.siteConditionsFiles);
-            console.log('Current submitted plans files:', project.submittedPlansFiles);
-            
-            // Read site conditions files - filter out removed ones and preserve storageUrl for existing files
-            console.log('Filtering site conditions files. filesToRemove.siteConditions:', filesToRemove.siteConditions, 'type:', typeof filesToRemove.siteConditions[0]);
-            console.log('Current project.siteConditionsFiles:', project.siteConditionsFiles);
-            console.log('Current project.siteConditionsFiles length:', (project.siteConditionsFiles || []).length);
-            
-            let siteConditionsArrayBuffers = (project.siteConditionsFiles || []).filter((file, index) => {
-                // Keep files that are not marked for removal
-                // Ensure we're comparing numbers, not strings
-                const indexToCheck = parseInt(index);
-                const shouldRemove = filesToRemove.siteConditions.some(removeIndex => parseInt(removeIndex) === indexToCheck);
-                console.log(`Site conditions file index ${index} (type: ${typeof index}), file: ${file.name || file}, shouldRemove: ${shouldRemove}`);
-                console.log(`  - filesToRemove.siteConditions:`, filesToRemove.siteConditions);
-                console.log(`  - Comparing: ${indexToCheck} with`, filesToRemove.siteConditions.map(i => `${i} (${typeof i})`));
-                return !shouldRemove;
-            }).map(file => {
-                // Preserve the file structure (name, type, storageUrl) for existing files
-                return {
-                    name: file.name || file,
-                    type: file.type || '',
-                    storageUrl: file.storageUrl || null
-                };
-            });
-            
-            console.log('After filtering, siteConditionsArrayBuffers length:', siteConditionsArrayBuffers.length, 'files:', siteConditionsArrayBuffers);
-            
-            // Add new files (these will have data property for upload)
-            if (siteConditionsFiles.length > 0) {
-                for (const file of Array.from(siteConditionsFiles)) {
-                    try {
-                        const arrayBuffer = await this.readFileAsArrayBuffer(file);
-                        siteConditionsArrayBuffers.push({
-                            name: file.name,
-                            type: file.type,
-                            data: arrayBuffer
-                        });
-                    } catch (error) {
-                        console.error('Error reading site conditions file:', error);
-                    }
-                }
-            }
-
-            // Read submitted plans files - filter out removed ones and preserve storageUrl for existing files
-            console.log('Filtering submitted plans files. filesToRemove.submittedPlans:', filesToRemove.submittedPlans);
-            console.log('Current project.submittedPlansFiles:', project.submittedPlansFiles);
-            
-            let submittedPlansArrayBuffers = (project.submittedPlansFiles || []).filter((file, index) => {
-                // Keep files that are not marked for removal
-                // Ensure we're comparing numbers, not strings
-                const indexToCheck = parseInt(index);
-                const shouldRemove = filesToRemove.submittedPlans.some(removeIndex => parseInt(removeIndex) === indexToCheck);
-                console.log(`Submitted plans file index ${index} (type: ${typeof index}), file: ${file.name || file}, shouldRemove: ${shouldRemove}`);
-                return !shouldRemove;
-            }).map(file => {
-                // Preserve the file structure (name, type, storageUrl) for existing files
-                return {
-                    name: file.name || file,
-                    type: file.type || '',
-                    storageUrl: file.storageUrl || null
-                };
-            });
-            
-            console.log('After filtering, submittedPlansArrayBuffers length:', submittedPlansArrayBuffers.length);
-            
-            // Add new files (these will have data property for upload)
-            if (submittedPlansFiles.length > 0) {
-                for (const file of Array.from(submittedPlansFiles)) {
-                    try {
-                        const arrayBuffer = await this.readFileAsArrayBuffer(file);
-                        submittedPlansArrayBuffers.push({
-                            name: file.name,
-                            type: file.type,
-                            data: arrayBuffer
-                        });
-                    } catch (error) {
-                        console.error('Error reading submitted plans file:', error);
-                    }
-                }
-            }
-            
-            console.log('Final site conditions files (after filtering):', siteConditionsArrayBuffers);
-            console.log('Final submitted plans files (after filtering):', submittedPlansArrayBuffers);
-            
-            // Handle approval letter removal or new upload
-            let approvalLetterBlob = null;
-            let approvalLetterFilename = '';
-            if (filesToRemove.approvalLetter) {
-                // Approval letter is marked for removal
-                approvalLetterBlob = null;
-                approvalLetterFilename = '';
-            } else if (approvalLetterFile) {
-                // New approval letter file uploaded
-                try {
-                    approvalLetterBlob = await approvalLetterFile.arrayBuffer();
-                    approvalLetterFilename = approvalLetterFile.name;
-                } catch (error) {
-                    console.error('Error reading approval letter file:', error);
-                    alert('Error reading approval letter file: ' + error.message);
+            // Setback check result goes into the letter's review comments
+            const setbackCheck = window.setbackChecker ? window.setbackChecker.getCheck('edit') : null;
+            if (setbackCheck && setbackCheck.found && !setbackCheck.compliant && letterType === 'approval') {
+                if (!confirm('The proposed setbacks do not meet the requirements for this lot. Generate an approval letter anyway?')) {
                     return;
                 }
-            } else {
-                // Keep existing approval letter
-                approvalLetterBlob = project.approvalLetterBlob || null;
-                approvalLetterFilename = project.approvalLetterFilename || '';
-            }
-
-            const updates = {
-                homeownerName: homeownerName,
-                address: address,
-                lot: lot,
-                projectType: projectType,
-                contractorName: contractorName,
-                approvedBy: approvedBy,
-                dateApproved: noApprovalOnRecord ? '' : dateApproved,
-                noApprovalOnRecord: noApprovalOnRecord,
-                dateConstructionStarted: dateStarted,
-                status: status,
-                reviewComments: reviewComments,
-                approvalReason: approvalReason,
-                siteConditionsFiles: siteConditionsArrayBuffers,
-                submittedPlansFiles: submittedPlansArrayBuffers,
-                depositAmountReceived: depositReceived ? parseFloat(depositReceived) : null,
-                dateDepositReceived: dateDepositReceived,
-                depositAmountReturned: depositReturned ? parseFloat(depositReturned) : null,
-                dateDepositReturned: dateDepositReturned,
-                depositWaived: depositWaived,
-                depositWaiverReason: depositWaiverReason
-            };
-
-            // Handle approval letter
-            if (filesToRemove.approvalLetter) {
-                // Approval letter is being removed - clear all approval letter fields
-                updates.approvalLetterBlob = null;
-                updates.approvalLetterStorageUrl = null;
-                updates.approvalLetterFilename = '';
-                updates.hasApprovalLetter = false;
-            } else if (approvalLetterBlob !== null) {
-                // New approval letter uploaded
-                updates.approvalLetterBlob = approvalLetterBlob;
-                updates.approvalLetterFilename = approvalLetterFilename;
-            } else {
-                // Keep existing approval letter (preserve storageUrl if it exists)
-                if (project.approvalLetterStorageUrl) {
-                    updates.approvalLetterStorageUrl = project.approvalLetterStorageUrl;
-                }
-                if (project.approvalLetterFilename) {
-                    updates.approvalLetterFilename = project.approvalLetterFilename;
-                }
-                if (project.hasApprovalLetter !== undefined) {
-                    updates.hasApprovalLetter = project.hasApprovalLetter;
-                }
-            }
-
-            console.log('About to save updates with siteConditionsFiles:', updates.siteConditionsFiles);
-            console.log('About to save updates with submittedPlansFiles:', updates.submittedPlansFiles);
-            
-            try {
-                await this.updateProject(projectId, updates);
-                console.log('Project updated successfully, files should be removed');
-                // Clear filesToRemove after successful save
-                if (project.filesToRemove) {
-                    project.filesToRemove = { siteConditions: [], submittedPlans: [], approvalLetter: false };
-                }
-                closeDialog();
-                // Refresh projects to show updated file list
-                this.renderProjects();
-            } catch (error) {
-                console.error('Error updating project:', error);
-                alert('Failed to update project: ' + error.message);
-            }
-        });
-    }
-
-    setupEditModalHandlers(dialog, modalContent, projectId, project) {
-        // Helper function to close dialog
-        const closeDialog = () => {
-            if (dialog && dialog.parentNode) {
-                document.body.removeChild(dialog);
-            }
-        };
-
-        // Handle generate letter button (both inline and in footer)
-        const generateLetterBtn = document.getElementById('editGenerateLetterBtn');
-        const generateLetterBtnInline = document.getElementById('editGenerateLetterBtnInline');
-        
-        const handleGenerateLetter = async () => {
-            // Require authentication
-            if (!this.requireAuth()) {
-                return;
-            }
-
-            // Collect form data
-            const homeownerName = document.getElementById('editHomeownerName')?.value.trim();
-            const address = document.getElementById('editAddress')?.value.trim();
-            const lot = document.getElementById('editLot')?.value.trim();
-            const projectTypeSelect = document.getElementById('editProjectType');
-            const projectType = projectTypeSelect?.value === 'Other' 
-                ? document.getElementById('editOtherProjectType')?.value.trim() 
-                : projectTypeSelect?.value;
-            const contractorName = document.getElementById('editContractorName')?.value.trim();
-            const approvedBy = document.getElementById('editApprovedBy')?.value.trim();
-            const dateApprovedInput = document.getElementById('editDateApproved');
-            const dateApproved = dateApprovedInput?.value ? this.formatDateFromInput(dateApprovedInput.value) : '';
-            const noApprovalOnRecord = document.getElementById('editNoApprovalOnRecord')?.checked;
-            
-            // Review comments
-            const reviewCommentsType = document.getElementById('editReviewCommentsType')?.value;
-            const reviewComments = reviewCommentsType === 'other' 
-                ? document.getElementById('editReviewComments')?.value.trim() 
-                : 'The plan was reviewed for Sanctuary Setback Requirements.';
-            
-            // Approval reason
-            const approvalReasonType = document.getElementById('editApprovalReasonType')?.value;
-            const approvalReason = approvalReasonType === 'other'
-                ? document.getElementById('editApprovalReason')?.value.trim()
-                : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
-            
-            const siteConditionsFiles = document.getElementById('editSiteConditions')?.files || [];
-            const submittedPlansFiles = document.getElementById('editSubmittedPlans')?.files || [];
-
-            // Validate required fields
-            if (!homeownerName || !address || !lot || !projectType) {
-                alert('Please fill in all required fields (Homeowner Name, Address, Lot, Project Type) before generating the letter.');
-                return;
             }
 
             // Prepare form data for PDF generation
@@ -4027,120 +4159,20 @@ class ProjectManager {
                 lot: lot,
                 projectType: projectType,
                 contractorName: contractorName,
-                reviewComments: reviewComments,
+                reviewComments: window.setbackChecker ? window.setbackChecker.appendToComments(reviewComments, setbackCheck) : reviewComments,
                 approvalReason: approvalReason,
                 approvedBy: approvedBy,
-                approvedOn: noApprovalOnRecord ? null : (dateApproved || new Date().toISOString().split('T')[0])
+                approvedOn: noApprovalOnRecord ? null : (dateApproved || new Date().toISOString().split('T')[0]),
+                letterType: letterType,
+                conditions: letterConditions,
+                // Keep the deposit recorded on the project unless the project type changed
+                depositAmount: projectType === project.projectType && window.depositManager
+                    ? window.depositManager.getProjectRequiredDeposit(project)
+                    : null
             };
 
-            // Helper function to download file from Firebase Storage and convert to File object
-            // Helper function to download file from Firebase Storage and convert to format expected by PDF generator
-            // Returns object with {name, type, data} where data is ArrayBuffer
-            const downloadFileFromStorage = async (fileInfo) => {
-                if (!fileInfo.storageUrl) return null;
-                
-                try {
-                    const storage = window.firebaseStorage;
-                    if (!storage) return null;
-                    
-                    // Extract path from storage URL
-                    const url = new URL(fileInfo.storageUrl);
-                    const pathMatch = url.pathname.match(/\/o\/(.+)/);
-                    if (!pathMatch) return null;
-                    
-                    const encodedPath = pathMatch[1];
-                    const decodedPath = decodeURIComponent(encodedPath);
-                    const storageRef = storage.ref(decodedPath);
-                    
-                    // Get download URL
-                    const downloadURL = await storageRef.getDownloadURL();
-                    
-                    // Use XMLHttpRequest instead of fetch to potentially bypass CORS
-                    // Or use image loading for images
-                    const fileType = fileInfo.type || '';
-                    const fileName = fileInfo.name || 'file';
-                    
-                    if (fileType.startsWith('image/')) {
-                        // For images, use image loading which bypasses CORS
-                        return await new Promise((resolve, reject) => {
-                            const img = new Image();
-                            img.crossOrigin = 'anonymous';
-                            
-                            img.onload = async () => {
-                                try {
-                                    // Convert image to canvas
-                                    const canvas = document.createElement('canvas');
-                                    canvas.width = img.width;
-                                    canvas.height = img.height;
-                                    const ctx = canvas.getContext('2d');
-                                    ctx.drawImage(img, 0, 0);
-                                    
-                                    // Convert canvas to blob, then to ArrayBuffer
-                                    canvas.toBlob(async (blob) => {
-                                        if (!blob) {
-                                            reject(new Error('Failed to convert image to blob'));
-                                            return;
-                                        }
-                                        const arrayBuffer = await blob.arrayBuffer();
-                                        resolve({
-                                            name: fileName,
-                                            type: fileType,
-                                            data: arrayBuffer
-                                        });
-                                    }, fileType);
-                                } catch (error) {
-                                    reject(error);
-                                }
-                            };
-                            
-                            img.onerror = () => {
-                                // Fallback: try direct URL fetch with XMLHttpRequest
-                                const xhr = new XMLHttpRequest();
-                                xhr.open('GET', downloadURL, true);
-                                xhr.responseType = 'arraybuffer';
-                                xhr.onload = () => {
-                                    if (xhr.status === 200) {
-                                        resolve({
-                                            name: fileName,
-                                            type: fileType,
-                                            data: xhr.response
-                                        });
-                                    } else {
-                                        reject(new Error('Failed to load image'));
-                                    }
-                                };
-                                xhr.onerror = () => reject(new Error('Failed to load image'));
-                                xhr.send();
-                            };
-                            
-                            img.src = downloadURL;
-                        });
-                    } else {
-                        // For PDFs and other files, use XMLHttpRequest
-                        return await new Promise((resolve, reject) => {
-                            const xhr = new XMLHttpRequest();
-                            xhr.open('GET', downloadURL, true);
-                            xhr.responseType = 'arraybuffer';
-                            xhr.onload = () => {
-                                if (xhr.status === 200) {
-                                    resolve({
-                                        name: fileName,
-                                        type: fileType,
-                                        data: xhr.response
-                                    });
-                                } else {
-                                    reject(new Error('Failed to load file'));
-                                }
-                            };
-                            xhr.onerror = () => reject(new Error('Failed to load file'));
-                            xhr.send();
-                        });
-                    }
-                } catch (error) {
-                    console.error('Error downloading file from storage:', error);
-                    return null;
-                }
-            };
+            // Downloads a stored file into the format expected by the PDF generator
+            const downloadFileFromStorage = (fileInfo) => this.downloadStoredFile(fileInfo);
 
             // Combine existing project files with newly uploaded files
             const siteConditionsFileArray = [];
@@ -4221,11 +4253,13 @@ class ProjectManager {
                     window.pdfGenerator = new PDFGenerator();
                 }
                 
-                await window.pdfGenerator.generatePDF(formData, siteConditionsFileArray, submittedPlansFileArray);
+                const result = await window.pdfGenerator.generatePDF(formData, siteConditionsFileArray, submittedPlansFileArray);
+                if (!result) return;
+                generatedLetter = { filename: result.filename, letterTemplateVersion: formData.letterTemplateVersion };
                 
                 // PDF is downloaded - user must intentionally upload it to the project
                 // Don't close dialog - let user upload the file if they want
-                alert('Approval letter generated and downloaded! You can now upload it to this project using the "Upload Approval Letter" field above.');
+                alert(`${LETTER_TYPES[letterType].label} letter generated and downloaded! You can now upload it to this project using the "Upload Approval Letter" field above.`);
             } catch (error) {
                 console.error('Error generating approval letter:', error);
                 alert('Error generating approval letter: ' + error.message);
@@ -4283,18 +4317,19 @@ class ProjectManager {
             const depositWaived = document.getElementById('editDepositWaived')?.checked;
             const depositWaiverReason = document.getElementById('editDepositWaiverReason')?.value.trim();
             const approvalLetterFile = document.getElementById('editApprovalLetter')?.files[0];
+            const { letterType, letterConditions } = this.getLetterTypeFields('edit');
             
             // Review comments
             const reviewCommentsType = document.getElementById('editReviewCommentsType')?.value;
             const reviewComments = reviewCommentsType === 'other' 
                 ? document.getElementById('editReviewComments')?.value.trim() 
-                : 'The plan was reviewed for Sanctuary Setback Requirements.';
+                : window.letterTemplateManager.getDefaultReviewComments();
             
             // Approval reason
             const approvalReasonType = document.getElementById('editApprovalReasonType')?.value;
             const approvalReason = approvalReasonType === 'other'
                 ? document.getElementById('editApprovalReason')?.value.trim()
-                : 'The project meets Sanctuary Setback Requirements. No variances are required. Approved.';
+                : window.letterTemplateManager.getDefaultReason(letterType);
             
             const siteConditionsFiles = document.getElementById('editSiteConditions')?.files || [];
             const submittedPlansFiles = document.getElementById('editSubmittedPlans')?.files || [];
@@ -4312,11 +4347,23 @@ class ProjectManager {
                 alert('Please specify the approval reason');
                 return;
             }
+            // A project under review can't be approved until its submission checklist is complete.
+            // Only files already linked to checklist items count, so uploads in this edit don't satisfy it
+            if (project.status === 'under_review' && status === 'open' && window.checklistManager) {
+                const checklistProject = {
+                    ...project,
+                    projectType: projectType
+                };
+                if (!window.checklistManager.isComplete(checklistProject)) {
+                    alert(window.checklistManager.getMissingMessage(checklistProject));
+                    return;
+                }
+            }
 
-            // Read site conditions files if provided
-            let siteConditionsArrayBuffers = project.siteConditionsFiles || [];
+            // Read site conditions files if provided; they are added to the current files, and one
+            // with the same name as a current file is saved as its next revision
+            const siteConditionsArrayBuffers = [...(project.siteConditionsFiles || [])];
             if (siteConditionsFiles.length > 0) {
-                siteConditionsArrayBuffers = [];
                 for (const file of Array.from(siteConditionsFiles)) {
                     try {
                         const arrayBuffer = await this.readFileAsArrayBuffer(file);
@@ -4331,10 +4378,10 @@ class ProjectManager {
                 }
             }
 
-            // Read submitted plans files if provided
-            let submittedPlansArrayBuffers = project.submittedPlansFiles || [];
+            // Read submitted plans files if provided; they are added to the current files, and one
+            // with the same name as a current file is saved as its next revision
+            const submittedPlansArrayBuffers = [...(project.submittedPlansFiles || [])];
             if (submittedPlansFiles.length > 0) {
-                submittedPlansArrayBuffers = [];
                 for (const file of Array.from(submittedPlansFiles)) {
                     try {
                         const arrayBuffer = await this.readFileAsArrayBuffer(file);
@@ -4362,9 +4409,14 @@ class ProjectManager {
                 status: status,
                 reviewComments: reviewComments,
                 approvalReason: approvalReason,
+                letterType: letterType,
+                letterConditions: letterConditions,
                 siteConditionsFiles: siteConditionsArrayBuffers,
                 submittedPlansFiles: submittedPlansArrayBuffers,
                 depositAmountReceived: depositReceived ? parseFloat(depositReceived) : null,
+                depositAmountRequired: projectType === project.projectType && project.depositAmountRequired !== null
+                    ? project.depositAmountRequired
+                    : (window.depositManager ? window.depositManager.getRequiredDeposit(projectType) : null),
                 dateDepositReceived: dateDepositReceived,
                 depositAmountReturned: depositReturned ? parseFloat(depositReturned) : null,
                 dateDepositReturned: dateDepositReturned,
@@ -4372,12 +4424,34 @@ class ProjectManager {
                 depositWaiverReason: depositWaiverReason
             };
 
-            // Handle file upload if provided
+            // A setback check entered on this form is saved with the project and noted in the comments
+            const setbackCheck = window.setbackChecker ? window.setbackChecker.getCheck('edit') : null;
+            if (setbackCheck && setbackCheck.found) {
+                updates.reviewComments = window.setbackChecker.appendToComments(reviewComments, setbackCheck);
+                updates.setbackCheck = window.setbackChecker.toProjectRecord(setbackCheck);
+            }
+
+            // A corrected lot or address moves the project to the matching household
+            if (window.projectLinkManager && (address !== project.address || lot !== project.lot)) {
+                updates.householdId = window.projectLinkManager.findHouseholdId(address, lot);
+            }
+
+            // Handle file upload if provided; the replaced letter stays in the letter history
             if (approvalLetterFile) {
                 try {
                     const arrayBuffer = await approvalLetterFile.arrayBuffer();
+                    if (this.hasStoredApprovalLetter(project)) {
+                        updates.approvalLetterHistory = [
+                            ...(project.approvalLetterHistory || []),
+                            await this.archiveApprovalLetter(project, 'replaced')
+                        ];
+                    }
                     updates.approvalLetterBlob = arrayBuffer;
                     updates.approvalLetterFilename = approvalLetterFile.name;
+                    updates.hasApprovalLetter = true;
+                    if (generatedLetter && this.isGeneratedLetterUpload(approvalLetterFile, generatedLetter.filename)) {
+                        updates.letterTemplateVersion = generatedLetter.letterTemplateVersion;
+                    }
                 } catch (error) {
                     console.error('Error reading file:', error);
                     alert('Error reading approval letter file: ' + error.message);
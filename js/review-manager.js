@@ -0,0 +1,284 @@
+// Review Manager - Handles committee member votes and quorum-based decisions on projects
+
+const REVIEW_VOTE_OPTIONS = {
+    approve: { label: 'Approve', color: '#2c5530', background: '#e8f5e9' },
+    approve_with_conditions: { label: 'Approve with Conditions', color: '#1565c0', background: '#e3f2fd' },
+    deny: { label: 'Deny', color: '#d32f2f', background: '#ffebee' },
+    abstain: { label: 'Abstain', color: '#666', background: '#f5f5f5' }
+};
+
+class ReviewManager {
+    constructor() {
+        this.db = null;
+        this.reviewConfig = {
+            quorum: 3
+        };
+        this.reviewerNames = {};
+        this.init();
+    }
+
+    async init() {
+        if (!window.firestore) {
+            console.error('Firestore not available');
+            return;
+        }
+
+        this.db = window.firestore;
+        await this.loadReviewConfig();
+    }
+
+    async loadReviewConfig() {
+        if (!this.db) return;
+
+        try {
+            const configDoc = await this.db.collection('projectConfig').doc('review').get();
+            if (configDoc.exists) {
+                const data = configDoc.data();
+                this.reviewConfig = {
+                    quorum: data.quorum || 3
+                };
+            }
+        } catch (error) {
+            console.error('Error loading review config:', error);
+        }
+    }
+
+    async saveReviewConfig(quorum) {
+        if (!window.userManager || !window.userManager.isAdmin()) {
+            alert('Only administrators can change review settings.');
+            return false;
+        }
+
+        const parsedQuorum = parseInt(quorum, 10);
+        if (!parsedQuorum || parsedQuorum < 1) {
+            alert('Quorum must be at least 1 vote.');
+            return false;
+        }
+
+        try {
+            const user = window.firebaseAuth.currentUser;
+            await this.db.collection('projectConfig').doc('review').set({
+                quorum: parsedQuorum,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: user ? user.email : 'system'
+            }, { merge: true });
+
+            this.reviewConfig.quorum = parsedQuorum;
+            return true;
+        } catch (error) {
+            console.error('Error saving review config:', error);
+            alert('Error saving review settings. Please try again.');
+            return false;
+        }
+    }
+
+    async getReviewerName(email) {
+        if (this.reviewerNames[email]) return this.reviewerNames[email];
+
+        try {
+            const userDoc = await this.db.collection('users').doc(email).get();
+            const name = userDoc.exists && userDoc.data().name ? userDoc.data().name : email;
+            this.reviewerNames[email] = name;
+            return name;
+        } catch (error) {
+            console.warn('Could not load reviewer name:', error);
+            return email;
+        }
+    }
+
+    // Tally decisive (non-abstain) votes and decide once the quorum is reached.
+    // Returns 'approved', 'denied', or null when no decision can be made yet.
+    evaluateQuorum(votes) {
+        const approvals = votes.filter(v => v.vote === 'approve' || v.vote === 'approve_with_conditions');
+        const denials = votes.filter(v => v.vote === 'deny');
+        const decisiveCount = approvals.length + denials.length;
+
+        if (decisiveCount < this.reviewConfig.quorum) {
+            return null;
+        }
+        if (approvals.length > denials.length) {
+            return 'approved';
+        }
+        if (denials.length > approvals.length) {
+            return 'denied';
+        }
+        // A tie leaves the project under review until another vote is cast
+        return null;
+    }
+
+    // Project fields recording a quorum decision; empty when there is no decision.
+    // Conditions from "Approve with Conditions" votes make the letter a conditional approval.
+    getDecisionUpdates(votes, decision) {
+        const updates = {};
+        if (decision === 'approved') {
+            const approvingVotes = votes.filter(v => v.vote === 'approve' || v.vote === 'approve_with_conditions');
+            const conditions = approvingVotes
+                .filter(v => v.vote === 'approve_with_conditions')
+                .flatMap(v => parseLetterConditions(v.comments));
+            updates.letterType = conditions.length > 0 ? 'conditional_approval' : 'approval';
+            updates.letterConditions = [...new Set(conditions)];
+            updates.status = 'open';
+            updates.reviewDecision = 'approved';
+            updates.reviewDecisionDate = window.projectManager.formatDate(new Date());
+            updates.approvedBy = approvingVotes.map(v => v.reviewerName || v.reviewer).join(', ');
+            updates.dateApproved = updates.reviewDecisionDate;
+            updates.noApprovalOnRecord = false;
+        } else if (decision === 'denied') {
+            updates.status = 'denied';
+            updates.reviewDecision = 'denied';
+            updates.reviewDecisionDate = window.projectManager.formatDate(new Date());
+        }
+        return updates;
+    }
+
+    async submitVote(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        if (project.status !== 'under_review') {
+            alert('Votes can only be cast while a project is under review.');
+            return;
+        }
+
+        const voteSelect = document.getElementById(`reviewVote-${projectId}`);
+        const commentsInput = document.getElementById(`reviewVoteComments-${projectId}`);
+        const vote = voteSelect ? voteSelect.value : '';
+        const comments = commentsInput ? commentsInput.value.trim() : '';
+
+        if (!REVIEW_VOTE_OPTIONS[vote]) {
+            alert('Please select a vote.');
+            return;
+        }
+        if ((vote === 'approve_with_conditions' || vote === 'deny') && !comments) {
+            alert(vote === 'deny' ? 'Please explain the reason for denial.' : 'Please list the conditions of approval.');
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const reviewerName = await this.getReviewerName(user.email);
+        const newVote = {
+            reviewer: user.email,
+            reviewerName: reviewerName,
+            vote: vote,
+            comments: comments,
+            votedAt: new Date().toISOString()
+        };
+
+        // Read the stored votes inside a transaction so two reviewers voting at once don't
+        // overwrite each other, and the decision is made from every vote actually cast
+        const projectRef = this.db.collection(window.projectManager.collectionName).doc(projectId);
+        try {
+            const outcome = await this.db.runTransaction(async (transaction) => {
+                const snapshot = await transaction.get(projectRef);
+                if (!snapshot.exists) {
+                    throw new Error('Project not found');
+                }
+                const current = { ...project, ...snapshot.data(), id: projectId };
+                if (current.status !== 'under_review') {
+                    throw new Error('Votes can only be cast while a project is under review.');
+                }
+
+                // Each reviewer has one vote; voting again replaces the earlier vote
+                const votes = (current.reviewVotes || []).filter(v => v.reviewer !== user.email);
+                votes.push(newVote);
+
+                let decision = this.evaluateQuorum(votes);
+
+                // An approval waits until the submission checklist is complete; the vote is still recorded
+                const checklistBlocked = decision === 'approved' && window.checklistManager && !window.checklistManager.isComplete(current);
+                if (checklistBlocked) {
+                    decision = null;
+                }
+
+                const updates = { reviewVotes: votes, ...this.getDecisionUpdates(votes, decision) };
+                transaction.update(projectRef, updates);
+                return { updates, decision, checklistBlocked, current };
+            });
+
+            Object.assign(project, outcome.updates);
+            window.projectManager.renderProjects();
+            if (outcome.decision) {
+                alert(`Quorum reached. The project has been ${outcome.decision}.`);
+            } else if (outcome.checklistBlocked) {
+                alert(`Quorum reached for approval, but the project stays under review.\n\n${window.checklistManager.getMissingMessage(outcome.current)}`);
+            }
+        } catch (error) {
+            console.error('Error saving review vote:', error);
+            alert('Error saving vote: ' + error.message);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    renderVoteBadge(vote) {
+        const option = REVIEW_VOTE_OPTIONS[vote] || REVIEW_VOTE_OPTIONS.abstain;
+        return `<span style="background: ${option.background}; color: ${option.color}; padding: 3px 8px; border-radius: 4px; font-size: 0.75rem; font-weight: 600; white-space: nowrap;">${option.label}</span>`;
+    }
+
+    renderReviewSection(project, isAdmin) {
+        const votes = project.reviewVotes || [];
+        if (project.status !== 'under_review' && votes.length === 0) {
+            return '';
+        }
+
+        const approvals = votes.filter(v => v.vote === 'approve' || v.vote === 'approve_with_conditions').length;
+        const denials = votes.filter(v => v.vote === 'deny').length;
+        const abstentions = votes.filter(v => v.vote === 'abstain').length;
+
+        const votesHtml = votes.length > 0 ? votes.map(v => `
+            <div style="padding: 10px 12px; background: white; border: 1px solid #e0e0e0; border-radius: 4px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap;">
+                    <strong style="font-size: 0.9rem; color: #333;">${this.escapeHtml(v.reviewerName || v.reviewer)}</strong>
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        ${this.renderVoteBadge(v.vote)}
+                        <span style="color: #999; font-size: 0.75rem;">${v.votedAt ? new Date(v.votedAt).toLocaleString() : ''}</span>
+                    </div>
+                </div>
+                ${v.comments ? `<div style="color: #555; font-size: 0.85rem; margin-top: 6px; white-space: pre-wrap;">${this.escapeHtml(v.comments)}</div>` : ''}
+            </div>
+        `).join('') : '<div style="color: var(--text-light); font-size: 0.9rem;">No votes cast yet.</div>';
+
+        const decisionHtml = project.reviewDecision ? `
+            <div style="margin-bottom: 10px; font-weight: bold; color: ${project.reviewDecision === 'denied' ? '#d32f2f' : '#2c5530'};">
+                Committee decision: ${project.reviewDecision === 'denied' ? 'Denied' : 'Approved'}${project.reviewDecisionDate ? ` on ${project.reviewDecisionDate}` : ''}
+            </div>
+        ` : '';
+
+        const voteForm = isAdmin && project.status === 'under_review' ? `
+            <div style="margin-top: 12px; display: grid; grid-template-columns: 220px 1fr auto; gap: 10px; align-items: start;">
+                <select id="reviewVote-${project.id}" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    <option value="">Select your vote...</option>
+                    ${Object.keys(REVIEW_VOTE_OPTIONS).map(key => `<option value="${key}">${REVIEW_VOTE_OPTIONS[key].label}</option>`).join('')}
+                </select>
+                <textarea id="reviewVoteComments-${project.id}" rows="2" placeholder="Comments or conditions" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit;"></textarea>
+                <button type="button" class="btn-small btn-primary" onclick="window.reviewManager.submitVote('${project.id}')">Cast Vote</button>
+            </div>
+        ` : '';
+
+        return `
+            <div class="review-votes" style="margin-bottom: 20px;">
+                <h4>Committee Review</h4>
+                ${decisionHtml}
+                <div style="color: #666; font-size: 0.85rem; margin-bottom: 10px;">
+                    ${approvals} approve · ${denials} deny · ${abstentions} abstain — quorum is ${this.reviewConfig.quorum} deciding vote${this.reviewConfig.quorum === 1 ? '' : 's'}
+                </div>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    ${votesHtml}
+                </div>
+                ${voteForm}
+            </div>
+        `;
+    }
+}
+
+// Initialize review manager
+window.reviewManager = new ReviewManager();
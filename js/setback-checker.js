@@ -0,0 +1,268 @@
+// Setback Checker - Compares proposed setbacks on a review form with the lot's required setbacks
+
+const SETBACK_IMPROVEMENT_TYPES = {
+    primary: 'Primary dwelling',
+    covered: 'Covered improvement (covered patio, structure)',
+    uncovered: 'Uncovered improvement (pool, court, patio)',
+    playground: 'Playground equipment'
+};
+
+const SETBACK_CHECK_SIDES = [
+    { key: 'front', label: 'Front', input: 'Front' },
+    { key: 'left', label: 'Left side', input: 'Left' },
+    { key: 'right', label: 'Right side', input: 'Right' },
+    { key: 'rear', label: 'Rear', input: 'Rear' }
+];
+
+class SetbackChecker {
+    constructor() {
+        // Lot number input for each mounted form, keyed by id prefix
+        this.lotInputs = {};
+    }
+
+    renderInputs(prefix) {
+        const inputStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+        const positionOptions = Object.keys(SIDE_POSITIONS).map(key => `<option value="${key}">${SIDE_POSITIONS[key]}</option>`).join('');
+
+        return `
+            <label style="font-weight: 500;">Setback Check <span style="font-weight: normal; color: var(--text-light); font-size: 0.85rem;">(optional — proposed distances to each property line)</span></label>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; margin-top: 8px;">
+                <select id="${prefix}SetbackImprovement" style="${inputStyle}">
+                    ${Object.keys(SETBACK_IMPROVEMENT_TYPES).map(key => `<option value="${key}">${SETBACK_IMPROVEMENT_TYPES[key]}</option>`).join('')}
+                </select>
+                <select id="${prefix}SetbackPhase" style="${inputStyle}">
+                    <option value="">Phase (from lot)</option>
+                    ${SETBACK_PHASE_ORDER.map(key => `<option value="${key}">${SETBACK_PHASES[key].label}</option>`).join('')}
+                </select>
+                <input type="number" id="${prefix}SetbackLotArea" min="0" step="1" placeholder="Lot area (SF)" style="${inputStyle}">
+                <select id="${prefix}SetbackLotClass" style="${inputStyle}" title="Phase 4A lot size">
+                    <option value="">4A lot size (if applicable)</option>
+                    ${Object.keys(SETBACK_PHASES['4A'].lotClasses).map(key => `<option value="${key}">${SETBACK_PHASES['4A'].lotClasses[key].label}</option>`).join('')}
+                </select>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 10px; margin-top: 10px;">
+                <input type="number" id="${prefix}SetbackFront" min="0" step="0.1" placeholder="Front (ft)" style="${inputStyle}">
+                <div>
+                    <input type="number" id="${prefix}SetbackLeft" min="0" step="0.1" placeholder="Left side (ft)" style="${inputStyle}">
+                    <select id="${prefix}SetbackLeftPosition" style="${inputStyle} margin-top: 4px; font-size: 0.8rem;">${positionOptions}</select>
+                </div>
+                <div>
+                    <input type="number" id="${prefix}SetbackRight" min="0" step="0.1" placeholder="Right side (ft)" style="${inputStyle}">
+                    <select id="${prefix}SetbackRightPosition" style="${inputStyle} margin-top: 4px; font-size: 0.8rem;">${positionOptions}</select>
+                </div>
+                <input type="number" id="${prefix}SetbackRear" min="0" step="0.1" placeholder="Rear (ft)" style="${inputStyle}">
+            </div>
+            <div id="${prefix}SetbackResult" style="margin-top: 10px;"></div>
+        `;
+    }
+
+    // Render the inputs into a form and keep the pass/fail result current
+    mount(containerId, prefix, lotInput) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = this.renderInputs(prefix);
+        this.lotInputs[prefix] = lotInput;
+
+        const update = () => this.updateResult(prefix);
+        container.querySelectorAll('input, select').forEach(field => {
+            field.addEventListener('input', update);
+            field.addEventListener('change', update);
+        });
+        if (lotInput) {
+            lotInput.addEventListener('input', update);
+        }
+    }
+
+    readValue(id) {
+        const field = document.getElementById(id);
+        return field ? field.value : '';
+    }
+
+    // Check the proposed setbacks entered on a mounted form; null when no distances were entered
+    getCheck(prefix) {
+        const lotInput = this.lotInputs[prefix];
+        const distances = {};
+        SETBACK_CHECK_SIDES.forEach(side => {
+            const value = parseFloat(this.readValue(`${prefix}Setback${side.input}`));
+            if (!isNaN(value)) distances[side.key] = value;
+        });
+        if (Object.keys(distances).length === 0) return null;
+
+        return this.check(lotInput ? lotInput.value : '', {
+            phase: this.readValue(`${prefix}SetbackPhase`),
+            lotAreaSqFt: this.readValue(`${prefix}SetbackLotArea`),
+            lotClass: this.readValue(`${prefix}SetbackLotClass`),
+            leftPosition: this.readValue(`${prefix}SetbackLeftPosition`),
+            rightPosition: this.readValue(`${prefix}SetbackRightPosition`)
+        }, this.readValue(`${prefix}SetbackImprovement`) || 'primary', distances);
+    }
+
+    // distances: { front, left, right, rear } in feet; sides without a distance are skipped
+    check(lot, attributes, improvementType, distances) {
+        const baseAttributes = {
+            phase: attributes.phase,
+            lotAreaSqFt: attributes.lotAreaSqFt,
+            lotClass: attributes.lotClass
+        };
+        const lookups = {
+            left: window.setbackRules.lookup(lot, { ...baseAttributes, sidePosition: attributes.leftPosition }),
+            right: window.setbackRules.lookup(lot, { ...baseAttributes, sidePosition: attributes.rightPosition })
+        };
+        if (!lookups.left.found) {
+            return { found: false, message: lookups.left.message };
+        }
+
+        const notes = [...lookups.left.notes];
+        const sidePositions = [attributes.leftPosition, attributes.rightPosition];
+        if (window.setbackRules.getLotAttributes(lot).sidePosition === 'corner' && !sidePositions.some(position => position && position.startsWith('corner'))) {
+            notes.push('This lot is recorded as a corner lot; set the street-facing side to a corner position');
+        }
+
+        const requiredFor = (lookup) => improvementType === 'primary' ? lookup.primary : lookup.accessory[improvementType];
+        const sides = SETBACK_CHECK_SIDES
+            .filter(side => distances[side.key] !== undefined)
+            .map(side => {
+                const lookup = side.key === 'right' ? lookups.right : lookups.left;
+                const required = requiredFor(lookup)[side.key === 'left' || side.key === 'right' ? 'side' : side.key];
+                const proposed = distances[side.key];
+                return {
+                    key: side.key,
+                    label: side.label,
+                    proposed: proposed,
+                    required: required,
+                    pass: proposed >= required,
+                    variance: proposed >= required ? 0 : Math.round((required - proposed) * 10) / 10
+                };
+            });
+
+        return {
+            found: true,
+            lot: lookups.left.lot,
+            phase: lookups.left.phase,
+            phaseLabel: lookups.left.phaseLabel,
+            improvementType: improvementType,
+            improvementLabel: SETBACK_IMPROVEMENT_TYPES[improvementType],
+            sides: sides,
+            compliant: sides.every(side => side.pass),
+            notes: notes
+        };
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderResult(check) {
+        if (!check) return '';
+        if (!check.found) {
+            return `<div style="color: #856404; font-size: 0.85rem;">${this.escapeHtml(check.message)}</div>`;
+        }
+
+        const rowsHtml = check.sides.map(side => `
+            <tr style="border-bottom: 1px solid #f0f0f0;">
+                <td style="padding: 4px 8px;">${side.label}</td>
+                <td style="padding: 4px 8px; text-align: right;">${side.proposed} ft</td>
+                <td style="padding: 4px 8px; text-align: right;">${side.required} ft</td>
+                <td style="padding: 4px 8px; font-weight: 600; color: ${side.pass ? '#2c5530' : '#d32f2f'};">
+                    ${side.pass ? '✓ Pass' : `✗ Fail — ${side.variance} ft variance`}
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <div style="font-size: 0.85rem; padding: 10px; border-radius: 6px; border: 1px solid ${check.compliant ? '#4caf50' : '#d32f2f'}; background: ${check.compliant ? '#e8f5e9' : '#fdecea'};">
+                <div style="font-weight: 600; margin-bottom: 4px;">${this.escapeHtml(check.phaseLabel)} — ${this.escapeHtml(check.improvementLabel)}</div>
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="text-align: left;">
+                            <th style="padding: 4px 8px;">Setback</th>
+                            <th style="padding: 4px 8px; text-align: right;">Proposed</th>
+                            <th style="padding: 4px 8px; text-align: right;">Required</th>
+                            <th style="padding: 4px 8px;">Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+                ${check.notes.map(note => `<div style="color: #666; margin-top: 4px;">• ${this.escapeHtml(note)}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    updateResult(prefix) {
+        const resultContainer = document.getElementById(`${prefix}SetbackResult`);
+        if (resultContainer) {
+            resultContainer.innerHTML = this.renderResult(this.getCheck(prefix));
+        }
+    }
+
+    // Sentence for the letter's review comments
+    formatComment(check) {
+        const sideText = check.sides.map(side => side.pass
+            ? `${side.label.toLowerCase()} ${side.proposed} ft (${side.required} ft required) meets`
+            : `${side.label.toLowerCase()} ${side.proposed} ft (${side.required} ft required) does not meet, ${side.variance} ft variance needed`
+        ).join('; ');
+        const failing = check.sides.filter(side => !side.pass).map(side => side.label.toLowerCase());
+        const conclusion = failing.length === 0
+            ? 'All proposed setbacks meet Sanctuary Setback Requirements.'
+            : `A variance is required for the ${failing.join(' and ')} setback${failing.length > 1 ? 's' : ''}.`;
+
+        return `Setback check for Lot ${check.lot} (${check.phaseLabel}), ${check.improvementLabel.toLowerCase()}: ${sideText}. ${conclusion}`;
+    }
+
+    appendToComments(comments, check) {
+        if (!check || !check.found) return comments;
+        return comments ? `${comments} ${this.formatComment(check)}` : this.formatComment(check);
+    }
+
+    // Stored on the project alongside the review comments
+    toProjectRecord(check) {
+        if (!check || !check.found) return null;
+        return {
+            phase: check.phase,
+            improvementType: check.improvementType,
+            sides: check.sides,
+            compliant: check.compliant,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // Saved check shown with the project; measurements note the plan they were taken from
+    renderProjectRecord(record) {
+        if (!record || !record.sides || record.sides.length === 0) return '';
+
+        const measurement = record.measurement;
+        const phaseLabel = SETBACK_PHASES[record.phase] ? SETBACK_PHASES[record.phase].label : record.phase;
+        return `
+            <div class="setback-check-info" style="margin-bottom: 20px;">
+                <h4>Setback Check</h4>
+                ${this.renderResult({
+                    found: true,
+                    phaseLabel: phaseLabel,
+                    improvementLabel: SETBACK_IMPROVEMENT_TYPES[record.improvementType] || record.improvementType,
+                    sides: record.sides,
+                    compliant: record.compliant,
+                    notes: []
+                })}
+                <div style="color: #666; font-size: 0.8rem; margin-top: 6px;">
+                    ${measurement
+                        ? `Measured on ${this.escapeHtml(measurement.fileName)}${measurement.revision ? ` (Rev ${this.escapeHtml(measurement.revision)})` : ''}, page ${this.escapeHtml(measurement.page)}, by ${this.escapeHtml(measurement.measuredBy)}`
+                        : 'Entered on the review form'}${record.checkedAt ? ` — ${window.projectManager.formatDate(record.checkedAt)}` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    reset(prefix) {
+        const resultContainer = document.getElementById(`${prefix}SetbackResult`);
+        if (resultContainer) resultContainer.innerHTML = '';
+    }
+}
+
+// Initialize setback checker
+window.setbackChecker = new SetbackChecker();
@@ -0,0 +1,153 @@
+// Setback Rules Data - Consolidated Setback & Site Improvement Standards (Phases 1A - Phase 5)
+// Distances are in feet. Side setbacks are keyed by lot position:
+//   corner, interior, interiorShown (reduced interior side "where shown" on the plat), cornerNoAccess.
+// A position a phase does not list falls back to its interior value.
+
+const SETBACK_PHASES = {
+    '1A': {
+        label: 'Phase 1A',
+        front: 40,
+        frontExceptions: [{ lots: ['11', '12', '13', '14'], value: 30 }],
+        side: { corner: 25, interior: 20, interiorShown: 15, cornerNoAccess: 5 },
+        rear: 40
+    },
+    '1A1': {
+        label: 'Phase 1A1',
+        front: 40,
+        side: { interior: 15 },
+        rear: 40,
+        rearExceptions: [{ lots: ['29'], value: 30 }]
+    },
+    '1B': {
+        label: 'Phase 1B',
+        front: 40,
+        side: { corner: 25, interior: 20, interiorShown: 15, cornerNoAccess: 5 },
+        rear: 40,
+        specialSideLots: ['64', '65', '75', '76', '77', '78', '79', '80', '81', '82', '83', '84', '85', '92', '93', '115', '116']
+    },
+    '1C': {
+        label: 'Phase 1C',
+        front: 40,
+        side: { interior: 20, interiorShown: 15 },
+        sideNote: 'Interior side is 15 ft or 20 ft as shown on the plat',
+        rear: 40
+    },
+    '2': {
+        label: 'Phase 2',
+        front: 50,
+        side: { corner: 40, interior: 40, interiorShown: 30, cornerNoAccess: 5 },
+        rear: 75
+    },
+    '3A': {
+        label: 'Phase 3A',
+        front: 50,
+        side: { corner: 40, interior: 40, interiorShown: 30, cornerNoAccess: 5 },
+        rear: 65
+    },
+    '3B': {
+        label: 'Phase 3B',
+        front: 50,
+        side: { corner: 40, interior: 40, interiorShown: 35, cornerNoAccess: 5 },
+        sideNote: 'Interior side where shown is 30 ft or 35 ft as shown on the plat',
+        rear: 65
+    },
+    '4A': {
+        label: 'Phase 4A',
+        // 4A has two lot classes; unknown lots use the more restrictive 1.0 acre standards
+        lotClasses: {
+            half_acre: {
+                label: '0.5± Acre Lots',
+                front: 40,
+                frontShown: 30,
+                side: { corner: 25, interior: 20, interiorShown: 15 },
+                rear: 40
+            },
+            one_acre: {
+                label: '1.0± Acre Lots',
+                front: 50,
+                side: { corner: 40, interior: 40 },
+                rear: 65
+            }
+        },
+        defaultLotClass: 'one_acre'
+    },
+    '4B': {
+        label: 'Phase 4B',
+        front: 30,
+        side: { interior: 15 },
+        rear: 30,
+        lotOverrides: {
+            '412': { front: 40, side: { interior: 30 }, rear: 40 }
+        }
+    },
+    '4C': {
+        label: 'Phase 4C',
+        front: 30,
+        side: { interior: 15 },
+        rear: 30,
+        note: 'Standard unless otherwise shown on the plat'
+    },
+    '5': {
+        label: 'Phase 5',
+        front: 30,
+        side: { interior: 15 },
+        rear: 30,
+        note: 'Standard unless otherwise shown on the plat'
+    }
+};
+
+// Display order (phase keys like '2' and '5' would otherwise sort ahead of '1A')
+const SETBACK_PHASE_ORDER = ['1A', '1A1', '1B', '1C', '2', '3A', '3B', '4A', '4B', '4C', '5'];
+
+// Lots with their own rules in the standards
+const SETBACK_SPECIAL_LOTS = {
+    '27': { phase: '1A', note: 'Lot 27: setbacks as shown on plan' },
+    '29': { phase: '1A1', note: 'Lot 29: 30 ft rear setback' },
+    '412': { phase: '4B', note: 'Lot 412: 40 ft front, 30 ft side, 40 ft rear' }
+};
+
+// Phase for lots the standards name explicitly. Other lots need their phase supplied with the lookup.
+const SETBACK_LOT_PHASES = {
+    '11': '1A', '12': '1A', '13': '1A', '14': '1A', '27': '1A',
+    '29': '1A1',
+    '64': '1B', '65': '1B', '75': '1B', '76': '1B', '77': '1B', '78': '1B', '79': '1B', '80': '1B',
+    '81': '1B', '82': '1B', '83': '1B', '84': '1B', '85': '1B', '92': '1B', '93': '1B', '115': '1B', '116': '1B',
+    '412': '4B'
+};
+
+const SIDE_POSITIONS = {
+    interior: 'Interior side',
+    interiorShown: 'Interior side (where shown)',
+    corner: 'Corner side',
+    cornerNoAccess: 'Corner side (no access)'
+};
+
+// Accessory improvements: rear (and for playgrounds, side) setbacks depend on the 40,000 SF lot threshold.
+// side: 'primary' means the same side setback as the primary dwelling.
+const ACCESSORY_LOT_AREA_THRESHOLD = 40000;
+
+const ACCESSORY_SETBACKS = {
+    uncovered: {
+        label: 'Uncovered Improvements',
+        description: 'Pools, tennis courts, uncovered patios',
+        rear: { small: 10, large: 20 },
+        side: 'primary',
+        exception: 'AECC may grant exceptions upon site plan review'
+    },
+    covered: {
+        label: 'Covered Improvements',
+        description: 'Covered patios & structures',
+        rear: { small: 20, large: 40 },
+        side: 'primary',
+        exception: 'AECC approval required'
+    },
+    playground: {
+        label: 'Playground & Recreational Equipment',
+        description: 'Playscapes, swing sets, monkey bars, play gyms (12 ft maximum height, rear yard only)',
+        rear: { small: 20, large: 40 },
+        side: { small: 20, large: 40 },
+        exception: 'AECC may grant variances upon request and site plan review'
+    }
+};
+
+const SETBACK_GOVERNING_RULE = 'CLURO, approved PUD, or private provisions — whichever is more restrictive';
@@ -0,0 +1,393 @@
+// Setback Rules - Lookup of required setbacks by lot, used by the standards modal and the letter forms
+
+class SetbackRules {
+    normalizeLot(lot) {
+        return String(lot || '').trim().replace(/^lot\s*#?\s*/i, '');
+    }
+
+    // Lot attributes known to the app: the household lot registry, then the lots named in the standards
+    getLotAttributes(lot) {
+        const lotNumber = this.normalizeLot(lot);
+        const recorded = window.householdManager ? window.householdManager.getLotAttributes(lotNumber) : null;
+        if (!recorded) {
+            return { phase: SETBACK_LOT_PHASES[lotNumber] || '' };
+        }
+        return {
+            phase: recorded.phase || SETBACK_LOT_PHASES[lotNumber] || '',
+            lotAreaSqFt: recorded.lotAreaSqFt,
+            sidePosition: recorded.lotPosition === 'corner' ? 'corner' : '',
+            lotClass: recorded.lotClass,
+            specialSetbacks: recorded.specialSetbacks,
+            lotNotes: recorded.lotNotes
+        };
+    }
+
+    // Attributes given with a lookup win; blank ones fall back to the lot's recorded attributes
+    getEffectiveAttributes(lot, attributes = {}) {
+        const recorded = this.getLotAttributes(lot);
+        const effective = { ...recorded };
+        Object.keys(attributes).forEach(key => {
+            if (attributes[key] !== '' && attributes[key] !== null && attributes[key] !== undefined) {
+                effective[key] = attributes[key];
+            }
+        });
+        return effective;
+    }
+
+    // Side setback for a lot position; positions a phase does not list use its interior value
+    getSideSetback(side, position) {
+        if (side[position] !== undefined) return side[position];
+        if (position === 'cornerNoAccess' && side.corner !== undefined) return side.corner;
+        return side.interior;
+    }
+
+    formatFeet(value) {
+        return value === null || value === undefined ? '—' : `${value} ft`;
+    }
+
+    // Primary dwelling rules for a phase after lot classes, overrides and exceptions are applied
+    getPhaseRules(phaseKey, lotNumber, lotClass) {
+        const phase = SETBACK_PHASES[phaseKey];
+        const notes = [];
+        let rules = phase;
+
+        if (phase.lotClasses) {
+            const classKey = phase.lotClasses[lotClass] ? lotClass : phase.defaultLotClass;
+            rules = phase.lotClasses[classKey];
+            if (!phase.lotClasses[lotClass]) {
+                notes.push(`Lot size class not recorded; using ${rules.label} (more restrictive)`);
+            } else {
+                notes.push(rules.label);
+            }
+        }
+
+        let front = rules.front;
+        let side = { ...rules.side };
+        let rear = rules.rear;
+
+        (phase.frontExceptions || []).forEach(exception => {
+            if (exception.lots.includes(lotNumber)) front = exception.value;
+        });
+        (phase.rearExceptions || []).forEach(exception => {
+            if (exception.lots.includes(lotNumber)) rear = exception.value;
+        });
+        const override = (phase.lotOverrides || {})[lotNumber];
+        if (override) {
+            front = override.front;
+            side = { ...override.side };
+            rear = override.rear;
+        }
+
+        if (phase.specialSideLots && phase.specialSideLots.includes(lotNumber)) {
+            notes.push(`Lot ${lotNumber} has special side setbacks shown on the plat`);
+        }
+        if (phase.sideNote) notes.push(phase.sideNote);
+        if (phase.note) notes.push(phase.note);
+        if (SETBACK_SPECIAL_LOTS[lotNumber]) notes.push(SETBACK_SPECIAL_LOTS[lotNumber].note);
+
+        return { front: front, frontShown: rules.frontShown, side: side, rear: rear, notes: notes };
+    }
+
+    // attributes: { phase, sidePosition, lotAreaSqFt, lotClass, frontShown }
+    // Returns the required front, side and rear setbacks for the primary dwelling and accessory improvements.
+    lookup(lot, attributes = {}) {
+        const lotNumber = this.normalizeLot(lot);
+        attributes = this.getEffectiveAttributes(lotNumber, attributes);
+        const phaseKey = attributes.phase || '';
+        const sidePosition = SIDE_POSITIONS[attributes.sidePosition] ? attributes.sidePosition : 'interior';
+
+        if (!SETBACK_PHASES[phaseKey]) {
+            return {
+                lot: lotNumber,
+                found: false,
+                message: phaseKey ? `Unknown phase "${phaseKey}".` : `The phase for lot ${lotNumber || '?'} is not on record. Select the phase, or record it on the lot's household, to look up its setbacks.`
+            };
+        }
+
+        const phaseRules = this.getPhaseRules(phaseKey, lotNumber, attributes.lotClass);
+        const notes = [...phaseRules.notes];
+        if (attributes.specialSetbacks) notes.push('Special-case lot: setbacks as shown on the plat');
+        if (attributes.lotNotes) notes.push(attributes.lotNotes);
+        const primary = {
+            front: attributes.frontShown && phaseRules.frontShown ? phaseRules.frontShown : phaseRules.front,
+            side: this.getSideSetback(phaseRules.side, sidePosition),
+            rear: phaseRules.rear
+        };
+
+        // Accessory setbacks depend on the 40,000 SF threshold; an unknown lot area uses the larger setback
+        const lotAreaSqFt = parseFloat(attributes.lotAreaSqFt);
+        const lotAreaKnown = !isNaN(lotAreaSqFt) && lotAreaSqFt > 0;
+        const sizeKey = lotAreaKnown && lotAreaSqFt < ACCESSORY_LOT_AREA_THRESHOLD ? 'small' : 'large';
+        if (!lotAreaKnown) {
+            notes.push('Lot area not recorded; accessory setbacks use the 40,000 SF and larger values');
+        }
+
+        const accessory = {};
+        Object.keys(ACCESSORY_SETBACKS).forEach(key => {
+            const rule = ACCESSORY_SETBACKS[key];
+            accessory[key] = {
+                label: rule.label,
+                front: primary.front,
+                side: rule.side === 'primary' ? primary.side : rule.side[sizeKey],
+                rear: rule.rear[sizeKey],
+                exception: rule.exception
+            };
+        });
+
+        return {
+            lot: lotNumber,
+            found: true,
+            phase: phaseKey,
+            phaseLabel: SETBACK_PHASES[phaseKey].label,
+            sidePosition: sidePosition,
+            lotAreaSqFt: lotAreaKnown ? lotAreaSqFt : null,
+            primary: primary,
+            accessory: accessory,
+            notes: notes,
+            governingRule: SETBACK_GOVERNING_RULE
+        };
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Compact summary of a lookup for forms and the modal lookup
+    renderLookupResult(result) {
+        if (!result.found) {
+            return `<div style="color: #856404; font-size: 0.85rem;">${this.escapeHtml(result.message)}</div>`;
+        }
+
+        const row = (label, setbacks) => `
+            <tr style="border-bottom: 1px solid #f0f0f0;">
+                <td style="padding: 4px 8px;">${label}</td>
+                <td style="padding: 4px 8px; text-align: right;">${this.formatFeet(setbacks.front)}</td>
+                <td style="padding: 4px 8px; text-align: right;">${this.formatFeet(setbacks.side)}</td>
+                <td style="padding: 4px 8px; text-align: right;">${this.formatFeet(setbacks.rear)}</td>
+            </tr>
+        `;
+
+        return `
+            <div style="font-size: 0.85rem;">
+                <div style="font-weight: 600; color: #2c5530; margin-bottom: 4px;">
+                    Lot ${this.escapeHtml(result.lot || '?')} — ${this.escapeHtml(result.phaseLabel)} — ${SIDE_POSITIONS[result.sidePosition]}
+                </div>
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #f8f9fa; text-align: left;">
+                            <th style="padding: 4px 8px;">Required setback</th>
+                            <th style="padding: 4px 8px; text-align: right;">Front</th>
+                            <th style="padding: 4px 8px; text-align: right;">Side</th>
+                            <th style="padding: 4px 8px; text-align: right;">Rear</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Primary dwelling', result.primary)}
+                        ${row(result.accessory.covered.label, result.accessory.covered)}
+                        ${row(result.accessory.uncovered.label, result.accessory.uncovered)}
+                    </tbody>
+                </table>
+                ${result.notes.map(note => `<div style="color: #666; margin-top: 4px;">• ${this.escapeHtml(note)}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    // Section I and II of the standards modal, generated from the rules data
+    renderPrimaryStandardsHtml() {
+        const sideItems = (side) => Object.keys(SIDE_POSITIONS)
+            .filter(position => side[position] !== undefined)
+            .map(position => `<li>${SIDE_POSITIONS[position]}: ${this.formatFeet(side[position])}</li>`)
+            .join('');
+        const ruleList = (rules, phase) => {
+            const frontExceptions = (phase.frontExceptions || []).map(exception =>
+                `<li>Lots ${exception.lots.join(', ')}: ${this.formatFeet(exception.value)}</li>`
+            ).join('');
+            const rearExceptions = (phase.rearExceptions || []).map(exception =>
+                `<li>Lot ${exception.lots.join(', ')} only: ${this.formatFeet(exception.value)}</li>`
+            ).join('');
+            return `
+                <ul>
+                    <li><strong>Front:</strong> ${this.formatFeet(rules.front)}${rules.frontShown ? ` (${this.formatFeet(rules.frontShown)} where shown)` : ''}
+                        ${frontExceptions ? `<ul>${frontExceptions}</ul>` : ''}
+                    </li>
+                    <li><strong>Side</strong><ul>${sideItems(rules.side)}</ul></li>
+                    <li><strong>Rear:</strong> ${this.formatFeet(rules.rear)}
+                        ${rearExceptions ? `<ul>${rearExceptions}</ul>` : ''}
+                    </li>
+                </ul>
+            `;
+        };
+
+        const phasesHtml = SETBACK_PHASE_ORDER.map(phaseKey => {
+            const phase = SETBACK_PHASES[phaseKey];
+            let body;
+            if (phase.lotClasses) {
+                body = Object.keys(phase.lotClasses).map(classKey =>
+                    `<p><strong>${phase.lotClasses[classKey].label}</strong></p>${ruleList(phase.lotClasses[classKey], phase)}`
+                ).join('');
+            } else {
+                body = ruleList(phase, phase);
+            }
+
+            const overrides = Object.keys(phase.lotOverrides || {}).map(lotNumber =>
+                `<p><strong>Lot ${lotNumber}</strong></p>${ruleList(phase.lotOverrides[lotNumber], {})}`
+            ).join('');
+            const notes = [
+                phase.note,
+                phase.sideNote,
+                phase.specialSideLots ? `Lots with special side setbacks: ${phase.specialSideLots.join(', ')}` : '',
+                ...Object.keys(SETBACK_SPECIAL_LOTS)
+                    .filter(lotNumber => SETBACK_SPECIAL_LOTS[lotNumber].phase === phaseKey && !(phase.lotOverrides || {})[lotNumber]
+                        && !(phase.rearExceptions || []).some(exception => exception.lots.includes(lotNumber)))
+                    .map(lotNumber => SETBACK_SPECIAL_LOTS[lotNumber].note)
+            ].filter(note => note);
+
+            return `
+                <div class="phase-section">
+                    <h4>${phase.label}</h4>
+                    ${body}
+                    ${overrides}
+                    ${notes.length > 0 ? `<ul>${notes.map(note => `<li>${note}</li>`).join('')}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            ${phasesHtml}
+            <div class="phase-section">
+                <p><strong>Governing Rule</strong></p>
+                <p>${SETBACK_GOVERNING_RULE}</p>
+            </div>
+        `;
+    }
+
+    renderAccessoryStandardsHtml() {
+        return ['uncovered', 'covered'].map(key => {
+            const rule = ACCESSORY_SETBACKS[key];
+            return `
+                <div class="phase-section">
+                    <h4>${rule.label}</h4>
+                    <p>(${rule.description})</p>
+                    <ul>
+                        <li><strong>Rear Setback</strong>
+                            <ul>
+                                <li>Lots &lt; 40,000 SF: ${this.formatFeet(rule.rear.small)}</li>
+                                <li>Lots ≥ 40,000 SF: ${this.formatFeet(rule.rear.large)}</li>
+                            </ul>
+                        </li>
+                        <li><strong>Side Setback</strong>
+                            <ul>
+                                <li>Same as required for the primary dwelling</li>
+                            </ul>
+                        </li>
+                        <li><strong>Exceptions</strong>
+                            <ul>
+                                <li>${rule.exception}</li>
+                            </ul>
+                        </li>
+                    </ul>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderLotLookupHtml() {
+        const selectStyle = 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+        return `
+            <h3>Look Up a Lot</h3>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px; margin-bottom: 12px;">
+                <input type="text" id="setbackLookupLot" placeholder="Lot number" style="${selectStyle}">
+                <select id="setbackLookupPhase" style="${selectStyle}">
+                    <option value="">Phase (auto)</option>
+                    ${SETBACK_PHASE_ORDER.map(key => `<option value="${key}">${SETBACK_PHASES[key].label}</option>`).join('')}
+                </select>
+                <select id="setbackLookupPosition" style="${selectStyle}">
+                    ${Object.keys(SIDE_POSITIONS).map(key => `<option value="${key}">${SIDE_POSITIONS[key]}</option>`).join('')}
+                </select>
+                <input type="number" id="setbackLookupArea" min="0" step="1" placeholder="Lot area (SF)" style="${selectStyle}">
+                <select id="setbackLookupLotClass" style="${selectStyle}" title="Phase 4A lot size">
+                    <option value="">4A lot size (if applicable)</option>
+                    ${Object.keys(SETBACK_PHASES['4A'].lotClasses).map(key => `<option value="${key}">${SETBACK_PHASES['4A'].lotClasses[key].label}</option>`).join('')}
+                </select>
+            </div>
+            <div id="setbackLookupResult" style="color: var(--text-light); font-size: 0.85rem;">Enter a lot number to see its required setbacks.</div>
+        `;
+    }
+
+    setupStandardsModal() {
+        const primaryContainer = document.getElementById('standardsPrimarySetbacks');
+        if (primaryContainer) {
+            primaryContainer.innerHTML = this.renderPrimaryStandardsHtml();
+        }
+        const accessoryContainer = document.getElementById('standardsAccessorySetbacks');
+        if (accessoryContainer) {
+            accessoryContainer.innerHTML = this.renderAccessoryStandardsHtml();
+        }
+
+        const lookupContainer = document.getElementById('standardsLotLookup');
+        if (!lookupContainer) return;
+        lookupContainer.innerHTML = this.renderLotLookupHtml();
+
+        const lotInput = document.getElementById('setbackLookupLot');
+        const phaseSelect = document.getElementById('setbackLookupPhase');
+        const resultContainer = document.getElementById('setbackLookupResult');
+        const fields = ['setbackLookupLot', 'setbackLookupPhase', 'setbackLookupPosition', 'setbackLookupArea', 'setbackLookupLotClass'];
+
+        const update = () => {
+            if (!lotInput.value.trim() && !phaseSelect.value) {
+                resultContainer.innerHTML = 'Enter a lot number to see its required setbacks.';
+                return;
+            }
+            const result = this.lookup(lotInput.value, {
+                phase: phaseSelect.value,
+                sidePosition: document.getElementById('setbackLookupPosition').value,
+                lotAreaSqFt: document.getElementById('setbackLookupArea').value,
+                lotClass: document.getElementById('setbackLookupLotClass').value
+            });
+            resultContainer.innerHTML = this.renderLookupResult(result);
+        };
+
+        fields.forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('input', update);
+                field.addEventListener('change', update);
+            }
+        });
+    }
+
+    // Show the required setbacks under a lot number input as it is typed
+    bindLotInput(lotInput) {
+        if (!lotInput) return null;
+
+        const summary = document.createElement('div');
+        summary.className = 'lot-setback-summary';
+        summary.style.cssText = 'display: none; margin-top: 8px; padding: 10px; background: #f8f9fa; border: 1px solid var(--border-color); border-radius: 6px;';
+        const anchor = lotInput.parentNode.querySelector('.error-message') || lotInput;
+        anchor.parentNode.insertBefore(summary, anchor.nextSibling);
+
+        const update = () => {
+            const lot = lotInput.value.trim();
+            if (!lot) {
+                summary.style.display = 'none';
+                summary.innerHTML = '';
+                return;
+            }
+            summary.innerHTML = this.renderLookupResult(this.lookup(lot));
+            summary.style.display = 'block';
+        };
+
+        lotInput.addEventListener('input', update);
+        lotInput.addEventListener('change', update);
+        update();
+        return summary;
+    }
+}
+
+// Initialize setback rules
+window.setbackRules = new SetbackRules();
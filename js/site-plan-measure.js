@@ -0,0 +1,489 @@
+// Site Plan Measure - Scaled measurement of structure-to-property-line distances on a site plan, feeding the setback check
+
+const MEASURE_LINE_COLORS = {
+    front: '#1565c0',
+    left: '#2e7d32',
+    right: '#ef6c00',
+    rear: '#6a1b9a'
+};
+const MEASURE_FOOTPRINT_COLOR = '#d32f2f';
+
+class SitePlanMeasure {
+    constructor() {
+        this.state = null;
+        this.handleEscape = null;
+    }
+
+    // Perpendicular distance from a point to the infinite line through a property line's two points,
+    // in the units of width and height
+    distanceToLine(point, line, width, height) {
+        const ax = line.x1 * width;
+        const ay = line.y1 * height;
+        const bx = line.x2 * width;
+        const by = line.y2 * height;
+        const length = Math.hypot(bx - ax, by - ay);
+        if (length === 0) return null;
+        const px = point.x * width;
+        const py = point.y * height;
+        return Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+    }
+
+    // Closest footprint corner to a property line, with where the perpendicular meets the line
+    nearestToLine(footprint, line, width, height) {
+        let nearest = null;
+        footprint.forEach(point => {
+            const distance = this.distanceToLine(point, line, width, height);
+            if (distance !== null && (!nearest || distance < nearest.distance)) {
+                nearest = { point: point, distance: distance };
+            }
+        });
+        if (!nearest) return null;
+
+        const dx = line.x2 - line.x1;
+        const dy = line.y2 - line.y1;
+        const t = ((nearest.point.x - line.x1) * dx * width * width + (nearest.point.y - line.y1) * dy * height * height)
+            / (dx * dx * width * width + dy * dy * height * height);
+        nearest.foot = { x: line.x1 + t * dx, y: line.y1 + t * dy };
+        return nearest;
+    }
+
+    // Feet from the footprint to each drawn property line; empty until the scale and footprint exist
+    getDistances() {
+        const { scale, lines, footprint, natural } = this.state;
+        const distances = {};
+        if (!scale || !scale.feet || footprint.length < 3 || !natural) return distances;
+
+        const scaleLength = Math.hypot((scale.x2 - scale.x1) * natural.width, (scale.y2 - scale.y1) * natural.height);
+        if (scaleLength === 0) return distances;
+        Object.keys(lines).forEach(side => {
+            const nearest = this.nearestToLine(footprint, lines[side], natural.width, natural.height);
+            if (nearest) {
+                distances[side] = Math.round((nearest.distance / scaleLength) * scale.feet * 10) / 10;
+            }
+        });
+        return distances;
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    show(projectId, fileType, fileIndex) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+        if (!window.planRenderer.isAvailable()) {
+            alert('The PDF viewer could not be loaded. Check your connection and reload the page.');
+            return;
+        }
+
+        const project = window.projectManager.projects.find(p => p.id === projectId);
+        const file = project ? (project[FILE_VERSION_TYPES[fileType].listField] || [])[parseInt(fileIndex) || 0] : null;
+        if (!project || !file || !file.storageUrl) {
+            alert('File not found.');
+            return;
+        }
+
+        this.hide();
+        const canEdit = window.userManager && window.userManager.isAdmin();
+        // Reopen an earlier measurement of this same file
+        const saved = project.setbackCheck && project.setbackCheck.measurement && project.setbackCheck.measurement.storageUrl === file.storageUrl
+            ? project.setbackCheck.measurement
+            : null;
+
+        this.state = {
+            projectId: projectId,
+            fileType: fileType,
+            file: file,
+            canEdit: canEdit,
+            page: saved ? saved.page : 1,
+            scale: saved ? saved.scale : null,
+            lines: saved ? { ...saved.lines } : {},
+            footprint: saved ? [...saved.footprint] : [],
+            mode: null,
+            pending: [],
+            zoom: 1
+        };
+        if (!this.state.scale && window.planAnnotator) {
+            this.state.scale = window.planAnnotator.getPageScale(window.planAnnotator.getAnnotations(file), this.state.page);
+        }
+
+        const buttonStyle = 'padding: 6px 10px; font-size: 0.85rem;';
+        const sideButtons = SETBACK_CHECK_SIDES.map(side => `
+            <button type="button" class="btn-small btn-secondary measure-mode-btn" data-mode="line:${side.key}" style="${buttonStyle} border-left: 4px solid ${MEASURE_LINE_COLORS[side.key]};">${side.label} line</button>
+        `).join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'sitePlanMeasureModal';
+        modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 20px;';
+        modal.innerHTML = `
+            <div style="background: white; border-radius: 12px; width: 100%; max-width: 1500px; height: 92vh; display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.3);">
+                <div style="background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%); color: white; padding: 16px 30px; border-radius: 12px 12px 0 0; display: flex; justify-content: space-between; align-items: center;">
+                    <h2 style="margin: 0; font-size: 1.4rem;">Measure Setbacks — ${this.escapeHtml(file.name)}</h2>
+                    <button id="closeSitePlanMeasureModal" style="background: rgba(255,255,255,0.2); border: none; color: white; font-size: 24px; width: 36px; height: 36px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center;">×</button>
+                </div>
+                <div style="flex: 1; display: flex; gap: 16px; padding: 16px 20px; min-height: 0;">
+                    <div style="flex: 1; display: flex; flex-direction: column; min-width: 0;">
+                        <div style="display: flex; gap: 6px; align-items: center; margin-bottom: 8px; font-size: 0.9rem;">
+                            <button type="button" id="measurePrevPage" class="btn-small btn-secondary" style="${buttonStyle}">‹</button>
+                            <span id="measurePageLabel">Page 1</span>
+                            <button type="button" id="measureNextPage" class="btn-small btn-secondary" style="${buttonStyle}">›</button>
+                            <button type="button" id="measureZoomOut" class="btn-small btn-secondary" style="${buttonStyle}">−</button>
+                            <span id="measureZoomLabel" style="min-width: 48px; text-align: center;">100%</span>
+                            <button type="button" id="measureZoomIn" class="btn-small btn-secondary" style="${buttonStyle}">+</button>
+                        </div>
+                        <div id="measureStage" style="flex: 1; overflow: auto; background: #e9ecef; border: 1px solid #ddd; border-radius: 6px;">
+                            <div id="measurePageWrapper" style="position: relative; margin: 10px auto; width: max-content;"></div>
+                        </div>
+                    </div>
+                    <div style="width: 360px; overflow-y: auto; font-size: 0.9rem;">
+                        <div id="measureStatus" style="background: #f8f9fa; border-radius: 6px; padding: 10px 12px; margin-bottom: 12px; color: #555;"></div>
+                        <h4 style="margin: 0 0 6px 0;">1. Scale</h4>
+                        <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 12px;">
+                            <button type="button" class="btn-small btn-secondary measure-mode-btn" data-mode="calibrate" style="${buttonStyle}">Calibrate</button>
+                            <span id="measureScaleLabel" style="color: #666;"></span>
+                        </div>
+                        <h4 style="margin: 0 0 6px 0;">2. Property Lines</h4>
+                        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; margin-bottom: 12px;">${sideButtons}</div>
+                        <h4 style="margin: 0 0 6px 0;">3. Structure Footprint</h4>
+                        <div style="display: flex; gap: 6px; margin-bottom: 12px;">
+                            <button type="button" class="btn-small btn-secondary measure-mode-btn" data-mode="footprint" style="${buttonStyle}">Draw Footprint</button>
+                            <button type="button" id="measureFinishFootprint" class="btn-small btn-secondary" style="${buttonStyle}">Finish</button>
+                            <button type="button" id="measureClear" class="btn-small btn-secondary" style="${buttonStyle}">Clear All</button>
+                        </div>
+                        <h4 style="margin: 0 0 6px 0;">4. Setback Check</h4>
+                        <input type="hidden" id="measureLot" value="${this.escapeHtml(project.lot)}">
+                        <div id="measureSetbackCheck"></div>
+                    </div>
+                </div>
+                <div style="padding: 12px 20px; border-top: 1px solid #e0e0e0; display: flex; justify-content: flex-end; gap: 10px;">
+                    <button type="button" id="cancelMeasureBtn" class="btn btn-secondary">Close</button>
+                    ${canEdit ? '<button type="button" id="saveMeasureBtn" class="btn btn-primary">Save to Project</button>' : ''}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        window.setbackChecker.mount('measureSetbackCheck', 'measure', document.getElementById('measureLot'));
+        if (project.setbackCheck) {
+            const improvement = document.getElementById('measureSetbackImprovement');
+            if (improvement && project.setbackCheck.improvementType) improvement.value = project.setbackCheck.improvementType;
+        }
+
+        document.getElementById('closeSitePlanMeasureModal').addEventListener('click', () => this.hide());
+        document.getElementById('cancelMeasureBtn').addEventListener('click', () => this.hide());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+        // Removed in hide() so closing by any path leaves no listener behind
+        this.handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+            }
+        };
+        document.addEventListener('keydown', this.handleEscape);
+
+        document.getElementById('measurePrevPage').addEventListener('click', () => this.goToPage(this.state.page - 1));
+        document.getElementById('measureNextPage').addEventListener('click', () => this.goToPage(this.state.page + 1));
+        document.getElementById('measureZoomOut').addEventListener('click', () => this.setZoom(this.state.zoom / 1.25));
+        document.getElementById('measureZoomIn').addEventListener('click', () => this.setZoom(this.state.zoom * 1.25));
+        modal.querySelectorAll('.measure-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.getAttribute('data-mode')));
+        });
+        document.getElementById('measureFinishFootprint').addEventListener('click', () => this.finishFootprint());
+        document.getElementById('measureClear').addEventListener('click', () => {
+            if (!confirm('Clear the property lines and footprint?')) return;
+            this.state.lines = {};
+            this.state.footprint = [];
+            this.state.pending = [];
+            this.update();
+        });
+        if (canEdit) {
+            document.getElementById('saveMeasureBtn').addEventListener('click', () => this.save());
+        }
+
+        this.load();
+    }
+
+    async load() {
+        this.setStatus('Loading file…');
+        try {
+            this.state.source = await window.planRenderer.load(this.state.file);
+            await this.render();
+            this.setMode(this.state.scale ? null : 'calibrate');
+        } catch (error) {
+            console.error('Error loading file for measurement:', error);
+            this.setStatus(`<span style="color: #d32f2f;">${this.escapeHtml(error.message)}</span>`);
+        }
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('measureStatus');
+        if (status) status.innerHTML = message;
+    }
+
+    setMode(mode) {
+        if (!this.state) return;
+        this.state.mode = mode;
+        this.state.pending = [];
+        document.querySelectorAll('.measure-mode-btn').forEach(btn => {
+            const active = btn.getAttribute('data-mode') === mode;
+            btn.style.background = active ? 'var(--primary-color)' : '';
+            btn.style.color = active ? 'white' : '';
+        });
+
+        if (mode === 'calibrate') {
+            this.setStatus('Click two points a known distance apart, such as the ends of a dimensioned lot line or the map scale bar.');
+        } else if (mode === 'footprint') {
+            this.setStatus('Click each corner of the structure. Click the first corner again or press Finish to close the footprint.');
+            this.state.footprint = [];
+        } else if (mode && mode.startsWith('line:')) {
+            const side = SETBACK_CHECK_SIDES.find(entry => entry.key === mode.slice(5));
+            this.setStatus(`Click two points along the ${side.label.toLowerCase()} property line.`);
+        } else {
+            this.setStatus('Choose a step on the right. Distances are measured from the nearest footprint corner to each property line.');
+        }
+        this.update();
+    }
+
+    goToPage(page) {
+        if (!this.state || !this.state.source || page < 1 || page > this.state.source.pageCount) return;
+        // Lines and footprint belong to one page
+        if ((Object.keys(this.state.lines).length > 0 || this.state.footprint.length > 0) && !confirm('Measurements are drawn on one page. Clear them and change page?')) {
+            return;
+        }
+        this.state.page = page;
+        this.state.lines = {};
+        this.state.footprint = [];
+        this.state.scale = window.planAnnotator
+            ? window.planAnnotator.getPageScale(window.planAnnotator.getAnnotations(this.state.file), page)
+            : null;
+        this.render();
+    }
+
+    setZoom(zoom) {
+        if (!this.state) return;
+        this.state.zoom = Math.max(0.25, Math.min(4, zoom));
+        this.render();
+    }
+
+    async render() {
+        const state = this.state;
+        if (!state || !state.source) return;
+
+        const stage = document.getElementById('measureStage');
+        const wrapper = document.getElementById('measurePageWrapper');
+        document.getElementById('measurePageLabel').textContent = `Page ${state.page} of ${state.source.pageCount}`;
+        document.getElementById('measureZoomLabel').textContent = `${Math.round(state.zoom * 100)}%`;
+
+        const natural = await window.planRenderer.getNaturalSize(state.source, state.page);
+        const scale = Math.min(((stage.clientWidth - 20) / natural.width) * state.zoom, PLAN_RENDER_MAX_CANVAS_SIZE / Math.max(natural.width, natural.height));
+        const pageCanvas = await window.planRenderer.renderPage(state.source, state.page, scale);
+        if (this.state !== state) return;
+
+        state.natural = natural;
+        const overlay = document.createElement('canvas');
+        overlay.width = pageCanvas.width;
+        overlay.height = pageCanvas.height;
+        overlay.style.cssText = 'position: absolute; top: 0; left: 0; cursor: crosshair;';
+        pageCanvas.style.cssText = 'display: block; box-shadow: 0 2px 8px rgba(0,0,0,0.2);';
+        overlay.addEventListener('click', (e) => {
+            const rect = overlay.getBoundingClientRect();
+            this.handleClick({ x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height });
+        });
+
+        wrapper.innerHTML = '';
+        wrapper.appendChild(pageCanvas);
+        wrapper.appendChild(overlay);
+        state.overlay = overlay;
+        this.update();
+    }
+
+    handleClick(point) {
+        const state = this.state;
+        if (!state.mode) return;
+
+        if (state.mode === 'footprint') {
+            const first = state.footprint[0];
+            const closeTolerance = 0.01;
+            if (first && state.footprint.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) < closeTolerance) {
+                this.finishFootprint();
+                return;
+            }
+            state.footprint.push(point);
+            this.update();
+            return;
+        }
+
+        state.pending.push(point);
+        if (state.pending.length < 2) {
+            this.update();
+            return;
+        }
+
+        const [start, end] = state.pending;
+        const line = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+        if (state.mode === 'calibrate') {
+            const feet = parseFloat(prompt('Distance between these points in feet:'));
+            if (isNaN(feet) || feet <= 0) {
+                alert('Enter the distance in feet as a number greater than zero.');
+                state.pending = [];
+                this.update();
+                return;
+            }
+            state.scale = { ...line, feet: feet };
+        } else if (state.mode.startsWith('line:')) {
+            state.lines[state.mode.slice(5)] = line;
+        }
+        this.setMode(null);
+    }
+
+    finishFootprint() {
+        if (this.state.footprint.length < 3) {
+            alert('Click at least three corners of the structure.');
+            return;
+        }
+        this.setMode(null);
+    }
+
+    // Redraw the overlay and push the measured distances into the setback check
+    update() {
+        const state = this.state;
+        const scaleLabel = document.getElementById('measureScaleLabel');
+        if (scaleLabel) scaleLabel.textContent = state.scale ? `${state.scale.feet} ft reference` : 'Not calibrated';
+        document.querySelectorAll('.measure-mode-btn[data-mode^="line:"]').forEach(btn => {
+            const side = btn.getAttribute('data-mode').slice(5);
+            btn.textContent = `${state.lines[side] ? '✓ ' : ''}${SETBACK_CHECK_SIDES.find(entry => entry.key === side).label} line`;
+        });
+
+        const distances = this.getDistances();
+        SETBACK_CHECK_SIDES.forEach(side => {
+            const input = document.getElementById(`measureSetback${side.input}`);
+            if (input) input.value = distances[side.key] !== undefined ? distances[side.key] : '';
+        });
+        window.setbackChecker.updateResult('measure');
+
+        if (!state.overlay) return;
+        const overlay = state.overlay;
+        const width = overlay.width;
+        const height = overlay.height;
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        const lineWidth = Math.max(1.5, width * 0.0025);
+        const fontSize = Math.max(10, width * 0.014);
+        const primitives = [];
+        const addLine = (line, color, dashed = false) => primitives.push({
+            kind: 'line', x1: line.x1 * width, y1: line.y1 * height, x2: line.x2 * width, y2: line.y2 * height,
+            color: color, lineWidth: lineWidth, dashed: dashed
+        });
+        const addLabel = (x, y, text, color) => primitives.push({
+            kind: 'text', x: x * width, y: y * height - fontSize * 1.8, text: text, size: fontSize, align: 'center', color: color, lineWidth: lineWidth
+        });
+        const addDot = (point, color) => primitives.push({
+            kind: 'ellipse', cx: point.x * width, cy: point.y * height, rx: lineWidth * 2, ry: lineWidth * 2, filled: true, color: color, lineWidth: lineWidth
+        });
+
+        if (state.scale) {
+            addLine(state.scale, '#555555', true);
+            addLabel((state.scale.x1 + state.scale.x2) / 2, (state.scale.y1 + state.scale.y2) / 2, `${state.scale.feet} ft`, '#555555');
+        }
+
+        Object.keys(state.lines).forEach(side => {
+            const line = state.lines[side];
+            // Extend the drawn segment so short clicks still read as the whole property line
+            const dx = line.x2 - line.x1;
+            const dy = line.y2 - line.y1;
+            addLine({ x1: line.x1 - dx, y1: line.y1 - dy, x2: line.x2 + dx, y2: line.y2 + dy }, MEASURE_LINE_COLORS[side]);
+        });
+
+        const footprint = state.footprint;
+        footprint.forEach((point, index) => {
+            const next = footprint[index + 1] || (state.mode === 'footprint' ? null : footprint[0]);
+            if (next && footprint.length > 1) {
+                addLine({ x1: point.x, y1: point.y, x2: next.x, y2: next.y }, MEASURE_FOOTPRINT_COLOR);
+            }
+            addDot(point, MEASURE_FOOTPRINT_COLOR);
+        });
+
+        if (state.mode !== 'footprint' && footprint.length >= 3 && state.natural) {
+            Object.keys(state.lines).forEach(side => {
+                const nearest = this.nearestToLine(footprint, state.lines[side], state.natural.width, state.natural.height);
+                if (!nearest) return;
+                addLine({ x1: nearest.point.x, y1: nearest.point.y, x2: nearest.foot.x, y2: nearest.foot.y }, MEASURE_LINE_COLORS[side], true);
+                if (distances[side] !== undefined) {
+                    addLabel((nearest.point.x + nearest.foot.x) / 2, (nearest.point.y + nearest.foot.y) / 2, `${distances[side]} ft`, MEASURE_LINE_COLORS[side]);
+                }
+            });
+        }
+
+        state.pending.forEach(point => addDot(point, '#000000'));
+        window.planAnnotator.drawPrimitives(ctx, primitives);
+    }
+
+    async save() {
+        const state = this.state;
+        const check = window.setbackChecker.getCheck('measure');
+        if (!check) {
+            alert('Calibrate the scale, draw at least one property line and the structure footprint first.');
+            return;
+        }
+        if (!check.found) {
+            alert(check.message);
+            return;
+        }
+
+        const record = window.setbackChecker.toProjectRecord(check);
+        const user = window.authHandler.getCurrentUser();
+        record.measurement = {
+            fileType: state.fileType,
+            fileName: state.file.name,
+            revision: state.file.revision || null,
+            storageUrl: state.file.storageUrl,
+            page: state.page,
+            scale: state.scale,
+            lines: state.lines,
+            footprint: state.footprint,
+            measuredBy: user ? user.email : 'unknown'
+        };
+
+        const project = window.projectManager.projects.find(p => p.id === state.projectId);
+        if (project && project.setbackCheck && !confirm('Replace the setback check already saved on this project with these measurements?')) {
+            return;
+        }
+
+        const saveBtn = document.getElementById('saveMeasureBtn');
+        if (saveBtn) saveBtn.disabled = true;
+        try {
+            await window.projectManager.updateProject(state.projectId, { setbackCheck: record });
+            this.hide();
+        } catch (error) {
+            console.error('Error saving setback measurements:', error);
+            alert('Error saving setback measurements: ' + error.message);
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    }
+
+    hide() {
+        if (this.handleEscape) {
+            document.removeEventListener('keydown', this.handleEscape);
+            this.handleEscape = null;
+        }
+        const modal = document.getElementById('sitePlanMeasureModal');
+        if (modal && modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+        if (this.state) {
+            window.planRenderer.release(this.state.source);
+        }
+        this.state = null;
+    }
+}
+
+// Initialize site plan measure
+window.sitePlanMeasure = new SitePlanMeasure();
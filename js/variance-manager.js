@@ -0,0 +1,612 @@
+// Variance Manager - Handles variance requests on a project: neighbor notices, objections and the decision letter
+
+const VARIANCE_STANDARDS = {
+    front_setback: 'Front setback',
+    side_setback: 'Side setback',
+    rear_setback: 'Rear setback',
+    accessory_setback: 'Accessory improvement setback',
+    height: 'Height',
+    other: 'Other standard'
+};
+
+const VARIANCE_STATUSES = {
+    pending: { label: 'Pending Notice', color: '#856404', background: '#fff3cd' },
+    noticed: { label: 'Neighbors Notified', color: '#1565c0', background: '#e3f2fd' },
+    approved: { label: 'Approved', color: '#2c5530', background: '#e8f5e9' },
+    denied: { label: 'Denied', color: '#d32f2f', background: '#fdecea' }
+};
+
+// Days neighbors have to respond after the notices are sent
+const VARIANCE_COMMENT_PERIOD_DAYS = 14;
+
+// Where a variance's notice list came from; lot-number guesses must be checked against the plat
+const VARIANCE_NEIGHBOR_SOURCES = {
+    registry: 'adjacent lots recorded in the household registry',
+    lot_numbers: 'the lot numbers either side of this lot — corner lots, lots across the street and lots across a phase boundary are not detected'
+};
+
+class VarianceManager {
+    getProject(projectId) {
+        return window.projectManager ? window.projectManager.projects.find(p => p.id === projectId) : null;
+    }
+
+    getVariances(project) {
+        return project.variances || [];
+    }
+
+    getVariance(project, varianceId) {
+        return project ? this.getVariances(project).find(variance => variance.id === varianceId) || null : null;
+    }
+
+    isOpen(variance) {
+        return variance.status === 'pending' || variance.status === 'noticed';
+    }
+
+    // Replace one variance on the project, keeping the others
+    async saveVariance(projectId, variance) {
+        const project = this.getProject(projectId);
+        await window.projectManager.updateProject(projectId, {
+            variances: this.getVariances(project).map(existing => existing.id === variance.id ? variance : existing)
+        });
+    }
+
+    // Keep a copy of a sent letter with the project and return the record of what went to whom
+    async storeLetter(projectId, letter, type, recipients) {
+        const storageUrl = await window.projectManager.uploadFileToStorage(
+            await letter.blob.arrayBuffer(),
+            letter.filename,
+            'application/pdf',
+            projectId,
+            'approval-letters'
+        );
+        const user = window.authHandler.getCurrentUser();
+        return {
+            type: type,
+            filename: letter.filename,
+            storageUrl: storageUrl,
+            recipients: recipients,
+            date: window.projectManager.formatDate(new Date()),
+            sentBy: user ? user.email : 'unknown'
+        };
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    getStandardLabel(variance) {
+        if (variance.standard === 'other') return variance.standardDescription || VARIANCE_STANDARDS.other;
+        return VARIANCE_STANDARDS[variance.standard] || variance.standard;
+    }
+
+    // Suggested notice list: the adjacent lots recorded in the household registry (either lot may record the
+    // other), falling back to the lot numbers either side. Admins confirm the list before notices go out.
+    findAdjacentLots(project) {
+        const householdManager = window.householdManager;
+        if (!householdManager) return { neighbors: [], source: 'lot_numbers' };
+
+        const lot = householdManager.normalizeLotNumber(project.lot);
+        const recorded = new Set();
+        householdManager.getHouseholdsByLot(project.lot).forEach(household => {
+            (household.adjacentLots || []).forEach(adjacentLot => recorded.add(householdManager.normalizeLotNumber(adjacentLot)));
+        });
+        householdManager.households.forEach(household => {
+            if ((household.adjacentLots || []).some(adjacentLot => householdManager.normalizeLotNumber(adjacentLot) === lot)) {
+                recorded.add(householdManager.normalizeLotNumber(household.lotNumber));
+            }
+        });
+        recorded.delete(lot);
+
+        let source = 'registry';
+        let adjacentLots = [...recorded];
+        if (adjacentLots.length === 0) {
+            source = 'lot_numbers';
+            const lotNumber = parseInt(lot, 10);
+            adjacentLots = isNaN(lotNumber) ? [] : [String(lotNumber - 1), String(lotNumber + 1)];
+        }
+
+        const neighbors = [];
+        adjacentLots.forEach(adjacentLot => {
+            householdManager.getHouseholdsByLot(adjacentLot).forEach(household => {
+                if (household.id === project.householdId) return;
+                neighbors.push({
+                    householdId: household.id,
+                    lotNumber: household.lotNumber,
+                    address: household.address,
+                    noticeDate: ''
+                });
+            });
+        });
+        return { neighbors: neighbors, source: source };
+    }
+
+    // Prefill the request from a failing side of the project's setback check
+    getSuggestedRequest(project) {
+        const check = project.setbackCheck;
+        const failing = check && check.sides ? check.sides.find(side => !side.pass) : null;
+        if (!failing) return { standard: 'front_setback', requiredValue: '', requestedValue: '' };
+
+        const sideStandard = failing.key === 'left' || failing.key === 'right' ? 'side_setback' : `${failing.key}_setback`;
+        return {
+            standard: check.improvementType === 'primary' ? sideStandard : 'accessory_setback',
+            requiredValue: `${failing.required} ft`,
+            requestedValue: `${failing.proposed} ft`
+        };
+    }
+
+    // Every variance requested on the project, with the form to open another while the project is active
+    renderVarianceSection(project, isAdmin) {
+        const variances = this.getVariances(project);
+        const canRequest = isAdmin && project.status !== 'previous';
+        if (variances.length === 0 && !canRequest) return '';
+
+        return `
+            <div class="variance-info" style="margin-bottom: 20px;">
+                <h4>Variance Requests</h4>
+                ${variances.length === 0 ? '<div style="color: #666; font-size: 0.85rem; margin-bottom: 8px;">No variance has been requested for this project.</div>' : ''}
+                ${variances.map(variance => this.renderVariance(project, variance, isAdmin)).join('')}
+                ${canRequest ? this.renderRequestForm(project, variances.length > 0) : ''}
+            </div>
+        `;
+    }
+
+    renderRequestForm(project, hasVariances) {
+        const inputStyle = 'padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+        const suggested = this.getSuggestedRequest(project);
+        return `
+            <div style="${hasVariances ? 'margin-top: 12px; padding-top: 12px; border-top: 1px dashed #ddd;' : ''}">
+                ${hasVariances ? '<div style="font-size: 0.85rem; font-weight: 600; margin-bottom: 6px;">Request another variance</div>' : ''}
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px;">
+                    <select id="varianceStandard-${project.id}" style="${inputStyle}">
+                        ${Object.keys(VARIANCE_STANDARDS).map(key => `<option value="${key}" ${key === suggested.standard ? 'selected' : ''}>${VARIANCE_STANDARDS[key]}</option>`).join('')}
+                    </select>
+                    <input type="text" id="varianceStandardDescription-${project.id}" placeholder="Standard (if other)" style="${inputStyle}">
+                    <input type="text" id="varianceRequired-${project.id}" value="${suggested.requiredValue}" placeholder="Required (e.g., 40 ft)" style="${inputStyle}">
+                    <input type="text" id="varianceRequested-${project.id}" value="${suggested.requestedValue}" placeholder="Requested (e.g., 35 ft)" style="${inputStyle}">
+                </div>
+                <textarea id="varianceJustification-${project.id}" rows="2" placeholder="Justification for the variance" style="${inputStyle} width: 100%; margin-top: 10px; font-family: inherit;"></textarea>
+                <button type="button" class="btn-small btn-primary" style="margin-top: 8px;" onclick="window.varianceManager.createRequest('${project.id}')">Open Variance Request</button>
+            </div>
+        `;
+    }
+
+    renderVariance(project, variance, isAdmin) {
+        const inputStyle = 'padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+        const status = VARIANCE_STATUSES[variance.status] || VARIANCE_STATUSES.pending;
+        const isOpen = this.isOpen(variance);
+        const neighbors = variance.neighbors || [];
+        const objections = variance.objections || [];
+        const letters = variance.letters || [];
+        const confirmed = !!variance.neighborsConfirmedDate;
+        const ids = `'${project.id}', '${variance.id}'`;
+        const fieldId = (name) => `variance${name}-${project.id}-${variance.id}`;
+
+        const neighborsHtml = neighbors.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-top: 6px;">
+                <tbody>
+                    ${neighbors.map((neighbor, index) => `
+                        <tr style="border-bottom: 1px solid #f0f0f0;">
+                            <td style="padding: 6px 8px;">Lot ${this.escapeHtml(neighbor.lotNumber)}</td>
+                            <td style="padding: 6px 8px;">${this.escapeHtml(neighbor.address || '')}</td>
+                            <td style="padding: 6px 8px; color: #666;">${neighbor.noticeDate ? `Notice sent ${neighbor.noticeDate}` : 'Not notified'}</td>
+                            <td style="padding: 6px 8px; text-align: right; white-space: nowrap;">
+                                ${isAdmin && confirmed ? `<button type="button" class="btn-small btn-secondary" onclick="window.varianceManager.generateNotices(${ids}, ${index})">Notice</button>` : ''}
+                                ${isAdmin && isOpen && !neighbor.noticeDate ? `<button type="button" class="btn-small btn-secondary" onclick="window.varianceManager.removeNeighbor(${ids}, ${index})" title="Remove">✕</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div style="color: #666; font-size: 0.85rem; margin-top: 6px;">No adjacent lots found in the household registry. Add them below.</div>';
+
+        const sourceHtml = confirmed
+            ? `<div style="color: #666; font-size: 0.8rem; margin-top: 4px;">Notice list confirmed by ${this.escapeHtml(variance.neighborsConfirmedBy || 'unknown')} on ${variance.neighborsConfirmedDate}</div>`
+            : `<div style="background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; padding: 8px; font-size: 0.8rem; color: #856404; margin-top: 6px;">
+                    Suggested from ${VARIANCE_NEIGHBOR_SOURCES[variance.neighborsSource] || VARIANCE_NEIGHBOR_SOURCES.lot_numbers}. Check the list against the plat, add or remove lots, then confirm it before sending notices.
+               </div>`;
+
+        const objectionsHtml = objections.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-top: 6px;">
+                <tbody>
+                    ${objections.map(objection => `
+                        <tr style="border-bottom: 1px solid #f0f0f0;">
+                            <td style="padding: 6px 8px; white-space: nowrap;">${objection.receivedDate}</td>
+                            <td style="padding: 6px 8px; white-space: nowrap;">${this.escapeHtml(objection.name)}${objection.lotNumber ? ` (Lot ${this.escapeHtml(objection.lotNumber)})` : ''}</td>
+                            <td style="padding: 6px 8px;">${this.escapeHtml(objection.comment)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div style="color: #666; font-size: 0.85rem; margin-top: 6px;">No objections received.</div>';
+
+        const adminHtml = isAdmin && isOpen ? `
+            <div style="margin-top: 8px; display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px;">
+                <input type="text" id="${fieldId('NeighborLot')}" placeholder="Add neighbor lot #" style="${inputStyle}">
+                <button type="button" class="btn-small btn-secondary" onclick="window.varianceManager.addNeighbor(${ids})">Add Neighbor</button>
+                ${confirmed
+                    ? `<button type="button" class="btn-small btn-primary" onclick="window.varianceManager.generateNotices(${ids})" ${neighbors.length === 0 ? 'disabled' : ''}>Send All Notices</button>`
+                    : `<button type="button" class="btn-small btn-primary" onclick="window.varianceManager.confirmNeighbors(${ids})" ${neighbors.length === 0 ? 'disabled' : ''}>Confirm Notice List</button>`}
+            </div>
+        ` : '';
+
+        const objectionFormHtml = isAdmin && isOpen ? `
+            <div style="margin-top: 8px; display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px;">
+                <input type="text" id="${fieldId('ObjectionName')}" placeholder="Neighbor name" style="${inputStyle}">
+                <input type="text" id="${fieldId('ObjectionLot')}" placeholder="Lot #" style="${inputStyle}">
+                <input type="date" id="${fieldId('ObjectionDate')}" title="Date received" style="${inputStyle}">
+                <input type="text" id="${fieldId('ObjectionComment')}" placeholder="Objection" style="${inputStyle}">
+                <button type="button" class="btn-small btn-secondary" onclick="window.varianceManager.recordObjection(${ids})">Record Objection</button>
+            </div>
+        ` : '';
+
+        const lettersHtml = letters.length > 0 ? `
+            <div style="margin-top: 12px;"><strong style="font-size: 0.9rem;">Letters Sent (${letters.length})</strong>
+                ${letters.map(letter => `
+                    <div style="font-size: 0.85rem; margin-top: 4px;">
+                        <a href="${letter.storageUrl}" target="_blank" rel="noopener" style="color: #2c5530;">${letter.type === 'decision' ? 'Decision letter' : 'Notice'}</a>
+                        — ${letter.date} by ${this.escapeHtml(letter.sentBy || 'unknown')},
+                        to ${(letter.recipients || []).map(recipient => this.escapeHtml(`${recipient.lotNumber ? `Lot ${recipient.lotNumber}, ` : ''}${recipient.address || ''}`)).join('; ')}
+                    </div>
+                `).join('')}
+            </div>
+        ` : '';
+
+        const decisionHtml = variance.decision ? `
+            <div style="margin-top: 12px; font-size: 0.9rem;">
+                <strong>Decision:</strong> ${status.label} on ${variance.decision.date} by ${this.escapeHtml(variance.decision.decidedBy)}
+                ${variance.decision.notes ? `<div style="color: #666; margin-top: 4px;">${this.escapeHtml(variance.decision.notes)}</div>` : ''}
+                <button type="button" class="btn-small btn-secondary" style="margin-top: 6px;" onclick="window.varianceManager.generateDecisionLetter(${ids})">Decision Letter</button>
+            </div>
+        ` : (isAdmin && isOpen ? `
+            <div style="margin-top: 12px; display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 10px;">
+                <select id="${fieldId('Decision')}" style="${inputStyle}">
+                    <option value="approved">Approve variance</option>
+                    <option value="denied">Deny variance</option>
+                </select>
+                <input type="text" id="${fieldId('DecisionNotes')}" placeholder="Conditions or reasons" style="${inputStyle}">
+                <button type="button" class="btn-small btn-primary" onclick="window.varianceManager.recordDecision(${ids})">Record Decision &amp; Letter</button>
+            </div>
+        ` : '');
+
+        return `
+            <div style="border: 1px solid #e0e0e0; border-radius: 6px; padding: 12px; margin-bottom: 10px;">
+                <div style="font-weight: 600; margin-bottom: 8px;">${this.escapeHtml(this.getStandardLabel(variance))} <span style="font-size: 0.8rem; padding: 2px 8px; border-radius: 4px; color: ${status.color}; background: ${status.background};">${status.label}</span></div>
+                <div class="project-info" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
+                    <div class="info-item">
+                        <span class="info-label">Requested:</span>
+                        <span class="info-value">${variance.requestedDate || 'N/A'}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Required / Requested:</span>
+                        <span class="info-value">${this.escapeHtml(variance.requiredValue)} / ${this.escapeHtml(variance.requestedValue)}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Comment Deadline:</span>
+                        <span class="info-value">${variance.commentDeadline || 'Notices not sent'}</span>
+                    </div>
+                </div>
+                <div style="font-size: 0.9rem; margin-top: 8px;"><strong>Justification:</strong> ${this.escapeHtml(variance.justification)}</div>
+                <div style="margin-top: 12px;"><strong style="font-size: 0.9rem;">Adjacent Lots</strong>${neighborsHtml}${isOpen || !confirmed ? sourceHtml : ''}</div>
+                ${adminHtml}
+                <div style="margin-top: 12px;"><strong style="font-size: 0.9rem;">Objections (${objections.length})</strong>${objectionsHtml}</div>
+                ${objectionFormHtml}
+                ${lettersHtml}
+                ${decisionHtml}
+            </div>
+        `;
+    }
+
+    async createRequest(projectId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = this.getProject(projectId);
+        if (!project) {
+            alert('Project not found');
+            return;
+        }
+
+        const standard = document.getElementById(`varianceStandard-${projectId}`)?.value;
+        const standardDescription = document.getElementById(`varianceStandardDescription-${projectId}`)?.value.trim() || '';
+        const requiredValue = document.getElementById(`varianceRequired-${projectId}`)?.value.trim() || '';
+        const requestedValue = document.getElementById(`varianceRequested-${projectId}`)?.value.trim() || '';
+        const justification = document.getElementById(`varianceJustification-${projectId}`)?.value.trim() || '';
+
+        if (!VARIANCE_STANDARDS[standard]) {
+            alert('Please select the standard being varied.');
+            return;
+        }
+        if (standard === 'other' && !standardDescription) {
+            alert('Please describe the standard being varied.');
+            return;
+        }
+        if (!requiredValue || !requestedValue) {
+            alert('Please enter both the required and the requested values.');
+            return;
+        }
+        if (!justification) {
+            alert('Please enter the justification for the variance.');
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const adjacent = this.findAdjacentLots(project);
+        const variance = {
+            id: Date.now().toString(),
+            standard: standard,
+            standardDescription: standard === 'other' ? standardDescription : '',
+            requiredValue: requiredValue,
+            requestedValue: requestedValue,
+            justification: justification,
+            status: 'pending',
+            requestedDate: window.projectManager.formatDate(new Date()),
+            requestedBy: user ? user.email : 'unknown',
+            neighbors: adjacent.neighbors,
+            neighborsSource: adjacent.source,
+            neighborsConfirmedBy: '',
+            neighborsConfirmedDate: '',
+            commentDeadline: '',
+            objections: [],
+            letters: [],
+            decision: null
+        };
+
+        try {
+            await window.projectManager.updateProject(projectId, { variances: [...this.getVariances(project), variance] });
+        } catch (error) {
+            console.error('Error opening variance request:', error);
+            alert('Error opening variance request: ' + error.message);
+        }
+    }
+
+    async confirmNeighbors(projectId, varianceId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const variance = this.getVariance(this.getProject(projectId), varianceId);
+        if (!variance) return;
+
+        const neighbors = variance.neighbors || [];
+        const list = neighbors.map(neighbor => `Lot ${neighbor.lotNumber} - ${neighbor.address || ''}`).join('\n');
+        if (!confirm(`Confirm that these are all the lots that must receive notice?\n\n${list}`)) {
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        try {
+            await this.saveVariance(projectId, {
+                ...variance,
+                neighborsConfirmedBy: user ? user.email : 'unknown',
+                neighborsConfirmedDate: window.projectManager.formatDate(new Date())
+            });
+        } catch (error) {
+            console.error('Error confirming notice list:', error);
+            alert('Error confirming notice list: ' + error.message);
+        }
+    }
+
+    async addNeighbor(projectId, varianceId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const variance = this.getVariance(this.getProject(projectId), varianceId);
+        if (!variance) return;
+
+        const lotNumber = document.getElementById(`varianceNeighborLot-${projectId}-${varianceId}`)?.value.trim();
+        if (!lotNumber) {
+            alert('Please enter the neighbor\'s lot number.');
+            return;
+        }
+        const neighbors = variance.neighbors || [];
+        if (neighbors.some(neighbor => neighbor.lotNumber === lotNumber)) {
+            alert(`Lot ${lotNumber} is already on the notice list.`);
+            return;
+        }
+
+        const households = window.householdManager ? window.householdManager.getHouseholdsByLot(lotNumber) : [];
+        if (households.length === 0) {
+            alert(`No household is registered for lot ${lotNumber}. Add the household first so the notice has an address.`);
+            return;
+        }
+
+        const added = households.map(household => ({
+            householdId: household.id,
+            lotNumber: household.lotNumber,
+            address: household.address,
+            noticeDate: ''
+        }));
+
+        try {
+            await this.saveVariance(projectId, { ...variance, neighbors: [...neighbors, ...added] });
+        } catch (error) {
+            console.error('Error adding neighbor:', error);
+            alert('Error adding neighbor: ' + error.message);
+        }
+    }
+
+    async removeNeighbor(projectId, varianceId, index) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const variance = this.getVariance(this.getProject(projectId), varianceId);
+        if (!variance) return;
+
+        const neighbors = [...(variance.neighbors || [])];
+        neighbors.splice(index, 1);
+
+        try {
+            await this.saveVariance(projectId, { ...variance, neighbors: neighbors });
+        } catch (error) {
+            console.error('Error removing neighbor:', error);
+            alert('Error removing neighbor: ' + error.message);
+        }
+    }
+
+    // Notice letters for one neighbor (by index) or all of them; the first notice starts the comment period
+    async generateNotices(projectId, varianceId, index = null) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const project = this.getProject(projectId);
+        const variance = this.getVariance(project, varianceId);
+        if (!variance) return;
+
+        if (!variance.neighborsConfirmedDate) {
+            alert('Please confirm the notice list before sending notices.');
+            return;
+        }
+
+        const neighbors = variance.neighbors || [];
+        const selected = index === null ? neighbors : [neighbors[index]].filter(Boolean);
+        if (selected.length === 0) {
+            alert('There are no neighbors to notify.');
+            return;
+        }
+
+        const today = window.projectManager.formatDate(new Date());
+        let commentDeadline = variance.commentDeadline;
+        if (!commentDeadline) {
+            const deadline = new Date();
+            deadline.setDate(deadline.getDate() + VARIANCE_COMMENT_PERIOD_DAYS);
+            commentDeadline = window.projectManager.formatDate(deadline);
+        }
+
+        try {
+            const letter = await window.pdfGenerator.generateVarianceNotices(project, {
+                ...variance,
+                standardLabel: this.getStandardLabel(variance),
+                commentDeadline: commentDeadline
+            }, selected);
+            const record = await this.storeLetter(projectId, letter, 'notice', selected.map(neighbor => ({
+                householdId: neighbor.householdId,
+                lotNumber: neighbor.lotNumber,
+                address: neighbor.address
+            })));
+
+            // Only the first notice to each neighbor is recorded
+            const updatedNeighbors = neighbors.map(neighbor => selected.includes(neighbor) && !neighbor.noticeDate
+                ? { ...neighbor, noticeDate: today }
+                : neighbor);
+            await this.saveVariance(projectId, {
+                ...variance,
+                neighbors: updatedNeighbors,
+                commentDeadline: commentDeadline,
+                letters: [...(variance.letters || []), record],
+                status: this.isOpen(variance) ? 'noticed' : variance.status
+            });
+        } catch (error) {
+            console.error('Error generating variance notices:', error);
+            alert('Error generating variance notices: ' + error.message);
+        }
+    }
+
+    async recordObjection(projectId, varianceId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const variance = this.getVariance(this.getProject(projectId), varianceId);
+        if (!variance) return;
+
+        const fieldValue = (name) => document.getElementById(`variance${name}-${projectId}-${varianceId}`)?.value.trim() || '';
+        const name = fieldValue('ObjectionName');
+        const lotNumber = fieldValue('ObjectionLot');
+        const dateValue = fieldValue('ObjectionDate');
+        const comment = fieldValue('ObjectionComment');
+
+        if (!name || !comment) {
+            alert('Please enter the neighbor\'s name and the objection.');
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        const objection = {
+            id: Date.now().toString(),
+            name: name,
+            lotNumber: lotNumber,
+            receivedDate: dateValue ? window.projectManager.formatDateFromInput(dateValue) : window.projectManager.formatDate(new Date()),
+            comment: comment,
+            recordedBy: user ? user.email : 'unknown'
+        };
+
+        try {
+            await this.saveVariance(projectId, { ...variance, objections: [...(variance.objections || []), objection] });
+        } catch (error) {
+            console.error('Error recording objection:', error);
+            alert('Error recording objection: ' + error.message);
+        }
+    }
+
+    async recordDecision(projectId, varianceId) {
+        if (!window.projectManager || !window.projectManager.requireAuth()) return;
+
+        const variance = this.getVariance(this.getProject(projectId), varianceId);
+        if (!variance) return;
+
+        const result = document.getElementById(`varianceDecision-${projectId}-${varianceId}`)?.value;
+        const notes = document.getElementById(`varianceDecisionNotes-${projectId}-${varianceId}`)?.value.trim() || '';
+
+        if (result !== 'approved' && result !== 'denied') {
+            alert('Please select the decision.');
+            return;
+        }
+        if (result === 'denied' && !notes) {
+            alert('Please enter the reason for denying the variance.');
+            return;
+        }
+
+        // Neighbors get the full comment period before a decision is made
+        const notNotified = (variance.neighbors || []).filter(neighbor => !neighbor.noticeDate);
+        if (notNotified.length > 0 && !confirm(`${notNotified.length} adjacent lot${notNotified.length === 1 ? ' has' : 's have'} not been sent a notice. Record the decision anyway?`)) {
+            return;
+        }
+        const deadline = variance.commentDeadline ? window.projectManager.parseDate(variance.commentDeadline) : null;
+        if (deadline && deadline > new Date() && !confirm(`The neighbor comment period runs until ${variance.commentDeadline}. Record the decision before it ends?`)) {
+            return;
+        }
+
+        const user = window.authHandler.getCurrentUser();
+        try {
+            await this.saveVariance(projectId, {
+                ...variance,
+                status: result,
+                decision: {
+                    result: result,
+                    notes: notes,
+                    date: window.projectManager.formatDate(new Date()),
+                    decidedBy: user ? user.email : 'unknown'
+                }
+            });
+            await this.generateDecisionLetter(projectId, varianceId);
+        } catch (error) {
+            console.error('Error recording variance decision:', error);
+            alert('Error recording variance decision: ' + error.message);
+        }
+    }
+
+    // Downloads the decision letter; the first copy generated is kept with the variance as the one sent
+    async generateDecisionLetter(projectId, varianceId) {
+        const project = this.getProject(projectId);
+        const variance = this.getVariance(project, varianceId);
+        if (!variance || !variance.decision) {
+            alert('No decision has been recorded for this variance.');
+            return;
+        }
+
+        try {
+            const letter = await window.pdfGenerator.generateVarianceDecisionLetter(project, {
+                ...variance,
+                standardLabel: this.getStandardLabel(variance)
+            });
+            if ((variance.letters || []).some(existing => existing.type === 'decision')) return;
+
+            const record = await this.storeLetter(projectId, letter, 'decision', [{
+                householdId: project.householdId || '',
+                lotNumber: project.lot,
+                address: project.address
+            }]);
+            await this.saveVariance(projectId, { ...variance, letters: [...(variance.letters || []), record] });
+        } catch (error) {
+            console.error('Error generating variance decision letter:', error);
+            alert('Error generating variance decision letter: ' + error.message);
+        }
+    }
+}
+
+// Initialize variance manager
+window.varianceManager = new VarianceManager();